@@ -0,0 +1,252 @@
+#!/usr/bin/env node
+import { mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { performance } from 'node:perf_hooks';
+import { parseArgs } from 'node:util';
+import { buildVoronoiAdjacency } from '../src/adjacency.js';
+import {
+  checkGame,
+  computeGameReference,
+  createPuzzle,
+  fillColoring,
+  parseGame,
+  REFERENCE_TIME_LIMIT,
+  serializeGame,
+  solveGame
+} from '../src/engine.js';
+import { CLUE_DIFFICULTIES, DEFAULT_CLUE_DIFFICULTY } from '../src/clues.js';
+import { CLUE_MODE_ID, GAME_MODES } from '../src/gameModes.js';
+import { explainInfeasibility } from '../src/hints.js';
+import {
+  createTranslator,
+  detectLocale,
+  isSupportedLocale,
+  LOCALES,
+  LocalizedError,
+  translateError
+} from '../src/i18n.js';
+import {
+  buildVoronoiCells,
+  createDelaunay,
+  createPoints,
+  getMaxRegionCount,
+  MAP_HEIGHT,
+  MAP_WIDTH,
+  MAX_REGION_COUNT,
+  MIN_REGION_COUNT
+} from '../src/puzzleGenerator.js';
+import { createRng, hashString, randomSeed } from '../src/random.js';
+import { solveColoring } from '../src/solver.js';
+
+const OPTIONS = {
+  regions: { type: 'string', default: '30' },
+  mode: { type: 'string', default: 'classic' },
+  difficulty: { type: 'string', default: DEFAULT_CLUE_DIFFICULTY },
+  seed: { type: 'string' },
+  count: { type: 'string', default: '1' },
+  out: { type: 'string' },
+  'time-limit': { type: 'string', default: String(REFERENCE_TIME_LIMIT) },
+  solved: { type: 'boolean', default: false },
+  lang: { type: 'string' },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+class UsageError extends LocalizedError {
+  constructor(code, params) {
+    super(`cli.${code}`, params);
+    this.name = 'UsageError';
+  }
+}
+
+// 输出语言：--lang 指定，否则按 LC_ALL / LC_MESSAGES / LANG（如 zh_CN.UTF-8）选择，识别不出时用英文。
+let t = createTranslator(detectLocale([getEnvLanguage(), 'en']));
+
+function getEnvLanguage() {
+  const { LC_ALL, LC_MESSAGES, LANG } = process.env;
+  return (LC_ALL || LC_MESSAGES || LANG || '').split('.')[0].replace('_', '-');
+}
+
+function usage() {
+  return t('cli.usage', {
+    modes: GAME_MODES.map((mode) => mode.id).join(' / '),
+    difficulties: CLUE_DIFFICULTIES.map((level) => level.id).join(' / '),
+    languages: LOCALES.map((locale) => locale.id).join(' / ')
+  });
+}
+
+const COMMANDS = { generate, solve, validate, bench };
+
+function main(argv) {
+  const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  if (values.lang != null) {
+    if (!isSupportedLocale(values.lang)) {
+      const languages = LOCALES.map((locale) => locale.id).join(' / ');
+      throw new UsageError('unknownLanguage', { language: values.lang, languages });
+    }
+    t = createTranslator(values.lang);
+  }
+  const [command, ...files] = positionals;
+  if (values.help || !command) {
+    console.log(usage());
+    return 0;
+  }
+  const run = COMMANDS[command];
+  if (!run) throw new UsageError('unknownCommand', { command });
+  return run(values, files);
+}
+
+function generate(options) {
+  if (!GAME_MODES.some((mode) => mode.id === options.mode)) throw new UsageError('unknownMode', { mode: options.mode });
+  const regionCount = readInteger(options.regions, '--regions', MIN_REGION_COUNT, getMaxRegionCount(options.mode));
+  const count = readInteger(options.count, '--count', 1, Infinity);
+  const timeLimit = readInteger(options['time-limit'], '--time-limit', 0, Infinity);
+  if (!CLUE_DIFFICULTIES.some((level) => level.id === options.difficulty)) {
+    throw new UsageError('unknownDifficulty', { difficulty: options.difficulty });
+  }
+  if (count > 1 && !options.out) throw new UsageError('outDirRequired');
+  const baseSeed = options.seed == null ? randomSeed() : parseSeed(options.seed);
+  if (count > 1) mkdirSync(options.out, { recursive: true });
+
+  for (let i = 0; i < count; i += 1) {
+    const spec = { seed: (baseSeed + i) >>> 0, regionCount, mode: options.mode };
+    if (options.mode === CLUE_MODE_ID) spec.difficulty = options.difficulty;
+    const game = createPuzzle(spec, { referenceTimeLimit: timeLimit });
+    const text = `${JSON.stringify(serializeGame(game), null, 2)}\n`;
+    const path = count > 1 ? join(options.out, `${game.code}.json`) : options.out;
+    writeOutput(path, text);
+    if (game.mode === CLUE_MODE_ID) {
+      const clueCount = game.regions.filter((region) => region.locked).length;
+      const difficulty = t(`clueDifficulties.${game.difficulty}.name`);
+      console.error(
+        t('cli.generatedClues', { code: game.code, regions: game.regions.length, clues: clueCount, difficulty })
+      );
+      continue;
+    }
+    const optimality = game.reference.optimal
+      ? t('cli.optimal')
+      : t('cli.lowerBound', { bound: game.reference.lowerBound });
+    console.error(
+      t('cli.generated', { code: game.code, regions: game.regions.length, count: game.reference.count, optimality })
+    );
+  }
+  return 0;
+}
+
+function solve(options, files) {
+  if (files.length !== 1) throw new UsageError('solveOneFile');
+  const text = readFileSync(files[0], 'utf8');
+  const timeLimit = readInteger(options['time-limit'], '--time-limit', 0, Infinity);
+  const game = computeGameReference(parseGame(text), { seed: hashString(text), timeLimit });
+  if (!game.reference.coloring) {
+    const result = solveGame(game);
+    const reason = result.proof ? explainInfeasibility(result.proof, { labelOf: (id) => id, t }) : '';
+    console.error(t('cli.infeasible', { file: files[0], count: game.colorCount, reason }));
+    return 1;
+  }
+  const solved = fillColoring(game, game.reference.coloring, { action: 'reference' });
+  writeOutput(options.out, `${JSON.stringify(serializeGame(solved), null, 2)}\n`);
+  const optimality = game.reference.optimal
+    ? t('cli.provenOptimal')
+    : t('cli.notProvenOptimal', { bound: game.reference.lowerBound });
+  console.error(t('cli.solved', { file: files[0], count: game.reference.count, optimality }));
+  return 0;
+}
+
+function validate(options, files) {
+  if (!files.length) throw new UsageError('validateNeedsFile');
+  let failures = 0;
+  files.forEach((file) => {
+    let game;
+    try {
+      game = parseGame(readFileSync(file, 'utf8'));
+    } catch (error) {
+      failures += 1;
+      console.log(t('cli.invalid', { file, error: translateError(error, t) }));
+      return;
+    }
+    const result = checkGame(game);
+    const summary = t('cli.summary', { count: result.total, filled: result.filled });
+    if (result.status === 'conflict') {
+      failures += 1;
+      const pairs = result.conflicts.map(([a, b]) => `${a}↔${b}`).join(t('common.listSeparator'));
+      console.log(t('cli.conflicts', { file, summary, count: result.conflicts.length, pairs }));
+    } else if (result.status === 'solved') {
+      console.log(t('cli.complete', { file, summary, count: result.targetCount }));
+    } else {
+      if (options.solved) failures += 1;
+      console.log(
+        result.status === 'too-many-colors'
+          ? t('cli.tooManyColors', { file, summary, count: result.usedColorCount })
+          : t('cli.noConflicts', { file, summary })
+      );
+    }
+  });
+  return failures ? 1 : 0;
+}
+
+const BENCH_STAGES = ['points', 'cells', 'adjacency', 'solve'];
+
+function bench(options) {
+  const regionCount = readInteger(options.regions, '--regions', MIN_REGION_COUNT, MAX_REGION_COUNT);
+  const count = readInteger(options.count, '--count', 1, Infinity);
+  const baseSeed = options.seed == null ? randomSeed() : parseSeed(options.seed);
+  const totals = Object.fromEntries(BENCH_STAGES.map((stage) => [stage, 0]));
+  console.log(['seed', ...BENCH_STAGES, 'regions', 'edges'].join('\t'));
+  for (let i = 0; i < count; i += 1) {
+    const seed = (baseSeed + i) >>> 0;
+    const times = {};
+    const time = (stage, run) => {
+      const start = performance.now();
+      const result = run();
+      times[stage] = performance.now() - start;
+      totals[stage] += times[stage];
+      return result;
+    };
+    const points = time('points', () => createPoints(regionCount, MAP_WIDTH, MAP_HEIGHT, createRng(seed)));
+    const { delaunay, cells } = time('cells', () => {
+      const triangulation = createDelaunay(points);
+      return { delaunay: triangulation, cells: buildVoronoiCells(points, MAP_WIDTH, MAP_HEIGHT, triangulation) };
+    });
+    const ids = cells.map((polygon, index) => (polygon ? `region-${index}` : null));
+    const { adjacency, adjacencyMeta } = time('adjacency', () =>
+      buildVoronoiAdjacency(delaunay, cells, ids, { width: MAP_WIDTH, height: MAP_HEIGHT })
+    );
+    const regions = ids.filter(Boolean).map((id) => ({ id }));
+    const result = time('solve', () => solveColoring(regions, adjacency, 4));
+    if (!result.success) throw new LocalizedError('cli.benchSolveFailed', { seed });
+    const row = BENCH_STAGES.map((stage) => times[stage].toFixed(1));
+    console.log([seed, ...row, regions.length, adjacencyMeta.size].join('\t'));
+  }
+  const average = BENCH_STAGES.map((stage) => (totals[stage] / count).toFixed(1));
+  console.log([t('cli.average'), ...average].join('\t'));
+  return 0;
+}
+
+function readInteger(text, name, min, max) {
+  const value = Number(text);
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new UsageError(max === Infinity ? 'integerAtLeast' : 'integerBetween', { name, min, max });
+  }
+  return value;
+}
+
+// 纯数字按原值使用，其他文字取哈希，方便用有意义的名字批量复现题目。
+function parseSeed(text) {
+  return /^\d+$/.test(text) ? Number(text) >>> 0 : hashString(text);
+}
+
+function writeOutput(path, text) {
+  if (path) {
+    writeFileSync(path, text);
+  } else {
+    process.stdout.write(text);
+  }
+}
+
+try {
+  process.exitCode = main(process.argv.slice(2));
+} catch (error) {
+  console.error(t('cli.fatal', { error: translateError(error, t) }));
+  if (error instanceof UsageError || error.code?.startsWith('ERR_PARSE_ARGS')) console.error(`\n${usage()}`);
+  process.exitCode = 2;
+}
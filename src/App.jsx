@@ -1,19 +1,95 @@
 import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
-import { Delaunay } from 'd3-delaunay';
+import { findSharedBorders, pairKey } from './adjacency.js';
+import {
+  buildLeaderboard,
+  computeStreaks,
+  createDailySpec,
+  getDailyDate,
+  getDateKey,
+  getPersonalBest
+} from './daily.js';
+import { CLUE_DIFFICULTIES } from './clues.js';
+import { DEFAULT_DUEL_LEVEL, DUEL_LEVELS, DUEL_PLAYERS } from './duel.js';
+import { CLUE_MODE_ID, DEFAULT_MODE_ID, DUEL_MODE_ID, GAME_MODES, getGameMode } from './gameModes.js';
+import { createTranslator, detectLocale, isSupportedLocale, LOCALES, translateError } from './i18n.js';
+import {
+  applyMove,
+  createGame,
+  fillColoring,
+  getLegalColors,
+  getTargetCount,
+  getUsedColorCount,
+  MAX_COLOR_COUNT,
+  serializeGame
+} from './engine.js';
+import { BUNDLED_GEO_MAPS } from './geoMap.js';
+import { clamp, findLabelPoint, polygonCentroid, regionPathData } from './geometry.js';
+import { explainInfeasibility } from './hints.js';
+import { buildMapSvg, rasterizeSvg } from './mapImage.js';
+import { buildPuzzleUrl, readPuzzleCodeFromUrl } from './puzzleCode.js';
+import {
+  CUSTOM_PALETTE_ID,
+  getCustomColorKey,
+  getInkColor,
+  getPatternId,
+  getPatternKey,
+  getPatternShape,
+  PALETTES,
+  PATTERN_SIZE
+} from './palettes.js';
+import { parsePuzzleFile, PuzzleFileError } from './puzzleFile.js';
+import { decodePuzzleSpec } from './puzzleSpec.js';
+import { parseRecording, RecordingError } from './recording.js';
+import {
+  MAP_HEIGHT,
+  MAP_WIDTH,
+  getMaxRegionCount,
+  MIN_REGION_COUNT,
+  pickTargetIndex
+} from './puzzleGenerator.js';
+import { createRng, hashString, randomSeed } from './random.js';
+import { TaskCancelledError } from './solverClient.js';
+import { findConflicts } from './solver.js';
+import { createCompletion, describeCompletion, reviewGame } from './completion.js';
+import { getMapKeyAction, useKeyboardShortcuts } from './keyboard.js';
+import { useAutosave } from './useAutosave.js';
+import { useBrushStroke } from './useBrushStroke.js';
+import { useDuel } from './useDuel.js';
+import { useGameSession } from './useGameSession.js';
+import { usePalette } from './usePalette.js';
+import { usePuzzleSpec } from './usePuzzleSpec.js';
+import { REPLAY_SPEEDS, useReplay } from './useReplay.js';
+import { useScoreRecords } from './useScoreRecords.js';
+import { useSolverTasks } from './useSolverTasks.js';
+import MapCanvas, { MagnifierCanvas } from './MapCanvas.jsx';
+import MapEditor from './MapEditor.jsx';
+import StatsPanel from './StatsPanel.jsx';
+import {
+  hasProgress,
+  listRecentGames,
+  loadCurrentGame,
+  loadProfiles,
+  loadSettings,
+  removeRecentGame,
+  saveProfiles,
+  saveSettings
+} from './storage.js';
+
+const BULK_ACTIONS = new Set(['auto', 'reference', 'reset', 'fill']);
+// 带来源名称的事务，普通落子与清除只描述改动本身。
+const NAMED_ACTIONS = new Set([...BULK_ACTIONS, 'hint', 'brush', 'smart']);
 
-const COLORS = [
-  { name: '红', hex: '#ef4444' },
-  { name: '绿', hex: '#22c55e' },
-  { name: '蓝', hex: '#3b82f6' },
-  { name: '黄', hex: '#f59e0b' }
-];
-
-const MAP_WIDTH = 900;
-const MAP_HEIGHT = 620;
-
-const MIN_REGION_COUNT = 10;
-const MAX_REGION_COUNT = 200;
 const PAN_THRESHOLD = 5;
+const EMPTY_SET = new Set();
+// 标签位置只取决于区域形状，按多边形数组缓存，填色变化时不必重算。
+const labelPointCache = new WeakMap();
+const INPUT_MODES = ['select', 'brush', 'smart'];
+const RENDERERS = ['auto', 'svg', 'canvas'];
+// 自动模式下区域数超过这个值时改用 Canvas 渲染。
+const CANVAS_AUTO_REGION_COUNT = 400;
+const PNG_SCALES = [1, 2, 3, 4];
+const GENERATE_TIMEOUT = 20000;
+const SOLVE_TIMEOUT = 10000;
 
 function App() {
   return (
@@ -24,30 +100,75 @@ function App() {
 }
 
 function FourColorGame() {
-  const [regionCount, setRegionCount] = useState(30);
-  const [isGenerating, setIsGenerating] = useState(false);
-  const [regions, setRegions] = useState([]);
-  const [adjacency, setAdjacency] = useState(new Map());
-  const [adjacencyMeta, setAdjacencyMeta] = useState(new Map());
-  const [targetColorIndex, setTargetColorIndex] = useState(0);
-  const [referenceTargetCount, setReferenceTargetCount] = useState(0);
+  const puzzleSetup = usePuzzleSpec(readPuzzleSpecFromLocation);
+  const { spec: puzzleSpec, loadSpec } = puzzleSetup;
+  const { regionCount, mode: selectedMode, difficulty: clueDifficulty } = puzzleSetup.selection;
+  const maxRegionCount = getMaxRegionCount(selectedMode);
+  const [codeInput, setCodeInput] = useState('');
+  const [savedSettings] = useState(loadSettings);
+  const [locale, setLocale] = useState(() =>
+    isSupportedLocale(savedSettings.locale) ? savedSettings.locale : detectLocale(readBrowserLanguages())
+  );
+  const [activeSource, setActiveSource] = useState(null);
+  const [profiles, setProfiles] = useState(() => loadProfiles(createTranslator(locale)('daily.defaultProfile')));
+  const [profileInput, setProfileInput] = useState('');
+  const scores = useScoreRecords();
+  const { scoreRecords, dailyResults, lastScore, clearLastScore } = scores;
+  const [recentGames, setRecentGames] = useState(listRecentGames);
+  const [resumeCandidate, setResumeCandidate] = useState(() => {
+    const saved = loadCurrentGame();
+    return hasProgress(saved) && snapshotToSpec(saved) ? saved : null;
+  });
+  const [exportWithHistory, setExportWithHistory] = useState(false);
+  const [importError, setImportError] = useState('');
+  const [geoSourceId, setGeoSourceId] = useState(BUNDLED_GEO_MAPS[0].id);
+  const [geoError, setGeoError] = useState('');
+  const [editorOpen, setEditorOpen] = useState(false);
+  const [imageOptions, setImageOptions] = useState({
+    showColors: true,
+    showConflicts: false,
+    showLabels: false,
+    pngScale: 2
+  });
+  const { replay, startReplay, stopReplay, updateReplay, stepReplay, togglePlaying } = useReplay();
+  const [recordingError, setRecordingError] = useState('');
+  const session = useGameSession();
+  const { game, attempt, isSolved, hint, setHint, clock, startedAtRef, recording, loadGame } = session;
+  const { recordEvent, updateGame, updateAttempt } = session;
+  const brush = useBrushStroke(session.game, updateGame);
+  const { strokeColors } = brush;
   const [currentColor, setCurrentColor] = useState(0);
   const [selectedId, setSelectedId] = useState(null);
   const [conflicts, setConflicts] = useState([]);
   const [message, setMessage] = useState('');
-  const [history, setHistory] = useState([]);
-  const [redoStack, setRedoStack] = useState([]);
   const [showResetModal, setShowResetModal] = useState(false);
   const [showNewModal, setShowNewModal] = useState(false);
   const [toast, setToast] = useState('');
-  const [zoomLevel, setZoomLevel] = useState(1);
+  const [zoomLevel, setZoomLevel] = useState(() => clamp(Number(savedSettings.zoomLevel) || 1, 1, 5));
   const [viewportSize, setViewportSize] = useState({ width: 0, height: 0 });
   const [baseScale, setBaseScale] = useState(1);
-  const [colorLimit] = useState(COLORS.length);
-  const [spacePressed, setSpacePressed] = useState(false);
-  const [panEnabled, setPanEnabled] = useState(false);
+  const [announcement, setAnnouncement] = useState('');
+  const [panEnabled, setPanEnabled] = useState(Boolean(savedSettings.panEnabled));
   const [isDragging, setIsDragging] = useState(false);
-  const [magnifierOn, setMagnifierOn] = useState(false);
+  const [magnifierOn, setMagnifierOn] = useState(Boolean(savedSettings.magnifierOn));
+  const [usePatterns, setUsePatterns] = useState(Boolean(savedSettings.usePatterns));
+  const [inputMode, setInputMode] = useState(() =>
+    INPUT_MODES.includes(savedSettings.inputMode) ? savedSettings.inputMode : 'select'
+  );
+  const [renderer, setRenderer] = useState(() =>
+    RENDERERS.includes(savedSettings.renderer) ? savedSettings.renderer : 'auto'
+  );
+  const [hoveredId, setHoveredId] = useState(null);
+  const [showLabels, setShowLabels] = useState(Boolean(savedSettings.showLabels));
+  const [showNeighbors, setShowNeighbors] = useState(savedSettings.showNeighbors !== false);
+  const [blockIllegal, setBlockIllegal] = useState(Boolean(savedSettings.blockIllegal));
+  // 对战时电脑执哪一方，null 表示两人轮流。
+  const [duelComputer, setDuelComputer] = useState(() =>
+    DUEL_PLAYERS.includes(savedSettings.duelComputer) ? savedSettings.duelComputer : null
+  );
+  const [duelLevel, setDuelLevel] = useState(() =>
+    DUEL_LEVELS.some((level) => level.id === savedSettings.duelLevel) ? savedSettings.duelLevel : DEFAULT_DUEL_LEVEL
+  );
   const [magnifierState, setMagnifierState] = useState({
     visible: false,
     x: 0,
@@ -57,6 +178,10 @@ function FourColorGame() {
   });
 
   const svgRef = useRef(null);
+  const mapCanvasRef = useRef(null);
+  const importInputRef = useRef(null);
+  const geoInputRef = useRef(null);
+  const recordingInputRef = useRef(null);
   const viewportRef = useRef(null);
   const prevBaseScaleRef = useRef(1);
   const dragState = useRef({
@@ -67,66 +192,273 @@ function FourColorGame() {
     scrollTop: 0
   });
   const suppressClickRef = useRef(false);
+  const regionNodesRef = useRef(new Map());
+  const t = useMemo(() => createTranslator(locale), [locale]);
+  // 后台任务的回调与生成题目的 effect 通过 ref 取当前语言，切换语言不会重新生成题目。
+  const tRef = useRef(t);
+  tRef.current = t;
+  const { paletteId, setPaletteId, customColors, colors, editCustomColor, commitCustomColors } = usePalette(
+    savedSettings,
+    t
+  );
+  const { busy, runTask, cancelTask, reportTaskError } = useSolverTasks(tRef, { setToast, setMessage });
   const magnifierRadius = 110;
   const magnifierZoom = 2.6;
   const isZoomed = zoomLevel > 1;
+  const isGenerating = busy != null;
+  // 后台计算或回放录像时盘面只读。
+  const isBoardLocked = isGenerating || replay != null;
   const showMagnifierDebug = magnifierOn;
 
-  const targetColor = COLORS[targetColorIndex];
+  // 棋盘状态全部由引擎维护，这里只解构出渲染需要的字段。
+  const { regions, adjacency, adjacencyMeta, history, redoStack, reference } = game;
+  const colorLimit = game.colorCount;
+  const gameMode = game.mode;
+  const chromaticNumber = game.chromaticNumber;
+  const targetColorIndex = game.targetIndex;
+  const referenceTargetCount = reference.count;
+  const replayFrame = replay ? replay.frames[replay.index] : null;
+  const viewGame = replayFrame?.game ?? game;
+  const mapSize = useMemo(() => ({ width: viewGame.width, height: viewGame.height }), [viewGame.width, viewGame.height]);
+  const useCanvas =
+    renderer === 'canvas' || (renderer === 'auto' && viewGame.regions.length > CANVAS_AUTO_REGION_COUNT);
+  const targetColor = colors[targetColorIndex];
+  const palette = colors.slice(0, colorLimit);
+  const isChromaticMode = gameMode === 'chromatic';
+  const isClueMode = gameMode === CLUE_MODE_ID;
+  const clueCount = useMemo(() => regions.filter((region) => region.locked).length, [regions]);
+  const isDuelMode = gameMode === DUEL_MODE_ID;
+  const duel = useDuel({
+    game,
+    updateGame,
+    computer: duelComputer,
+    level: duelLevel,
+    paused: replay != null,
+    timeout: SOLVE_TIMEOUT,
+    runTask,
+    reportTaskError,
+    tRef,
+    onComputerMove: (move) => {
+      setSelectedId(move.regionId);
+      playDuelMove(move.regionId, move.color, { byComputer: true });
+    }
+  });
+  const { duelState, isComputerTurn } = duel;
+  const duelStatus = duelState?.status ?? null;
+  const deadRegionSet = useMemo(() => new Set(duelState?.deadRegions ?? []), [duelState]);
+  const selectedRegion = selectedId ? regions.find((region) => region.id === selectedId) : null;
 
+  // 按正在显示的盘面查找区域，回放其他题目的录像时区域名称也能对上。
   const regionById = useMemo(() => {
     const map = new Map();
-    regions.forEach((region) => map.set(region.id, region));
+    viewGame.regions.forEach((region) => map.set(region.id, region));
     return map;
-  }, [regions]);
+  }, [viewGame.regions]);
+
+  const regionIndexById = useMemo(
+    () => new Map(viewGame.regions.map((region, index) => [region.id, index])),
+    [viewGame.regions]
+  );
+
+  const centroidById = useMemo(
+    () => new Map(regions.map((region) => [region.id, polygonCentroid(region.polygon)])),
+    [regions]
+  );
+
+  const hintRelatedSet = useMemo(() => new Set(hint?.relatedIds ?? []), [hint]);
+
+  // 悬停优先于选中：高亮被查看区域的全部邻居，并画出与每个邻居的公共边。
+  const inspectedId = showNeighbors && !replay ? hoveredId ?? selectedId : null;
+  const inspectedNeighbors = useMemo(
+    () => new Set(inspectedId ? adjacency.get(inspectedId) ?? [] : []),
+    [inspectedId, adjacency]
+  );
+  const sharedBorders = useMemo(() => {
+    const region = inspectedId ? regionById.get(inspectedId) : null;
+    if (!region) return [];
+    const neighbors = Array.from(inspectedNeighbors, (id) => regionById.get(id)).filter(Boolean);
+    return findSharedBorders(region, neighbors);
+  }, [inspectedId, inspectedNeighbors, regionById]);
+
+  const legalColors = useMemo(
+    () => (selectedId && !replay ? new Set(getLegalColors(game, selectedId)) : null),
+    [game, selectedId, replay]
+  );
+
+  const selectedNeighborList = useMemo(() => {
+    if (!selectedId || replay) return [];
+    return Array.from(adjacency.get(selectedId) ?? [], (id) => ({
+      id,
+      length: adjacencyMeta.get(pairKey(selectedId, id)) ?? 0
+    })).sort((a, b) => b.length - a.length);
+  }, [selectedId, replay, adjacency, adjacencyMeta]);
+
+  // 回放时标出当前事件涉及的区域：落子改动的区域、提示指向的区域，检查事件另标出当时的冲突。
+  const replayEvent = replayFrame?.event ?? null;
+  const replayTargetSet = useMemo(() => {
+    if (replayEvent?.type === 'move') return new Set(replayEvent.changes.map((change) => change.regionId));
+    return new Set(replayEvent?.type === 'hint' && replayEvent.regionId ? [replayEvent.regionId] : []);
+  }, [replayEvent]);
+  const shownConflicts = replay ? (replayEvent?.type === 'check' ? replayEvent.conflicts : []) : conflicts;
 
   const conflictSet = useMemo(() => {
     const set = new Set();
-    conflicts.forEach((pair) => {
+    shownConflicts.forEach((pair) => {
       set.add(pair[0]);
       set.add(pair[1]);
     });
     return set;
-  }, [conflicts]);
+  }, [shownConflicts]);
+
+  // Canvas 高亮层要画的描边，与 renderPolygon 中各区域的高亮类名对应。
+  const canvasHighlights = useMemo(() => {
+    let hintTargets = [];
+    if (replay) {
+      hintTargets = Array.from(replayTargetSet);
+    } else if (hint?.regionId) {
+      hintTargets = [hint.regionId];
+    }
+    return {
+      neighbors: Array.from(inspectedNeighbors),
+      hintNeighbors: replay ? [] : Array.from(hintRelatedSet),
+      hintTargets,
+      selectedId: replay ? null : selectedId
+    };
+  }, [replay, replayTargetSet, hint, hintRelatedSet, inspectedNeighbors, selectedId]);
+  const shownDeadSet = replay ? EMPTY_SET : deadRegionSet;
 
-  const targetColorCount = useMemo(() => {
-    return regions.filter((region) => region.color === targetColorIndex).length;
-  }, [regions, targetColorIndex]);
+  const targetColorCount = useMemo(() => getTargetCount(game), [game]);
+
+  const usedColorCount = useMemo(() => getUsedColorCount(game), [game]);
 
   const adjacencyEdgeCount = useMemo(() => adjacencyMeta.size, [adjacencyMeta]);
 
-  const generateNewPuzzle = useCallback(() => {
-    setIsGenerating(true);
-    const targetIndex = Math.floor(Math.random() * COLORS.length);
-    const count = clamp(Math.round(regionCount), MIN_REGION_COUNT, MAX_REGION_COUNT);
-    const {
-      regions: newRegions,
-      adjacency: newAdjacency,
-      adjacencyMeta: newAdjacencyMeta
-    } = generateRandomMap(
-      count,
-      MAP_WIDTH,
-      MAP_HEIGHT
-    );
-    const iterations = getGreedyIterations(count);
-    const referenceCount = estimateTargetCount(newRegions, newAdjacency, targetIndex, iterations);
-
-    setTargetColorIndex(targetIndex);
-    setReferenceTargetCount(referenceCount);
-    setRegions(newRegions);
-    setAdjacency(newAdjacency);
-    setAdjacencyMeta(newAdjacencyMeta);
+  const puzzleCode = activeSource?.code ?? null;
+  const timelineLength = history.length + redoStack.length;
+
+  const todayKey = getDateKey();
+  const isTodayDaily = activeSource?.dailyDate === todayKey;
+  const dailyStats = useMemo(
+    () => ({
+      leaderboard: buildLeaderboard(dailyResults, todayKey),
+      personalBest: getPersonalBest(dailyResults, profiles.active),
+      streaks: computeStreaks(dailyResults, profiles.active, todayKey)
+    }),
+    [dailyResults, profiles.active, todayKey]
+  );
+
+  const applyPuzzle = useCallback((spec, puzzle, puzzleReference, key) => {
+    const restore = spec.restore;
+    const file = spec.imported ? serializeGame(createGame(puzzle, { reference: puzzleReference })) : null;
+
+    loadGame(puzzle, { reference: puzzleReference, restore });
     setSelectedId(null);
     setConflicts([]);
     setMessage('');
-    setHistory([]);
-    setRedoStack([]);
-    setIsGenerating(false);
-  }, [regionCount]);
+    setActiveSource({ key, code: puzzle.code, file, dailyDate: getDailyDate(spec, puzzle.code, getDateKey()) });
+    clearLastScore();
+  }, [loadGame, clearLastScore]);
 
   useEffect(() => {
-    generateNewPuzzle();
-  }, [generateNewPuzzle]);
+    const spec = puzzleSpec;
+    const puzzle = spec.imported;
+    if (puzzle?.reference) {
+      applyPuzzle(spec, puzzle, puzzle.reference, getPuzzleKey(spec));
+      return undefined;
+    }
+    const task = puzzle
+      ? runTask(
+          'reference',
+          {
+            regions: puzzle.regions,
+            adjacency: puzzle.adjacency,
+            targetIndex: puzzle.targetIndex,
+            seed: hashString(getPuzzleKey(spec)),
+            colorCount: puzzle.chromaticNumber ?? puzzle.colorCount ?? MAX_COLOR_COUNT,
+            mode: puzzle.mode
+          },
+          tRef.current('tasks.reference'),
+          GENERATE_TIMEOUT
+        )
+      : runTask('generate', { spec }, tRef.current('tasks.generateMap'), GENERATE_TIMEOUT);
+    let active = true;
+    task.promise.then(
+      (result) => {
+        if (!active) return;
+        if (puzzle) {
+          applyPuzzle(spec, puzzle, result, getPuzzleKey(spec));
+        } else {
+          applyPuzzle(spec, result, result.reference, result.code);
+        }
+      },
+      (error) => {
+        if (active) reportTaskError(error, tRef.current('tasks.generatePuzzle'));
+      }
+    );
+    return () => {
+      active = false;
+      task.cancel();
+    };
+  }, [applyPuzzle, puzzleSpec, reportTaskError, runTask]);
+
+  useEffect(() => {
+    if (typeof window === 'undefined' || !activeSource) return;
+    const nextUrl = buildPuzzleUrl(window.location.href, activeSource.code);
+    if (nextUrl !== window.location.href) {
+      window.history.replaceState(null, '', nextUrl);
+    }
+  }, [activeSource]);
+
+  useAutosave({
+    source: activeSource,
+    gameId: session.gameId,
+    game,
+    attempt,
+    isSolved,
+    recorded: session.recorded,
+    startedAtRef,
+    paused: resumeCandidate != null,
+    onSave: setRecentGames
+  });
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+    document.title = t('app.documentTitle');
+  }, [locale, t]);
+
+  useEffect(() => {
+    saveSettings({
+      locale,
+      zoomLevel,
+      panEnabled,
+      magnifierOn,
+      paletteId,
+      customColors,
+      usePatterns,
+      inputMode,
+      showLabels,
+      showNeighbors,
+      blockIllegal,
+      duelComputer,
+      duelLevel,
+      renderer
+    });
+  }, [
+    locale,
+    zoomLevel,
+    panEnabled,
+    magnifierOn,
+    paletteId,
+    customColors,
+    usePatterns,
+    inputMode,
+    showLabels,
+    showNeighbors,
+    blockIllegal,
+    duelComputer,
+    duelLevel,
+    renderer
+  ]);
 
   useEffect(() => {
     if (!toast) return undefined;
@@ -135,25 +467,8 @@ function FourColorGame() {
   }, [toast]);
 
   useEffect(() => {
-    const handleKeyDown = (event) => {
-      if (event.code === 'Space') {
-        event.preventDefault();
-        setSpacePressed(true);
-      }
-    };
-    const handleKeyUp = (event) => {
-      if (event.code === 'Space') {
-        event.preventDefault();
-        setSpacePressed(false);
-      }
-    };
-    window.addEventListener('keydown', handleKeyDown);
-    window.addEventListener('keyup', handleKeyUp);
-    return () => {
-      window.removeEventListener('keydown', handleKeyDown);
-      window.removeEventListener('keyup', handleKeyUp);
-    };
-  }, []);
+    if (message) setAnnouncement(message);
+  }, [message]);
 
   useEffect(() => {
     const viewport = viewportRef.current;
@@ -161,7 +476,7 @@ function FourColorGame() {
     const updateScale = () => {
       const rect = viewport.getBoundingClientRect();
       setViewportSize({ width: rect.width, height: rect.height });
-      const nextScale = Math.min(rect.width / MAP_WIDTH, rect.height / MAP_HEIGHT) || 1;
+      const nextScale = Math.min(rect.width / mapSize.width, rect.height / mapSize.height) || 1;
       setBaseScale(nextScale);
     };
     updateScale();
@@ -172,7 +487,7 @@ function FourColorGame() {
     const observer = new ResizeObserver(updateScale);
     observer.observe(viewport);
     return () => observer.disconnect();
-  }, []);
+  }, [mapSize]);
 
   useEffect(() => {
     const viewport = viewportRef.current;
@@ -210,7 +525,7 @@ function FourColorGame() {
   };
 
   const handleRegionClick = (regionId) => {
-    if (magnifierOn) return;
+    if (magnifierOn || replay) return;
     if (suppressClickRef.current) {
       suppressClickRef.current = false;
       return;
@@ -218,132 +533,449 @@ function FourColorGame() {
     setSelectedId(regionId);
   };
 
-  const applyColorChange = (regionId, nextColor) => {
-    setRegions((prev) =>
-      prev.map((region) =>
-        region.id === regionId
-          ? {
-              ...region,
-              color: nextColor
-            }
-          : region
-      )
-    );
+  const colorRegion = (regionId, nextColor, action) => {
+    const region = regionById.get(regionId);
+    if (!region) return;
+    if (region.color === nextColor) return;
+    if (region.locked) {
+      setToast(t('toast.clueLocked'));
+      return;
+    }
+    if (isDuelMode) {
+      playDuelMove(regionId, nextColor);
+      return;
+    }
+    if (blockIllegal && nextColor != null && !getLegalColors(game, regionId).includes(nextColor)) {
+      setToast(t('toast.illegalColor', { color: colors[nextColor].name }));
+      return;
+    }
+    updateGame((prev) => applyMove(prev, regionId, nextColor, { action }));
+    setConflicts([]);
+    setMessage('');
+    setAnnouncement(t('announce.colored', { region: getRegionLabel(regionId), color: colors[nextColor].name }));
+  };
+
+  const playDuelMove = (regionId, nextColor, options) => {
+    const error = duel.play(regionId, nextColor, options);
+    if (error) {
+      setToast(t(`duel.errors.${error}`, { color: colors[nextColor]?.name }));
+      return;
+    }
+    setMessage('');
+    setAnnouncement(t('announce.colored', { region: getRegionLabel(regionId), color: colors[nextColor].name }));
   };
 
   const applyPaletteColor = (nextColor) => {
     if (!selectedId) {
-      setToast('请先选择一个区域');
+      setToast(t('toast.selectFirst'));
       return;
     }
-    const region = regionById.get(selectedId);
-    if (!region) return;
-    if (region.color === nextColor) return;
-    setHistory((prev) => [...prev, { regionId: selectedId, prevColor: region.color, nextColor }]);
-    setRedoStack([]);
-    applyColorChange(selectedId, nextColor);
-    setConflicts([]);
-    setMessage('');
+    colorRegion(selectedId, nextColor);
+  };
+
+  const getDuelPlayerName = (player) =>
+    `${t(`duel.players.${player}`)}${player === duelComputer ? t('duel.computerSuffix') : ''}`;
+
+  const getRegionLabel = (regionId) => {
+    const region = regionById.get(regionId);
+    if (region?.name) return region.name;
+    const index = regionIndexById.get(regionId);
+    return index == null ? regionId : t('region.label', { index: index + 1 });
+  };
+
+  const handleHint = async () => {
+    const labels = {};
+    regions.forEach((region) => {
+      labels[region.id] = getRegionLabel(region.id);
+    });
+    let nextHint;
+    try {
+      nextHint = await runTask(
+        'hint',
+        {
+          regions,
+          adjacency,
+          colorCount: colorLimit,
+          colorNames: colors.map((color) => color.name),
+          labels,
+          locale
+        },
+        t('tasks.hint'),
+        SOLVE_TIMEOUT
+      ).promise;
+    } catch (error) {
+      reportTaskError(error, t('tasks.hint'));
+      return;
+    }
+    if (!nextHint) {
+      setHint(null);
+      setToast(t('toast.noHint'));
+      return;
+    }
+    setHint(nextHint);
+    recordEvent({ type: 'hint', regionId: nextHint.regionId ?? null, color: nextHint.color ?? null });
+    updateAttempt('hintsUsed', (count) => count + 1);
+    if (nextHint.regionId) setSelectedId(nextHint.regionId);
+  };
+
+  const handleApplyHint = () => {
+    if (!hint || hint.regionId == null || hint.color == null) return;
+    setSelectedId(hint.regionId);
+    setCurrentColor(hint.color);
+    colorRegion(hint.regionId, hint.color, 'hint');
   };
 
   const handleClearSelected = () => {
     if (!selectedId) {
-      setToast('请先选择一个区域');
+      setToast(t('toast.selectFirst'));
       return;
     }
     const region = regionById.get(selectedId);
     if (!region || region.color == null) return;
-    setHistory((prev) => [...prev, { regionId: selectedId, prevColor: region.color, nextColor: null }]);
-    setRedoStack([]);
-    applyColorChange(selectedId, null);
+    if (region.locked) {
+      setToast(t('toast.clueLockedClear'));
+      return;
+    }
+    if (isDuelMode) {
+      setToast(t('duel.errors.clear'));
+      return;
+    }
+    updateGame((prev) => applyMove(prev, selectedId, null));
     setConflicts([]);
     setMessage('');
+    setAnnouncement(t('announce.cleared', { region: getRegionLabel(selectedId) }));
   };
 
+  // 对战电脑时轮到玩家，说明上一步是电脑走的。
   const handleUndo = () => {
-    setHistory((prev) => {
-      if (!prev.length) return prev;
-      const next = [...prev];
-      const last = next.pop();
-      if (!last) return prev;
-      setRedoStack((redoPrev) => [last, ...redoPrev]);
-      applyColorChange(last.regionId, last.prevColor);
-      return next;
-    });
+    session.undo({ withPreviousMove: Boolean(duelComputer && duelState && duelState.turn !== duelComputer) });
   };
 
-  const handleRedo = () => {
-    setRedoStack((prev) => {
-      if (!prev.length) return prev;
-      const [first, ...rest] = prev;
-      if (first) {
-        setHistory((histPrev) => [...histPrev, first]);
-        applyColorChange(first.regionId, first.nextColor);
-      }
-      return rest;
-    });
+  const handleSeekHistory = (position) => {
+    session.seek(position);
+    setConflicts([]);
   };
 
-  const handleCheck = () => {
-    const conflictPairs = findConflicts(regions, adjacency);
-    setConflicts(conflictPairs);
-    const allFilled = regions.every((region) => region.color != null);
-
-    if (conflictPairs.length > 0) {
-      conflictPairs.forEach(([a, b]) => {
-        const key = pairKey(a, b);
-        const shared = adjacencyMeta.get(key);
-        if (shared != null) {
-          console.info(`Conflict ${a} ↔ ${b}, shared edge length=${shared.toFixed(2)}`);
-        }
-      });
-      setMessage(`发现 ${conflictPairs.length} 处相邻同色冲突，请调整。`);
-      return;
+  const spacePressed = useKeyboardShortcuts({
+    onUndo: () => {
+      if (isBoardLocked || !history.length) return;
+      handleUndo();
+      setAnnouncement(t('announce.undone'));
+    },
+    onRedo: () => {
+      if (isBoardLocked || !redoStack.length) return;
+      session.redo();
+      setAnnouncement(t('announce.redone'));
     }
+  });
 
-    if (!allFilled) {
-      setMessage('目前没有冲突，但还有未填色区域。');
-      return;
+  const describeTransaction = (entry) => {
+    const name = NAMED_ACTIONS.has(entry.action) ? t(`actions.${entry.action}`) : null;
+    if (entry.changes.length === 1 && !BULK_ACTIONS.has(entry.action)) {
+      const [{ regionId, nextColor }] = entry.changes;
+      const region = getRegionLabel(regionId);
+      const text =
+        nextColor == null
+          ? t('history.cleared', { region })
+          : t('history.colored', { region, color: colors[nextColor].name });
+      return name ? t('history.labeled', { action: name, text }) : text;
     }
+    return t('history.bulk', { action: name ?? t('actions.fill'), count: entry.changes.length });
+  };
 
-    const praise =
-      targetColorCount <= referenceTargetCount
-        ? '优秀：目标色控制得很好！'
-        : '通关成功！继续挑战更少目标色吧。';
+  const handleCheck = () => {
+    const { result, text, failed, solved } = reviewGame(game, { t, labelOf: getRegionLabel });
+    setConflicts(result.conflicts);
+    recordEvent({ type: 'check', status: result.status, conflicts: result.conflicts });
+    result.conflicts.forEach(([a, b]) => {
+      const shared = adjacencyMeta.get(pairKey(a, b));
+      if (shared != null) {
+        console.info(`Conflict ${a} ↔ ${b}, shared edge length=${shared.toFixed(2)}`);
+      }
+    });
+    if (failed) updateAttempt('failedChecks', (count) => count + 1);
+    if (solved) {
+      completePuzzle(text);
+    } else {
+      setMessage(text);
+    }
+  };
 
-    setMessage(`满足四色条件，作答成功！${praise}`);
+  // 通关：本局第一次通关时生成得分记录，每日挑战另记入当前玩家的每日成绩。
+  const completePuzzle = (text) => {
+    if (!session.markSolved()) {
+      setMessage(text);
+      return;
+    }
+    const completion = createCompletion({
+      gameId: session.gameId,
+      game,
+      source: activeSource,
+      profile: profiles.active,
+      elapsedMs: session.getElapsedMs(),
+      attempt
+    });
+    scores.record(completion);
+    setMessage(describeCompletion(text, completion, t));
   };
 
   const handleReset = () => {
-    setRegions((prev) => prev.map((region) => ({ ...region, color: null })));
-    setHistory([]);
-    setRedoStack([]);
+    session.reset();
     setConflicts([]);
     setMessage('');
     setShowResetModal(false);
   };
 
-  const handleAutoColor = () => {
-    const result = solveColoring(regions, adjacency, colorLimit);
+  const handleAutoColor = async () => {
+    let result;
+    const fixed = new Map(regions.filter((region) => region.locked).map((region) => [region.id, region.color]));
+    try {
+      result = await runTask(
+        'solve',
+        { regions, adjacency, colorCount: colorLimit, fixed },
+        t('tasks.autoColor'),
+        SOLVE_TIMEOUT
+      ).promise;
+    } catch (error) {
+      reportTaskError(error, t('tasks.autoColor'));
+      return;
+    }
     if (!result.success) {
-      setMessage(`当前目标色数 ${colorLimit} 不可行，请尝试手动调整。`);
+      const reason = result.proof ? explainInfeasibility(result.proof, { labelOf: getRegionLabel, t }) : '';
+      setMessage(t('autoColor.infeasible', { count: colorLimit, reason }));
       return;
     }
-    setRegions((prev) =>
-      prev.map((region) => ({
-        ...region,
-        color: result.coloring.get(region.id) ?? null
-      }))
-    );
-    setHistory([]);
-    setRedoStack([]);
+    updateGame((prev) => fillColoring(prev, result.coloring, { action: 'auto' }));
     setConflicts([]);
-    setMessage(`已使用 ${colorLimit} 色生成推荐填色方案。`);
+    updateAttempt('usedAutoColor', true);
+    setMessage(t('autoColor.done', { count: colorLimit }));
+  };
+
+  const handleShowReference = () => {
+    if (!reference.coloring) return;
+    updateAttempt('usedReference', true);
+    updateGame((prev) => fillColoring(prev, prev.reference.coloring, { action: 'reference' }));
+    setConflicts([]);
+    setMessage(
+      t(reference.optimal ? 'referenceFill.optimal' : 'referenceFill.reference', { count: referenceTargetCount })
+    );
   };
 
   const handleNewPuzzle = () => {
     setShowNewModal(false);
-    generateNewPuzzle();
+    puzzleSetup.generate();
+  };
+
+  const handleLoadCode = () => {
+    const spec = decodePuzzleSpec(codeInput);
+    if (!spec) {
+      setToast(t('toast.invalidCode'));
+      return;
+    }
+    loadSpec(spec);
+    setCodeInput('');
+  };
+
+  const handleStartDaily = () => {
+    loadSpec(createDailySpec(getDateKey()));
+  };
+
+  const updateProfiles = (next) => {
+    setProfiles(next);
+    saveProfiles(next);
+  };
+
+  const handleAddProfile = () => {
+    const name = profileInput.trim();
+    if (!name) return;
+    updateProfiles({ active: name, names: profiles.names.includes(name) ? profiles.names : [...profiles.names, name] });
+    setProfileInput('');
+  };
+
+  const handleResumeGame = (snapshot) => {
+    const spec = snapshotToSpec(snapshot);
+    setResumeCandidate(null);
+    if (!spec) {
+      setRecentGames(removeRecentGame(snapshot.key));
+      setToast(t('toast.corruptedSave'));
+      return;
+    }
+    loadSpec(spec);
+  };
+
+  const handleDeleteRecent = (key) => {
+    setRecentGames(removeRecentGame(key));
+  };
+
+  const handleExportPuzzle = () => {
+    const file = serializeGame(game, { includeHistory: exportWithHistory });
+    downloadFile(`four-color-map-${puzzleCode ?? 'custom'}.json`, JSON.stringify(file, null, 2), 'application/json');
+  };
+
+  const buildExportSvg = () => {
+    const conflictIds = new Set(findConflicts(regions, adjacency).flat());
+    return buildMapSvg({
+      width: mapSize.width,
+      height: mapSize.height,
+      regions,
+      palette: colors,
+      conflictIds,
+      showColors: imageOptions.showColors,
+      showConflicts: imageOptions.showConflicts,
+      showLabels: imageOptions.showLabels,
+      patterns: usePatterns
+    });
+  };
+
+  const getImageBaseName = () => {
+    const variant = imageOptions.showColors ? 'colored' : 'blank';
+    return `four-color-map-${puzzleCode ?? 'custom'}-${variant}`;
+  };
+
+  const handleExportSvg = () => {
+    downloadFile(`${getImageBaseName()}.svg`, buildExportSvg(), 'image/svg+xml');
+  };
+
+  const handleExportPng = async () => {
+    try {
+      const blob = await rasterizeSvg(buildExportSvg(), mapSize.width, mapSize.height, imageOptions.pngScale);
+      downloadFile(`${getImageBaseName()}@${imageOptions.pngScale}x.png`, blob, 'image/png');
+    } catch (error) {
+      setToast(t('toast.pngFailed', { error: translateError(error, t) }));
+    }
+  };
+
+  const updateImageOption = (key, value) => {
+    setImageOptions((prev) => ({ ...prev, [key]: value }));
+  };
+
+  const handleImportFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    try {
+      const puzzle = parsePuzzleFile(await file.text(), { colorCount: MAX_COLOR_COUNT });
+      setImportError('');
+      loadSpec({ imported: puzzle });
+      setToast(t('toast.imported', { count: puzzle.regions.length }));
+    } catch (error) {
+      setImportError(
+        t(error instanceof PuzzleFileError ? 'errors.importFailed' : 'errors.readFailed', {
+          error: translateError(error, t)
+        })
+      );
+    }
+  };
+
+  // 真实地图与编辑器做出的地图没有题目编号，按经典玩法随机选目标色，参考答案在后台计算。
+  const playCustomMap = (map) => {
+    const targetIndex = pickTargetIndex(createRng(randomSeed()), MAX_COLOR_COUNT);
+    loadSpec({
+      imported: {
+        ...map,
+        code: null,
+        mode: DEFAULT_MODE_ID,
+        colorCount: MAX_COLOR_COUNT,
+        chromaticNumber: null,
+        targetIndex
+      }
+    });
+  };
+
+  const loadGeoMap = async (payload) => {
+    setGeoError('');
+    try {
+      const map = await runTask(
+        'geo',
+        { ...payload, width: MAP_WIDTH, height: MAP_HEIGHT },
+        t('tasks.geo'),
+        GENERATE_TIMEOUT
+      ).promise;
+      playCustomMap(map);
+    } catch (error) {
+      if (error instanceof TaskCancelledError) return;
+      const key = error.errorName === 'GeoMapError' ? 'errors.geoRead' : 'errors.geoLoad';
+      setGeoError(t(key, { error: translateError(error, t) }));
+    }
+  };
+
+  const handleLoadBundledGeo = () => {
+    loadGeoMap({ sourceId: geoSourceId });
+  };
+
+  const handleGeoFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    let data;
+    try {
+      data = JSON.parse(await file.text());
+    } catch (error) {
+      setGeoError(t('errors.geoRead', { error: error.message }));
+      return;
+    }
+    loadGeoMap({ data });
+  };
+
+  const playRecording = (data) => {
+    try {
+      startReplay(data);
+      setRecordingError('');
+    } catch (error) {
+      setRecordingError(translateError(error, t));
+    }
+  };
+
+  const handleExportRecording = () => {
+    if (!recording) return;
+    downloadFile(
+      `four-color-recording-${puzzleCode ?? 'custom'}.json`,
+      JSON.stringify(recording),
+      'application/json'
+    );
+  };
+
+  const handleImportRecording = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    try {
+      playRecording(parseRecording(await file.text()));
+    } catch (error) {
+      if (!(error instanceof RecordingError)) console.error(error);
+      setRecordingError(t('errors.importFailed', { error: translateError(error, t) }));
+    }
+  };
+
+  const describeReplayEvent = (event) => {
+    if (!event) return t('replay.initial');
+    switch (event.type) {
+      case 'move':
+        return describeTransaction(event);
+      case 'undo':
+        return t('common.undo');
+      case 'redo':
+        return t('common.redo');
+      case 'seek':
+        return t('replay.seek', { position: event.position });
+      case 'check':
+        return t('replay.check', { status: t(`checkStatus.${event.status}`) });
+      case 'hint':
+        return event.regionId ? t('replay.hintRegion', { region: getRegionLabel(event.regionId) }) : t('replay.hint');
+      default:
+        return event.type;
+    }
+  };
+
+  const handleCopyCode = async () => {
+    if (!puzzleCode) return;
+    const link = buildPuzzleUrl(window.location.href, puzzleCode);
+    try {
+      await navigator.clipboard.writeText(link);
+      setToast(t('toast.linkCopied'));
+    } catch (error) {
+      setToast(t('toast.showCode', { code: puzzleCode }));
+    }
   };
 
   const startDrag = (event) => {
@@ -360,29 +992,78 @@ function FourColorGame() {
     suppressClickRef.current = false;
   };
 
+  // 平移优先于画笔：按住空格或触屏开启“移动盘面”时拖动总是平移地图。
   const handlePointerDown = (event) => {
     if (event.button !== 0) return;
     const shouldPan = spacePressed || (event.pointerType === 'touch' && panEnabled);
-    if (!shouldPan) return;
-    startDrag(event);
+    if (shouldPan) {
+      startDrag(event);
+    } else if (!startStroke(event)) {
+      return;
+    }
     event.preventDefault();
     event.stopPropagation();
     event.currentTarget.setPointerCapture(event.pointerId);
   };
 
+  // 画笔/智能填色的一笔由 useBrushStroke 管理，这里只决定能否开始并显示结果。
+  const startStroke = (event) => {
+    if (inputMode === 'select' || isDuelMode || magnifierOn || isBoardLocked) return false;
+    const regionId = getRegionIdAt(event.clientX, event.clientY);
+    if (!regionId) return false;
+    const started = brush.start({
+      pointerId: event.pointerId,
+      regionId,
+      mode: inputMode,
+      color: currentColor,
+      blockIllegal
+    });
+    if (started) setSelectedId(regionId);
+    return started;
+  };
+
+  const finishStroke = () => {
+    const result = brush.finish();
+    if (!result) return;
+    if (result.skipped) setToast(t('toast.strokeSkipped', { count: result.skipped }));
+    if (!result.changed) return;
+    setConflicts([]);
+    setMessage('');
+    setAnnouncement(
+      result.mode === 'smart'
+        ? t('announce.smartStroke', { count: result.changed })
+        : t('announce.brushStroke', { color: colors[result.color].name, count: result.changed })
+    );
+  };
+
+  const getRegionIdAt = (clientX, clientY) => {
+    if (useCanvas) return mapCanvasRef.current?.regionAt(clientX, clientY) ?? null;
+    return (
+      document.elementFromPoint(clientX, clientY)?.closest('[data-region-id]')?.getAttribute('data-region-id') ?? null
+    );
+  };
+
+  const getWorldPoint = (clientX, clientY) => {
+    if (useCanvas) return mapCanvasRef.current?.toWorld(clientX, clientY) ?? null;
+    const ctm = svgRef.current?.getScreenCTM();
+    return ctm ? new DOMPoint(clientX, clientY).matrixTransform(ctm.inverse()) : null;
+  };
+
   const handlePointerMove = (event) => {
     const viewport = viewportRef.current;
     if (!viewport) return;
+    // SVG 渲染器由各区域自己的 pointerenter 更新悬停，Canvas 需要按坐标查找。
+    if (useCanvas && !replay && event.pointerType === 'mouse') {
+      setHoveredId(getRegionIdAt(event.clientX, event.clientY));
+    }
     if (magnifierOn && event.pointerType === 'mouse') {
       const rect = viewport.getBoundingClientRect();
       const localX = event.clientX - rect.left;
       const localY = event.clientY - rect.top;
       const contentX = localX + viewport.scrollLeft;
       const contentY = localY + viewport.scrollTop;
-      const svg = svgRef.current;
-      const ctm = svg?.getScreenCTM();
-      if (!ctm) return;
-      const worldPoint = new DOMPoint(event.clientX, event.clientY).matrixTransform(ctm.inverse());
+      const worldPoint = getWorldPoint(event.clientX, event.clientY);
+      if (!worldPoint) return;
       const worldX = worldPoint.x;
       const worldY = worldPoint.y;
       const translateX = magnifierRadius - worldX * magnifierZoom;
@@ -417,6 +1098,12 @@ function FourColorGame() {
         worldY
       });
     }
+    if (brush.isStroking(event.pointerId)) {
+      event.preventDefault();
+      const regionId = getRegionIdAt(event.clientX, event.clientY);
+      if (regionId) brush.paint(regionId);
+      return;
+    }
     if (!dragState.current.active) return;
     event.preventDefault();
     event.stopPropagation();
@@ -430,6 +1117,7 @@ function FourColorGame() {
   };
 
   const handlePointerUp = () => {
+    finishStroke();
     dragState.current.active = false;
     setIsDragging(false);
   };
@@ -445,63 +1133,172 @@ function FourColorGame() {
 
   const handlePointerLeave = () => {
     handlePointerUp();
+    if (useCanvas) setHoveredId(null);
     setMagnifierState((prev) => ({ ...prev, visible: false }));
   };
 
-  const renderPolygon = (region) => {
-    const color = region.color == null ? 'transparent' : COLORS[region.color].hex;
-    const isSelected = region.id === selectedId;
+  // Canvas 上的区域不是可聚焦元素，焦点留在画布上，改由读屏播报选中的区域。
+  const focusRegion = (regionId) => {
+    setSelectedId(regionId);
+    if (!useCanvas) {
+      regionNodesRef.current.get(regionId)?.focus();
+      return;
+    }
+    const region = regionById.get(regionId);
+    if (region) setAnnouncement(describeRegion(region));
+  };
+
+  const handleCanvasClick = (event) => {
+    const regionId = mapCanvasRef.current?.regionAt(event.clientX, event.clientY);
+    if (regionId) {
+      handleRegionClick(regionId);
+    } else {
+      suppressClickRef.current = false;
+    }
+  };
+
+  const handleMapKeyDown = (event) => {
+    if (isBoardLocked) return;
+    const action = getMapKeyAction(event, { selectedId, regions, adjacency, centroidById, colorLimit });
+    if (!action) return;
+    event.preventDefault();
+    if (action.type === 'focus') {
+      focusRegion(action.regionId);
+    } else if (action.type === 'noNeighbor') {
+      setAnnouncement(t('announce.noNeighborInDirection'));
+    } else if (action.type === 'color') {
+      setCurrentColor(action.index);
+      colorRegion(selectedId, action.index);
+    } else if (action.type === 'clear') {
+      handleClearSelected();
+    }
+  };
+
+  const getRegionFill = (colorIndex) =>
+    usePatterns ? `url(#${getPatternId(colorIndex)})` : colors[colorIndex].hex;
+
+  const describeRegion = (region) => {
+    return t('region.description', {
+      label: getRegionLabel(region.id),
+      color: region.color == null ? t('region.uncolored') : t('region.colored', { color: colors[region.color].name }),
+      locked: region.locked ? t('region.lockedSuffix') : '',
+      neighbors: t('region.neighborCount', { count: adjacency.get(region.id)?.size ?? 0 }),
+      conflict: conflictSet.has(region.id) ? t('region.conflictSuffix') : ''
+    });
+  };
+
+  // interactive 为 false 时用于放大镜中的副本：不可聚焦，也不暴露给读屏软件。
+  const renderPolygon = (region, interactive = true) => {
+    const shownColor = strokeColors?.has(region.id) ? strokeColors.get(region.id) : region.color;
+    const color = shownColor == null ? 'transparent' : getRegionFill(shownColor);
+    const isSelected = !replay && region.id === selectedId;
     const isConflict = conflictSet.has(region.id);
+    let hintClass = '';
+    if (replay) {
+      hintClass = replayTargetSet.has(region.id) ? 'hint-target' : '';
+    } else if (hint?.regionId === region.id) {
+      hintClass = 'hint-target';
+    } else if (hintRelatedSet.has(region.id)) {
+      hintClass = 'hint-neighbor';
+    }
+    const neighborClass = inspectedNeighbors.has(region.id) ? 'neighbor-highlight' : '';
+    const deadClass = !replay && deadRegionSet.has(region.id) ? 'dead-region' : '';
+    const className = `region ${isSelected ? 'selected' : ''} ${isConflict ? 'conflict-fill' : ''} ${hintClass} ${neighborClass} ${
+      region.locked ? 'locked' : ''
+    } ${deadClass}`;
+    const title = region.name ? <title>{region.name}</title> : null;
+    const focusTarget = selectedId ?? regions[0]?.id;
+    const shapeProps = {
+      fill: 'var(--fill-color)',
+      style: { '--fill-color': color },
+      className,
+      'data-region-id': region.id,
+      onClick: () => handleRegionClick(region.id)
+    };
+    if (interactive) {
+      Object.assign(shapeProps, {
+        ref: (node) => {
+          if (node) {
+            regionNodesRef.current.set(region.id, node);
+          } else {
+            regionNodesRef.current.delete(region.id);
+          }
+        },
+        tabIndex: region.id === focusTarget ? 0 : -1,
+        role: 'button',
+        'aria-label': describeRegion(region),
+        'aria-pressed': isSelected,
+        onFocus: (event) => {
+          if (isKeyboardFocus(event.currentTarget)) setSelectedId(region.id);
+        },
+        onPointerEnter: (event) => {
+          if (event.pointerType === 'mouse') setHoveredId(region.id);
+        },
+        onPointerLeave: () => setHoveredId((prev) => (prev === region.id ? null : prev))
+      });
+    }
+    if (region.parts) {
+      return (
+        <path key={region.id} {...shapeProps} d={regionPathData(region)} fillRule="evenodd">
+          {title}
+        </path>
+      );
+    }
     const points = region.polygon.map((p) => `${p.x},${p.y}`).join(' ');
     return (
-      <polygon
-        key={region.id}
-        points={points}
-        fill="var(--fill-color)"
-        style={{ '--fill-color': color }}
-        className={`region ${isSelected ? 'selected' : ''} ${isConflict ? 'conflict-fill' : ''}`}
-        onClick={() => handleRegionClick(region.id)}
-      />
+      <polygon key={region.id} {...shapeProps} points={points}>
+        {title}
+      </polygon>
     );
   };
 
   return (
     <div>
       <header className="top-bar">
-        <h1>四色定理地图挑战</h1>
+        <h1>{t('app.title')}</h1>
+        <select value={locale} onChange={(event) => setLocale(event.target.value)} aria-label={t('app.language')}>
+          {LOCALES.map((item) => (
+            <option key={item.id} value={item.id}>
+              {item.name}
+            </option>
+          ))}
+        </select>
       </header>
 
       <details className="panel-section info-panel">
-        <summary>玩法说明与背景（点击展开）</summary>
+        <summary>{t('rules.summary')}</summary>
         <div className="rules">
-          <h3>四色定理的背景</h3>
-          <p>
-            四色定理研究的是“地图分区”如何用最少颜色区分相邻区域，它之所以重要，
-            是因为它揭示了平面图的结构规律，也是图论中最著名的问题之一。
-            证明它非常困难，因为可能的地图组合几乎无限，传统手算难以覆盖所有情况。
-            最终证明依赖计算机辅助验证大量结构，成为数学史上首次被广泛认可的计算机辅助证明之一。
-          </p>
-
-          <h3>本游戏与四色定理的对应</h3>
+          <h3>{t('rules.backgroundTitle')}</h3>
+          <p>{t('rules.background')}</p>
+
+          <h3>{t('rules.mappingTitle')}</h3>
           <ul>
-            <li>地图由多个“区域”构成，每个区域是一块封闭的多边形。</li>
-            <li>相邻定义：两块区域共享<strong>一段边界</strong>，仅在一个点相接不算相邻。</li>
-            <li>四色定理保证：无论地图怎样分区，四种颜色足够完成相邻不同色。</li>
+            <li>{t('rules.mappingRegions')}</li>
+            <li>
+              {t('rules.mappingAdjacentBefore')}
+              <strong>{t('rules.mappingAdjacentEmphasis')}</strong>
+              {t('rules.mappingAdjacentAfter')}
+            </li>
+            <li>{t('rules.mappingTheorem')}</li>
           </ul>
 
-          <h3>游戏规则</h3>
+          <h3>{t('rules.gameTitle')}</h3>
           <ul>
-            <li>点击区域选中，再点击色板即可填色；点击其他颜色可直接改色。</li>
-            <li>点击“清除”可擦除当前区域颜色。</li>
-            <li>检查时若有相邻同色会高亮冲突区域；全填色且无冲突即通关。</li>
-            <li>目标颜色只是挑战：使用更少会得到鼓励，但不影响通关判定。</li>
-            <li>参考值是启发式估计，不保证最优。</li>
+            <li>{t('rules.gameSelect')}</li>
+            <li>{t('rules.gameClear')}</li>
+            <li>{t('rules.gameHint')}</li>
+            <li>{t('rules.gameCheck')}</li>
+            <li>{t('rules.gameTarget')}</li>
+            <li>{t('rules.gameModes')}</li>
+            <li>{t('rules.gameReference')}</li>
           </ul>
 
-          <h3>操作指南</h3>
+          <h3>{t('rules.controlsTitle')}</h3>
           <ul>
-            <li>桌面：点击区域后点颜色即可填色；按住空格拖动平移；滑条缩放盘面。</li>
-            <li>移动端：使用滑条缩放盘面；点击“移动盘面”后单指拖动平移。</li>
+            <li>{t('rules.controlsDesktop')}</li>
+            <li>{t('rules.controlsKeyboard', { count: colorLimit })}</li>
+            <li>{t('rules.controlsMobile')}</li>
+            <li>{t('rules.controlsBrush')}</li>
           </ul>
         </div>
       </details>
@@ -511,7 +1308,9 @@ function FourColorGame() {
           <div
             className={`map-viewport ${isDragging ? 'is-dragging' : ''} ${
               spacePressed || panEnabled ? 'pan-ready' : ''
-            } ${magnifierOn ? 'magnifier-on' : ''} ${isZoomed ? 'zoomed' : 'fit'}`}
+            } ${magnifierOn ? 'magnifier-on' : ''} ${inputMode !== 'select' && !replay ? 'brush-on' : ''} ${
+              isZoomed ? 'zoomed' : 'fit'
+            }`}
             ref={viewportRef}
             onPointerDownCapture={handlePointerDown}
             onPointerDown={handlePointerDown}
@@ -527,45 +1326,133 @@ function FourColorGame() {
                 height: isZoomed ? viewportSize.height * zoomLevel : '100%'
               }}
             >
-              <svg
-                className="map"
-                viewBox={`0 0 ${MAP_WIDTH} ${MAP_HEIGHT}`}
-                width={isZoomed ? viewportSize.width * zoomLevel : '100%'}
-                height={isZoomed ? viewportSize.height * zoomLevel : '100%'}
-                preserveAspectRatio="xMidYMid meet"
-                ref={svgRef}
-                onClickCapture={(event) => {
-                  if (magnifierOn) {
-                    event.preventDefault();
-                    event.stopPropagation();
-                    return;
-                  }
-                  if (suppressClickRef.current) {
-                    suppressClickRef.current = false;
-                    event.preventDefault();
-                    event.stopPropagation();
-                  }
-                }}
-              >
-                <rect width={MAP_WIDTH} height={MAP_HEIGHT} className="map-bg" />
-                {regions.map(renderPolygon)}
-                {showMagnifierDebug && magnifierState.visible && (
-                  <g className="magnifier-crosshair">
-                    <line
-                      x1={magnifierState.worldX - 6}
-                      y1={magnifierState.worldY}
-                      x2={magnifierState.worldX + 6}
-                      y2={magnifierState.worldY}
-                    />
-                    <line
-                      x1={magnifierState.worldX}
-                      y1={magnifierState.worldY - 6}
-                      x2={magnifierState.worldX}
-                      y2={magnifierState.worldY + 6}
-                    />
+              {useCanvas ? (
+                <>
+                  <svg className="pattern-defs" aria-hidden="true">
+                    <PatternDefs colors={colors} />
+                  </svg>
+                  <MapCanvas
+                    ref={mapCanvasRef}
+                    viewportRef={viewportRef}
+                    label={t('map.label', { count: regions.length })}
+                    regions={viewGame.regions}
+                    width={mapSize.width}
+                    height={mapSize.height}
+                    colors={colors}
+                    usePatterns={usePatterns}
+                    showLabels={showLabels}
+                    fillOverrides={strokeColors}
+                    deadIds={shownDeadSet}
+                    labelPointOf={getLabelPoint}
+                    highlights={canvasHighlights}
+                    conflictIds={conflictSet}
+                    sharedBorders={sharedBorders}
+                    crosshair={
+                      showMagnifierDebug && magnifierState.visible
+                        ? { x: magnifierState.worldX, y: magnifierState.worldY }
+                        : null
+                    }
+                    onKeyDown={handleMapKeyDown}
+                    onClick={handleCanvasClick}
+                  />
+                </>
+              ) : (
+                <svg
+                  className="map"
+                  viewBox={`0 0 ${mapSize.width} ${mapSize.height}`}
+                  width={isZoomed ? viewportSize.width * zoomLevel : '100%'}
+                  height={isZoomed ? viewportSize.height * zoomLevel : '100%'}
+                  preserveAspectRatio="xMidYMid meet"
+                  ref={svgRef}
+                  role="group"
+                  aria-label={t('map.label', { count: regions.length })}
+                  onKeyDown={handleMapKeyDown}
+                  onClickCapture={(event) => {
+                    if (magnifierOn) {
+                      event.preventDefault();
+                      event.stopPropagation();
+                      return;
+                    }
+                    if (suppressClickRef.current) {
+                      suppressClickRef.current = false;
+                      event.preventDefault();
+                      event.stopPropagation();
+                    }
+                  }}
+                >
+                  <PatternDefs colors={colors} />
+                  <rect width={mapSize.width} height={mapSize.height} className="map-bg" />
+                  {viewGame.regions.map((region) => renderPolygon(region, !replay))}
+                  {clueCount > 0 && (
+                    <g className="clue-marks" aria-hidden="true">
+                      {viewGame.regions
+                        .filter((region) => region.locked)
+                        .map((region) => {
+                          const point = getLabelPoint(region);
+                          const size = clamp(point.distance * 0.5, 3, 7);
+                          return (
+                            <rect
+                              key={region.id}
+                              x={point.x - size}
+                              y={point.y - size}
+                              width={size * 2}
+                              height={size * 2}
+                              rx={size * 0.4}
+                            />
+                          );
+                        })}
+                    </g>
+                  )}
+                  {sharedBorders.length > 0 && (
+                    <g className="shared-borders" aria-hidden="true">
+                      {sharedBorders.map((border, index) => (
+                        <line key={index} x1={border.x1} y1={border.y1} x2={border.x2} y2={border.y2} />
+                      ))}
+                    </g>
+                  )}
+                  {showLabels && (
+                    <g className="region-labels" aria-hidden="true">
+                      {viewGame.regions.map((region, index) => {
+                        const point = getLabelPoint(region);
+                        return (
+                          <text key={region.id} x={point.x} y={point.y} fontSize={clamp(point.distance * 1.2, 6, 14)}>
+                            {index + 1}
+                          </text>
+                        );
+                      })}
+                    </g>
+                  )}
+                  <g className="conflict-markers" aria-hidden="true">
+                    {viewGame.regions
+                      .filter((region) => conflictSet.has(region.id))
+                      .map((region) => {
+                        const center = polygonCentroid(region.polygon);
+                        return (
+                          <g key={region.id} transform={`translate(${center.x} ${center.y})`}>
+                            <circle r={9} />
+                            <text>!</text>
+                          </g>
+                        );
+                      })}
                   </g>
-                )}
-              </svg>
+                  {showMagnifierDebug && magnifierState.visible && (
+                    <g className="magnifier-crosshair">
+                      <line
+                        x1={magnifierState.worldX - 6}
+                        y1={magnifierState.worldY}
+                        x2={magnifierState.worldX + 6}
+                        y2={magnifierState.worldY}
+                      />
+                      <line
+                        x1={magnifierState.worldX}
+                        y1={magnifierState.worldY - 6}
+                        x2={magnifierState.worldX}
+                        y2={magnifierState.worldY + 6}
+                      />
+                    </g>
+                  )}
+                </svg>
+              )}
             </div>
             {magnifierOn && magnifierState.visible && (
               <div
@@ -578,79 +1465,438 @@ function FourColorGame() {
                   }px)`
                 }}
               >
-                <svg
-                  className="magnifier-svg"
-                  viewBox={`0 0 ${magnifierRadius * 2} ${magnifierRadius * 2}`}
-                  width={magnifierRadius * 2}
-                  height={magnifierRadius * 2}
-                >
-                  <g
-                    transform={`translate(${magnifierRadius - magnifierState.worldX * magnifierZoom} ${
-                      magnifierRadius - magnifierState.worldY * magnifierZoom
-                    }) scale(${magnifierZoom})`}
+                {useCanvas ? (
+                  <MagnifierCanvas
+                    regions={viewGame.regions}
+                    width={mapSize.width}
+                    height={mapSize.height}
+                    colors={colors}
+                    usePatterns={usePatterns}
+                    fillOverrides={strokeColors}
+                    deadIds={shownDeadSet}
+                    labelPointOf={getLabelPoint}
+                    center={{ x: magnifierState.worldX, y: magnifierState.worldY }}
+                    radius={magnifierRadius}
+                    zoom={magnifierZoom}
+                    crosshair={showMagnifierDebug}
+                  />
+                ) : (
+                  <svg
+                    className="magnifier-svg"
+                    aria-hidden="true"
+                    viewBox={`0 0 ${magnifierRadius * 2} ${magnifierRadius * 2}`}
+                    width={magnifierRadius * 2}
+                    height={magnifierRadius * 2}
                   >
-                    <rect width={MAP_WIDTH} height={MAP_HEIGHT} className="map-bg" />
-                    {regions.map(renderPolygon)}
-                    {showMagnifierDebug && (
-                      <g className="magnifier-crosshair">
-                        <line
-                          x1={magnifierState.worldX - 6}
-                          y1={magnifierState.worldY}
-                          x2={magnifierState.worldX + 6}
-                          y2={magnifierState.worldY}
-                        />
-                        <line
-                          x1={magnifierState.worldX}
-                          y1={magnifierState.worldY - 6}
-                          x2={magnifierState.worldX}
-                          y2={magnifierState.worldY + 6}
-                        />
-                      </g>
-                    )}
-                  </g>
-                </svg>
+                    <g
+                      transform={`translate(${magnifierRadius - magnifierState.worldX * magnifierZoom} ${
+                        magnifierRadius - magnifierState.worldY * magnifierZoom
+                      }) scale(${magnifierZoom})`}
+                    >
+                      <rect width={mapSize.width} height={mapSize.height} className="map-bg" />
+                      {viewGame.regions.map((region) => renderPolygon(region, false))}
+                      {showMagnifierDebug && (
+                        <g className="magnifier-crosshair">
+                          <line
+                            x1={magnifierState.worldX - 6}
+                            y1={magnifierState.worldY}
+                            x2={magnifierState.worldX + 6}
+                            y2={magnifierState.worldY}
+                          />
+                          <line
+                            x1={magnifierState.worldX}
+                            y1={magnifierState.worldY - 6}
+                            x2={magnifierState.worldX}
+                            y2={magnifierState.worldY + 6}
+                          />
+                        </g>
+                      )}
+                    </g>
+                  </svg>
+                )}
+              </div>
+            )}
+            {busy && (
+              <div className="busy-overlay">
+                <div className="busy-card">
+                  <div>{t('tasks.running', { task: busy.label })}</div>
+                  <div className="muted">{formatTaskProgress(busy.progress, t)}</div>
+                  <button onClick={cancelTask}>{t('common.cancel')}</button>
+                </div>
               </div>
             )}
           </div>
+          {replay && (
+            <div className="replay-bar" role="group" aria-label={t('replay.label')}>
+              <div className="replay-status">
+                <strong>{t('replay.playing')}</strong>{' '}
+                {t('replay.progress', {
+                  index: replay.index,
+                  total: replay.frames.length - 1,
+                  time: formatDuration(replayFrame.t),
+                  event: describeReplayEvent(replayEvent)
+                })}
+              </div>
+              <div className="button-row">
+                <button onClick={() => stepReplay(-1)} disabled={replay.index === 0} aria-label={t('replay.previous')}>
+                  ◀
+                </button>
+                <button className="primary" onClick={togglePlaying}>
+                  {replay.playing ? t('replay.pause') : t('replay.play')}
+                </button>
+                <button
+                  onClick={() => stepReplay(1)}
+                  disabled={replay.index >= replay.frames.length - 1}
+                  aria-label={t('replay.next')}
+                >
+                  ▶
+                </button>
+                <select
+                  value={replay.speed}
+                  onChange={(event) => updateReplay({ speed: Number(event.target.value) })}
+                  aria-label={t('replay.speed')}
+                >
+                  {REPLAY_SPEEDS.map((speed) => (
+                    <option key={speed} value={speed}>
+                      {speed}×
+                    </option>
+                  ))}
+                </select>
+                <button onClick={stopReplay}>{t('replay.exit')}</button>
+              </div>
+              <input
+                type="range"
+                className="timeline"
+                min={0}
+                max={replay.frames.length - 1}
+                value={replay.index}
+                onChange={(event) => updateReplay({ index: Number(event.target.value), playing: false })}
+                aria-label={t('replay.timeline')}
+              />
+            </div>
+          )}
         </div>
 
         <aside className="control-panel">
           <section className="panel-section">
-            <h2>目标色</h2>
-            <div className="target-color">
-              <span className="color-dot" style={{ background: targetColor?.hex }} />
+            <h2>{t('modePanel.title')}</h2>
+            <select
+              value={selectedMode}
+              onChange={(event) => puzzleSetup.changeMode(event.target.value)}
+              disabled={isGenerating}
+            >
+              {GAME_MODES.map((mode) => (
+                <option key={mode.id} value={mode.id}>
+                  {t(`modes.${mode.id}.name`)}
+                </option>
+              ))}
+            </select>
+            <div className="muted">{t(`modes.${getGameMode(selectedMode).id}.description`)}</div>
+            {selectedMode === CLUE_MODE_ID && (
+              <>
+                <select
+                  value={clueDifficulty}
+                  onChange={(event) => puzzleSetup.changeClueDifficulty(event.target.value)}
+                  disabled={isGenerating}
+                  aria-label={t('modePanel.difficulty')}
+                >
+                  {CLUE_DIFFICULTIES.map((level) => (
+                    <option key={level.id} value={level.id}>
+                      {t(`clueDifficulties.${level.id}.name`)}
+                    </option>
+                  ))}
+                </select>
+                <div className="muted">{t(`clueDifficulties.${clueDifficulty}.description`)}</div>
+              </>
+            )}
+            {selectedMode !== gameMode && (
+              <div className="muted">
+                {t('modePanel.currentMode', { mode: t(`modes.${getGameMode(gameMode).id}.name`) })}
+              </div>
+            )}
+          </section>
+
+          {isDuelMode ? (
+            <section className="panel-section">
+              <h2>{t('duelPanel.title')}</h2>
+              <div className={duelStatus === 'playing' ? '' : 'duel-result'}>
+                {duelStatus === 'playing'
+                  ? t('duelPanel.turn', { count: history.length + 1, player: getDuelPlayerName(duelState.turn) })
+                  : t('duelPanel.winner', { player: getDuelPlayerName(duelState.winner) })}
+              </div>
+              <div className="muted">{t('duelPanel.rules')}</div>
+              <select
+                value={duelComputer ?? 'none'}
+                onChange={(event) => setDuelComputer(event.target.value === 'none' ? null : event.target.value)}
+                disabled={isGenerating}
+                aria-label={t('duelPanel.opponent')}
+              >
+                {['none', ...DUEL_PLAYERS].map((id) => (
+                  <option key={id} value={id}>
+                    {t(`duelPanel.opponents.${id}`)}
+                  </option>
+                ))}
+              </select>
+              {duelComputer && (
+                <>
+                  <select
+                    value={duelLevel}
+                    onChange={(event) => setDuelLevel(event.target.value)}
+                    disabled={isGenerating}
+                    aria-label={t('duelPanel.level')}
+                  >
+                    {DUEL_LEVELS.map((level) => (
+                      <option key={level.id} value={level.id}>
+                        {t(`duelPanel.levels.${level.id}`)}
+                      </option>
+                    ))}
+                  </select>
+                  <div className="muted">{t('duelPanel.undoNote')}</div>
+                </>
+              )}
+              {isComputerTurn && !isGenerating && !replay && (
+                <button onClick={duel.requestComputerMove}>{t('duelPanel.computerMove')}</button>
+              )}
+            </section>
+          ) : isClueMode ? (
+            <section className="panel-section">
+              <h2>{t('modes.clues.name')}</h2>
               <div>
-                <div>目标颜色：{targetColor?.name}</div>
-                <div className="muted">参考最少次数：{referenceTargetCount}</div>
+                {t('cluePanel.summary', {
+                  difficulty: game.difficulty ? t(`clueDifficulties.${game.difficulty}.name`) : t('cluePanel.unrated'),
+                  count: clueCount
+                })}
+              </div>
+              <div className="muted">{t('cluePanel.lockedNote')}</div>
+              {puzzleSpec.difficulty && game.difficulty && game.difficulty !== puzzleSpec.difficulty && (
+                <div className="muted">{t('cluePanel.downgraded')}</div>
+              )}
+            </section>
+          ) : isChromaticMode ? (
+            <section className="panel-section">
+              <h2>{t('chromaticPanel.title')}</h2>
+              <div>{t('chromaticPanel.goal')}</div>
+              <div className="muted">{t('chromaticPanel.used', { count: usedColorCount })}</div>
+              <div className="muted">
+                {t('chromaticPanel.chromaticNumber', {
+                  value: isSolved ? chromaticNumber : t('chromaticPanel.unknown')
+                })}
+              </div>
+            </section>
+          ) : (
+            <section className="panel-section">
+              <h2>{t('targetPanel.title')}</h2>
+              <div className="target-color">
+                {targetColor && (
+                  <ColorSwatch
+                    className="color-dot"
+                    index={targetColorIndex}
+                    color={targetColor}
+                    usePatterns={usePatterns}
+                  />
+                )}
+                <div>
+                  <div>{t('targetPanel.color', { color: targetColor?.name })}</div>
+                  {reference.optimal ? (
+                    <div className="muted">{t('targetPanel.optimal', { count: referenceTargetCount })}</div>
+                  ) : (
+                    <>
+                      <div className="muted">{t('targetPanel.reference', { count: referenceTargetCount })}</div>
+                      <div className="muted">
+                        {t('targetPanel.range', { lower: reference.lowerBound, upper: referenceTargetCount })}
+                      </div>
+                    </>
+                  )}
+                </div>
               </div>
+            </section>
+          )}
+
+          <section className="panel-section">
+            <h2>{t('daily.title')}</h2>
+            <div className="code-row">
+              <span>{todayKey}</span>
+              <button className="primary" onClick={handleStartDaily} disabled={isGenerating || isTodayDaily}>
+                {isTodayDaily ? t('common.inProgress') : t('daily.start')}
+              </button>
+            </div>
+            <div className="code-row">
+              <select
+                value={profiles.active}
+                onChange={(event) => updateProfiles({ ...profiles, active: event.target.value })}
+              >
+                {profiles.names.map((name) => (
+                  <option key={name} value={name}>
+                    {name}
+                  </option>
+                ))}
+              </select>
+              <input
+                type="text"
+                placeholder={t('daily.newProfile')}
+                value={profileInput}
+                onChange={(event) => setProfileInput(event.target.value)}
+                onKeyDown={(event) => {
+                  if (event.key === 'Enter') handleAddProfile();
+                }}
+              />
+              <button onClick={handleAddProfile} disabled={!profileInput.trim()}>
+                {t('daily.add')}
+              </button>
+            </div>
+            <div className="muted">
+              {t('daily.streaks', dailyStats.streaks)}
             </div>
+            {dailyStats.personalBest && (
+              <div className="muted">
+                {t('daily.personalBest', {
+                  date: dailyStats.personalBest.date,
+                  count: dailyStats.personalBest.targetCount,
+                  time: formatDuration(dailyStats.personalBest.timeMs),
+                  moves: dailyStats.personalBest.moves
+                })}
+              </div>
+            )}
+            {dailyStats.leaderboard.length > 0 ? (
+              <ol className="leaderboard">
+                {dailyStats.leaderboard.map((entry) => (
+                  <li key={entry.profile} className={entry.profile === profiles.active ? 'current' : ''}>
+                    <span>{entry.profile}</span>
+                    <span className="muted">
+                      {t('daily.entry', {
+                        count: entry.targetCount,
+                        time: formatDuration(entry.timeMs),
+                        moves: entry.moves
+                      })}
+                    </span>
+                  </li>
+                ))}
+              </ol>
+            ) : (
+              <div className="muted">{t('daily.empty')}</div>
+            )}
           </section>
 
           <section className="panel-section">
-            <h2>区域数量</h2>
+            <h2>{t('codePanel.title')}</h2>
+            <div className="code-row">
+              <code className="puzzle-code">{puzzleCode ?? t('codePanel.noCode')}</code>
+              <button onClick={handleCopyCode} disabled={!puzzleCode}>
+                {t('codePanel.copyLink')}
+              </button>
+            </div>
+            <div className="code-row">
+              <input
+                type="text"
+                placeholder={t('codePanel.placeholder')}
+                value={codeInput}
+                onChange={(event) => setCodeInput(event.target.value)}
+                onKeyDown={(event) => {
+                  if (event.key === 'Enter') handleLoadCode();
+                }}
+              />
+              <button onClick={handleLoadCode} disabled={!codeInput.trim() || isGenerating}>
+                {t('common.load')}
+              </button>
+            </div>
+            <div className="muted">{t('codePanel.note')}</div>
+          </section>
+
+          {recentGames.length > 0 && (
+            <section className="panel-section">
+              <h2>{t('recent.title')}</h2>
+              <ul className="recent-list">
+                {recentGames.map((entry) => (
+                  <li
+                    key={entry.key}
+                    className={entry.key === activeSource?.key ? 'recent-item current' : 'recent-item'}
+                  >
+                    <div>
+                      <code>{entry.code ?? t('recent.imported')}</code>
+                      <div className="muted">
+                        {t('recent.progress', {
+                          filled: entry.filled,
+                          total: entry.total,
+                          time: formatSavedAt(entry.savedAt, locale)
+                        })}
+                      </div>
+                    </div>
+                    <div className="recent-actions">
+                      <button
+                        onClick={() => handleResumeGame(entry)}
+                        disabled={entry.key === activeSource?.key || isGenerating}
+                      >
+                        {entry.key === activeSource?.key ? t('common.inProgress') : t('recent.open')}
+                      </button>
+                      <button onClick={() => handleDeleteRecent(entry.key)}>{t('common.delete')}</button>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            </section>
+          )}
+
+          <section className="panel-section">
+            <h2>{t('geoPanel.title')}</h2>
+            <div className="code-row">
+              <select value={geoSourceId} onChange={(event) => setGeoSourceId(event.target.value)}>
+                {BUNDLED_GEO_MAPS.map((source) => (
+                  <option key={source.id} value={source.id}>
+                    {t(`geoMaps.${source.id}`)}
+                  </option>
+                ))}
+              </select>
+              <button onClick={handleLoadBundledGeo} disabled={isGenerating}>
+                {t('common.load')}
+              </button>
+            </div>
+            <button className="toggle" onClick={() => geoInputRef.current?.click()} disabled={isGenerating}>
+              {t('geoPanel.openFile')}
+            </button>
+            <input
+              ref={geoInputRef}
+              type="file"
+              accept=".json,.geojson,.topojson,application/json,application/geo+json"
+              className="hidden-input"
+              onChange={handleGeoFile}
+            />
+            {geoError && <div className="message error">{geoError}</div>}
+            <div className="muted">{t('geoPanel.note')}</div>
+          </section>
+
+          <section className="panel-section">
+            <h2>{t('editorPanel.title')}</h2>
+            <button className="toggle" onClick={() => setEditorOpen(true)} disabled={isGenerating}>
+              {t('editorPanel.open')}
+            </button>
+            <div className="muted">{t('editorPanel.note')}</div>
+          </section>
+
+          <section className="panel-section">
+            <h2>{t('regionCount.title')}</h2>
             <div className="range-row">
               <input
                 type="range"
                 min={MIN_REGION_COUNT}
-                max={MAX_REGION_COUNT}
+                max={maxRegionCount}
                 value={regionCount}
-                onChange={(event) => setRegionCount(Number(event.target.value))}
+                onChange={(event) => puzzleSetup.changeRegionCount(Number(event.target.value))}
               />
               <input
                 type="number"
                 min={MIN_REGION_COUNT}
-                max={MAX_REGION_COUNT}
+                max={maxRegionCount}
                 value={regionCount}
                 onChange={(event) =>
-                  setRegionCount(clamp(Number(event.target.value), MIN_REGION_COUNT, MAX_REGION_COUNT))
+                  puzzleSetup.changeRegionCount(clamp(Number(event.target.value), MIN_REGION_COUNT, maxRegionCount))
                 }
               />
             </div>
-            <div className="muted">范围：{MIN_REGION_COUNT} - {MAX_REGION_COUNT}</div>
+            <div className="muted">{t('regionCount.range', { min: MIN_REGION_COUNT, max: maxRegionCount })}</div>
           </section>
 
           <section className="panel-section">
-            <h2>盘面缩放</h2>
+            <h2>{t('zoom.title')}</h2>
             <div className="range-row">
               <input
                 type="range"
@@ -662,88 +1908,429 @@ function FourColorGame() {
               />
               <div className="zoom-value">{Math.round(zoomLevel * 100)}%</div>
             </div>
-            <div className="muted">桌面按住空格拖动平移，移动端开启“移动盘面”。</div>
+            <div className="muted">{t('zoom.note')}</div>
           </section>
 
           <section className="panel-section">
-            <h2>放大镜</h2>
+            <h2>{t('magnifier.title')}</h2>
             <button
               className={magnifierOn ? 'toggle active' : 'toggle'}
               onClick={handleMagnifierToggle}
             >
-              {magnifierOn ? '🔍 放大镜：已开启' : '🔍 放大镜：关闭'}
+              {magnifierOn ? t('magnifier.on') : t('magnifier.off')}
             </button>
-            {magnifierOn && <div className="muted">放大镜开启时仅观察，点击不会填色。</div>}
+            {magnifierOn && <div className="muted">{t('magnifier.note')}</div>}
           </section>
 
           <section className="panel-section">
-            <h2>移动端平移</h2>
+            <h2>{t('display.title')}</h2>
+            <label className="checkbox-row">
+              <input type="checkbox" checked={showLabels} onChange={(event) => setShowLabels(event.target.checked)} />
+              {t('display.labels')}
+            </label>
+            <label className="checkbox-row">
+              <input
+                type="checkbox"
+                checked={showNeighbors}
+                onChange={(event) => setShowNeighbors(event.target.checked)}
+              />
+              {t('display.neighbors')}
+            </label>
+            <label className="checkbox-row">
+              <input
+                type="checkbox"
+                checked={blockIllegal}
+                onChange={(event) => setBlockIllegal(event.target.checked)}
+              />
+              {t('display.blockIllegal')}
+            </label>
+            <label className="checkbox-row">
+              {t('display.renderer')}
+              <select value={renderer} onChange={(event) => setRenderer(event.target.value)}>
+                {RENDERERS.map((id) => (
+                  <option key={id} value={id}>
+                    {t(`display.renderers.${id}`)}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <div className="muted">{t('display.rendererNote')}</div>
+          </section>
+
+          <section className="panel-section">
+            <h2>{t('colorScheme.title')}</h2>
+            <label className="checkbox-row">
+              {t('colorScheme.palette')}
+              <select value={paletteId} onChange={(event) => setPaletteId(event.target.value)}>
+                {PALETTES.map((item) => (
+                  <option key={item.id} value={item.id}>
+                    {t(`palettes.${item.id}`)}
+                  </option>
+                ))}
+                <option value={CUSTOM_PALETTE_ID}>{t(`palettes.${CUSTOM_PALETTE_ID}`)}</option>
+              </select>
+            </label>
+            <label className="checkbox-row">
+              <input
+                type="checkbox"
+                checked={usePatterns}
+                onChange={(event) => setUsePatterns(event.target.checked)}
+              />
+              {t('colorScheme.patterns', {
+                list: colors
+                  .map((color, index) =>
+                    t('colorScheme.patternPair', { color: color.name, pattern: t(`patterns.${getPatternKey(index)}`) })
+                  )
+                  .join(t('colorScheme.patternSeparator'))
+              })}
+            </label>
+            {paletteId === CUSTOM_PALETTE_ID && (
+              <div className="custom-palette">
+                {customColors.map((color, index) => (
+                  <div key={index} className="custom-color">
+                    <input
+                      type="color"
+                      value={color.hex}
+                      aria-label={t('colorScheme.customColor', { index: index + 1 })}
+                      onChange={(event) => editCustomColor(index, 'hex', event.target.value)}
+                    />
+                    <input
+                      type="text"
+                      value={color.name ?? ''}
+                      placeholder={t(getCustomColorKey(index))}
+                      maxLength={6}
+                      aria-label={t('colorScheme.customColorName', { index: index + 1 })}
+                      onChange={(event) => editCustomColor(index, 'name', event.target.value)}
+                      onBlur={commitCustomColors}
+                    />
+                  </div>
+                ))}
+              </div>
+            )}
+            <div className="muted">{t('colorScheme.note')}</div>
+          </section>
+
+          <section className="panel-section">
+            <h2>{t('pan.title')}</h2>
             <button
               className={panEnabled ? 'toggle active' : 'toggle'}
               onClick={handleTogglePan}
             >
-              {panEnabled ? '移动盘面：已开启' : '移动盘面：关闭'}
+              {panEnabled ? t('pan.on') : t('pan.off')}
             </button>
           </section>
 
           <section className="panel-section">
-            <h2>色板</h2>
+            <h2>{t('inputModePanel.title')}</h2>
+            <div className="button-row" role="radiogroup" aria-label={t('inputModePanel.title')}>
+              {INPUT_MODES.map((mode) => (
+                <button
+                  key={mode}
+                  role="radio"
+                  aria-checked={inputMode === mode}
+                  className={inputMode === mode ? 'toggle active' : 'toggle'}
+                  onClick={() => setInputMode(mode)}
+                >
+                  {t(`inputModes.${mode}.name`)}
+                </button>
+              ))}
+            </div>
+            <div className="muted">
+              {t(`inputModes.${inputMode}.tip`)}
+              {inputMode !== 'select' && t('inputModes.panTip')}
+            </div>
+            {isDuelMode && inputMode !== 'select' && <div className="muted">{t('inputModes.duelNote')}</div>}
+          </section>
+
+          <section className="panel-section">
+            <h2>{t('palettePanel.title')}</h2>
             <div className="palette">
-              {COLORS.map((color, index) => (
+              {palette.map((color, index) => {
+                const illegal = legalColors != null && !legalColors.has(index);
+                return (
                 <button
-                  key={color.name}
-                  className={currentColor === index ? 'palette-color active' : 'palette-color'}
-                  style={{ background: color.hex }}
+                  key={index}
+                  className={`palette-color ${currentColor === index ? 'active' : ''} ${illegal ? 'illegal' : ''}`}
+                  style={{ background: color.hex, color: getInkColor(color.hex) }}
+                  aria-pressed={currentColor === index}
+                  aria-keyshortcuts={String(index + 1)}
                   onClick={() => {
                     setCurrentColor(index);
-                    applyPaletteColor(index);
+                    if (inputMode === 'select' || isDuelMode) applyPaletteColor(index);
                   }}
-                  disabled={isGenerating}
+                  disabled={isBoardLocked || (illegal && (isDuelMode || (blockIllegal && inputMode === 'select')))}
                 >
+                  {usePatterns && (
+                    <ColorSwatch className="palette-swatch" index={index} color={color} usePatterns />
+                  )}
                   {color.name}
+                  {illegal && (
+                    <>
+                      <span className="illegal-mark" aria-hidden="true">
+                        ✕
+                      </span>
+                      <span className="sr-only">{t('palettePanel.illegal')}</span>
+                    </>
+                  )}
                 </button>
-              ))}
-              <button className="palette-color eraser" onClick={handleClearSelected} disabled={isGenerating}>
-                清除
+                );
+              })}
+              <button
+                className="palette-color eraser"
+                onClick={handleClearSelected}
+                disabled={isBoardLocked || isDuelMode}
+                aria-keyshortcuts="Backspace Delete"
+              >
+                {t('palettePanel.clear')}
               </button>
             </div>
+            {selectedRegion?.name && (
+              <div className="muted">{t('palettePanel.currentRegion', { name: selectedRegion.name })}</div>
+            )}
+            {legalColors && (
+              <div className="muted">
+                {legalColors.size
+                  ? t('palettePanel.legal', {
+                      colors: palette
+                        .filter((_, index) => legalColors.has(index))
+                        .map((color) => color.name)
+                        .join(t('common.listSeparator'))
+                    })
+                  : t('palettePanel.noLegal')}
+              </div>
+            )}
+            {selectedNeighborList.length > 0 && (
+              <details className="neighbor-list">
+                <summary>
+                  {t('palettePanel.neighbors', {
+                    region: getRegionLabel(selectedId),
+                    count: selectedNeighborList.length
+                  })}
+                </summary>
+                <ul>
+                  {selectedNeighborList.map((neighbor) => (
+                    <li key={neighbor.id}>
+                      <button className="link-button" onClick={() => setSelectedId(neighbor.id)}>
+                        {getRegionLabel(neighbor.id)}
+                      </button>
+                      <span className="muted">
+                        {t('palettePanel.sharedBorder', { length: neighbor.length.toFixed(1) })}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              </details>
+            )}
             <div className="button-row">
-              <button onClick={handleUndo} disabled={!history.length || isGenerating}>
-                撤销
+              <button onClick={handleUndo} disabled={!history.length || isBoardLocked} aria-keyshortcuts="Control+Z">
+                {t('common.undo')}
               </button>
-              <button onClick={handleRedo} disabled={!redoStack.length || isGenerating}>
-                重做
+              <button onClick={session.redo} disabled={!redoStack.length || isBoardLocked} aria-keyshortcuts="Control+Y">
+                {t('common.redo')}
               </button>
             </div>
           </section>
 
           <section className="panel-section">
-            <h2>操作</h2>
+            <h2>{t('timeline.title')}</h2>
+            <input
+              type="range"
+              className="timeline"
+              min={0}
+              max={timelineLength}
+              step={1}
+              value={history.length}
+              onChange={(event) => handleSeekHistory(Number(event.target.value))}
+              disabled={!timelineLength || isBoardLocked}
+              aria-label={t('timeline.title')}
+              aria-valuetext={t('timeline.valueText', { position: history.length, total: timelineLength })}
+            />
+            <div className="muted">
+              {t('timeline.status', {
+                position: history.length,
+                total: timelineLength,
+                text: history.length ? describeTransaction(history[history.length - 1]) : t('history.initial')
+              })}
+            </div>
+          </section>
+
+          <section className="panel-section">
+            <h2>{t('actionsPanel.title')}</h2>
             <div className="button-column">
-              <button className="primary" onClick={handleCheck} disabled={!regions.length || isGenerating}>
-                {isGenerating ? '生成中...' : '检查/提交'}
+              <button
+                className="primary"
+                onClick={handleCheck}
+                disabled={!regions.length || isBoardLocked || isDuelMode}
+              >
+                {isGenerating ? t('actionsPanel.generating') : t('actionsPanel.check')}
+              </button>
+              <button onClick={handleHint} disabled={!regions.length || isBoardLocked || isDuelMode}>
+                {t('actionsPanel.hint')}
+              </button>
+              <button onClick={handleAutoColor} disabled={!regions.length || isBoardLocked || isDuelMode}>
+                {t('actionsPanel.autoColor', { count: colorLimit })}
               </button>
-              <button onClick={handleAutoColor} disabled={!regions.length || isGenerating}>
-                一键推荐填色（{colorLimit} 色）
+              <button onClick={handleShowReference} disabled={!reference.coloring || isBoardLocked || isDuelMode}>
+                {reference.optimal ? t('actionsPanel.showOptimal') : t('actionsPanel.showReference')}
               </button>
-              <button onClick={() => setShowResetModal(true)} disabled={!regions.length || isGenerating}>
-                重置本题
+              <button onClick={() => setShowResetModal(true)} disabled={!regions.length || isBoardLocked}>
+                {t('actionsPanel.reset')}
               </button>
               <button onClick={() => setShowNewModal(true)} disabled={isGenerating}>
-                生成新题
+                {t('actionsPanel.newPuzzle')}
               </button>
             </div>
+            {hint && (
+              <div className="hint-box">
+                <div>{hint.message}</div>
+                <div className="button-row">
+                  {hint.color != null && (
+                    <button className="primary" onClick={handleApplyHint}>
+                      {t('actionsPanel.applyHint', { color: colors[hint.color].name })}
+                    </button>
+                  )}
+                  <button onClick={() => setHint(null)}>{t('actionsPanel.closeHint')}</button>
+                </div>
+              </div>
+            )}
             {message && <div className="message">{message}</div>}
-            <div className="muted">目标色使用次数：{targetColorCount}</div>
+            {isSolved && lastScore && lastScore.items.length > 0 && (
+              <ul className="score-items">
+                {lastScore.items.map((item) => (
+                  <li key={item.type}>
+                    {t('actionsPanel.scoreItem', {
+                      label: t(`score.${item.type}`, { count: item.count }),
+                      points: item.points > 0 ? `+${item.points}` : item.points
+                    })}
+                  </li>
+                ))}
+              </ul>
+            )}
+            <div className="muted">
+              {t('actionsPanel.elapsed', {
+                time: formatDuration(isSolved && lastScore ? lastScore.elapsedMs : clock - startedAtRef.current),
+                count: targetColorCount
+              })}
+            </div>
+          </section>
+
+          <section className="panel-section">
+            <h2>{t('filePanel.title')}</h2>
+            <div className="button-row">
+              <button onClick={handleExportPuzzle} disabled={!regions.length || isGenerating}>
+                {t('filePanel.exportJson')}
+              </button>
+              <button onClick={() => importInputRef.current?.click()} disabled={isGenerating}>
+                {t('filePanel.importJson')}
+              </button>
+              <input
+                ref={importInputRef}
+                type="file"
+                accept="application/json,.json"
+                className="hidden-input"
+                onChange={handleImportFile}
+              />
+            </div>
+            <label className="checkbox-row">
+              <input
+                type="checkbox"
+                checked={exportWithHistory}
+                onChange={(event) => setExportWithHistory(event.target.checked)}
+              />
+              {t('filePanel.includeHistory')}
+            </label>
+            {importError && <div className="message error">{importError}</div>}
+          </section>
+
+          <section className="panel-section">
+            <h2>{t('recordingPanel.title')}</h2>
+            <div className="muted">{t('recordingPanel.note')}</div>
+            <div className="button-row">
+              <button onClick={() => playRecording(recording)} disabled={!regions.length || isGenerating}>
+                {t('recordingPanel.replay')}
+              </button>
+              <button onClick={handleExportRecording} disabled={!regions.length || isGenerating}>
+                {t('recordingPanel.export')}
+              </button>
+              <button onClick={() => recordingInputRef.current?.click()} disabled={isGenerating}>
+                {t('recordingPanel.import')}
+              </button>
+              <input
+                ref={recordingInputRef}
+                type="file"
+                accept="application/json,.json"
+                className="hidden-input"
+                onChange={handleImportRecording}
+              />
+            </div>
+            {recordingError && <div className="message error">{recordingError}</div>}
+          </section>
+
+          <section className="panel-section">
+            <h2>{t('imagePanel.title')}</h2>
+            <label className="checkbox-row">
+              <input
+                type="checkbox"
+                checked={imageOptions.showColors}
+                onChange={(event) => updateImageOption('showColors', event.target.checked)}
+              />
+              {t('imagePanel.colors')}
+            </label>
+            <label className="checkbox-row">
+              <input
+                type="checkbox"
+                checked={imageOptions.showConflicts}
+                onChange={(event) => updateImageOption('showConflicts', event.target.checked)}
+              />
+              {t('imagePanel.conflicts')}
+            </label>
+            <label className="checkbox-row">
+              <input
+                type="checkbox"
+                checked={imageOptions.showLabels}
+                onChange={(event) => updateImageOption('showLabels', event.target.checked)}
+              />
+              {t('imagePanel.labels')}
+            </label>
+            <label className="checkbox-row">
+              {t('imagePanel.pngScale')}
+              <select
+                value={imageOptions.pngScale}
+                onChange={(event) => updateImageOption('pngScale', Number(event.target.value))}
+              >
+                {PNG_SCALES.map((scale) => (
+                  <option key={scale} value={scale}>
+                    {scale}× ({Math.round(mapSize.width * scale)}×{Math.round(mapSize.height * scale)})
+                  </option>
+                ))}
+              </select>
+            </label>
+            <div className="button-row">
+              <button onClick={handleExportSvg} disabled={!regions.length || isGenerating}>
+                {t('imagePanel.exportSvg')}
+              </button>
+              <button onClick={handleExportPng} disabled={!regions.length || isGenerating}>
+                {t('imagePanel.exportPng')}
+              </button>
+            </div>
           </section>
 
           <details className="panel-section">
-            <summary>调试面板</summary>
+            <summary>{t('stats.title')}</summary>
+            <StatsPanel records={scoreRecords} profile={profiles.active} t={t} />
+          </details>
+
+          <details className="panel-section">
+            <summary>{t('debug.title')}</summary>
             <div className="debug">
-              <div>区域数量：{regions.length}</div>
-              <div>相邻边数量：{adjacencyEdgeCount}</div>
-              <div>当前目标色次数：{targetColorCount}</div>
-              <div>最近冲突：{conflicts.map((pair) => pair.join(' ↔ ')).join(', ') || '无'}</div>
+              <div>{t('debug.regions', { count: regions.length })}</div>
+              <div>{t('debug.edges', { count: adjacencyEdgeCount })}</div>
+              <div>{t('debug.target', { count: targetColorCount })}</div>
+              <div>
+                {t('debug.conflicts', {
+                  list: conflicts.map((pair) => pair.join(' ↔ ')).join(', ') || t('common.none')
+                })}
+              </div>
             </div>
           </details>
         </aside>
@@ -751,37 +2338,136 @@ function FourColorGame() {
 
       {showResetModal && (
         <Modal
-          title="确定要重置吗？"
-          content="当前作答将丢失。"
+          t={t}
+          title={t('modals.resetTitle')}
+          content={t('modals.resetContent')}
           onCancel={() => setShowResetModal(false)}
           onConfirm={handleReset}
         />
       )}
 
+      {duel.showResult && duelState && (
+        <Modal
+          t={t}
+          title={
+            duelComputer
+              ? t(duelState.winner === duelComputer ? 'duel.lose' : 'duel.win')
+              : t('duel.resultTitle', { player: getDuelPlayerName(duelState.winner) })
+          }
+          content={
+            duelStatus === 'filled'
+              ? t('duel.filled', { count: history.length })
+              : t('duel.blocked', {
+                  regions: duelState.deadRegions.map(getRegionLabel).join(t('common.listSeparator'))
+                })
+          }
+          cancelText={t('duel.review')}
+          confirmText={t('duel.again')}
+          onCancel={duel.closeResult}
+          onConfirm={() => {
+            duel.closeResult();
+            puzzleSetup.generate();
+          }}
+        />
+      )}
+
       {showNewModal && (
         <Modal
-          title="要生成新题吗？"
-          content="当前地图与作答将被替换。"
+          t={t}
+          title={t('modals.newTitle')}
+          content={t('modals.newContent')}
           onCancel={() => setShowNewModal(false)}
           onConfirm={handleNewPuzzle}
         />
       )}
 
+      {resumeCandidate && (
+        <Modal
+          t={t}
+          title={t('modals.resumeTitle')}
+          content={t('modals.resumeContent', {
+            code: resumeCandidate.code,
+            filled: resumeCandidate.filled,
+            total: resumeCandidate.total
+          })}
+          cancelText={t('modals.resumeCancel')}
+          confirmText={t('modals.resumeConfirm')}
+          onCancel={() => setResumeCandidate(null)}
+          onConfirm={() => handleResumeGame(resumeCandidate)}
+        />
+      )}
+
+      {editorOpen && (
+        <MapEditor
+          t={t}
+          initialRegionCount={regionCount}
+          onCancel={() => setEditorOpen(false)}
+          onFinish={(map) => {
+            setEditorOpen(false);
+            playCustomMap(map);
+          }}
+        />
+      )}
+
       {toast && <div className="toast">{toast}</div>}
+      <div className="sr-only" role="status" aria-live="polite">
+        {announcement}
+      </div>
     </div>
   );
 }
 
-function Modal({ title, content, onCancel, onConfirm }) {
+// 纹理定义放在主地图里，放大镜、色块预览通过同一文档内的 id 引用。
+function PatternDefs({ colors }) {
+  return (
+    <defs>
+      {colors.map((color, index) => {
+        const shape = getPatternShape(index, color.hex);
+        const { 'stroke-width': strokeWidth, ...attrs } = shape.attrs;
+        const Shape = shape.tag;
+        return (
+          <pattern
+            key={index}
+            id={getPatternId(index)}
+            width={PATTERN_SIZE}
+            height={PATTERN_SIZE}
+            patternUnits="userSpaceOnUse"
+          >
+            <rect width={PATTERN_SIZE} height={PATTERN_SIZE} fill={color.hex} />
+            <Shape {...attrs} strokeWidth={strokeWidth} />
+          </pattern>
+        );
+      })}
+    </defs>
+  );
+}
+
+function ColorSwatch({ className, index, color, usePatterns }) {
+  return (
+    <svg className={className} viewBox="0 0 16 16" aria-hidden="true">
+      <rect width={16} height={16} fill={usePatterns ? `url(#${getPatternId(index)})` : color.hex} />
+    </svg>
+  );
+}
+
+function Modal({
+  t,
+  title,
+  content,
+  onCancel,
+  onConfirm,
+  cancelText = t('common.cancel'),
+  confirmText = t('common.confirm')
+}) {
   return (
     <div className="modal-backdrop">
       <div className="modal">
         <h3>{title}</h3>
         <p>{content}</p>
         <div className="button-row">
-          <button onClick={onCancel}>取消</button>
+          <button onClick={onCancel}>{cancelText}</button>
           <button className="primary" onClick={onConfirm}>
-            确认
+            {confirmText}
           </button>
         </div>
       </div>
@@ -789,276 +2475,100 @@ function Modal({ title, content, onCancel, onConfirm }) {
   );
 }
 
-function generateRandomMap(regionCount, width, height) {
-  const points = createPoints(regionCount, width, height);
-  const delaunay = Delaunay.from(points, (p) => p[0], (p) => p[1]);
-  const voronoi = delaunay.voronoi([0, 0, width, height]);
-
-  const regions = points.map((point, index) => {
-    const polygon = voronoi.cellPolygon(index);
-    if (!polygon) return null;
-    const normalized = normalizePolygon(polygon).map((p) => ({
-      x: clamp(p[0], 0, width),
-      y: clamp(p[1], 0, height)
-    }));
-    return {
-      id: `region-${index}`,
-      polygon: normalized,
-      color: null
-    };
-  });
-
-  const filtered = regions.filter(Boolean);
-  const { adjacency, adjacencyMeta } = buildAdjacencyFromEdges(filtered);
-  validateAdjacency(adjacency);
-  return { regions: filtered, adjacency, adjacencyMeta };
-}
-
-function createPoints(count, width, height) {
-  const minDist = width / Math.sqrt(count) / 2.2;
-  const points = [];
-  let attempts = 0;
-  while (points.length < count && attempts < count * 120) {
-    const point = [
-      randomRange(width * 0.05, width * 0.95),
-      randomRange(height * 0.05, height * 0.95)
-    ];
-    const ok = points.every((p) => distance(p, point) > minDist);
-    if (ok) points.push(point);
-    attempts += 1;
-  }
-  while (points.length < count) {
-    points.push([randomRange(0, width), randomRange(0, height)]);
-  }
-  return points;
-}
-
-function findConflicts(regions, adjacency) {
-  const conflicts = [];
-  const regionMap = new Map(regions.map((r) => [r.id, r]));
-  adjacency.forEach((neighbors, regionId) => {
-    const region = regionMap.get(regionId);
-    if (!region || region.color == null) return;
-    neighbors.forEach((neighborId) => {
-      const neighbor = regionMap.get(neighborId);
-      if (!neighbor || neighbor.color == null) return;
-      if (regionId < neighborId && region.color === neighbor.color) {
-        conflicts.push([regionId, neighborId]);
-      }
-    });
-  });
-  return conflicts;
+function getLabelPoint(region) {
+  const key = region.parts ?? region.polygon;
+  if (!labelPointCache.has(key)) labelPointCache.set(key, findLabelPoint(region));
+  return labelPointCache.get(key);
 }
 
-function estimateTargetCount(regions, adjacency, targetIndex, iterations) {
-  if (!regions.length) return 0;
-  let best = Infinity;
-  for (let i = 0; i < iterations; i += 1) {
-    const order = shuffleArray(regions.map((r) => r.id));
-    const colors = new Map();
-
-    order.forEach((regionId) => {
-      const used = new Set();
-      adjacency.get(regionId)?.forEach((neighborId) => {
-        const color = colors.get(neighborId);
-        if (color != null) used.add(color);
+function formatTaskProgress(progress, t) {
+  switch (progress?.stage) {
+    case 'map':
+    case 'geo':
+    case 'clues':
+    case 'estimate':
+      return t(`progress.${progress.stage}`);
+    case 'optimize':
+      return t('progress.optimize', {
+        nodes: progress.nodes.toLocaleString(t.locale),
+        lower: progress.lowerBound,
+        best: progress.best
       });
-      const available = COLORS.map((_, index) => index).filter((index) => !used.has(index));
-      if (!available.length) {
-        colors.set(regionId, targetIndex);
-        return;
-      }
-      const sorted = [...available].sort((a, b) => {
-        const penaltyA = a === targetIndex ? 1 : 0;
-        const penaltyB = b === targetIndex ? 1 : 0;
-        return penaltyA - penaltyB;
-      });
-      colors.set(regionId, sorted[0]);
-    });
-
-    const targetCount = Array.from(colors.values()).filter((c) => c === targetIndex).length;
-    best = Math.min(best, targetCount);
+    case 'solve':
+    case 'hint':
+      return t('progress.solve');
+    case 'duel':
+      return t('progress.duel');
+    default:
+      return t('progress.idle');
   }
-  return Number.isFinite(best) ? best : 0;
 }
 
-function getGreedyIterations(regionCount) {
-  if (regionCount <= 80) return 60;
-  if (regionCount <= 140) return 40;
-  return 25;
+function getPuzzleKey(spec) {
+  if (!spec.imported) return null;
+  return `file:${hashString(JSON.stringify(spec.imported.regions.map((region) => region.polygon)))}`;
 }
 
-function buildAdjacencyFromEdges(regions) {
-  const adjacency = new Map();
-  const adjacencyMeta = new Map();
-  const edgeMap = new Map();
-  const quantize = (value, eps) => Math.round(value / eps) * eps;
-  const eps = 0.5;
-  const minSharedLen = 2;
-
-  regions.forEach((region) => adjacency.set(region.id, new Set()));
-
-  regions.forEach((region) => {
-    const poly = region.polygon;
-    for (let i = 0; i < poly.length; i += 1) {
-      const start = poly[i];
-      const end = poly[(i + 1) % poly.length];
-      const length = Math.hypot(end.x - start.x, end.y - start.y);
-      if (length < minSharedLen) continue;
-      const a = { x: quantize(start.x, eps), y: quantize(start.y, eps) };
-      const b = { x: quantize(end.x, eps), y: quantize(end.y, eps) };
-      const key = edgeKey(a, b);
-      if (!edgeMap.has(key)) {
-        edgeMap.set(key, []);
-      }
-      edgeMap.get(key).push({ regionId: region.id, length });
-    }
-  });
-
-  edgeMap.forEach((entries) => {
-    if (entries.length < 2) return;
-    for (let i = 0; i < entries.length; i += 1) {
-      for (let j = i + 1; j < entries.length; j += 1) {
-        const a = entries[i];
-        const b = entries[j];
-        if (a.regionId === b.regionId) continue;
-        const sharedLen = Math.min(a.length, b.length);
-        if (sharedLen <= minSharedLen) continue;
-        adjacency.get(a.regionId)?.add(b.regionId);
-        adjacency.get(b.regionId)?.add(a.regionId);
-        const key = pairKey(a.regionId, b.regionId);
-        const existing = adjacencyMeta.get(key);
-        adjacencyMeta.set(key, existing ? Math.max(existing, sharedLen) : sharedLen);
-      }
-    }
-  });
-
-  return { adjacency, adjacencyMeta };
+function readPuzzleSpecFromLocation() {
+  if (typeof window === 'undefined') return null;
+  const code = readPuzzleCodeFromUrl(window.location.href);
+  return code ? decodePuzzleSpec(code) : null;
 }
 
-function validateAdjacency(adjacency) {
-  adjacency.forEach((neighbors, regionId) => {
-    if (neighbors.has(regionId)) {
-      console.warn(`Adjacency contains self reference for ${regionId}`);
+function snapshotToSpec(snapshot) {
+  if (snapshot.puzzle) {
+    try {
+      return { imported: parsePuzzleFile(snapshot.puzzle, { colorCount: MAX_COLOR_COUNT }), restore: snapshot };
+    } catch (error) {
+      console.warn('Saved puzzle is invalid', error);
+      return null;
     }
-    neighbors.forEach((neighborId) => {
-      if (!adjacency.get(neighborId)?.has(regionId)) {
-        console.warn(`Adjacency not symmetric for ${regionId} ↔ ${neighborId}`);
-      }
-    });
-  });
-}
-
-function solveColoring(regions, adjacency, colorCount) {
-  const regionIds = regions.map((region) => region.id);
-  const colors = new Map();
-  const neighborMap = new Map();
-  const degreeMap = new Map();
-
-  regionIds.forEach((id) => {
-    const neighbors = adjacency.get(id) ? Array.from(adjacency.get(id)) : [];
-    neighborMap.set(id, neighbors);
-    degreeMap.set(id, neighbors.length);
-  });
-
-  const getSaturation = (id) => {
-    const used = new Set();
-    neighborMap.get(id)?.forEach((neighborId) => {
-      const color = colors.get(neighborId);
-      if (color != null) used.add(color);
-    });
-    return used;
-  };
-
-  const selectNext = () => {
-    let best = null;
-    let bestSat = -1;
-    let bestDegree = -1;
-    regionIds.forEach((id) => {
-      if (colors.has(id)) return;
-      const sat = getSaturation(id);
-      const degree = degreeMap.get(id) ?? 0;
-      if (
-        best === null ||
-        sat.size > bestSat ||
-        (sat.size === bestSat && degree > bestDegree) ||
-        (sat.size === bestSat && degree === bestDegree && id < best)
-      ) {
-        best = id;
-        bestSat = sat.size;
-        bestDegree = degree;
-      }
-    });
-    return best;
-  };
-
-  const orderColors = (id) => {
-    const used = getSaturation(id);
-    const available = [];
-    for (let c = 0; c < colorCount; c += 1) {
-      if (!used.has(c)) available.push(c);
-    }
-    return available;
-  };
-
-  const backtrack = () => {
-    if (colors.size === regionIds.length) return true;
-    const id = selectNext();
-    if (!id) return false;
-    const choices = orderColors(id);
-    for (const color of choices) {
-      colors.set(id, color);
-      if (backtrack()) return true;
-      colors.delete(id);
-    }
-    return false;
-  };
-
-  const success = backtrack();
-  return { success, coloring: colors };
+  }
+  const spec = decodePuzzleSpec(snapshot.code);
+  return spec ? { ...spec, restore: snapshot } : null;
 }
 
-function edgeKey(a, b) {
-  const first = a.x < b.x || (a.x === b.x && a.y <= b.y) ? a : b;
-  const second = first === a ? b : a;
-  return `${first.x},${first.y}|${second.x},${second.y}`;
+function downloadFile(filename, content, type) {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
 }
 
-function pairKey(a, b) {
-  return a < b ? `${a}|${b}` : `${b}|${a}`;
+function readBrowserLanguages() {
+  if (typeof navigator === 'undefined') return [];
+  return navigator.languages?.length ? navigator.languages : [navigator.language];
 }
 
-function normalizePolygon(polygon) {
-  const result = polygon.map(([x, y]) => [x, y]);
-  if (result.length > 1) {
-    const first = result[0];
-    const last = result[result.length - 1];
-    if (first[0] === last[0] && first[1] === last[1]) {
-      result.pop();
-    }
+// 只有键盘（Tab / 方向键）带来的聚焦才选中区域，鼠标点击和拖动平移沿用原有的点击逻辑。
+function isKeyboardFocus(node) {
+  try {
+    return node.matches(':focus-visible');
+  } catch (error) {
+    return true;
   }
-  return result;
-}
-
-function randomRange(min, max) {
-  return min + Math.random() * (max - min);
 }
 
-function clamp(value, min, max) {
-  return Math.min(Math.max(value, min), max);
+function formatDuration(ms) {
+  const totalSeconds = Math.max(0, Math.round(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return `${minutes}:${seconds}`;
 }
 
-function distance(a, b) {
-  return Math.hypot(a[0] - b[0], a[1] - b[1]);
-}
-
-function shuffleArray(array) {
-  const result = [...array];
-  for (let i = result.length - 1; i > 0; i -= 1) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [result[i], result[j]] = [result[j], result[i]];
-  }
-  return result;
+function formatSavedAt(timestamp, locale) {
+  if (!timestamp) return '';
+  return new Date(timestamp).toLocaleString(locale, {
+    month: 'numeric',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
 }
 
 export default App;
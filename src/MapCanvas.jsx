@@ -0,0 +1,317 @@
+import React, { forwardRef, useEffect, useImperativeHandle, useMemo, useRef } from 'react';
+import {
+  CANVAS_COLORS,
+  drawBaseRegions,
+  drawCrosshair,
+  drawHighlights,
+  findRegionAt,
+  getRegionIndex,
+  queryRegions
+} from './mapCanvas.js';
+
+// 局部重绘时在改动区域的外接矩形外多留的边距（描边宽度的一半以上）。
+const DIRTY_MARGIN = 8;
+// 编号可能超出所属区域，局部重绘时把附近这一圈的区域也画一遍。
+const LABEL_MARGIN = 16;
+// 一次改动的区域超过这个比例时直接整屏重绘。
+const FULL_REDRAW_RATIO = 0.25;
+// 与 styles.css 中 conflictFlash 动画的周期一致。
+const PULSE_PERIOD = 400;
+const EMPTY_SET = new Set();
+
+// Canvas 渲染器：底图与高亮分两层画布，叠放在滚动视口左上角并随滚动重绘可见部分。
+// 底图只重绘样式变了的区域；高亮层每帧整体重画，内容只有少数描边。
+// 画布大小与视口一致，地图按 SVG 的 preserveAspectRatio="xMidYMid meet" 方式居中，
+// 因此缩放、平移与 SVG 渲染器完全相同，点击位置经 regionAt 换算后查空间索引。
+const MapCanvas = forwardRef(function MapCanvas(props, ref) {
+  const { regions, label, viewportRef, onKeyDown, onClick } = props;
+  const wrapperRef = useRef(null);
+  const baseRef = useRef(null);
+  const overlayRef = useRef(null);
+  const propsRef = useRef(props);
+  propsRef.current = props;
+  const stateRef = useRef({ frame: 0, base: false, view: null, styleKeys: [] });
+
+  const regionById = useMemo(() => new Map(regions.map((region) => [region.id, region])), [regions]);
+  const regionByIdRef = useRef(regionById);
+  regionByIdRef.current = regionById;
+
+  const getView = () => {
+    const wrapper = wrapperRef.current;
+    const viewport = viewportRef.current;
+    if (!wrapper || !viewport) return null;
+    const { width, height } = propsRef.current;
+    const content = wrapper.parentElement;
+    const scale = Math.min(content.clientWidth / width, content.clientHeight / height) || 1;
+    return {
+      scale,
+      offsetX: (content.clientWidth - width * scale) / 2 - viewport.scrollLeft,
+      offsetY: (content.clientHeight - height * scale) / 2 - viewport.scrollTop,
+      cssWidth: viewport.clientWidth,
+      cssHeight: viewport.clientHeight,
+      dpr: window.devicePixelRatio || 1
+    };
+  };
+
+  const toWorld = (clientX, clientY) => {
+    const view = getView();
+    if (!view) return null;
+    const rect = wrapperRef.current.getBoundingClientRect();
+    return {
+      x: (clientX - rect.left - view.offsetX) / view.scale,
+      y: (clientY - rect.top - view.offsetY) / view.scale
+    };
+  };
+
+  useImperativeHandle(ref, () => ({
+    toWorld,
+    regionAt: (clientX, clientY) => {
+      const point = toWorld(clientX, clientY);
+      if (!point) return null;
+      const { regions: current, width, height } = propsRef.current;
+      return findRegionAt(getRegionIndex(current, width, height), current, point.x, point.y);
+    },
+    focus: () => wrapperRef.current?.focus()
+  }));
+
+  const requestDraw = (base = true) => {
+    const state = stateRef.current;
+    state.base = state.base || base;
+    if (!state.frame) state.frame = requestAnimationFrame(draw);
+  };
+
+  const draw = (time) => {
+    const state = stateRef.current;
+    state.frame = 0;
+    const view = getView();
+    if (!view || !baseRef.current || !overlayRef.current) return;
+    const pixelWidth = Math.round(view.cssWidth * view.dpr);
+    const pixelHeight = Math.round(view.cssHeight * view.dpr);
+    const wrapper = wrapperRef.current;
+    wrapper.style.width = `${view.cssWidth}px`;
+    wrapper.style.height = `${view.cssHeight}px`;
+    let resized = false;
+    [baseRef.current, overlayRef.current].forEach((canvas) => {
+      if (canvas.width === pixelWidth && canvas.height === pixelHeight) return;
+      canvas.width = pixelWidth;
+      canvas.height = pixelHeight;
+      canvas.style.width = `${view.cssWidth}px`;
+      canvas.style.height = `${view.cssHeight}px`;
+      resized = true;
+    });
+    if (state.base || resized) drawBase(view);
+    state.base = false;
+    const pulsing = drawOverlay(view, time);
+    if (pulsing) requestDraw(false);
+  };
+
+  const drawBase = (view) => {
+    const state = stateRef.current;
+    const { regions: current, width, height, colors, usePatterns, showLabels, fillOverrides, deadIds, labelPointOf } =
+      propsRef.current;
+    const index = getRegionIndex(current, width, height);
+    const styles = current.map((region) => getRegionStyle(region, fillOverrides, deadIds));
+    const styleKeys = styles.map((style) => `${style.color}|${style.locked}|${style.dead}`);
+    const drawn = {
+      key: [view.scale, view.offsetX, view.offsetY, view.dpr, view.cssWidth, view.cssHeight].join('|'),
+      index,
+      colors,
+      usePatterns,
+      showLabels
+    };
+    const ctx = baseRef.current.getContext('2d');
+    const options = { colors, usePatterns, showLabels, labelPointOf };
+    const visible = getVisibleRect(view);
+    const dirty = isSameView(state.view, drawn) ? findDirty(state.styleKeys, styleKeys) : null;
+    state.view = drawn;
+    state.styleKeys = styleKeys;
+
+    if (!dirty || dirty.length > current.length * FULL_REDRAW_RATIO) {
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+      applyView(ctx, view);
+      ctx.fillStyle = CANVAS_COLORS.background;
+      ctx.fillRect(0, 0, width, height);
+      drawBaseRegions(ctx, current, queryRegions(index, visible), styles, options);
+      return;
+    }
+    applyView(ctx, view);
+    dirty.forEach((regionIndex) => {
+      const rect = expandRect(index.bounds[regionIndex], DIRTY_MARGIN);
+      if (!intersects(rect, visible)) return;
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(rect.minX, rect.minY, rect.maxX - rect.minX, rect.maxY - rect.minY);
+      ctx.clip();
+      ctx.clearRect(rect.minX, rect.minY, rect.maxX - rect.minX, rect.maxY - rect.minY);
+      ctx.fillStyle = CANVAS_COLORS.background;
+      ctx.fillRect(0, 0, width, height);
+      drawBaseRegions(ctx, current, queryRegions(index, expandRect(rect, LABEL_MARGIN)), styles, options);
+      ctx.restore();
+    });
+  };
+
+  // 返回是否还需要继续播放冲突闪烁。
+  const drawOverlay = (view, time) => {
+    const { highlights, conflictIds, sharedBorders, crosshair } = propsRef.current;
+    const ctx = overlayRef.current.getContext('2d');
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+    applyView(ctx, view);
+    const pulsing = conflictIds.size > 0;
+    const pulse = pulsing ? (1 - Math.cos(((time ?? performance.now()) / PULSE_PERIOD) * Math.PI * 2)) / 2 : 0;
+    drawHighlights(ctx, regionByIdRef.current, { highlights, conflictIds, sharedBorders, crosshair, pulse });
+    return pulsing;
+  };
+
+  useEffect(() => {
+    requestDraw();
+  });
+
+  useEffect(() => {
+    const viewport = viewportRef.current;
+    const content = wrapperRef.current?.parentElement;
+    if (!viewport || !content) return undefined;
+    const handleChange = () => requestDraw();
+    viewport.addEventListener('scroll', handleChange, { passive: true });
+    let observer = null;
+    if (typeof ResizeObserver === 'undefined') {
+      window.addEventListener('resize', handleChange);
+    } else {
+      observer = new ResizeObserver(handleChange);
+      observer.observe(viewport);
+      observer.observe(content);
+    }
+    return () => {
+      viewport.removeEventListener('scroll', handleChange);
+      window.removeEventListener('resize', handleChange);
+      observer?.disconnect();
+      cancelAnimationFrame(stateRef.current.frame);
+      stateRef.current.frame = 0;
+    };
+  }, [viewportRef]);
+
+  return (
+    <div
+      className="map-canvas"
+      ref={wrapperRef}
+      tabIndex={0}
+      role="group"
+      aria-label={label}
+      onKeyDown={onKeyDown}
+      onClick={onClick}
+    >
+      <canvas ref={baseRef} aria-hidden="true" />
+      <canvas ref={overlayRef} aria-hidden="true" />
+    </div>
+  );
+});
+
+// 放大镜：只画落在镜框内的区域，坐标变换与 SVG 放大镜相同。
+export function MagnifierCanvas({
+  regions,
+  width,
+  height,
+  colors,
+  usePatterns,
+  fillOverrides,
+  deadIds,
+  labelPointOf,
+  center,
+  radius,
+  zoom,
+  crosshair
+}) {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const dpr = window.devicePixelRatio || 1;
+    const size = Math.round(radius * 2 * dpr);
+    if (canvas.width !== size) {
+      canvas.width = size;
+      canvas.height = size;
+    }
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, size, size);
+    ctx.setTransform(dpr * zoom, 0, 0, dpr * zoom, dpr * (radius - center.x * zoom), dpr * (radius - center.y * zoom));
+    ctx.fillStyle = CANVAS_COLORS.background;
+    ctx.fillRect(0, 0, width, height);
+    const reach = radius / zoom;
+    const indices = queryRegions(getRegionIndex(regions, width, height), {
+      minX: center.x - reach,
+      minY: center.y - reach,
+      maxX: center.x + reach,
+      maxY: center.y + reach
+    });
+    const styles = [];
+    indices.forEach((i) => {
+      styles[i] = getRegionStyle(regions[i], fillOverrides, deadIds);
+    });
+    drawBaseRegions(ctx, regions, indices, styles, { colors, usePatterns, showLabels: false, labelPointOf });
+    if (crosshair) drawCrosshair(ctx, center);
+  });
+
+  return (
+    <canvas
+      ref={canvasRef}
+      className="magnifier-svg"
+      aria-hidden="true"
+      style={{ width: radius * 2, height: radius * 2 }}
+    />
+  );
+}
+
+function getRegionStyle(region, fillOverrides, deadIds = EMPTY_SET) {
+  return {
+    color: fillOverrides?.has(region.id) ? fillOverrides.get(region.id) : region.color,
+    locked: Boolean(region.locked),
+    dead: deadIds.has(region.id)
+  };
+}
+
+function applyView(ctx, view) {
+  const ratio = view.dpr;
+  ctx.setTransform(ratio * view.scale, 0, 0, ratio * view.scale, ratio * view.offsetX, ratio * view.offsetY);
+}
+
+// 视口可见部分对应的地图坐标范围。
+function getVisibleRect(view) {
+  return {
+    minX: -view.offsetX / view.scale,
+    minY: -view.offsetY / view.scale,
+    maxX: (view.cssWidth - view.offsetX) / view.scale,
+    maxY: (view.cssHeight - view.offsetY) / view.scale
+  };
+}
+
+function isSameView(prev, next) {
+  return Boolean(
+    prev &&
+      prev.key === next.key &&
+      prev.index === next.index &&
+      prev.colors === next.colors &&
+      prev.usePatterns === next.usePatterns &&
+      prev.showLabels === next.showLabels
+  );
+}
+
+function findDirty(prevKeys, nextKeys) {
+  const dirty = [];
+  nextKeys.forEach((key, i) => {
+    if (prevKeys[i] !== key) dirty.push(i);
+  });
+  return dirty;
+}
+
+function expandRect(rect, margin) {
+  return { minX: rect.minX - margin, minY: rect.minY - margin, maxX: rect.maxX + margin, maxY: rect.maxY + margin };
+}
+
+function intersects(a, b) {
+  return a.minX <= b.maxX && a.maxX >= b.minX && a.minY <= b.maxY && a.maxY >= b.minY;
+}
+
+export default MapCanvas;
@@ -0,0 +1,233 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { clamp, regionPathData } from './geometry.js';
+import { translateError } from './i18n.js';
+import {
+  addSite,
+  buildEditorMap,
+  createEditorDoc,
+  finalizeEditorMap,
+  MAX_EDITOR_SITES,
+  mergeRegions,
+  moveSite,
+  removeSite,
+  splitRegion
+} from './mapEditor.js';
+import { MIN_REGION_COUNT } from './puzzleGenerator.js';
+import { createRng, randomSeed } from './random.js';
+
+const TOOLS = ['move', 'add', 'remove', 'merge', 'split'];
+const MAX_UNDO = 100;
+
+function MapEditor({ t, initialRegionCount, onCancel, onFinish }) {
+  const [regionCount, setRegionCount] = useState(clamp(initialRegionCount, MIN_REGION_COUNT, MAX_EDITOR_SITES));
+  const [doc, setDoc] = useState(() => createEditorDoc({ regionCount, rng: createRng(randomSeed()) }));
+  const [past, setPast] = useState([]);
+  const [tool, setTool] = useState('move');
+  const [mergeFirst, setMergeFirst] = useState(null);
+  const [splitLine, setSplitLine] = useState(null);
+  const [error, setError] = useState('');
+  const svgRef = useRef(null);
+  const dragRef = useRef(null);
+
+  const map = useMemo(() => buildEditorMap(doc), [doc]);
+
+  const commit = (edit) => {
+    try {
+      const next = edit(doc);
+      setPast((prev) => [...prev.slice(-MAX_UNDO + 1), doc]);
+      setDoc(next);
+      setError('');
+    } catch (editError) {
+      setError(translateError(editError, t));
+    }
+  };
+
+  const handleUndo = () => {
+    if (!past.length) return;
+    setDoc(past[past.length - 1]);
+    setPast((prev) => prev.slice(0, -1));
+    setMergeFirst(null);
+    setError('');
+  };
+
+  const handleRegenerate = () => {
+    commit(() => createEditorDoc({ regionCount, rng: createRng(randomSeed()) }));
+    setMergeFirst(null);
+  };
+
+  const handleFinish = () => {
+    try {
+      onFinish(finalizeEditorMap(doc));
+    } catch (finishError) {
+      setError(translateError(finishError, t));
+    }
+  };
+
+  const selectTool = (next) => {
+    setTool(next);
+    setMergeFirst(null);
+    setSplitLine(null);
+  };
+
+  const toMapPoint = (event) => {
+    const svg = svgRef.current;
+    const point = svg.createSVGPoint();
+    point.x = event.clientX;
+    point.y = event.clientY;
+    const { x, y } = point.matrixTransform(svg.getScreenCTM().inverse());
+    return { x, y };
+  };
+
+  const handleSitePointerDown = (event, siteId) => {
+    if (tool === 'remove') {
+      event.stopPropagation();
+      commit((current) => removeSite(current, siteId));
+      return;
+    }
+    if (tool !== 'move') return;
+    event.stopPropagation();
+    event.currentTarget.setPointerCapture?.(event.pointerId);
+    // 拖动开始时记一次撤销点，拖动过程中的每一步不再单独记录。
+    setPast((prev) => [...prev.slice(-MAX_UNDO + 1), doc]);
+    dragRef.current = { siteId, pointerId: event.pointerId };
+  };
+
+  const handleRegionPointerDown = (event, regionId) => {
+    const point = toMapPoint(event);
+    if (tool === 'add') {
+      commit((current) => addSite(current, point.x, point.y));
+    } else if (tool === 'merge') {
+      if (!mergeFirst) {
+        setMergeFirst(regionId);
+        return;
+      }
+      commit((current) => mergeRegions(current, mergeFirst, regionId));
+      setMergeFirst(null);
+    } else if (tool === 'split') {
+      event.currentTarget.setPointerCapture?.(event.pointerId);
+      setSplitLine({ regionId, x1: point.x, y1: point.y, x2: point.x, y2: point.y });
+    }
+  };
+
+  const handlePointerMove = (event) => {
+    const drag = dragRef.current;
+    if (drag && drag.pointerId === event.pointerId) {
+      const point = toMapPoint(event);
+      setDoc((current) => moveSite(current, drag.siteId, point.x, point.y));
+      return;
+    }
+    if (splitLine) {
+      const point = toMapPoint(event);
+      setSplitLine((prev) => prev && { ...prev, x2: point.x, y2: point.y });
+    }
+  };
+
+  const handlePointerUp = () => {
+    dragRef.current = null;
+    if (!splitLine) return;
+    const { regionId, ...line } = splitLine;
+    setSplitLine(null);
+    commit((current) => splitRegion(current, regionId, line));
+  };
+
+  return (
+    <div className="modal-backdrop">
+      <div className="modal editor-modal" role="dialog" aria-label={t('editor.title')}>
+        <h3>{t('editor.title')}</h3>
+        <div className="editor-toolbar" role="radiogroup" aria-label={t('editor.tools')}>
+          {TOOLS.map((item) => (
+            <button
+              key={item}
+              role="radio"
+              aria-checked={tool === item}
+              className={tool === item ? 'toggle active' : 'toggle'}
+              onClick={() => selectTool(item)}
+            >
+              {t(`editor.${item}.name`)}
+            </button>
+          ))}
+        </div>
+        <div className="muted">
+          {tool === 'merge' && mergeFirst ? t('editor.mergeSecond') : t(`editor.${tool}.tip`)}
+        </div>
+        <svg
+          ref={svgRef}
+          className={`editor-map tool-${tool}`}
+          viewBox={`0 0 ${doc.width} ${doc.height}`}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerCancel={handlePointerUp}
+        >
+          <rect width={doc.width} height={doc.height} className="map-bg" />
+          {map.regions.map((region, index) => (
+            <path
+              key={region.id}
+              d={regionPathData(region)}
+              fillRule="evenodd"
+              className={`editor-region ${mergeFirst === region.id ? 'selected' : ''}`}
+              style={{ fill: `hsl(${(index * 47) % 360} 65% 86%)` }}
+              onPointerDown={(event) => handleRegionPointerDown(event, region.id)}
+            />
+          ))}
+          {splitLine && (
+            <line
+              className="editor-split-line"
+              x1={splitLine.x1}
+              y1={splitLine.y1}
+              x2={splitLine.x2}
+              y2={splitLine.y2}
+            />
+          )}
+          <g className="editor-sites">
+            {doc.sites.map((site) => (
+              <circle
+                key={site.id}
+                cx={site.x}
+                cy={site.y}
+                r={6}
+                onPointerDown={(event) => handleSitePointerDown(event, site.id)}
+              />
+            ))}
+          </g>
+        </svg>
+        <div className="muted">
+          {t('editor.summary', {
+            regions: map.regions.length,
+            sites: doc.sites.length,
+            count: doc.operations.length
+          })}
+        </div>
+        {error && <div className="message error">{error}</div>}
+        <div className="code-row">
+          <input
+            type="number"
+            min={MIN_REGION_COUNT}
+            max={MAX_EDITOR_SITES}
+            value={regionCount}
+            aria-label={t('editor.siteCount')}
+            onChange={(event) => setRegionCount(Number(event.target.value))}
+          />
+          <button
+            onClick={handleRegenerate}
+            disabled={
+              !Number.isInteger(regionCount) || regionCount < MIN_REGION_COUNT || regionCount > MAX_EDITOR_SITES
+            }
+          >
+            {t('editor.regenerate')}
+          </button>
+        </div>
+        <div className="button-row">
+          <button onClick={handleUndo} disabled={!past.length}>
+            {t('common.undo')}
+          </button>
+          <button onClick={onCancel}>{t('common.cancel')}</button>
+          <button className="primary" onClick={handleFinish}>
+            {t('editor.finish')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default MapEditor;
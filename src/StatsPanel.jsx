@@ -0,0 +1,129 @@
+import React, { useMemo, useState } from 'react';
+import { DIFFICULTIES, getRegionBucket, MAX_SCORE, REGION_BUCKETS, summarizeScores } from './scoring.js';
+
+const CHART_WIDTH = 280;
+const CHART_HEIGHT = 120;
+const CHART_PADDING = 8;
+
+function StatsPanel({ records, profile, t }) {
+  const [groupBy, setGroupBy] = useState('difficulty');
+  const [filter, setFilter] = useState('all');
+
+  const groups = groupBy === 'difficulty' ? DIFFICULTIES : REGION_BUCKETS;
+  const own = useMemo(
+    () => records.filter((record) => record.profile === profile).sort((a, b) => a.completedAt - b.completedAt),
+    [records, profile]
+  );
+  const summary = useMemo(() => summarizeScores(own, groupBy), [own, groupBy]);
+  const charted = useMemo(() => {
+    if (filter === 'all') return own;
+    return own.filter((record) =>
+      groupBy === 'difficulty' ? record.difficulty === filter : getRegionBucket(record.regionCount) === filter
+    );
+  }, [own, groupBy, filter]);
+
+  const groupName = (id) => t(groupBy === 'difficulty' ? `stats.difficulties.${id}` : `stats.regionBuckets.${id}`);
+
+  const handleGroupChange = (next) => {
+    setGroupBy(next);
+    setFilter('all');
+  };
+
+  if (!own.length) {
+    return <div className="muted">{t('stats.empty', { profile })}</div>;
+  }
+
+  return (
+    <div className="stats">
+      <div className="code-row">
+        <select value={groupBy} onChange={(event) => handleGroupChange(event.target.value)}>
+          <option value="difficulty">{t('stats.byDifficulty')}</option>
+          <option value="regions">{t('stats.byRegions')}</option>
+        </select>
+        <select value={filter} onChange={(event) => setFilter(event.target.value)}>
+          <option value="all">{t('stats.all')}</option>
+          {groups.map((group) => (
+            <option key={group.id} value={group.id}>
+              {groupName(group.id)}
+            </option>
+          ))}
+        </select>
+      </div>
+      <ScoreChart records={charted} t={t} />
+      <table className="stats-table">
+        <thead>
+          <tr>
+            <th>{groupBy === 'difficulty' ? t('stats.difficulty') : t('stats.regions')}</th>
+            <th>{t('stats.completed')}</th>
+            <th>{t('stats.average')}</th>
+            <th>{t('stats.best')}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {summary.map((row) => (
+            <tr key={row.id}>
+              <td>{groupName(row.id)}</td>
+              <td>
+                {row.attempts}
+                {row.attempts > row.scored ? t('stats.unscored', { count: row.attempts - row.scored }) : ''}
+              </td>
+              <td>{row.average ?? '-'}</td>
+              <td>{row.best ?? '-'}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// 按完成顺序画出每局得分；不计分的作答画成空心点并落在 0 分。
+function ScoreChart({ records, t }) {
+  if (!records.length) return <div className="muted">{t('stats.chartEmpty')}</div>;
+  const innerWidth = CHART_WIDTH - CHART_PADDING * 2;
+  const innerHeight = CHART_HEIGHT - CHART_PADDING * 2;
+  const points = records.map((record, index) => ({
+    record,
+    x: CHART_PADDING + (records.length === 1 ? innerWidth / 2 : (index / (records.length - 1)) * innerWidth),
+    y: CHART_PADDING + innerHeight * (1 - record.score / MAX_SCORE)
+  }));
+  const scored = points.filter((point) => !point.record.disqualified);
+  return (
+    <svg
+      className="score-chart"
+      viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+      role="img"
+      aria-label={t('stats.chart')}
+    >
+      <line
+        x1={CHART_PADDING}
+        y1={CHART_HEIGHT - CHART_PADDING}
+        x2={CHART_WIDTH - CHART_PADDING}
+        y2={CHART_HEIGHT - CHART_PADDING}
+        className="axis"
+      />
+      {scored.length > 1 && <polyline points={scored.map((point) => `${point.x},${point.y}`).join(' ')} />}
+      {points.map((point) => (
+        <circle
+          key={point.record.completedAt}
+          cx={point.x}
+          cy={point.y}
+          r={3}
+          className={point.record.disqualified ? 'disqualified' : ''}
+        >
+          <title>
+            {t('stats.point', {
+              date: new Date(point.record.completedAt).toLocaleDateString(t.locale),
+              count: point.record.regionCount,
+              score: point.record.disqualified
+                ? t('stats.pointUnscored')
+                : t('stats.pointScore', { score: point.record.score })
+            })}
+          </title>
+        </circle>
+      ))}
+    </svg>
+  );
+}
+
+export default StatsPanel;
@@ -0,0 +1,242 @@
+const DEFAULT_TOLERANCE = 0.5;
+const DEFAULT_MIN_SHARED_LENGTH = 2;
+const PARALLEL_TOLERANCE = 0.02;
+
+export function pairKey(a, b) {
+  return a < b ? `${a}|${b}` : `${b}|${a}`;
+}
+
+// 按线段重叠判定相邻：两区域的边共线（距离不超过 tolerance）且沿方向重叠，
+// 重叠长度累加为共享边界长度；只在一点相接时重叠长度为 0，不算相邻。
+// 顶点不必一一对应，因此可以处理 T 形接点、被拆成多段的共线边和不同的边框裁剪。
+export function buildAdjacency(
+  regions,
+  { width, height, tolerance = DEFAULT_TOLERANCE, minSharedLength = DEFAULT_MIN_SHARED_LENGTH } = {}
+) {
+  const adjacency = new Map();
+  const adjacencyMeta = new Map();
+  regions.forEach((region) => adjacency.set(region.id, new Set()));
+
+  const segments = collectSegments(regions, { width, height, tolerance });
+  const cellSize = chooseCellSize(segments);
+  const grid = new Map();
+  segments.forEach((segment, index) => {
+    forEachCell(segment, cellSize, tolerance, (key) => {
+      if (!grid.has(key)) grid.set(key, []);
+      grid.get(key).push(index);
+    });
+  });
+
+  const shared = new Map();
+  const visited = new Set();
+  grid.forEach((indexes) => {
+    for (let i = 0; i < indexes.length; i += 1) {
+      for (let j = i + 1; j < indexes.length; j += 1) {
+        const first = segments[indexes[i]];
+        const second = segments[indexes[j]];
+        if (first.regionId === second.regionId) continue;
+        const visitKey = indexes[i] < indexes[j] ? `${indexes[i]}:${indexes[j]}` : `${indexes[j]}:${indexes[i]}`;
+        if (visited.has(visitKey)) continue;
+        visited.add(visitKey);
+        const overlap = segmentOverlap(first, second, tolerance);
+        if (overlap <= 0) continue;
+        const key = pairKey(first.regionId, second.regionId);
+        shared.set(key, (shared.get(key) ?? 0) + overlap);
+      }
+    }
+  });
+
+  shared.forEach((length, key) => {
+    if (length <= minSharedLength) return;
+    const [a, b] = key.split('|');
+    adjacency.get(a).add(b);
+    adjacency.get(b).add(a);
+    adjacencyMeta.set(key, length);
+  });
+
+  return { adjacency, adjacencyMeta };
+}
+
+// Voronoi 地图的相邻关系：单元的每条边都在某个 Delaunay 邻居与自身的中垂线上，
+// 逐条边找出中垂线离边中点最近的邻居，就得到两两之间的公共边长，耗时与区域数成线性。
+// cells[i] 为种子点 i 的单元（null 表示没有单元），ids[i] 为对应的区域编号；
+// 与 buildAdjacency 相同，只在一点相接或公共边不超过 minSharedLength 时不算相邻。
+export function buildVoronoiAdjacency(
+  delaunay,
+  cells,
+  ids,
+  { width, height, tolerance = DEFAULT_TOLERANCE, minSharedLength = DEFAULT_MIN_SHARED_LENGTH } = {}
+) {
+  const { points } = delaunay;
+  const adjacency = new Map();
+  const adjacencyMeta = new Map();
+  const shared = new Map();
+  cells.forEach((cell, i) => {
+    if (!cell) return;
+    adjacency.set(ids[i], new Set());
+    const neighbors = Array.from(delaunay.neighbors(i)).filter((j) => cells[j]);
+    const x = points[i * 2];
+    const y = points[i * 2 + 1];
+    for (let k = 0; k < cell.length; k += 1) {
+      const a = cell[k];
+      const b = cell[(k + 1) % cell.length];
+      const length = Math.hypot(b.x - a.x, b.y - a.y);
+      if (length === 0 || isOnFrame(a, b, width, height, tolerance)) continue;
+      const mx = (a.x + b.x) / 2;
+      const my = (a.y + b.y) / 2;
+      let owner = -1;
+      let ownerDistance = tolerance;
+      neighbors.forEach((j) => {
+        const dx = points[j * 2] - x;
+        const dy = points[j * 2 + 1] - y;
+        const offset = Math.abs(dx * (mx - x - dx / 2) + dy * (my - y - dy / 2)) / Math.hypot(dx, dy);
+        if (offset <= ownerDistance) {
+          owner = j;
+          ownerDistance = offset;
+        }
+      });
+      // 每条公共边在两侧单元里各出现一次，只从编号小的一侧累计。
+      if (owner <= i) continue;
+      const code = i * cells.length + owner;
+      shared.set(code, (shared.get(code) ?? 0) + length);
+    }
+  });
+
+  shared.forEach((length, code) => {
+    if (length <= minSharedLength) return;
+    const a = ids[Math.floor(code / cells.length)];
+    const b = ids[code % cells.length];
+    adjacency.get(a).add(b);
+    adjacency.get(b).add(a);
+    adjacencyMeta.set(pairKey(a, b), length);
+  });
+  return { adjacency, adjacencyMeta };
+}
+
+// 区域与各邻居共用的边界线段（沿 region 自身的边截取重叠部分），用于在地图上画出两块区域究竟在哪里相接。
+// 返回 [{ neighborId, x1, y1, x2, y2 }]；只在角点相接的区域不会出现。
+export function findSharedBorders(region, neighbors, { tolerance = DEFAULT_TOLERANCE } = {}) {
+  const own = collectSegments([region], { tolerance });
+  const others = collectSegments(neighbors, { tolerance });
+  const borders = [];
+  own.forEach((first) => {
+    const length = Math.hypot(first.x2 - first.x1, first.y2 - first.y1);
+    others.forEach((second) => {
+      const range = overlapRange(first, second, tolerance);
+      if (!range) return;
+      const [start, end] = range;
+      const ux = (first.x2 - first.x1) / length;
+      const uy = (first.y2 - first.y1) / length;
+      borders.push({
+        neighborId: second.regionId,
+        x1: first.x1 + ux * start,
+        y1: first.y1 + uy * start,
+        x2: first.x1 + ux * end,
+        y2: first.y1 + uy * end
+      });
+    });
+  });
+  return borders;
+}
+
+function segmentOverlap(first, second, tolerance = DEFAULT_TOLERANCE) {
+  const range = overlapRange(first, second, tolerance);
+  return range ? range[1] - range[0] : 0;
+}
+
+// second 在 first 上的重叠区间 [start, end]（沿 first 方向的距离），不共线或不重叠时返回 null。
+function overlapRange(first, second, tolerance) {
+  const dx = first.x2 - first.x1;
+  const dy = first.y2 - first.y1;
+  const length = Math.hypot(dx, dy);
+  const otherLength = Math.hypot(second.x2 - second.x1, second.y2 - second.y1);
+  if (length === 0 || otherLength === 0) return null;
+  const ux = dx / length;
+  const uy = dy / length;
+  const cross = (ux * (second.y2 - second.y1) - uy * (second.x2 - second.x1)) / otherLength;
+  if (Math.abs(cross) > PARALLEL_TOLERANCE) return null;
+  const distance1 = Math.abs((second.x1 - first.x1) * uy - (second.y1 - first.y1) * ux);
+  const distance2 = Math.abs((second.x2 - first.x1) * uy - (second.y2 - first.y1) * ux);
+  if (distance1 > tolerance || distance2 > tolerance) return null;
+  const t1 = (second.x1 - first.x1) * ux + (second.y1 - first.y1) * uy;
+  const t2 = (second.x2 - first.x1) * ux + (second.y2 - first.y1) * uy;
+  const start = Math.max(0, Math.min(t1, t2));
+  const end = Math.min(length, Math.max(t1, t2));
+  return end > start ? [start, end] : null;
+}
+
+// 两端都贴着同一条画布边框的边（width、height 未给出时不判断）。
+function isOnFrame(a, b, width, height, tolerance) {
+  return (
+    width != null &&
+    height != null &&
+    ((Math.abs(a.x) <= tolerance && Math.abs(b.x) <= tolerance) ||
+      (Math.abs(a.y) <= tolerance && Math.abs(b.y) <= tolerance) ||
+      (Math.abs(a.x - width) <= tolerance && Math.abs(b.x - width) <= tolerance) ||
+      (Math.abs(a.y - height) <= tolerance && Math.abs(b.y - height) <= tolerance))
+  );
+}
+
+function collectSegments(regions, { width, height, tolerance }) {
+  const segments = [];
+  regions.forEach((region) => {
+    const rings = region.parts ?? [region.polygon];
+    rings.forEach((ring) => {
+      for (let i = 0; i < ring.length; i += 1) {
+        const a = ring[i];
+        const b = ring[(i + 1) % ring.length];
+        if (a.x === b.x && a.y === b.y) continue;
+        if (isOnFrame(a, b, width, height, tolerance)) continue;
+        segments.push({ regionId: region.id, x1: a.x, y1: a.y, x2: b.x, y2: b.y });
+      }
+    });
+  });
+  return segments;
+}
+
+function chooseCellSize(segments) {
+  if (!segments.length) return 1;
+  const total = segments.reduce((sum, s) => sum + Math.hypot(s.x2 - s.x1, s.y2 - s.y1), 0);
+  return Math.max(total / segments.length, 1);
+}
+
+function forEachCell(segment, cellSize, padding, callback) {
+  const minX = Math.floor((Math.min(segment.x1, segment.x2) - padding) / cellSize);
+  const maxX = Math.floor((Math.max(segment.x1, segment.x2) + padding) / cellSize);
+  const minY = Math.floor((Math.min(segment.y1, segment.y2) - padding) / cellSize);
+  const maxY = Math.floor((Math.max(segment.y1, segment.y2) + padding) / cellSize);
+  for (let x = minX; x <= maxX; x += 1) {
+    for (let y = minY; y <= maxY; y += 1) {
+      callback(`${x},${y}`);
+    }
+  }
+}
+
+export function findAdjacencyProblems(adjacency) {
+  const problems = [];
+  adjacency.forEach((neighbors, regionId) => {
+    if (neighbors.has(regionId)) {
+      problems.push({ type: 'self', regionId, neighborId: regionId });
+    }
+    neighbors.forEach((neighborId) => {
+      if (!adjacency.has(neighborId)) {
+        problems.push({ type: 'unknown', regionId, neighborId });
+      } else if (!adjacency.get(neighborId).has(regionId)) {
+        problems.push({ type: 'asymmetric', regionId, neighborId });
+      }
+    });
+  });
+  return problems;
+}
+
+export function validateAdjacency(adjacency) {
+  findAdjacencyProblems(adjacency).forEach(({ type, regionId, neighborId }) => {
+    if (type === 'self') {
+      console.warn(`Adjacency contains self reference for ${regionId}`);
+    } else if (type === 'unknown') {
+      console.warn(`Adjacency references unknown region ${regionId} → ${neighborId}`);
+    } else {
+      console.warn(`Adjacency not symmetric for ${regionId} ↔ ${neighborId}`);
+    }
+  });
+}
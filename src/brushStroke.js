@@ -0,0 +1,35 @@
+import { getLegalColors } from './engine.js';
+
+// 画笔/智能填色的一笔：按下即开始，拖过的区域先记在 colors 中预览，松开时作为一项撤销事务提交。
+// stroke = { pointerId, mode, color, blockIllegal, colors: Map(regionId → 颜色), skipped }
+// mode 为 'brush'（都填 color）或 'smart'（保留合法的原色，否则填第一种合法颜色）；
+// 无法合法填色的区域保持原色并计入 skipped。与引擎一样都是纯函数，返回新的 stroke。
+export function createStroke({ pointerId, mode, color, blockIllegal = false }) {
+  return { pointerId, mode, color, blockIllegal, colors: new Map(), skipped: 0 };
+}
+
+export function paintStroke(stroke, game, regionId) {
+  if (stroke.colors.has(regionId)) return stroke;
+  const region = game.regions.find((item) => item.id === regionId);
+  if (!region || region.locked) return stroke;
+  const color = pickStrokeColor(stroke, game, region);
+  const colors = new Map(stroke.colors).set(regionId, color ?? region.color);
+  return { ...stroke, colors, skipped: color == null ? stroke.skipped + 1 : stroke.skipped };
+}
+
+// 这一笔真正改变了颜色的区域，可直接交给 applyColors。
+export function getStrokeChanges(stroke, game) {
+  const colorById = new Map(game.regions.map((region) => [region.id, region.color]));
+  return new Map(Array.from(stroke.colors).filter(([regionId, color]) => colorById.get(regionId) !== color));
+}
+
+// 返回 null 表示这个区域在本笔中无色可填。
+function pickStrokeColor(stroke, game, region) {
+  if (stroke.mode === 'smart') {
+    const legal = getLegalColors(game, region.id, stroke.colors);
+    if (region.color != null && legal.includes(region.color)) return region.color;
+    return legal.length ? legal[0] : null;
+  }
+  if (stroke.blockIllegal && !getLegalColors(game, region.id, stroke.colors).includes(stroke.color)) return null;
+  return stroke.color;
+}
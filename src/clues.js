@@ -0,0 +1,191 @@
+import { LocalizedError } from './i18n.js';
+import { countColorings } from './solver.js';
+
+// 推理填色的难度按“试填后要向前推几轮”划分：lookahead 为试填某种颜色后允许连锁推理的轮数，
+// 0 表示完全不试填，只靠“邻居已占满其他颜色”逐个确定。
+// 名称与说明在语言目录的 clueDifficulties.<id> 下。
+export const CLUE_DIFFICULTIES = [
+  { id: 'easy', lookahead: 0 },
+  { id: 'medium', lookahead: 2 },
+  { id: 'hard', lookahead: Infinity }
+];
+export const DEFAULT_CLUE_DIFFICULTY = 'medium';
+
+const CLUE_ATTEMPTS = 12;
+const SOLUTION_ATTEMPTS = 50;
+const SOLUTION_STEPS = 5000;
+const VERIFY_STEPS = 1000000;
+
+export function getClueDifficulty(id) {
+  return CLUE_DIFFICULTIES.find((level) => level.id === id) ?? CLUE_DIFFICULTIES[1];
+}
+
+export function getClueDifficultyIndex(id) {
+  return Math.max(0, CLUE_DIFFICULTIES.findIndex((level) => level.id === id));
+}
+
+// 评估线索题的难度：按难度从低到高尝试推理，返回能推出全部颜色的最低难度与推出的填色；
+// 最高难度仍推不完（需要猜测或解不唯一）时 difficulty 为 null。推理只做确定的排除，推完即说明解唯一。
+export function gradeClues(regions, adjacency, colorCount, clues, { maxLevel = CLUE_DIFFICULTIES.length - 1 } = {}) {
+  const graph = createGraph(regions, adjacency, colorCount);
+  for (let level = 0; level <= maxLevel; level += 1) {
+    const state = createState(graph, clues);
+    if (state && reason(graph, state, CLUE_DIFFICULTIES[level].lookahead) && isSolved(state)) {
+      return { difficulty: CLUE_DIFFICULTIES[level].id, level, coloring: toColoring(graph, state) };
+    }
+  }
+  return { difficulty: null, level: null, coloring: null };
+}
+
+// 生成线索：先随机得到一个完整填色，再按随机顺序逐个去掉线索，
+// 去掉后仍能在目标难度的推理范围内推出全部颜色才真正删除；评定难度低于目标时换个顺序重试。
+// 最后用解计数确认答案唯一（至多 verifySteps 步，确认不了时报错）。
+// 返回 { clues: Map<regionId, color>, solution: Map, difficulty }，difficulty 为实际评定的难度。
+export function generateClues(regions, adjacency, { colorCount, difficulty, rng, verifySteps = VERIFY_STEPS }) {
+  const targetLevel = getClueDifficultyIndex(difficulty);
+  const { lookahead } = CLUE_DIFFICULTIES[targetLevel];
+  const solution = createSolution(regions, adjacency, colorCount, rng);
+  const graph = createGraph(regions, adjacency, colorCount);
+  let best = null;
+  for (let attempt = 0; attempt < CLUE_ATTEMPTS; attempt += 1) {
+    const clues = new Map(solution);
+    shuffle(
+      regions.map((region) => region.id),
+      rng
+    ).forEach((id) => {
+      clues.delete(id);
+      const state = createState(graph, clues);
+      if (!state || !reason(graph, state, lookahead) || !isSolved(state)) clues.set(id, solution.get(id));
+    });
+    const { level } = gradeClues(regions, adjacency, colorCount, clues, { maxLevel: targetLevel });
+    if (!best || level > best.level || (level === best.level && clues.size < best.clues.size)) {
+      best = { clues, level };
+    }
+    if (level === targetLevel) break;
+  }
+  const { count, aborted } = countColorings(regions, adjacency, colorCount, {
+    fixed: best.clues,
+    limit: 2,
+    maxSteps: verifySteps
+  });
+  if (count !== 1 || aborted) throw new LocalizedError('clues.notUnique');
+  return { clues: best.clues, solution, difficulty: CLUE_DIFFICULTIES[best.level].id };
+}
+
+// 线索题的参考答案就是唯一解；解不唯一（如手工改过的题目文件）时取找到的第一个解并标记为非最优。
+export function computeClueReference(regions, adjacency, colorCount, targetIndex) {
+  const clues = new Map(regions.filter((region) => region.locked).map((region) => [region.id, region.color]));
+  const { count, coloring } = countColorings(regions, adjacency, colorCount, {
+    fixed: clues,
+    limit: 2,
+    maxSteps: VERIFY_STEPS
+  });
+  const targetCount = coloring ? Array.from(coloring.values()).filter((color) => color === targetIndex).length : 0;
+  return { count: targetCount, optimal: count === 1, lowerBound: count === 1 ? targetCount : 0, coloring };
+}
+
+// 随机得到一个完整填色：回溯偶尔会在某些区域顺序下陷入长时间搜索，因此限制步数并打乱顺序重试。
+function createSolution(regions, adjacency, colorCount, rng) {
+  for (let attempt = 0; attempt < SOLUTION_ATTEMPTS; attempt += 1) {
+    const { coloring } = countColorings(shuffle(regions, rng), adjacency, colorCount, {
+      limit: 1,
+      maxSteps: SOLUTION_STEPS
+    });
+    if (!coloring) continue;
+    const permutation = shuffle(
+      Array.from({ length: colorCount }, (_, color) => color),
+      rng
+    );
+    return new Map(regions.map((region) => [region.id, permutation[coloring.get(region.id)]]));
+  }
+  throw new LocalizedError('clues.noColoring', { count: colorCount });
+}
+
+function createGraph(regions, adjacency, colorCount) {
+  const ids = regions.map((region) => region.id);
+  const indexById = new Map(ids.map((id, index) => [id, index]));
+  const neighbors = ids.map((id) =>
+    Array.from(adjacency.get(id) ?? [])
+      .map((neighborId) => indexById.get(neighborId))
+      .filter((index) => index != null)
+  );
+  return { ids, indexById, neighbors, allColors: (1 << colorCount) - 1 };
+}
+
+// 每个区域的候选色用位掩码表示，只剩一种候选即视为已确定；线索互相冲突时返回 null。
+function createState(graph, clues) {
+  const candidates = new Uint8Array(graph.ids.length).fill(graph.allColors);
+  clues.forEach((color, id) => {
+    const index = graph.indexById.get(id);
+    if (index != null) candidates[index] = 1 << color;
+  });
+  const state = { candidates, settled: new Uint8Array(graph.ids.length) };
+  return propagate(graph, state) ? state : null;
+}
+
+// 已确定的颜色从邻居的候选中排除，新确定的区域在下一轮继续排除，最多推 maxRounds 轮；
+// 出现无色可填的区域时返回 false。
+function propagate(graph, state, maxRounds = Infinity) {
+  const { candidates, settled } = state;
+  const isSingle = (index) => !settled[index] && (candidates[index] & (candidates[index] - 1)) === 0;
+  let frontier = [];
+  for (let index = 0; index < candidates.length; index += 1) {
+    if (isSingle(index)) frontier.push(index);
+  }
+  for (let round = 0; frontier.length && round < maxRounds; round += 1) {
+    const next = [];
+    for (const index of frontier) {
+      if (settled[index]) continue;
+      settled[index] = 1;
+      const mask = candidates[index];
+      for (const other of graph.neighbors[index]) {
+        if (!(candidates[other] & mask)) continue;
+        candidates[other] &= ~mask;
+        if (candidates[other] === 0) return false;
+        if (isSingle(other)) next.push(other);
+      }
+    }
+    frontier = next;
+  }
+  return true;
+}
+
+// 试填推理：对每个未确定区域的每种候选色试填，若 lookahead 轮连锁推理内引出矛盾就排除该颜色。
+function reason(graph, state, lookahead) {
+  if (!propagate(graph, state)) return false;
+  let progress = lookahead > 0;
+  while (progress && !isSolved(state)) {
+    progress = false;
+    for (let index = 0; index < state.candidates.length; index += 1) {
+      if (state.settled[index]) continue;
+      for (let color = 0; 1 << color <= graph.allColors; color += 1) {
+        const bit = 1 << color;
+        if (!(state.candidates[index] & bit)) continue;
+        const trial = { candidates: state.candidates.slice(), settled: state.settled.slice() };
+        trial.candidates[index] = bit;
+        if (propagate(graph, trial, lookahead)) continue;
+        state.candidates[index] &= ~bit;
+        if (!propagate(graph, state)) return false;
+        progress = true;
+      }
+    }
+  }
+  return true;
+}
+
+function isSolved(state) {
+  return state.settled.every(Boolean);
+}
+
+function toColoring(graph, state) {
+  return new Map(graph.ids.map((id, index) => [id, Math.log2(state.candidates[index])]));
+}
+
+function shuffle(array, rng) {
+  const result = [...array];
+  for (let i = result.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(rng() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
@@ -0,0 +1,81 @@
+import { createDailyResult } from './daily.js';
+import { checkGame, getTargetCount } from './engine.js';
+import { CLUE_MODE_ID } from './gameModes.js';
+import { explainInfeasibility } from './hints.js';
+import { createScoreRecord } from './scoring.js';
+
+// 检查当前作答并给出要显示的文字，labelOf 把区域 id 转成界面上的名称。
+// failed 表示这次检查计入失败次数，solved 表示可以通关（text 为通关说明，得分另由 createCompletion 计算）。
+export function reviewGame(game, { t, labelOf }) {
+  const result = checkGame(game);
+  const review = (text, { failed = false, solved = false } = {}) => ({ result, text, failed, solved });
+
+  if (result.status === 'conflict') {
+    return review(t('check.conflict', { count: result.conflicts.length }), { failed: true });
+  }
+  if (result.status === 'incomplete') return review(t('check.incomplete'));
+  if (result.status === 'too-many-colors') {
+    return review(t('check.tooManyColors', { count: result.usedColorCount }), { failed: true });
+  }
+
+  if (game.mode === CLUE_MODE_ID) {
+    const clues = game.regions.filter((region) => region.locked).length;
+    return review(t('check.cluesSolved', { clues, count: game.regions.length - clues }), { solved: true });
+  }
+
+  if (game.mode === 'chromatic') {
+    const proof = result.obstruction
+      ? t('check.chromaticProof', { reason: explainInfeasibility(result.obstruction, { labelOf, t }) })
+      : '';
+    return review(t('check.chromaticSolved', { count: result.usedColorCount, proof }), { solved: true });
+  }
+
+  const { reference } = game;
+  const counts = { count: result.targetCount, best: reference.count, gap: result.targetGap };
+  let praise;
+  if (reference.optimal) {
+    praise = result.targetGap <= 0 ? t('check.optimal', counts) : t('check.aboveOptimal', counts);
+  } else if (result.targetGap < 0) {
+    praise = t('check.beatSolver', counts);
+  } else {
+    praise = result.targetGap === 0 ? t('check.matchedReference') : t('check.aboveReference', counts);
+  }
+  return review(t('check.solved', { countWord: t(`countWords.${game.colorCount}`), praise }), { solved: true });
+}
+
+// 通关时的得分记录；每日挑战题目另生成当前玩家的每日成绩，其他题目 dailyResult 为 null。
+// 两者都带上 gameId，同一局重复写入本地记录时只保留第一条。
+export function createCompletion({ gameId, game, source, profile, elapsedMs, attempt }) {
+  const targetCount = getTargetCount(game);
+  const record = createScoreRecord({
+    gameId,
+    profile,
+    code: source?.code ?? null,
+    mode: game.mode,
+    regionCount: game.regions.length,
+    elapsedMs,
+    attempt,
+    targetCount,
+    reference: { count: game.reference.count, optimal: game.reference.optimal }
+  });
+  const dailyResult = source?.dailyDate
+    ? createDailyResult({
+        gameId,
+        date: source.dailyDate,
+        profile,
+        code: source.code,
+        timeMs: elapsedMs,
+        moves: game.history.length,
+        targetCount,
+        attempt
+      })
+    : null;
+  return { record, dailyResult };
+}
+
+// 通关说明后接上得分与每日挑战是否计入排行榜。
+export function describeCompletion(text, { record, dailyResult }, t) {
+  const scoreNote = record.disqualified ? t('check.notScored') : t('check.scored', { score: record.score });
+  const dailyNote = dailyResult && !dailyResult.ranked ? t('check.dailyUnranked') : '';
+  return `${text}${scoreNote}${dailyNote}`;
+}
@@ -0,0 +1,110 @@
+import { DEFAULT_MODE_ID } from './gameModes.js';
+import { encodePuzzleCode } from './puzzleCode.js';
+import { hashString } from './random.js';
+
+export const DAILY_REGION_COUNT = 40;
+export const DAILY_TARGET_INDEX = 0;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 以本地日期为准：同一天里任何人得到的每日题都相同。
+export function getDateKey(date = new Date()) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+export function createDailySpec(dateKey) {
+  return {
+    seed: hashString(`daily:${dateKey}`),
+    regionCount: DAILY_REGION_COUNT,
+    targetIndex: DAILY_TARGET_INDEX,
+    mode: DEFAULT_MODE_ID,
+    daily: dateKey
+  };
+}
+
+export function getDailyPuzzleCode(dateKey) {
+  return encodePuzzleCode(createDailySpec(dateKey));
+}
+
+// 本局对应的每日挑战日期，不是每日题时为 null。只认按题目编号生成的地图：
+// 导入的题目文件可以随意填写 code，还可能带着已经填好的颜色，不能计入每日挑战。
+export function getDailyDate(spec, code, todayKey) {
+  if (spec.imported) return null;
+  return spec.daily ?? (code === getDailyPuzzleCode(todayKey) ? todayKey : null);
+}
+
+// 一次每日挑战的成绩；用过一键填色或查看过参考答案的作答只留作完成记录（ranked 为 false），
+// 不进排行榜、个人最佳与连续天数。
+export function createDailyResult({ gameId = null, date, profile, code, timeMs, moves, targetCount, attempt }) {
+  return {
+    gameId,
+    date,
+    profile,
+    code,
+    timeMs,
+    moves,
+    targetCount,
+    ranked: !attempt.usedAutoColor && !attempt.usedReference,
+    completedAt: Date.now()
+  };
+}
+
+// 早期版本的记录没有 ranked 字段，一律算作有效成绩。
+export function isRankedResult(entry) {
+  return entry.ranked !== false;
+}
+
+// 成绩比较：目标色越少越好，其次用时越短，再其次步数越少。
+export function compareDailyResults(a, b) {
+  return a.targetCount - b.targetCount || a.timeMs - b.timeMs || a.moves - b.moves;
+}
+
+export function getPersonalBest(results, profile) {
+  return (
+    results.filter((entry) => entry.profile === profile && isRankedResult(entry)).sort(compareDailyResults)[0] ?? null
+  );
+}
+
+// 当天每位玩家只保留最好的一次。
+export function buildLeaderboard(results, dateKey) {
+  const best = new Map();
+  results.forEach((entry) => {
+    if (entry.date !== dateKey || !isRankedResult(entry)) return;
+    const current = best.get(entry.profile);
+    if (!current || compareDailyResults(entry, current) < 0) best.set(entry.profile, entry);
+  });
+  return Array.from(best.values()).sort(compareDailyResults);
+}
+
+// current：截至今天（今天还没做则截至昨天）连续完成的天数；best：历史最长连续天数。
+export function computeStreaks(results, profile, todayKey) {
+  const days = Array.from(
+    new Set(
+      results
+        .filter((entry) => entry.profile === profile && isRankedResult(entry))
+        .map((entry) => dayNumber(entry.date))
+    )
+  ).sort((a, b) => a - b);
+  let best = 0;
+  let run = 0;
+  days.forEach((day, index) => {
+    run = index > 0 && day === days[index - 1] + 1 ? run + 1 : 1;
+    best = Math.max(best, run);
+  });
+  const today = dayNumber(todayKey);
+  const done = new Set(days);
+  let cursor = done.has(today) ? today : today - 1;
+  let current = 0;
+  while (done.has(cursor)) {
+    current += 1;
+    cursor -= 1;
+  }
+  return { current, best };
+}
+
+function dayNumber(dateKey) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return Math.round(Date.UTC(year, month - 1, day) / DAY_MS);
+}
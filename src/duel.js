@@ -0,0 +1,257 @@
+// 双人对战（图论中的地图着色博弈）：两人轮流给任意一个未填色区域涂上合法颜色，
+// 填满方先手，目标是把整张地图填满；阻断方的目标是让某个未填色区域的邻居占满所有颜色、再也无色可填。
+// 每一步只填一个区域且不能清除，因此已填色区域数的奇偶就决定轮到谁，撤销、重置后也不会乱。
+export const DUEL_PLAYERS = ['filler', 'blocker'];
+export const DUEL_LEVELS = [
+  { id: 'easy', depth: 1, timeLimit: 300 },
+  { id: 'normal', depth: 2, timeLimit: 1000 },
+  { id: 'hard', depth: 8, timeLimit: 3000 }
+];
+export const DEFAULT_DUEL_LEVEL = 'normal';
+
+const WIN_SCORE = 100000;
+// 搜索树内部节点只展开排序靠前的若干步，根节点展开全部着法。
+const MAX_BRANCHING = 10;
+
+export function getDuelLevel(id) {
+  return DUEL_LEVELS.find((level) => level.id === id) ?? DUEL_LEVELS[1];
+}
+
+export function getDuelTurn(game) {
+  const colored = game.regions.filter((region) => region.color != null).length;
+  return DUEL_PLAYERS[colored % 2];
+}
+
+// 未填色且邻居已用尽全部颜色的区域。
+export function findDeadRegions(regions, adjacency, colorCount) {
+  const colorById = new Map(regions.map((region) => [region.id, region.color]));
+  return regions
+    .filter((region) => {
+      if (region.color != null) return false;
+      const used = new Set();
+      adjacency.get(region.id)?.forEach((neighborId) => {
+        const color = colorById.get(neighborId);
+        if (color != null) used.add(color);
+      });
+      return used.size >= colorCount;
+    })
+    .map((region) => region.id);
+}
+
+// status：'playing' 对局中 → 'blocked' 出现无色可填的区域，阻断方胜 → 'filled' 地图填满，填满方胜。
+export function getDuelState(game) {
+  const deadRegions = findDeadRegions(game.regions, game.adjacency, game.colorCount);
+  const turn = getDuelTurn(game);
+  if (deadRegions.length) return { status: 'blocked', winner: 'blocker', turn, deadRegions };
+  if (game.regions.every((region) => region.color != null)) {
+    return { status: 'filled', winner: 'filler', turn, deadRegions };
+  }
+  return { status: 'playing', winner: null, turn, deadRegions };
+}
+
+// 本回合的落子检查，合法时返回 null，否则返回原因：
+// 'finished' 对局已结束 / 'unknown' 不存在的区域 / 'colored' 区域已填色 / 'conflict' 与相邻区域同色。
+export function getDuelMoveError(game, regionId, color) {
+  if (getDuelState(game).status !== 'playing') return 'finished';
+  const region = game.regions.find((item) => item.id === regionId);
+  if (!region) return 'unknown';
+  if (region.color != null) return 'colored';
+  const colorById = new Map(game.regions.map((item) => [item.id, item.color]));
+  for (const neighborId of game.adjacency.get(regionId) ?? []) {
+    if (colorById.get(neighborId) === color) return 'conflict';
+  }
+  return null;
+}
+
+// 界面上的一步：除 getDuelMoveError 的检查外，对战中不能清除颜色（'clear'），
+// 电脑执子的回合也不接受玩家落子（'computerTurn'）。computer 为电脑执的一方，null 表示两人轮流。
+export function getDuelPlayError(game, regionId, color, { computer = null, byComputer = false } = {}) {
+  if (color == null) return 'clear';
+  const error = getDuelMoveError(game, regionId, color);
+  if (error) return error;
+  return !byComputer && computer != null && getDuelTurn(game) === computer ? 'computerTurn' : null;
+}
+
+// 电脑对手：对 player 一方做带 α-β 剪枝的极大极小搜索，逐层加深直到 depth 或超出 timeLimit，
+// 采用最后一层完整搜完的结果；找到必胜或必败时提前结束。没有可走的棋时返回 null。
+// 返回 { regionId, color, score, depth }，score 以 player 的视角计，越大越有利。
+export function chooseDuelMove(
+  regions,
+  adjacency,
+  colorCount,
+  { player, depth = 2, timeLimit = 1000, rng = Math.random }
+) {
+  const search = createSearch(regions, adjacency, colorCount);
+  const rootMoves = shuffle(listMoves(search), rng);
+  if (!rootMoves.length) return null;
+  const deadline = Date.now() + timeLimit;
+  let best = null;
+  let nodes = 0;
+  let timedOut = false;
+
+  const negamax = (remaining, alpha, beta, side, ply) => {
+    nodes += 1;
+    if ((nodes & 255) === 0 && Date.now() > deadline) timedOut = true;
+    if (timedOut) return 0;
+    const moves = orderMoves(search, listMoves(search), side).slice(0, MAX_BRANCHING);
+    let value = -Infinity;
+    for (const move of moves) {
+      const score = scoreMove(move, remaining, alpha, beta, side, ply);
+      if (timedOut) return 0;
+      value = Math.max(value, score);
+      alpha = Math.max(alpha, score);
+      if (alpha >= beta) break;
+    }
+    return value;
+  };
+
+  // 走一步并以 side 的视角评分：走完即分出胜负时按步数折算，越快获胜分数越高。
+  const scoreMove = (move, remaining, alpha, beta, side, ply) => {
+    const outcome = play(search, move);
+    let score;
+    if (outcome) {
+      score = (outcome === side ? 1 : -1) * (WIN_SCORE - ply);
+    } else if (remaining <= 1) {
+      score = (side === 'filler' ? 1 : -1) * evaluate(search);
+    } else {
+      score = -negamax(remaining - 1, -beta, -alpha, opponentOf(side), ply + 1);
+    }
+    undo(search, move);
+    return score;
+  };
+
+  const rootOrder = orderMoves(search, rootMoves, player);
+  for (let limit = 1; limit <= depth; limit += 1) {
+    const ordered = best ? [best.move, ...rootOrder.filter((move) => move !== best.move)] : rootOrder;
+    let levelBest = null;
+    let alpha = -Infinity;
+    for (const move of ordered) {
+      const score = scoreMove(move, limit, alpha, Infinity, player, 1);
+      if (timedOut) break;
+      if (!levelBest || score > levelBest.score) levelBest = { move, score };
+      alpha = Math.max(alpha, score);
+    }
+    if (timedOut) break;
+    best = { ...levelBest, depth: limit };
+    if (Math.abs(best.score) > WIN_SCORE / 2) break;
+  }
+  // 第一层都没搜完时退回排序最靠前的着法。
+  if (!best) best = { move: rootOrder[0], score: 0, depth: 0 };
+  return { regionId: search.ids[best.move.index], color: best.move.color, score: best.score, depth: best.depth };
+}
+
+function opponentOf(player) {
+  return player === 'filler' ? 'blocker' : 'filler';
+}
+
+// 搜索用的紧凑盘面：neighborColors[i * colorCount + c] 为区域 i 的邻居中填了颜色 c 的个数，
+// colorUses[c] 为全图用到颜色 c 的次数，还没用过的颜色彼此等价，只需尝试其中一种。
+function createSearch(regions, adjacency, colorCount) {
+  const ids = regions.map((region) => region.id);
+  const indexById = new Map(ids.map((id, index) => [id, index]));
+  const neighbors = ids.map((id) =>
+    Array.from(adjacency.get(id) ?? [])
+      .map((neighborId) => indexById.get(neighborId))
+      .filter((index) => index != null)
+  );
+  const colors = new Int8Array(ids.length).fill(-1);
+  const neighborColors = new Uint16Array(ids.length * colorCount);
+  const colorUses = new Uint16Array(colorCount);
+  const search = { ids, neighbors, colorCount, colors, neighborColors, colorUses, uncolored: ids.length };
+  regions.forEach((region, index) => {
+    if (region.color != null) play(search, { index, color: region.color });
+  });
+  return search;
+}
+
+function listMoves(search) {
+  const { colors, colorCount, colorUses } = search;
+  const moves = [];
+  for (let index = 0; index < colors.length; index += 1) {
+    if (colors[index] >= 0) continue;
+    let triedUnused = false;
+    for (let color = 0; color < colorCount; color += 1) {
+      if (!isLegal(search, index, color)) continue;
+      if (!colorUses[color]) {
+        if (triedUnused) continue;
+        triedUnused = true;
+      }
+      moves.push({ index, color });
+    }
+  }
+  return moves;
+}
+
+function isLegal(search, index, color) {
+  return search.neighborColors[index * search.colorCount + color] === 0;
+}
+
+function countLegal(search, index) {
+  let count = 0;
+  for (let color = 0; color < search.colorCount; color += 1) {
+    if (isLegal(search, index, color)) count += 1;
+  }
+  return count;
+}
+
+// 着法排序：阻断方优先压缩邻居候选色，填满方优先填候选最少的区域、并尽量少挤占邻居。
+function orderMoves(search, moves, side) {
+  const keyed = moves.map((move) => {
+    let pressure = 0;
+    search.neighbors[move.index].forEach((other) => {
+      if (search.colors[other] < 0 && isLegal(search, other, move.color)) {
+        pressure += 1 << (search.colorCount - countLegal(search, other));
+      }
+    });
+    const urgency = search.colorCount - countLegal(search, move.index);
+    return { move, key: side === 'blocker' ? pressure : urgency * 64 - pressure };
+  });
+  keyed.sort((a, b) => b.key - a.key);
+  return keyed.map((item) => item.move);
+}
+
+// 落子并返回分出的胜负（'filler' | 'blocker'），未分胜负时返回 null。
+function play(search, { index, color }) {
+  const { colors, neighbors, colorCount, neighborColors, colorUses } = search;
+  colors[index] = color;
+  colorUses[color] += 1;
+  search.uncolored -= 1;
+  let dead = false;
+  neighbors[index].forEach((other) => {
+    neighborColors[other * colorCount + color] += 1;
+    if (colors[other] < 0 && countLegal(search, other) === 0) dead = true;
+  });
+  if (dead) return 'blocker';
+  return search.uncolored === 0 ? 'filler' : null;
+}
+
+function undo(search, { index, color }) {
+  const { colors, neighbors, colorCount, neighborColors, colorUses } = search;
+  colors[index] = -1;
+  colorUses[color] -= 1;
+  search.uncolored += 1;
+  neighbors[index].forEach((other) => {
+    neighborColors[other * colorCount + color] -= 1;
+  });
+}
+
+// 静态评估（填满方视角）：候选色越少、且还有未填色邻居能把它堵死的区域越危险。
+function evaluate(search) {
+  const { colors, neighbors, colorCount } = search;
+  let danger = 0;
+  for (let index = 0; index < colors.length; index += 1) {
+    if (colors[index] >= 0) continue;
+    if (!neighbors[index].some((other) => colors[other] < 0)) continue;
+    danger += (1 << (colorCount - countLegal(search, index))) - 1;
+  }
+  return -danger;
+}
+
+function shuffle(array, rng) {
+  const result = [...array];
+  for (let i = result.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(rng() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
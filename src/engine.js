@@ -0,0 +1,258 @@
+import { computeClueReference } from './clues.js';
+import { CLUE_MODE_ID, DEFAULT_MODE_ID } from './gameModes.js';
+import { LocalizedError } from './i18n.js';
+import { PALETTE_SIZE } from './palettes.js';
+import { computeReference, generatePuzzleFromSpec, MAP_HEIGHT, MAP_WIDTH } from './puzzleGenerator.js';
+import { parsePuzzleFile, serializePuzzle, upgradeHistoryEntry } from './puzzleFile.js';
+import { createRng } from './random.js';
+import { findColoringObstruction, findConflicts, solveColoring } from './solver.js';
+
+export const MAX_COLOR_COUNT = PALETTE_SIZE;
+export const REFERENCE_TIME_LIMIT = 4000;
+
+export class GameEngineError extends LocalizedError {
+  constructor(code, params) {
+    super(`engine.${code}`, params);
+    this.name = 'GameEngineError';
+  }
+}
+
+// 与界面无关的游戏引擎，浏览器（FourColorGame）与 Node 命令行（bin/fourcolor.js）共用。
+// 所有操作都是纯函数：接收 game 并返回新的 game，不修改传入的对象；没有变化时原样返回。
+//
+// game = {
+//   code, mode, colorCount, chromaticNumber, difficulty, width, height,
+//   regions: [{ id, name?, polygon, parts?, color: number | null, locked?: true }],
+//   adjacency: Map<id, Set<id>>, adjacencyMeta: Map<pairKey, 公共边长度>,
+//   targetIndex, reference: { count, optimal, lowerBound, coloring: Map | null },
+//   history: [{ action, changes: [{ regionId, prevColor, nextColor }] }], redoStack: [...]
+// }
+// 撤销记录以事务为单位：一次落子、推荐填色、重置或批量填色都是一项，撤销/重做整体生效。
+// action 标明事务来源（'color' | 'clear' | 'hint' | 'brush' | 'smart' | 'auto' | 'reference' | 'reset' | 'fill'），仅供界面描述。
+// locked 的区域是推理填色题目给出的线索：单独修改会抛出 GameEngineError，批量填色与重置时保持原样。
+
+// spec 与题目编号一一对应：{ seed, regionCount, mode?, targetIndex? }。
+export function createPuzzle(spec, { referenceTimeLimit = REFERENCE_TIME_LIMIT, onProgress } = {}) {
+  return createGame(generatePuzzleFromSpec(spec, { referenceTimeLimit, onProgress }));
+}
+
+// puzzle 可以是生成结果或 parsePuzzleFile 的解析结果；
+// restore 为本地存档（{ colors, history, redoStack }），用于恢复作答进度。
+export function createGame(puzzle, { reference = puzzle.reference, restore = null } = {}) {
+  const colorCount = puzzle.colorCount ?? MAX_COLOR_COUNT;
+  return {
+    code: puzzle.code ?? null,
+    mode: puzzle.mode ?? DEFAULT_MODE_ID,
+    colorCount,
+    chromaticNumber: puzzle.chromaticNumber ?? null,
+    difficulty: puzzle.difficulty ?? null,
+    width: puzzle.width ?? MAP_WIDTH,
+    height: puzzle.height ?? MAP_HEIGHT,
+    regions: restore ? restoreColors(puzzle.regions, restore.colors, colorCount) : puzzle.regions,
+    adjacency: puzzle.adjacency,
+    adjacencyMeta: puzzle.adjacencyMeta ?? new Map(),
+    targetIndex: puzzle.targetIndex ?? 0,
+    reference: reference ?? {
+      count: puzzle.referenceCount ?? 0,
+      optimal: false,
+      lowerBound: 0,
+      coloring: null
+    },
+    history: toHistory(restore ? restore.history : puzzle.history),
+    redoStack: toHistory(restore ? restore.redoStack : puzzle.redoStack)
+  };
+}
+
+export const EMPTY_GAME = createGame({ regions: [], adjacency: new Map() });
+
+export function parseGame(input) {
+  return createGame(parsePuzzleFile(input, { colorCount: MAX_COLOR_COUNT }));
+}
+
+export function serializeGame(game, { includeHistory = false } = {}) {
+  return serializePuzzle({ ...game, referenceCount: game.reference.count }, { includeHistory });
+}
+
+// 给题目计算参考答案（目标色最少的合法填色），导入的题目文件只带次数、不带方案；推理填色的参考答案即唯一解。
+export function computeGameReference(game, { seed = 0, timeLimit = REFERENCE_TIME_LIMIT, onProgress } = {}) {
+  if (game.mode === CLUE_MODE_ID) {
+    return { ...game, reference: computeClueReference(game.regions, game.adjacency, game.colorCount, game.targetIndex) };
+  }
+  const reference = computeReference(game.regions, game.adjacency, game.targetIndex, createRng(seed), {
+    colorCount: game.chromaticNumber ?? game.colorCount,
+    timeLimit,
+    onProgress
+  });
+  return { ...game, reference };
+}
+
+// color 为 null 表示清除颜色。
+export function applyMove(game, regionId, color, { action } = {}) {
+  const region = game.regions.find((item) => item.id === regionId);
+  if (!region) throw new GameEngineError('unknownRegion', { id: regionId });
+  assertUnlocked(region);
+  const nextColor = color ?? null;
+  assertColor(game, nextColor);
+  if (region.color === nextColor) return game;
+  const change = { regionId, prevColor: region.color, nextColor };
+  return commitTransaction(game, action ?? (nextColor === null ? 'clear' : 'color'), [change]);
+}
+
+// 重放一项已记录的事务（如录像中的落子），prevColor 以当前盘面为准；区域或颜色不合法时抛出 GameEngineError。
+export function applyTransaction(game, { action, changes }) {
+  const regionById = new Map(game.regions.map((region) => [region.id, region]));
+  const applied = changes.map(({ regionId, nextColor = null }) => {
+    const region = regionById.get(regionId);
+    if (!region) throw new GameEngineError('unknownRegion', { id: regionId });
+    assertUnlocked(region);
+    assertColor(game, nextColor);
+    return { regionId, prevColor: region.color, nextColor };
+  });
+  return commitTransaction(game, action, applied);
+}
+
+// 一次改动多个区域（画笔笔画等），colors 为 regionId → color；未列出的区域与锁定的线索保持不变，记为一项事务。
+export function applyColors(game, colors, { action = 'fill' } = {}) {
+  const changes = [];
+  game.regions.forEach((region) => {
+    if (!colors.has(region.id) || region.locked) return;
+    const nextColor = colors.get(region.id) ?? null;
+    assertColor(game, nextColor);
+    if (region.color !== nextColor) changes.push({ regionId: region.id, prevColor: region.color, nextColor });
+  });
+  return commitTransaction(game, action, changes);
+}
+
+// 整体替换填色（推荐填色、参考答案等），coloring 中缺少的区域视为清除；记为一项事务。
+export function fillColoring(game, coloring, { action = 'fill' } = {}) {
+  const colors = new Map(game.regions.map((region) => [region.id, coloring.get(region.id) ?? null]));
+  return applyColors(game, colors, { action });
+}
+
+export function resetGame(game) {
+  return fillColoring(game, new Map(), { action: 'reset' });
+}
+
+export function undoMove(game) {
+  if (!game.history.length) return game;
+  const last = game.history[game.history.length - 1];
+  const colors = new Map(last.changes.map((change) => [change.regionId, change.prevColor]));
+  return {
+    ...setRegionColors(game, colors),
+    history: game.history.slice(0, -1),
+    redoStack: [last, ...game.redoStack]
+  };
+}
+
+export function redoMove(game) {
+  if (!game.redoStack.length) return game;
+  const [first, ...rest] = game.redoStack;
+  const colors = new Map(first.changes.map((change) => [change.regionId, change.nextColor]));
+  return {
+    ...setRegionColors(game, colors),
+    history: [...game.history, first],
+    redoStack: rest
+  };
+}
+
+// 时间线定位：position 为已生效的事务数（0 为初始盘面，最大为撤销与重做记录之和）。
+export function seekHistory(game, position) {
+  const target = Math.max(0, Math.min(position, game.history.length + game.redoStack.length));
+  let next = game;
+  while (next.history.length > target) next = undoMove(next);
+  while (next.history.length < target) next = redoMove(next);
+  return next;
+}
+
+// 不与已填色邻居冲突的颜色，从小到大排列；overrides 可临时覆盖部分区域的颜色（如进行中的笔画）。
+export function getLegalColors(game, regionId, overrides = new Map()) {
+  const colorOf = (id) => (overrides.has(id) ? overrides.get(id) : game.regions.find((region) => region.id === id)?.color);
+  const used = new Set();
+  game.adjacency.get(regionId)?.forEach((neighborId) => {
+    const color = colorOf(neighborId);
+    if (color != null) used.add(color);
+  });
+  const legal = [];
+  for (let color = 0; color < game.colorCount; color += 1) {
+    if (!used.has(color)) legal.push(color);
+  }
+  return legal;
+}
+
+export function getTargetCount(game) {
+  return game.regions.filter((region) => region.color === game.targetIndex).length;
+}
+
+export function getUsedColorCount(game) {
+  return new Set(game.regions.filter((region) => region.color != null).map((region) => region.color)).size;
+}
+
+// 判定当前作答，status 依次检查：
+// 'conflict' 相邻同色 → 'incomplete' 未填满 → 'too-many-colors' 色数挑战用色多于色数 → 'solved'。
+// 色数挑战通关时附带 obstruction（少一种颜色为何不可行），经典玩法附带 targetGap（与参考方案的差距）。
+export function checkGame(game) {
+  const conflicts = findConflicts(game.regions, game.adjacency);
+  const filled = game.regions.filter((region) => region.color != null).length;
+  const result = {
+    conflicts,
+    filled,
+    total: game.regions.length,
+    usedColorCount: getUsedColorCount(game),
+    targetCount: getTargetCount(game)
+  };
+  if (conflicts.length) return { ...result, status: 'conflict' };
+  if (filled < game.regions.length) return { ...result, status: 'incomplete' };
+  if (game.mode === 'chromatic' && game.chromaticNumber != null) {
+    if (result.usedColorCount > game.chromaticNumber) return { ...result, status: 'too-many-colors' };
+    const obstruction =
+      game.chromaticNumber > 1 ? findColoringObstruction(game.regions, game.adjacency, game.chromaticNumber - 1) : null;
+    return { ...result, status: 'solved', obstruction };
+  }
+  return { ...result, status: 'solved', targetGap: result.targetCount - game.reference.count };
+}
+
+// 在 colorCount 种颜色内补全填色，参数同 solveColoring。
+export function solveGame(game, options) {
+  return solveColoring(game.regions, game.adjacency, game.colorCount, options);
+}
+
+function assertColor(game, color) {
+  if (color === null || (Number.isInteger(color) && color >= 0 && color < game.colorCount)) return;
+  throw new GameEngineError('colorOutOfRange', { color, max: game.colorCount - 1 });
+}
+
+function assertUnlocked(region) {
+  if (region.locked) throw new GameEngineError('lockedRegion', { id: region.id });
+}
+
+function commitTransaction(game, action, changes) {
+  if (!changes.length) return game;
+  const colors = new Map(changes.map((change) => [change.regionId, change.nextColor]));
+  return {
+    ...setRegionColors(game, colors),
+    history: [...game.history, { action, changes }],
+    redoStack: []
+  };
+}
+
+function setRegionColors(game, colors) {
+  return {
+    ...game,
+    regions: game.regions.map((region) =>
+      colors.has(region.id) ? { ...region, color: colors.get(region.id) } : region
+    )
+  };
+}
+
+function restoreColors(regions, colors, colorCount) {
+  if (!colors) return regions;
+  return regions.map((region) => {
+    if (region.locked) return region;
+    const color = colors[region.id];
+    return Number.isInteger(color) && color >= 0 && color < colorCount ? { ...region, color } : region;
+  });
+}
+
+function toHistory(value) {
+  return Array.isArray(value) ? value.map(upgradeHistoryEntry) : [];
+}
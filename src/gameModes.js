@@ -0,0 +1,52 @@
+// 玩法模式（名称与说明在语言目录的 modes.<id> 下）：colorCount 为色板可用的颜色数；
+// chromaticNumber 为生成器保证的地图色数（null 表示不限定，“求色数”模式每局随机抽取）；
+// maxRegionCount 为该模式可生成的最大区域数（省略时为 MAX_REGION_COUNT）：直线划分的双色地图
+// 与线索谜题的唯一解计数都随区域数急剧变慢，只开放到较小的规模。
+export const GAME_MODES = [
+  {
+    id: 'classic',
+    colorCount: 4,
+    chromaticNumber: null
+  },
+  {
+    id: 'three',
+    colorCount: 3,
+    chromaticNumber: 3
+  },
+  {
+    id: 'two',
+    colorCount: 2,
+    chromaticNumber: 2,
+    maxRegionCount: 200
+  },
+  {
+    id: 'chromatic',
+    colorCount: 4,
+    chromaticNumber: null,
+    maxRegionCount: 200
+  },
+  {
+    id: 'clues',
+    colorCount: 4,
+    chromaticNumber: null,
+    maxRegionCount: 1000
+  },
+  {
+    id: 'duel',
+    colorCount: 4,
+    chromaticNumber: null
+  }
+];
+
+export const DEFAULT_MODE_ID = 'classic';
+export const CLUE_MODE_ID = 'clues';
+export const DUEL_MODE_ID = 'duel';
+export const CHROMATIC_CHOICES = [2, 3, 4];
+
+export function getGameMode(id) {
+  return GAME_MODES.find((mode) => mode.id === id) ?? GAME_MODES[0];
+}
+
+export function getModeIndex(id) {
+  return Math.max(0, GAME_MODES.findIndex((mode) => mode.id === id));
+}
@@ -0,0 +1,95 @@
+import { EMPTY_GAME, redoMove, resetGame, seekHistory, serializeGame, undoMove } from './engine.js';
+import { randomSeed } from './random.js';
+import { appendEvent, createRecording } from './recording.js';
+
+export const EMPTY_ATTEMPT = {
+  undoCount: 0,
+  failedChecks: 0,
+  hintsUsed: 0,
+  usedAutoColor: false,
+  usedReference: false
+};
+
+// 一局游戏的作答状态，在引擎的 game 之外记录作答统计、通关状态、当前提示与录像：
+// session = { gameId, game, attempt, isSolved, hint, recorded, recording }
+// gameId 标识这一局，随存档保存，同一局的成绩在本地记录中只保留一条。
+// isSolved 是盘面当前是否处于通关状态，任何改动都会清除；recorded 表示本局已经记录过通关成绩，
+// 只有重新开局才清除，撤销后再次通关不会重复计分。
+// 与引擎一样都是纯函数：接收 session 并返回新的 session，没有变化时原样返回，便于作为 React 的函数式更新使用。
+export const EMPTY_SESSION = {
+  gameId: null,
+  game: EMPTY_GAME,
+  attempt: EMPTY_ATTEMPT,
+  isSolved: false,
+  hint: null,
+  recorded: false,
+  recording: null
+};
+
+// gameId、attempt 与 recorded 来自本地存档，恢复进度时接着累计作答统计，已计分的对局也不会再次计分。
+export function createSession(game, { gameId = null, attempt = null, recorded = false } = {}) {
+  return {
+    gameId: gameId ?? createGameId(),
+    game,
+    attempt: attempt ? { ...EMPTY_ATTEMPT, ...attempt } : EMPTY_ATTEMPT,
+    isSolved: false,
+    hint: null,
+    recorded: Boolean(recorded),
+    recording: createRecording(serializeGame(game, { includeHistory: true }))
+  };
+}
+
+export function recordSessionEvent(session, event) {
+  if (!session.recording) return session;
+  return { ...session, recording: appendEvent(session.recording, event) };
+}
+
+// 用 update(game) 更新盘面并记入录像；event 省略时记为刚提交的撤销事务（落子、批量填色等）。
+// 盘面有变化时清除通关状态与当前提示。
+export function updateSessionGame(session, update, event) {
+  const next = update(session.game);
+  if (next === session.game) return session;
+  const updated = { ...session, game: next, isSolved: false, hint: null };
+  return recordSessionEvent(updated, event ?? { type: 'move', ...next.history[next.history.length - 1] });
+}
+
+export function updateSessionAttempt(session, key, value) {
+  const { attempt } = session;
+  return { ...session, attempt: { ...attempt, [key]: typeof value === 'function' ? value(attempt[key]) : value } };
+}
+
+// withPreviousMove 用于对战电脑：上一步是电脑走的，连同玩家自己的上一步一起撤回，回到玩家的回合。
+export function undoSession(session, { withPreviousMove = false } = {}) {
+  const { history } = session.game;
+  if (!history.length) return session;
+  const counted = updateSessionAttempt(session, 'undoCount', (count) => count + 1);
+  if (withPreviousMove && history.length > 1) {
+    const position = history.length - 2;
+    return updateSessionGame(counted, (game) => seekHistory(game, position), { type: 'seek', position });
+  }
+  return updateSessionGame(counted, undoMove, { type: 'undo' });
+}
+
+export function redoSession(session) {
+  if (!session.game.redoStack.length) return session;
+  return updateSessionGame(session, redoMove, { type: 'redo' });
+}
+
+// 拖动时间线：往回拖过的每一步都计入撤销次数。
+export function seekSession(session, position) {
+  const stepsBack = session.game.history.length - position;
+  const counted = stepsBack > 0 ? updateSessionAttempt(session, 'undoCount', (count) => count + stepsBack) : session;
+  return updateSessionGame(counted, (game) => seekHistory(game, position), { type: 'seek', position });
+}
+
+export function resetSession(session) {
+  return updateSessionGame(session, resetGame);
+}
+
+export function solveSession(session) {
+  return session.isSolved && session.recorded ? session : { ...session, isSolved: true, recorded: true };
+}
+
+function createGameId() {
+  return `${Date.now().toString(36)}-${randomSeed().toString(36)}`;
+}
@@ -0,0 +1,274 @@
+import { geoAlbersUsa, geoArea, geoCentroid, geoConicConformal, geoEqualEarth, geoMercator, geoPath } from 'd3-geo';
+import { feature } from 'topojson-client';
+import { topology } from 'topojson-server';
+import { pairKey } from './adjacency.js';
+import { polygonArea } from './geometry.js';
+import { LocalizedError } from './i18n.js';
+
+const MIN_POINT_SPACING = 0.3;
+const MIN_RING_AREA = 0.5;
+const MIN_SHARED_LENGTH = 0.5;
+const MAP_PADDING = 12;
+const GEOMETRY_TYPES = { Polygon: true, MultiPolygon: true, GeometryCollection: true };
+const NAME_KEYS = ['name', 'NAME', 'name_zh', 'NAME_ZH', 'NAME_EN', 'name_en', 'admin', 'ADMIN', 'NAME_1'];
+
+const EUROPE_COUNTRIES = new Set([
+  'Albania', 'Austria', 'Belarus', 'Belgium', 'Bosnia and Herz.', 'Bulgaria', 'Croatia', 'Czechia',
+  'Denmark', 'Estonia', 'Finland', 'France', 'Germany', 'Greece', 'Hungary', 'Ireland', 'Italy',
+  'Kosovo', 'Latvia', 'Lithuania', 'Luxembourg', 'Macedonia', 'Moldova', 'Montenegro', 'Netherlands',
+  'Norway', 'Poland', 'Portugal', 'Romania', 'Serbia', 'Slovakia', 'Slovenia', 'Spain', 'Sweden',
+  'Switzerland', 'Ukraine', 'United Kingdom'
+]);
+
+// 名称在语言目录的 geoMaps.<id> 下。
+export const BUNDLED_GEO_MAPS = [
+  {
+    id: 'us-states',
+    object: 'states',
+    projection: () => geoAlbersUsa(),
+    load: () => import('us-atlas/states-10m.json')
+  },
+  {
+    id: 'europe-countries',
+    object: 'countries',
+    projection: () => geoConicConformal().rotate([-15, 0]).parallels([40, 65]),
+    filter: (properties) => EUROPE_COUNTRIES.has(properties?.name),
+    // 法属圭亚那、斯瓦尔巴、加那利群岛等海外部分不在范围内，否则欧洲本土会被挤成一条。
+    bounds: [
+      [-25, 34],
+      [45, 72]
+    ],
+    load: () => import('world-atlas/countries-110m.json')
+  },
+  {
+    id: 'world-countries',
+    object: 'countries',
+    projection: () => geoEqualEarth(),
+    load: () => import('world-atlas/countries-110m.json')
+  }
+];
+
+export class GeoMapError extends LocalizedError {
+  constructor(code, params) {
+    super(`geoMap.${code}`, params);
+    this.name = 'GeoMapError';
+  }
+}
+
+export async function loadBundledGeoMap(id, size) {
+  const source = BUNDLED_GEO_MAPS.find((entry) => entry.id === id);
+  if (!source) throw new GeoMapError('unknownMap', { id });
+  const module = await source.load();
+  return buildGeoMap(module.default ?? module, {
+    ...size,
+    objectName: source.object,
+    projection: source.projection(),
+    filter: source.filter,
+    bounds: source.bounds
+  });
+}
+
+// 接受 TopoJSON 拓扑或 GeoJSON（FeatureCollection / Feature / Geometry），
+// 投影进 width×height 画布，并按共享边界弧段计算相邻关系。
+// bounds 为 [[西经, 南纬], [东经, 北纬]]，给出时中心落在范围外的多边形（如海外领地）在投影和相邻判定前就被丢弃。
+export function buildGeoMap(data, { width, height, objectName, projection = geoMercator(), filter, bounds }) {
+  const topo = toTopology(data);
+  const object = pickObject(topo, objectName);
+  const geometries = object.geometries
+    .filter(
+      (geometry) =>
+        (geometry.type === 'Polygon' || geometry.type === 'MultiPolygon') &&
+        (!filter || filter(geometry.properties ?? {}))
+    )
+    .map((geometry) => (bounds ? clipGeometryToBounds(topo, geometry, bounds) : geometry))
+    .filter(Boolean);
+  if (!geometries.length) throw new GeoMapError('noPolygons');
+
+  const collection = { type: 'FeatureCollection', features: geometries.map((g) => feature(topo, g)) };
+  projection.fitExtent(
+    [
+      [MAP_PADDING, MAP_PADDING],
+      [width - MAP_PADDING, height - MAP_PADDING]
+    ],
+    collection
+  );
+  if (projection.clipExtent) projection.clipExtent([[0, 0], [width, height]]);
+  const path = geoPath(projection);
+
+  const regions = [];
+  const regionIndexByGeometry = new Map();
+  geometries.forEach((geometry, geometryIndex) => {
+    const parts = projectRings(path, collection.features[geometryIndex]);
+    if (!parts.length) return;
+    const outline = parts.reduce((best, ring) =>
+      Math.abs(polygonArea(ring)) > Math.abs(polygonArea(best)) ? ring : best
+    );
+    regionIndexByGeometry.set(geometryIndex, regions.length);
+    regions.push({
+      id: `region-${regions.length}`,
+      name: readName(geometry),
+      polygon: outline,
+      parts: parts.length > 1 ? parts : undefined,
+      color: null
+    });
+  });
+  if (!regions.length) throw new GeoMapError('nothingVisible');
+
+  const { adjacency, adjacencyMeta } = buildAdjacencyFromArcs(topo, geometries, regionIndexByGeometry, regions, path);
+  return { width, height, regions, adjacency, adjacencyMeta };
+}
+
+function toTopology(data) {
+  if (!data || typeof data !== 'object') throw new GeoMapError('notGeoData');
+  if (data.type === 'Topology') return data;
+  if (data.type === 'FeatureCollection' || data.type === 'Feature' || data.type in GEOMETRY_TYPES) {
+    return topology({ regions: rewindGeoJson(data) }, 1e6);
+  }
+  throw new GeoMapError('unknownType', { type: String(data.type) });
+}
+
+// d3-geo 按球面顺时针理解外环，而 RFC 7946 的 GeoJSON 外环是逆时针；
+// 面积超过半球的多边形说明方向相反，需要翻转。
+function rewindGeoJson(data) {
+  if (data.type === 'FeatureCollection') {
+    return { ...data, features: data.features.map(rewindGeoJson) };
+  }
+  if (data.type === 'Feature') {
+    return { ...data, geometry: data.geometry && rewindGeoJson(data.geometry) };
+  }
+  if (data.type === 'GeometryCollection') {
+    return { ...data, geometries: data.geometries.map(rewindGeoJson) };
+  }
+  if (data.type === 'Polygon') {
+    return { ...data, coordinates: rewindPolygon(data.coordinates) };
+  }
+  if (data.type === 'MultiPolygon') {
+    return { ...data, coordinates: data.coordinates.map(rewindPolygon) };
+  }
+  return data;
+}
+
+function rewindPolygon(rings) {
+  if (geoArea({ type: 'Polygon', coordinates: rings }) <= 2 * Math.PI) return rings;
+  return rings.map((ring) => [...ring].reverse());
+}
+
+function clipGeometryToBounds(topo, geometry, [[west, south], [east, north]]) {
+  const polygons = geometry.type === 'Polygon' ? [geometry.arcs] : geometry.arcs;
+  const kept = polygons.filter((arcs) => {
+    const [lon, lat] = geoCentroid(feature(topo, { type: 'Polygon', arcs }));
+    return lon >= west && lon <= east && lat >= south && lat <= north;
+  });
+  if (!kept.length) return null;
+  if (kept.length === polygons.length) return geometry;
+  return kept.length === 1
+    ? { ...geometry, type: 'Polygon', arcs: kept[0] }
+    : { ...geometry, type: 'MultiPolygon', arcs: kept };
+}
+
+function pickObject(topo, objectName) {
+  const objects = topo.objects ?? {};
+  if (objectName && objects[objectName]) return asCollection(objects[objectName]);
+  const candidates = Object.values(objects)
+    .map(asCollection)
+    .filter((object) => object.geometries.some((g) => g.type === 'Polygon' || g.type === 'MultiPolygon'));
+  if (!candidates.length) throw new GeoMapError('noPolygonObject');
+  return candidates.reduce((best, object) => (object.geometries.length > best.geometries.length ? object : best));
+}
+
+function asCollection(object) {
+  return object.type === 'GeometryCollection' ? object : { type: 'GeometryCollection', geometries: [object] };
+}
+
+// 没有名称的区域返回 null，界面按当前语言显示为“区域 n”。
+function readName(geometry) {
+  const properties = geometry.properties ?? {};
+  const key = NAME_KEYS.find((name) => typeof properties[name] === 'string' && properties[name]);
+  if (key) return properties[key];
+  return geometry.id != null ? String(geometry.id) : null;
+}
+
+function projectRings(path, geoFeature) {
+  const rings = [];
+  let ring = null;
+  const pushPoint = (x, y) => {
+    const point = { x: Math.round(x * 10) / 10, y: Math.round(y * 10) / 10 };
+    const last = ring[ring.length - 1];
+    if (last && Math.hypot(last.x - point.x, last.y - point.y) < MIN_POINT_SPACING) return;
+    ring.push(point);
+  };
+  const finishRing = () => {
+    if (ring && ring.length >= 3 && Math.abs(polygonArea(ring)) >= MIN_RING_AREA) rings.push(ring);
+    ring = null;
+  };
+  path.context({
+    moveTo(x, y) {
+      finishRing();
+      ring = [];
+      pushPoint(x, y);
+    },
+    lineTo(x, y) {
+      pushPoint(x, y);
+    },
+    closePath() {
+      finishRing();
+    },
+    arc() {}
+  })(geoFeature);
+  finishRing();
+  path.context(null);
+  return rings;
+}
+
+function collectArcs(geometry) {
+  const arcs = [];
+  const walk = (value) => {
+    if (typeof value === 'number') {
+      arcs.push(value < 0 ? ~value : value);
+    } else if (Array.isArray(value)) {
+      value.forEach(walk);
+    }
+  };
+  walk(geometry.arcs);
+  return arcs;
+}
+
+function buildAdjacencyFromArcs(topo, geometries, regionIndexByGeometry, regions, path) {
+  const adjacency = new Map(regions.map((region) => [region.id, new Set()]));
+  const adjacencyMeta = new Map();
+  const owners = new Map();
+
+  geometries.forEach((geometry, geometryIndex) => {
+    const regionIndex = regionIndexByGeometry.get(geometryIndex);
+    if (regionIndex == null) return;
+    collectArcs(geometry).forEach((arc) => {
+      if (!owners.has(arc)) owners.set(arc, new Set());
+      owners.get(arc).add(regionIndex);
+    });
+  });
+
+  owners.forEach((regionIndexes, arc) => {
+    if (regionIndexes.size < 2) return;
+    const length = path.measure(feature(topo, { type: 'LineString', arcs: [arc] }));
+    if (!(length > 0)) return;
+    const list = Array.from(regionIndexes);
+    for (let i = 0; i < list.length; i += 1) {
+      for (let j = i + 1; j < list.length; j += 1) {
+        const key = pairKey(regions[list[i]].id, regions[list[j]].id);
+        adjacencyMeta.set(key, (adjacencyMeta.get(key) ?? 0) + length);
+      }
+    }
+  });
+
+  adjacencyMeta.forEach((length, key) => {
+    if (length < MIN_SHARED_LENGTH) {
+      adjacencyMeta.delete(key);
+      return;
+    }
+    const [a, b] = key.split('|');
+    adjacency.get(a).add(b);
+    adjacency.get(b).add(a);
+  });
+
+  return { adjacency, adjacencyMeta };
+}
@@ -0,0 +1,169 @@
+export function polygonArea(polygon) {
+  let area = 0;
+  for (let i = 0; i < polygon.length; i += 1) {
+    const a = polygon[i];
+    const b = polygon[(i + 1) % polygon.length];
+    area += a.x * b.y - b.x * a.y;
+  }
+  return area / 2;
+}
+
+export function polygonCentroid(polygon) {
+  const area = polygonArea(polygon);
+  if (Math.abs(area) < 1e-9) {
+    const sum = polygon.reduce((acc, p) => ({ x: acc.x + p.x, y: acc.y + p.y }), { x: 0, y: 0 });
+    return { x: sum.x / polygon.length, y: sum.y / polygon.length };
+  }
+  let cx = 0;
+  let cy = 0;
+  for (let i = 0; i < polygon.length; i += 1) {
+    const a = polygon[i];
+    const b = polygon[(i + 1) % polygon.length];
+    const cross = a.x * b.y - b.x * a.y;
+    cx += (a.x + b.x) * cross;
+    cy += (a.y + b.y) * cross;
+  }
+  return { x: cx / (6 * area), y: cy / (6 * area) };
+}
+
+export function regionPathData(region) {
+  const rings = region.parts ?? [region.polygon];
+  return rings
+    .map((ring) => `M${ring.map((p) => `${p.x},${p.y}`).join('L')}Z`)
+    .join('');
+}
+
+// 区域的外接矩形，多块区域取全部部分的并集。
+export function regionBounds(region) {
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  (region.parts ?? [region.polygon]).forEach((ring) =>
+    ring.forEach((p) => {
+      minX = Math.min(minX, p.x);
+      minY = Math.min(minY, p.y);
+      maxX = Math.max(maxX, p.x);
+      maxY = Math.max(maxY, p.y);
+    })
+  );
+  return { minX, minY, maxX, maxY };
+}
+
+// 按奇偶规则判断点是否落在区域内，与 SVG 的 evenodd 填充一致，多块区域与带洞区域同样适用。
+export function regionContainsPoint(region, x, y) {
+  let inside = false;
+  (region.parts ?? [region.polygon]).forEach((ring) => {
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i, i += 1) {
+      const a = ring[i];
+      const b = ring[j];
+      if (a.y > y !== b.y > y && x < ((b.x - a.x) * (y - a.y)) / (b.y - a.y) + a.x) inside = !inside;
+    }
+  });
+  return inside;
+}
+
+// 标签位置：区域内部离边界最远的点（polylabel 网格细分），比重心更适合细长或凹形区域。
+// 多块区域取面积最大的一块；返回 { x, y, distance }，distance 为该点到边界的距离。
+export function findLabelPoint(region, precision = 1) {
+  const rings = region.parts ?? [region.polygon];
+  const polygon = rings.reduce((best, ring) =>
+    Math.abs(polygonArea(ring)) > Math.abs(polygonArea(best)) ? ring : best
+  );
+  const xs = polygon.map((p) => p.x);
+  const ys = polygon.map((p) => p.y);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  const width = Math.max(...xs) - minX;
+  const height = Math.max(...ys) - minY;
+  const cellSize = Math.min(width, height);
+  const centroid = polygonCentroid(polygon);
+  if (cellSize <= 0) return { ...centroid, distance: 0 };
+
+  const makeCell = (x, y, half) => {
+    const distance = signedDistance(x, y, polygon);
+    return { x, y, half, distance, max: distance + half * Math.SQRT2 };
+  };
+  const cells = [];
+  const half = cellSize / 2;
+  for (let x = minX; x < minX + width; x += cellSize) {
+    for (let y = minY; y < minY + height; y += cellSize) {
+      cells.push(makeCell(x + half, y + half, half));
+    }
+  }
+  let best = makeCell(centroid.x, centroid.y, 0);
+  const center = makeCell(minX + width / 2, minY + height / 2, 0);
+  if (center.distance > best.distance) best = center;
+
+  while (cells.length) {
+    let index = 0;
+    for (let i = 1; i < cells.length; i += 1) {
+      if (cells[i].max > cells[index].max) index = i;
+    }
+    const [cell] = cells.splice(index, 1);
+    if (cell.distance > best.distance) best = cell;
+    if (cell.max - best.distance <= precision) continue;
+    const quarter = cell.half / 2;
+    cells.push(
+      makeCell(cell.x - quarter, cell.y - quarter, quarter),
+      makeCell(cell.x + quarter, cell.y - quarter, quarter),
+      makeCell(cell.x - quarter, cell.y + quarter, quarter),
+      makeCell(cell.x + quarter, cell.y + quarter, quarter)
+    );
+  }
+  return { x: best.x, y: best.y, distance: Math.max(best.distance, 0) };
+}
+
+// 点到多边形边界的距离，点在多边形外时为负。
+function signedDistance(x, y, polygon) {
+  let inside = false;
+  let minDistSq = Infinity;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i, i += 1) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if (a.y > y !== b.y > y && x < ((b.x - a.x) * (y - a.y)) / (b.y - a.y) + a.x) inside = !inside;
+    minDistSq = Math.min(minDistSq, segmentDistanceSq(x, y, a, b));
+  }
+  return (inside ? 1 : -1) * Math.sqrt(minDistSq);
+}
+
+function segmentDistanceSq(x, y, a, b) {
+  let px = a.x;
+  let py = a.y;
+  const dx = b.x - px;
+  const dy = b.y - py;
+  if (dx !== 0 || dy !== 0) {
+    const t = clamp(((x - px) * dx + (y - py) * dy) / (dx * dx + dy * dy), 0, 1);
+    px += dx * t;
+    py += dy * t;
+  }
+  return (x - px) ** 2 + (y - py) ** 2;
+}
+
+// 在 direction（单位向量）方向上挑选最近的候选点：优先 ±60° 以内，没有时放宽到 ±90°；
+// 距离按偏离角度加权，越正对方向越优先。返回候选的 id，没有则返回 null。
+export function pickInDirection(origin, candidates, direction) {
+  for (const minCos of [0.5, 1e-6]) {
+    let best = null;
+    let bestScore = Infinity;
+    candidates.forEach((candidate) => {
+      const dx = candidate.x - origin.x;
+      const dy = candidate.y - origin.y;
+      const dist = Math.hypot(dx, dy);
+      if (dist < 1e-9) return;
+      const cos = (dx * direction.x + dy * direction.y) / dist;
+      if (cos < minCos) return;
+      const score = dist * (2 - cos);
+      if (score < bestScore) {
+        best = candidate.id;
+        bestScore = score;
+      }
+    });
+    if (best != null) return best;
+  }
+  return null;
+}
+
+export function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
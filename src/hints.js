@@ -0,0 +1,167 @@
+import { createTranslator } from './i18n.js';
+import { findConflicts, solveColoring } from './solver.js';
+
+const HINT_TIME_LIMIT = 600;
+const HINT_MAX_STEPS = 20000;
+const MAX_LISTED_REGIONS = 6;
+
+// 根据当前（部分）填色给出下一步提示，按由易到难的顺序：
+// 相邻同色冲突 → 无色可用的区域 → 当前填色已无法补全 → 只剩一种合法颜色 →
+// 通过试填排除后只剩一种颜色 → 与某个完整解一致的建议。
+// 返回 { type, regionId, color, relatedIds, message }，无可提示时返回 null；message 用 t 按界面语言生成。
+export function findHint(
+  regions,
+  adjacency,
+  { colorCount, colorNames, labelOf, t = createTranslator() }
+) {
+  const deadline = Date.now() + HINT_TIME_LIMIT;
+  const colors = new Map(regions.map((region) => [region.id, region.color]));
+  const uncolored = regions.filter((region) => region.color == null);
+  if (!uncolored.length && !findConflicts(regions, adjacency).length) return null;
+
+  const conflict = findConflicts(regions, adjacency)[0];
+  if (conflict) {
+    // 推理填色题的线索不能修改，冲突一方是线索时提示去改另一方。
+    const locked = new Set(regions.filter((region) => region.locked).map((region) => region.id));
+    const [a, b] = locked.has(conflict[0]) ? [conflict[1], conflict[0]] : conflict;
+    return {
+      type: 'conflict',
+      regionId: a,
+      color: null,
+      relatedIds: [b],
+      message: t('hints.conflict', { region: labelOf(a), other: labelOf(b), color: colorNames[colors.get(a)] })
+    };
+  }
+
+  const legalColors = (regionId, assignment = colors) => {
+    const used = new Set();
+    adjacency.get(regionId)?.forEach((neighborId) => {
+      const color = assignment.get(neighborId);
+      if (color != null) used.add(color);
+    });
+    const legal = [];
+    for (let c = 0; c < colorCount; c += 1) {
+      if (!used.has(c)) legal.push(c);
+    }
+    return legal;
+  };
+  const coloredNeighbors = (regionId) =>
+    Array.from(adjacency.get(regionId) ?? []).filter((neighborId) => colors.get(neighborId) != null);
+
+  const candidates = uncolored
+    .map((region) => ({
+      id: region.id,
+      legal: legalColors(region.id),
+      degree: adjacency.get(region.id)?.size ?? 0
+    }))
+    .sort((a, b) => a.legal.length - b.legal.length || b.degree - a.degree || a.id.localeCompare(b.id));
+
+  const stuck = candidates.find((entry) => entry.legal.length === 0);
+  if (stuck) {
+    return {
+      type: 'dead-region',
+      regionId: stuck.id,
+      color: null,
+      relatedIds: coloredNeighbors(stuck.id),
+      message: t('hints.deadRegion', { region: labelOf(stuck.id), count: colorCount })
+    };
+  }
+
+  const fixed = new Map(Array.from(colors).filter(([, color]) => color != null));
+  const completion = solveColoring(regions, adjacency, colorCount, { fixed, maxSteps: HINT_MAX_STEPS });
+  if (!completion.success && !completion.aborted) {
+    // 结构性证据说明地图本身在该颜色数下无解，与已填颜色无关
+    const structural = ['edge', 'odd-cycle', 'odd-wheel'].includes(completion.proof?.type);
+    return {
+      type: 'unsolvable',
+      regionId: null,
+      color: null,
+      relatedIds: structural ? completion.proof.regionIds : [],
+      message: structural
+        ? t('hints.structural', { reason: explainInfeasibility(completion.proof, { labelOf, t }), count: colorCount })
+        : t('hints.unsolvable')
+    };
+  }
+
+  const single = candidates.find((entry) => entry.legal.length === 1);
+  if (single) {
+    const color = single.legal[0];
+    return {
+      type: 'single',
+      regionId: single.id,
+      color,
+      relatedIds: coloredNeighbors(single.id),
+      message: t('hints.single', { region: labelOf(single.id), color: colorNames[color] })
+    };
+  }
+
+  for (const entry of candidates) {
+    if (Date.now() > deadline) break;
+    const viable = [];
+    const ruledOut = [];
+    for (const color of entry.legal) {
+      const attempt = new Map(fixed);
+      attempt.set(entry.id, color);
+      const result = solveColoring(regions, adjacency, colorCount, { fixed: attempt, maxSteps: HINT_MAX_STEPS });
+      if (result.success || result.aborted) {
+        viable.push(color);
+      } else {
+        ruledOut.push(color);
+      }
+      if (viable.length > 1) break;
+    }
+    if (viable.length === 1 && ruledOut.length) {
+      const color = viable[0];
+      return {
+        type: 'forced',
+        regionId: entry.id,
+        color,
+        relatedIds: Array.from(adjacency.get(entry.id) ?? []),
+        message: t('hints.forced', {
+          region: labelOf(entry.id),
+          color: colorNames[color],
+          ruledOut: ruledOut.map((c) => colorNames[c]).join(t('common.listSeparator'))
+        })
+      };
+    }
+  }
+
+  if (completion.success) {
+    const entry = candidates[0];
+    const color = completion.coloring.get(entry.id);
+    return {
+      type: 'suggestion',
+      regionId: entry.id,
+      color,
+      relatedIds: coloredNeighbors(entry.id),
+      message: t('hints.suggestion', { region: labelOf(entry.id), color: colorNames[color] })
+    };
+  }
+  return null;
+}
+
+// 把 solveColoring / findColoringObstruction 给出的无解证据转成玩家能看懂的一句话。
+export function explainInfeasibility(proof, { labelOf, t = createTranslator() }) {
+  const names = (ids) => {
+    const listed = ids.slice(0, MAX_LISTED_REGIONS).map(labelOf).join(t('common.listSeparator'));
+    return ids.length > MAX_LISTED_REGIONS ? t('infeasibility.list', { list: listed, count: ids.length }) : listed;
+  };
+  const { colorCount, regionIds } = proof;
+  switch (proof.type) {
+    case 'edge':
+      return t('infeasibility.edge', { a: labelOf(regionIds[0]), b: labelOf(regionIds[1]) });
+    case 'odd-cycle':
+      return t('infeasibility.oddCycle', { list: names(regionIds), count: regionIds.length });
+    case 'odd-wheel': {
+      const [hub, ...ring] = regionIds;
+      if (ring.length === 3) return t('infeasibility.clique', { list: names(regionIds) });
+      return t('infeasibility.oddWheel', { hub: labelOf(hub), ring: names(ring) });
+    }
+    case 'blocked':
+      return t('infeasibility.blocked', { region: labelOf(regionIds[0]), count: colorCount });
+    case 'clash':
+      return t('infeasibility.clash', { a: labelOf(regionIds[0]), b: labelOf(regionIds[1]) });
+    default:
+      return t('infeasibility.exhaustive', { count: colorCount });
+  }
+}
@@ -0,0 +1,85 @@
+import en from './locales/en.js';
+import zhCN from './locales/zh-CN.js';
+
+export const DEFAULT_LOCALE = 'zh-CN';
+export const LOCALES = [
+  { id: 'zh-CN', name: '中文', messages: zhCN },
+  { id: 'en', name: 'English', messages: en }
+];
+
+export function isSupportedLocale(id) {
+  return LOCALES.some((locale) => locale.id === id);
+}
+
+// 按浏览器语言列表挑第一个支持的语言，只比较主语言（zh-TW、en-GB 也算匹配）。
+export function detectLocale(languages = []) {
+  for (const language of languages) {
+    if (typeof language !== 'string') continue;
+    const primary = language.toLowerCase().split('-')[0];
+    const match = LOCALES.find((locale) => locale.id.toLowerCase().split('-')[0] === primary);
+    if (match) return match.id;
+  }
+  return DEFAULT_LOCALE;
+}
+
+// 返回 t(key, params)：key 为目录中的点分路径，文本里的 {name} 用 params.name 替换。
+// 条目可以是 { one, other, ... } 形式的复数对象，按 params.count 用 Intl.PluralRules 选择。
+// 当前语言缺少的条目退回默认语言，仍缺少时返回 key 本身，便于发现漏译。
+export function createTranslator(localeId = DEFAULT_LOCALE) {
+  const locale = LOCALES.find((item) => item.id === localeId) ?? LOCALES[0];
+  const fallback = LOCALES.find((item) => item.id === DEFAULT_LOCALE);
+  const pluralRules = new Intl.PluralRules(locale.id);
+  const t = (key, params = {}) => {
+    let entry = lookup(locale.messages, key);
+    let rules = pluralRules;
+    if (entry == null && locale !== fallback) {
+      entry = lookup(fallback.messages, key);
+      rules = new Intl.PluralRules(fallback.id);
+    }
+    if (entry == null) return key;
+    if (typeof entry === 'object') entry = entry[rules.select(Number(params.count))] ?? entry.other;
+    return interpolate(String(entry), params);
+  };
+  t.locale = locale.id;
+  return t;
+}
+
+function lookup(messages, key) {
+  let entry = messages;
+  for (const part of key.split('.')) {
+    if (entry == null || typeof entry !== 'object') return null;
+    entry = entry[part];
+  }
+  return typeof entry === 'string' || isPluralEntry(entry) ? entry : null;
+}
+
+function isPluralEntry(entry) {
+  return Boolean(entry && typeof entry === 'object' && typeof entry.other === 'string');
+}
+
+function interpolate(text, params) {
+  return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] == null ? match : String(params[name])));
+}
+
+// 可翻译的错误：code 为目录中 errors 下的点分路径（如 'puzzleFile.notObject'），params 为插值参数。
+// 参数也可以是另一个错误（嵌套的原因），翻译时一并翻译；message 固定为默认语言的文本，供命令行与日志使用。
+export class LocalizedError extends Error {
+  constructor(code, params = {}) {
+    super(translateError({ code, params }, createTranslator(DEFAULT_LOCALE)));
+    this.name = 'LocalizedError';
+    this.code = code;
+    this.params = params;
+  }
+}
+
+// 按 t 的语言显示错误；没有 code 或目录中没有对应条目的错误（如浏览器、第三方库抛出的）原样显示 message。
+export function translateError(error, t) {
+  if (typeof error?.code !== 'string') return error?.message ?? String(error);
+  const key = `errors.${error.code}`;
+  const params = {};
+  Object.entries(error.params ?? {}).forEach(([name, value]) => {
+    params[name] = value instanceof Error ? translateError(value, t) : value;
+  });
+  const text = t(key, params);
+  return text === key ? error.message ?? key : text;
+}
@@ -0,0 +1,76 @@
+import { useEffect, useRef, useState } from 'react';
+import { pickInDirection } from './geometry.js';
+
+const DIRECTION_VECTORS = {
+  ArrowUp: { x: 0, y: -1 },
+  ArrowDown: { x: 0, y: 1 },
+  ArrowLeft: { x: -1, y: 0 },
+  ArrowRight: { x: 1, y: 0 }
+};
+
+// 全局快捷键：按住空格平移盘面，Ctrl/⌘+Z 撤销，Ctrl/⌘+Y 或 Ctrl/⌘+Shift+Z 重做；焦点在输入框内时不拦截。
+// 处理函数每次渲染都会更新，监听器只注册一次。返回空格是否按下。
+export function useKeyboardShortcuts({ onUndo, onRedo }) {
+  const [spacePressed, setSpacePressed] = useState(false);
+  const shortcutsRef = useRef({});
+  shortcutsRef.current = { undo: onUndo, redo: onRedo };
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (isEditableTarget(event.target)) return;
+      if (event.code === 'Space') {
+        event.preventDefault();
+        setSpacePressed(true);
+        return;
+      }
+      if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+      const key = event.key.toLowerCase();
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        shortcutsRef.current.undo?.();
+      } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+        event.preventDefault();
+        shortcutsRef.current.redo?.();
+      }
+    };
+    const handleKeyUp = (event) => {
+      if (event.code === 'Space' && !isEditableTarget(event.target)) {
+        event.preventDefault();
+        setSpacePressed(false);
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    window.addEventListener('keyup', handleKeyUp);
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+      window.removeEventListener('keyup', handleKeyUp);
+    };
+  }, []);
+
+  return spacePressed;
+}
+
+// 地图内的键盘操作：方向键移到该方向最近的相邻区域，数字键填色，退格/Delete 清除。
+// 返回要执行的操作，null 表示不处理这个按键（返回操作时调用方应阻止按键的默认行为）：
+// { type: 'focus', regionId } | { type: 'noNeighbor' } | { type: 'color', index } | { type: 'clear' }
+// 没有区域可选时返回 { type: 'none' }。
+export function getMapKeyAction(event, { selectedId, regions, adjacency, centroidById, colorLimit }) {
+  if (event.ctrlKey || event.metaKey || event.altKey) return null;
+  const direction = DIRECTION_VECTORS[event.key];
+  if (direction) {
+    if (!selectedId) return regions.length ? { type: 'focus', regionId: regions[0].id } : { type: 'none' };
+    const candidates = Array.from(adjacency.get(selectedId) ?? []).map((id) => ({ id, ...centroidById.get(id) }));
+    const nextId = pickInDirection(centroidById.get(selectedId), candidates, direction);
+    return nextId ? { type: 'focus', regionId: nextId } : { type: 'noNeighbor' };
+  }
+  if (/^[1-9]$/.test(event.key)) {
+    const index = Number(event.key) - 1;
+    return index < colorLimit && selectedId ? { type: 'color', index } : null;
+  }
+  if (event.key === 'Backspace' || event.key === 'Delete') return { type: 'clear' };
+  return null;
+}
+
+function isEditableTarget(target) {
+  return Boolean(target?.closest?.('input, textarea, select, [contenteditable="true"]'));
+}
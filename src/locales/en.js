@@ -0,0 +1,753 @@
+// UI message catalog (English). Keys mirror zh-CN.js; missing entries fall back to Chinese.
+export default {
+  app: {
+    title: 'Four Color Map Challenge',
+    documentTitle: 'Four Color Challenge',
+    language: 'Language'
+  },
+  common: {
+    cancel: 'Cancel',
+    confirm: 'Confirm',
+    load: 'Load',
+    delete: 'Delete',
+    undo: 'Undo',
+    redo: 'Redo',
+    inProgress: 'In progress',
+    listSeparator: ', ',
+    none: 'none'
+  },
+  rules: {
+    summary: 'How to play and background (click to expand)',
+    backgroundTitle: 'About the four color theorem',
+    background:
+      'The four color theorem asks how few colors are needed to tell neighbouring regions of a map apart. It matters because it reveals structure shared by all planar graphs, and it is one of the most famous problems in graph theory. Proving it was very hard: the possible maps are practically endless and no hand calculation can cover them all. The final proof relied on a computer checking a large number of configurations, making it one of the first widely accepted computer-assisted proofs in mathematics.',
+    mappingTitle: 'How this game relates to the theorem',
+    mappingRegions: 'A map is made of "regions", each of which is a closed polygon.',
+    mappingAdjacentBefore: 'Two regions are neighbours when they share ',
+    mappingAdjacentEmphasis: 'a stretch of border',
+    mappingAdjacentAfter: '; touching at a single point does not count.',
+    mappingTheorem: 'The theorem guarantees that four colors are always enough to keep neighbours different.',
+    gameTitle: 'Rules',
+    gameSelect: 'Click a region to select it, then click a palette color to fill it; click another color to change it.',
+    gameClear: 'Click "Clear" to erase the selected region.',
+    gameHint: 'Stuck? "Next hint" points out a forced move and highlights the neighbours involved without changing anything.',
+    gameCheck: 'Checking highlights neighbours of the same color; fill everything without conflicts to win.',
+    gameTarget: 'The target color is an extra challenge: using it less earns praise but does not affect winning.',
+    gameModes:
+      'Modes: three- and two-color maps are guaranteed to be solvable with that many colors, and the palette only offers those colors. In "Chromatic number" you must use the fewest colors possible for the map, and after winning you are shown why fewer would not work.',
+    gameReference:
+      'Reference values come from an exact solver; on large maps where it runs out of time, the best solution found so far is used and the range of the optimum is shown.',
+    controlsTitle: 'Controls',
+    controlsDesktop: 'Desktop: click a region, then a color; hold Space and drag to pan; use the slider to zoom.',
+    controlsKeyboard:
+      'Keyboard: Tab into the map, arrow keys move to the neighbour in that direction, number keys 1-{count} fill, Backspace clears, Ctrl+Z / Ctrl+Y undo and redo.',
+    controlsMobile: 'Mobile: zoom with the slider; turn on "Pan board" and drag with one finger to pan.',
+    controlsBrush:
+      'Brush: switch "Fill mode" to brush or smart fill, then click or drag across regions to paint them; each stroke undoes as one step.'
+  },
+  modes: {
+    classic: {
+      name: 'Classic four colors',
+      description: 'Fill the map with four colors and use the target color as little as possible.'
+    },
+    three: {
+      name: 'Three-color challenge',
+      description: 'The map is known to be three-colorable and the palette has only three colors.'
+    },
+    two: {
+      name: 'Two-color challenge',
+      description: 'The map is cut by lines across the whole board, so two alternating colors are enough.'
+    },
+    chromatic: {
+      name: 'Chromatic number',
+      description: 'Fill the map with as few colors as possible; you win only when you match the smallest possible number.'
+    },
+    clues: {
+      name: 'Deduction',
+      description: 'Some regions come with locked color clues and the rest have exactly one solution. Work it out step by step.'
+    },
+    duel: {
+      name: 'Two-player duel',
+      description:
+        'Take turns giving any blank region a legal color: the filler wants the whole map colored, the blocker wants a region left with no color.'
+    }
+  },
+  clueDifficulties: {
+    easy: {
+      name: 'Easy',
+      description: 'Every step is visible directly: some region has neighbours in all other colors.'
+    },
+    medium: {
+      name: 'Medium',
+      description: 'Needs trial: assuming a color leads to a contradiction within a step or two, ruling it out.'
+    },
+    hard: {
+      name: 'Hard',
+      description: 'Needs longer chains: after a trial you must follow the consequences many steps before a contradiction appears.'
+    }
+  },
+  palettes: {
+    classic: 'Classic',
+    'okabe-ito': 'Okabe-Ito (color-blind friendly)',
+    'high-contrast': 'High contrast',
+    grayscale: 'Grayscale',
+    custom: 'Custom'
+  },
+  colors: {
+    red: 'Red',
+    green: 'Green',
+    blue: 'Blue',
+    yellow: 'Yellow',
+    orange: 'Orange',
+    'sky-blue': 'Sky blue',
+    'bluish-green': 'Bluish green',
+    'reddish-purple': 'Reddish purple',
+    'dark-blue': 'Dark blue',
+    magenta: 'Magenta',
+    cyan: 'Cyan',
+    'light-gray': 'Light gray',
+    'mid-gray': 'Mid gray',
+    'dark-gray': 'Dark gray',
+    black: 'Black',
+    custom: { 0: 'Color 1', 1: 'Color 2', 2: 'Color 3', 3: 'Color 4' }
+  },
+  patterns: {
+    diagonal: 'diagonal',
+    dots: 'dots',
+    grid: 'grid',
+    stripes: 'stripes'
+  },
+  geoMaps: {
+    'us-states': 'US states',
+    'europe-countries': 'European countries',
+    'world-countries': 'World countries'
+  },
+  countWords: { 1: 'one', 2: 'two', 3: 'three', 4: 'four' },
+  checkStatus: {
+    conflict: 'neighbours share a color',
+    incomplete: 'regions left uncolored',
+    'too-many-colors': 'more colors than needed',
+    solved: 'solved'
+  },
+  actions: {
+    hint: 'Hint',
+    brush: 'Brush',
+    smart: 'Smart fill',
+    auto: 'Suggested coloring',
+    reference: 'Reference coloring',
+    reset: 'Reset',
+    fill: 'Bulk fill'
+  },
+  inputModes: {
+    select: { name: 'Select then fill', tip: 'Click a region to select it, then click a palette color.' },
+    brush: { name: 'Brush', tip: 'Click or drag across regions to paint them with the selected color.' },
+    smart: {
+      name: 'Smart fill',
+      tip: 'Click or drag across regions to fill the first color that does not clash with a neighbour.'
+    },
+    panTip: 'Holding Space or turning on "Pan board" still makes dragging pan the map.',
+    duelNote: 'In a duel each move colors a single region, so the brush is off: select a region, then pick a color.'
+  },
+  tasks: {
+    reference: 'Computing the reference solution',
+    generateMap: 'Generating the map',
+    generatePuzzle: 'Puzzle generation',
+    hint: 'Hint search',
+    autoColor: 'Suggested coloring',
+    geo: 'Loading the map',
+    duelMove: 'Computer move',
+    running: '{task}…',
+    cancelled: 'Cancelled: {task}',
+    timeout: {
+      one: '{task} timed out: still running after {count} second. Try fewer regions.',
+      other: '{task} timed out: still running after {count} seconds. Try fewer regions.'
+    },
+    failed: '{task} failed: {error}'
+  },
+  progress: {
+    map: 'Dividing the map into regions…',
+    geo: 'Projecting borders and finding neighbours…',
+    clues: 'Choosing clues and confirming the solution is unique…',
+    estimate: 'Looking for a first solution…',
+    optimize: 'Searched {nodes} nodes; the optimum is between {lower} and {best}',
+    solve: 'Searching for a valid coloring…',
+    duel: 'The computer is thinking…',
+    idle: 'Working in the background; the page stays responsive'
+  },
+  region: {
+    label: 'Region {index}',
+    uncolored: 'uncolored',
+    colored: '{color}',
+    lockedSuffix: ' (clue, locked)',
+    conflictSuffix: ', clashes with a neighbour',
+    neighborCount: { one: '{count} neighbour', other: '{count} neighbours' },
+    description: '{label}, {color}{locked}, {neighbors}{conflict}'
+  },
+  toast: {
+    clueLocked: 'This region is a clue and cannot be changed',
+    clueLockedClear: 'This region is a clue and cannot be cleared',
+    illegalColor: '{color} clashes with a neighbouring region',
+    selectFirst: 'Select a region first',
+    noHint: 'Everything is done; there is nothing to hint',
+    invalidCode: 'Invalid puzzle code',
+    corruptedSave: 'The save is corrupted and cannot be resumed',
+    pngFailed: 'PNG export failed: {error}',
+    imported: { one: 'Imported a puzzle with {count} region', other: 'Imported a puzzle with {count} regions' },
+    linkCopied: 'Puzzle link copied',
+    showCode: 'Puzzle code: {code}',
+    strokeSkipped: {
+      one: '{count} region could not be filled without a clash and was skipped',
+      other: '{count} regions could not be filled without a clash and were skipped'
+    }
+  },
+  announce: {
+    colored: '{region} filled with {color}',
+    cleared: '{region} cleared',
+    undone: 'Undone',
+    redone: 'Redone',
+    noNeighborInDirection: 'No neighbouring region in that direction',
+    smartStroke: { one: 'Smart-filled {count} region', other: 'Smart-filled {count} regions' },
+    brushStroke: { one: 'Painted {count} region {color}', other: 'Painted {count} regions {color}' }
+  },
+  history: {
+    colored: '{region} filled with {color}',
+    cleared: '{region} cleared',
+    labeled: '{action}: {text}',
+    bulk: { one: '{action} ({count} region)', other: '{action} ({count} regions)' },
+    initial: 'Starting board'
+  },
+  check: {
+    conflict: {
+      one: 'Found {count} pair of neighbours with the same color. Please fix it.',
+      other: 'Found {count} pairs of neighbours with the same color. Please fix them.'
+    },
+    incomplete: 'No conflicts so far, but some regions are still uncolored.',
+    tooManyColors: {
+      one: 'The coloring is valid but uses {count} color; this map can be done with fewer. Try again.',
+      other: 'The coloring is valid but uses {count} colors; this map can be done with fewer. Try again.'
+    },
+    cluesSolved: {
+      one: 'Deduction complete! From {clues} clues you worked out the unique color of the remaining {count} region.',
+      other: 'Deduction complete! From {clues} clues you worked out the unique colors of the remaining {count} regions.'
+    },
+    chromaticProof: 'Why fewer is impossible: {reason}',
+    chromaticSolved: {
+      one: 'Solved! You used only {count} color, exactly the chromatic number of this map. {proof}',
+      other: 'Solved! You used only {count} colors, exactly the chromatic number of this map. {proof}'
+    },
+    optimal: {
+      one: 'You used the target color only {count} time. That is optimal!',
+      other: 'You used the target color only {count} times. That is optimal!'
+    },
+    aboveOptimal: {
+      one: 'You used the target color {count} time, {gap} more than the optimum ({best}).',
+      other: 'You used the target color {count} times, {gap} more than the optimum ({best}).'
+    },
+    beatSolver: {
+      one: 'You used the target color only {count} time, better than the solver found!',
+      other: 'You used the target color only {count} times, better than the solver found!'
+    },
+    matchedReference: 'Excellent: the target color is well under control!',
+    aboveReference: {
+      one: 'You used the target color {count} time; the reference uses {best}. Try to use it less.',
+      other: 'You used the target color {count} times; the reference uses {best}. Try to use it less.'
+    },
+    solved: 'Valid {countWord}-color map. Solved! {praise}',
+    notScored: ' This game is not scored.',
+    dailyUnranked: ' Assisted completions are not ranked in the daily challenge.',
+    scored: ' Score: {score}.'
+  },
+  autoColor: {
+    infeasible: {
+      one: 'This map cannot be colored with {count} color. {reason}',
+      other: 'This map cannot be colored with {count} colors. {reason}'
+    },
+    done: {
+      one: 'Filled in a suggested {count}-color solution. This game will not be scored; undo to restore your coloring.',
+      other: 'Filled in a suggested {count}-color solution. This game will not be scored; undo to restore your coloring.'
+    }
+  },
+  referenceFill: {
+    optimal: {
+      one: 'Filled in the optimal solution: target color used {count} time.',
+      other: 'Filled in the optimal solution: target color used {count} times.'
+    },
+    reference: {
+      one: 'Filled in the reference solution: target color used {count} time (not proven optimal).',
+      other: 'Filled in the reference solution: target color used {count} times (not proven optimal).'
+    }
+  },
+  errors: {
+    importFailed: 'Import failed: {error}',
+    readFailed: 'Could not read the file: {error}',
+    geoRead: 'Could not read the geographic file: {error}',
+    geoLoad: 'Could not load the map: {error}',
+    puzzleFile: {
+      invalidJson: 'Not a valid JSON file: {error}',
+      notObject: 'The file must contain a JSON object',
+      unknownFormat: 'Unknown file format "{format}", expected "{expected}"',
+      unsupportedVersion: 'Unsupported file version {version}; only version {supported} is supported',
+      mapSize: 'map.width / map.height must be positive numbers',
+      colorCount: 'colorCount must be an integer from 1 to {max}',
+      unknownMode: 'Unknown game mode "{mode}"',
+      chromaticNumber: 'chromaticNumber must be an integer from 1 to {max}',
+      unknownDifficulty: 'Unknown difficulty "{difficulty}"',
+      noRegions: 'regions must be a non-empty array',
+      notObjectAt: '{path} must be an object',
+      emptyId: '{path}.id must be a non-empty string',
+      duplicateId: '{path}.id "{id}" is a duplicate',
+      nameNotString: '{path}.name must be a string',
+      emptyParts: '{path}.parts must be a non-empty array',
+      colorOutOfRange: '{path}.color is out of range: {color} (allowed: 0 to {max} or null)',
+      lockedNotBoolean: '{path}.locked must be a boolean',
+      lockedWithoutColor: '{path} is a locked clue and must have a color',
+      neighborsNotArray: '{path}.neighbors must be an array',
+      unknownNeighbor: '{path}.neighbors refers to a missing region "{id}"',
+      selfNeighbor: 'Region "{id}" cannot be its own neighbor',
+      asymmetric: 'Adjacency is not symmetric: {id} lists {neighbor}, but not the other way round',
+      sharedEdgesNotArray: 'sharedEdges must be an array',
+      notNeighbors: '{path} describes {a} ↔ {b}, which are not neighbors',
+      edgeLength: '{path}.length must be a positive number',
+      targetIndex: 'target.colorIndex is out of range: {index}',
+      referenceCount: 'target.referenceCount must be an integer from 0 to {max}',
+      tooFewPoints: '{path} needs at least 3 vertices',
+      pointNotPair: '{path} must be an [x, y] pair of numbers',
+      pointOutOfBounds: '{path} ({x}, {y}) lies outside the {width}×{height} map',
+      zeroArea: '{path} has zero area and is not a valid polygon',
+      notArray: '{path} must be an array',
+      emptyAction: '{path}.action must be a non-empty string',
+      emptyChanges: '{path}.changes must not be empty',
+      unknownRegion: '{path} refers to a missing region "{id}"',
+      lockedChange: '{path} changes the locked clue region "{id}"',
+      changeColor: '{path} has a color out of range',
+      historyMismatch: '{path} does not match the board when replayed: region "{id}" has a different color'
+    },
+    recording: {
+      invalidJson: 'Not a valid JSON file: {error}',
+      notObject: 'The file must contain a JSON object',
+      unknownFormat: 'Unknown file format "{format}", expected "{expected}"',
+      unsupportedVersion: 'Unsupported recording version {version}; only version {supported} is supported',
+      eventsNotArray: 'events must be an array',
+      eventNotObject: 'events[{index}] must be an object',
+      unknownEvent: 'events[{index}].type is unknown: "{type}"',
+      eventTime: 'events[{index}].t must be a non-decreasing number of milliseconds',
+      eventConflicts: 'events[{index}].conflicts must be an array of region pairs',
+      invalidPuzzle: 'The puzzle in the recording is invalid: {error}',
+      replayFailed: 'events[{index}] cannot be replayed: {error}',
+      emptyChanges: 'changes must be a non-empty array',
+      seekPosition: 'position must be an integer'
+    },
+    engine: {
+      unknownRegion: 'Region "{id}" does not exist',
+      colorOutOfRange: 'Color out of range: {color} (allowed: 0 to {max})',
+      lockedRegion: 'Region "{id}" is a locked clue and cannot be changed'
+    },
+    clues: {
+      notUnique: 'Could not confirm that the clue puzzle has a unique solution',
+      noColoring: 'Could not find a {count}-color solution'
+    },
+    mapEditor: {
+      tooManySites: 'There can be at most {max} seeds',
+      tooFewSites: 'At least {min} seeds must remain',
+      sameRegion: 'Choose two different regions',
+      notAdjacent: 'Only two neighboring regions can be merged',
+      splitTooShort: 'The split line is too short',
+      splitMissed: 'The split line must cross the selected region',
+      tooFewRegions: 'The map needs at least {min} regions'
+    },
+    geoMap: {
+      unknownMap: 'Unknown built-in map "{id}"',
+      noPolygons: 'The file has no usable area features (Polygon / MultiPolygon)',
+      nothingVisible: 'No regions are visible after projection',
+      notGeoData: 'The file must contain a GeoJSON or TopoJSON object',
+      unknownType: 'Unrecognized geographic data type "{type}"',
+      noPolygonObject: 'The TopoJSON has no object with area features'
+    },
+    task: {
+      cancelled: 'Task cancelled',
+      timeout: {
+        one: 'The computation did not finish within {count} second',
+        other: 'The computation did not finish within {count} seconds'
+      },
+      workerCrashed: 'The worker crashed'
+    },
+    image: {
+      pngEncode: 'PNG encoding failed',
+      svgRender: 'SVG rendering failed'
+    },
+    cli: {
+      unknownCommand: 'Unknown command "{command}"',
+      unknownLanguage: 'Unknown language "{language}" (available: {languages})',
+      unknownMode: 'Unknown game mode "{mode}"',
+      unknownDifficulty: 'Unknown clue difficulty "{difficulty}"',
+      outDirRequired: 'Use --out to name an output directory when generating more than one puzzle',
+      solveOneFile: 'solve takes exactly one puzzle file',
+      validateNeedsFile: 'validate needs at least one puzzle file',
+      integerAtLeast: '{name} must be an integer of at least {min}',
+      integerBetween: '{name} must be an integer from {min} to {max}',
+      benchSolveFailed: 'The map for seed {seed} could not be four-colored'
+    }
+  },
+  replay: {
+    label: 'Replay',
+    playing: 'Replaying',
+    progress: 'Event {index}/{total} · {time}: {event}',
+    initial: 'Board when recording started',
+    seek: 'Moved the timeline to step {position}',
+    check: 'Check: {status}',
+    hint: 'Asked for a hint',
+    hintRegion: 'Asked for a hint: {region}',
+    previous: 'Previous step',
+    next: 'Next step',
+    play: 'Play',
+    pause: 'Pause',
+    speed: 'Replay speed',
+    exit: 'Exit replay',
+    timeline: 'Replay position'
+  },
+  map: {
+    label: {
+      one: 'Map with {count} region. Arrow keys move between neighbours, number keys fill, Backspace clears',
+      other: 'Map with {count} regions. Arrow keys move between neighbours, number keys fill, Backspace clears'
+    }
+  },
+  modePanel: {
+    title: 'Game mode',
+    difficulty: 'Deduction difficulty',
+    currentMode: 'The current puzzle is still "{mode}".'
+  },
+  cluePanel: {
+    summary: { one: 'Difficulty: {difficulty} · {count} clue', other: 'Difficulty: {difficulty} · {count} clues' },
+    unrated: 'unrated',
+    lockedNote: 'Regions with a square mark are locked clues that cannot be changed or cleared; the rest have a unique solution.',
+    downgraded: 'No harder puzzle could be built on this map, so it is rated by the reasoning it actually needs.'
+  },
+  duel: {
+    players: { filler: 'Filler', blocker: 'Blocker' },
+    computerSuffix: ' (computer)',
+    errors: {
+      finished: 'The game is over',
+      unknown: 'That region does not exist',
+      colored: 'This region is already colored',
+      conflict: '{color} clashes with a neighboring region',
+      clear: 'Colors cannot be cleared in a duel',
+      computerTurn: "It is the computer's turn"
+    },
+    resultTitle: '{player} wins!',
+    win: 'You win!',
+    lose: 'The computer wins',
+    filled: 'The map was filled on move {count}; the blocker never cut off a region.',
+    blocked: '{regions}: every color is taken by a neighbor, so nothing can be placed there.',
+    review: 'Review board',
+    again: 'Play again'
+  },
+  duelPanel: {
+    title: 'Two-player duel',
+    turn: 'Move {count} · {player} to play',
+    winner: 'Game over: {player} wins',
+    rules:
+      'The filler moves first. Each move gives one blank region a color different from all its neighbors and cannot be cleared; a full map wins for the filler, a region with no legal color wins for the blocker.',
+    opponent: 'Opponent',
+    opponents: {
+      none: 'Two players on this device',
+      filler: 'Computer plays filler',
+      blocker: 'Computer plays blocker'
+    },
+    level: 'Computer strength',
+    levels: { easy: 'Easy', normal: 'Normal', hard: 'Hard' },
+    computerMove: 'Let the computer move',
+    undoNote: "Against the computer, undo also takes back the computer's last move."
+  },
+  chromaticPanel: {
+    title: 'Chromatic challenge',
+    goal: 'Goal: fill the map with as few colors as possible',
+    used: { one: 'Colors used: {count}', other: 'Colors used: {count}' },
+    chromaticNumber: 'Chromatic number of this map: {value}',
+    unknown: '?'
+  },
+  targetPanel: {
+    title: 'Target color',
+    color: 'Target color: {color}',
+    optimal: 'Optimal target count: {count} (exact)',
+    reference: 'Reference minimum: {count}',
+    range: 'The solver ran out of time; the optimum is between {lower} and {upper}'
+  },
+  daily: {
+    title: 'Daily challenge',
+    start: "Start today's challenge",
+    newProfile: 'New player name',
+    defaultProfile: 'Player 1',
+    add: 'Add',
+    streaks: 'Current streak: {current} · Longest: {best}',
+    personalBest: 'Personal best ({date}): target color {count} · {time} · {moves} moves',
+    entry: 'target {count} · {time} · {moves} moves',
+    empty: 'Nobody has finished today yet. Ranking compares target count, then time, then moves.'
+  },
+  codePanel: {
+    title: 'Puzzle code',
+    noCode: 'Imported puzzle (no code)',
+    copyLink: 'Copy link',
+    placeholder: 'Enter a puzzle code',
+    note: 'The same code always produces the same map, handy for head-to-head play or bug reports.'
+  },
+  recent: {
+    title: 'Unfinished games',
+    imported: 'Imported puzzle',
+    progress: 'Filled {filled}/{total} · {time}',
+    open: 'Open'
+  },
+  geoPanel: {
+    title: 'Real maps',
+    openFile: 'Open a GeoJSON / TopoJSON file',
+    note: 'Neighbours are taken from shared border arcs; regions touching at a single point are not neighbours.'
+  },
+  editorPanel: {
+    title: 'Map editor',
+    open: 'Draw your own map',
+    note: 'Drag, add or remove Voronoi seeds and merge or split regions, then play and export the result.'
+  },
+  regionCount: {
+    title: 'Number of regions',
+    range: 'Range: {min} - {max}'
+  },
+  zoom: {
+    title: 'Zoom',
+    note: 'On desktop hold Space and drag to pan; on mobile turn on "Pan board".'
+  },
+  magnifier: {
+    title: 'Magnifier',
+    on: '🔍 Magnifier: on',
+    off: '🔍 Magnifier: off',
+    note: 'While the magnifier is on, clicks only look and do not fill.'
+  },
+  display: {
+    title: 'Visual aids',
+    labels: 'Show region numbers',
+    neighbors: 'Highlight neighbours and shared borders on hover or selection',
+    blockIllegal: 'Block colors that clash with a neighbour',
+    renderer: 'Renderer',
+    renderers: {
+      auto: 'Auto (Canvas for large maps)',
+      svg: 'SVG',
+      canvas: 'Canvas'
+    },
+    rendererNote: 'Canvas only redraws regions that changed, which keeps maps with thousands of regions smooth.'
+  },
+  colorScheme: {
+    title: 'Colors',
+    palette: 'Palette',
+    patterns: 'Overlay patterns ({list})',
+    patternPair: '{color} = {pattern}',
+    patternSeparator: ', ',
+    customColor: 'Color {index}',
+    customColorName: 'Name of color {index}',
+    note: 'Conflicting regions are also marked with "!", so they are visible without relying on color.'
+  },
+  pan: {
+    title: 'Mobile panning',
+    on: 'Pan board: on',
+    off: 'Pan board: off'
+  },
+  inputModePanel: {
+    title: 'Fill mode'
+  },
+  palettePanel: {
+    title: 'Palette',
+    illegal: ' (clashes with a neighbour)',
+    clear: 'Clear',
+    currentRegion: 'Current region: {name}',
+    legal: 'Allowed colors: {colors}',
+    noLegal: 'Every color clashes with a neighbour',
+    neighbors: { one: '{region} has {count} neighbour', other: '{region} has {count} neighbours' },
+    sharedBorder: 'shared border {length}'
+  },
+  timeline: {
+    title: 'Move timeline',
+    valueText: 'Step {position} of {total}',
+    status: 'Step {position} / {total}: {text}'
+  },
+  actionsPanel: {
+    title: 'Actions',
+    check: 'Check / submit',
+    generating: 'Generating...',
+    hint: 'Next hint',
+    autoColor: 'Suggest a coloring ({count} colors)',
+    showOptimal: 'Show optimal coloring',
+    showReference: 'Show reference coloring',
+    reset: 'Reset puzzle',
+    newPuzzle: 'New puzzle',
+    applyHint: 'Apply: fill {color}',
+    closeHint: 'Close hint',
+    scoreItem: '{label}: {points}',
+    elapsed: 'Time {time} · target color used: {count}'
+  },
+  score: {
+    autoColor: 'Used the suggested coloring',
+    reference: 'Viewed the reference coloring',
+    overtime: 'Over par time',
+    undoCount: { one: '{count} undo', other: '{count} undos' },
+    failedChecks: { one: '{count} failed check', other: '{count} failed checks' },
+    hintsUsed: { one: '{count} hint used', other: '{count} hints used' },
+    aboveReference: { one: 'Target color {count} over reference', other: 'Target color {count} over reference' },
+    beatReference: { one: 'Target color {count} under reference', other: 'Target color {count} under reference' }
+  },
+  filePanel: {
+    title: 'Puzzle file',
+    exportJson: 'Export JSON',
+    importJson: 'Import JSON',
+    includeHistory: 'Include undo/redo history in exports'
+  },
+  recordingPanel: {
+    title: 'Recording',
+    note: 'Every fill, undo, check and hint in this game is recorded with its timing, ready to replay or export.',
+    replay: 'Replay this game',
+    export: 'Export recording',
+    import: 'Import recording'
+  },
+  imagePanel: {
+    title: 'Export image',
+    colors: 'Include colors (uncheck for a blank map)',
+    conflicts: 'Mark neighbours with the same color',
+    labels: 'Show region numbers',
+    pngScale: 'PNG resolution',
+    exportSvg: 'Export SVG',
+    exportPng: 'Export PNG'
+  },
+  stats: {
+    title: 'Statistics',
+    empty: '{profile} has not finished any puzzles yet. Results appear here after you win.',
+    byDifficulty: 'By difficulty',
+    byRegions: 'By regions',
+    all: 'All',
+    difficulty: 'Difficulty',
+    regions: 'Regions',
+    completed: 'Completed',
+    average: 'Average',
+    best: 'Best',
+    unscored: ' ({count} unscored)',
+    chart: 'Score trend',
+    chartEmpty: 'No records in this category yet.',
+    point: { one: '{date} · {count} region · {score}', other: '{date} · {count} regions · {score}' },
+    pointUnscored: 'unscored',
+    pointScore: '{score} points',
+    difficulties: { easy: 'Beginner', normal: 'Normal', hard: 'Hard', expert: 'Expert' },
+    regionBuckets: { small: '10-39 regions', medium: '40-79 regions', large: '80-139 regions', huge: '140+ regions' }
+  },
+  debug: {
+    title: 'Debug panel',
+    regions: 'Regions: {count}',
+    edges: 'Adjacent pairs: {count}',
+    target: 'Current target count: {count}',
+    conflicts: 'Last conflicts: {list}'
+  },
+  modals: {
+    resetTitle: 'Reset the puzzle?',
+    resetContent: 'All colors will be cleared. You can still undo afterwards.',
+    newTitle: 'Generate a new puzzle?',
+    newContent: 'The current map and your progress will be replaced.',
+    resumeTitle: 'Resume your last game?',
+    resumeContent: 'Puzzle {code}: {filled}/{total} regions filled.',
+    resumeCancel: 'Start a new game',
+    resumeConfirm: 'Resume'
+  },
+  editor: {
+    title: 'Map editor',
+    tools: 'Editing tools',
+    move: { name: 'Move seed', tip: 'Drag a seed point; regions are redrawn live' },
+    add: { name: 'Add seed', tip: 'Click on the map to add a seed point' },
+    remove: { name: 'Remove seed', tip: 'Click a seed point to delete it; surrounding regions fill the gap' },
+    merge: { name: 'Merge regions', tip: 'Click two neighbouring regions in turn to merge the second into the first' },
+    split: { name: 'Split region', tip: 'Press on a region and drag a straight line to cut it in two' },
+    mergeSecond: 'Now click a neighbouring region to merge it into the selected one',
+    summary: {
+      one: '{regions} regions · {sites} seeds · {count} merge or split',
+      other: '{regions} regions · {sites} seeds · {count} merges or splits'
+    },
+    siteCount: 'Number of seeds',
+    regenerate: 'Scatter new seeds',
+    finish: 'Finish and play'
+  },
+  hints: {
+    conflict: '{region} and {other} are neighbours but both {color}. Fix this conflict first.',
+    deadRegion: {
+      one: "{region}'s neighbours already use all {count} color; change one of them.",
+      other: "{region}'s neighbours already use all {count} colors; change one of them."
+    },
+    structural: {
+      one: '{reason} This map cannot be finished with only {count} color.',
+      other: '{reason} This map cannot be finished with only {count} colors.'
+    },
+    unsolvable: 'The colors filled so far can no longer be completed into a full solution. Try undoing the last few moves.',
+    single: "{region}'s neighbours take every other color, so only {color} is left.",
+    forced: '{region} must be {color}: {ruledOut} would leave the rest of the board unsolvable.',
+    suggestion: 'No move is forced yet. {region} is the most constrained; try {color} first.'
+  },
+  infeasibility: {
+    list: '{list} and others ({count} regions in all)',
+    edge: '{a} and {b} are neighbours, so a single color must clash.',
+    oddCycle:
+      '{list} form a ring of {count} regions (an odd number), so alternating two colors around it must end with the last region matching the first.',
+    clique: '{list} all touch each other, so they need at least four colors.',
+    oddWheel:
+      '{hub} is surrounded by an odd ring formed by {ring}: the ring needs at least three colors and {hub} touches every region in it, so three colors are not enough.',
+    blocked: {
+      one: "{region}'s neighbours already use all {count} color.",
+      other: "{region}'s neighbours already use all {count} colors."
+    },
+    clash: '{a} and {b} are neighbours but already share a color.',
+    exhaustive: {
+      one: 'Trying every possible coloring confirms {count} color is not enough.',
+      other: 'Trying every possible coloring confirms {count} colors are not enough.'
+    }
+  },
+  cli: {
+    usage: `Usage:
+  fourcolor generate [--regions 30] [--mode classic] [--difficulty medium] [--seed x] [--count 1] [--out path] [--time-limit 4000]
+      Generate puzzle files; with --count above 1, --out must be a directory and files are named by puzzle code; --difficulty only applies to clue puzzles
+  fourcolor solve <puzzle.json> [--out path] [--time-limit 4000]
+      Compute the reference coloring with the fewest target-color regions and write the colored puzzle file
+  fourcolor validate <puzzle.json>... [--solved]
+      Check the file format and the current coloring; --solved requires every file to be correctly filled
+  fourcolor bench [--regions 30] [--seed x] [--count 1]
+      Generate --count random maps from consecutive seeds and time point sampling, Voronoi cells, adjacency and four-coloring (ms)
+
+Game modes: {modes}
+Clue difficulties: {difficulties}
+Every command accepts --lang {languages}; by default the language follows LC_ALL / LC_MESSAGES / LANG, falling back to English.
+Without --out, files go to standard output and summaries to standard error.`,
+    fatal: 'fourcolor: {error}',
+    optimal: 'optimal',
+    lowerBound: 'lower bound {bound}',
+    provenOptimal: 'proven optimal',
+    notProvenOptimal: 'not proven optimal, lower bound {bound}',
+    generatedClues: '{code}: {regions} regions, {clues} clues, difficulty {difficulty}, unique solution',
+    generated: {
+      one: '{code}: {regions} regions, the reference uses the target color {count} time ({optimality})',
+      other: '{code}: {regions} regions, the reference uses the target color {count} times ({optimality})'
+    },
+    infeasible: {
+      one: '{file}: this map cannot be colored with {count} color. {reason}',
+      other: '{file}: this map cannot be colored with {count} colors. {reason}'
+    },
+    solved: {
+      one: '{file}: target color used {count} time ({optimality})',
+      other: '{file}: target color used {count} times ({optimality})'
+    },
+    invalid: '{file}: invalid — {error}',
+    summary: {
+      one: '{count} region, {filled}/{count} filled',
+      other: '{count} regions, {filled}/{count} filled'
+    },
+    conflicts: {
+      one: '{file}: {summary}, {count} pair of neighbours share a color ({pairs})',
+      other: '{file}: {summary}, {count} pairs of neighbours share a color ({pairs})'
+    },
+    complete: {
+      one: '{file}: {summary}, correctly filled, target color used {count} time',
+      other: '{file}: {summary}, correctly filled, target color used {count} times'
+    },
+    tooManyColors: '{file}: {summary}, uses {count} colors, more than the chromatic number',
+    noConflicts: '{file}: {summary}, no conflicts',
+    average: 'average'
+  }
+};
@@ -0,0 +1,640 @@
+// 界面文本目录（简体中文，默认语言）。{name} 为参数占位符；带 count 参数的条目可写成复数对象。
+export default {
+  app: {
+    title: '四色定理地图挑战',
+    documentTitle: '四色定理挑战',
+    language: '语言'
+  },
+  common: {
+    cancel: '取消',
+    confirm: '确认',
+    load: '载入',
+    delete: '删除',
+    undo: '撤销',
+    redo: '重做',
+    inProgress: '进行中',
+    listSeparator: '、',
+    none: '无'
+  },
+  rules: {
+    summary: '玩法说明与背景（点击展开）',
+    backgroundTitle: '四色定理的背景',
+    background:
+      '四色定理研究的是“地图分区”如何用最少颜色区分相邻区域，它之所以重要，是因为它揭示了平面图的结构规律，也是图论中最著名的问题之一。证明它非常困难，因为可能的地图组合几乎无限，传统手算难以覆盖所有情况。最终证明依赖计算机辅助验证大量结构，成为数学史上首次被广泛认可的计算机辅助证明之一。',
+    mappingTitle: '本游戏与四色定理的对应',
+    mappingRegions: '地图由多个“区域”构成，每个区域是一块封闭的多边形。',
+    mappingAdjacentBefore: '相邻定义：两块区域共享',
+    mappingAdjacentEmphasis: '一段边界',
+    mappingAdjacentAfter: '，仅在一个点相接不算相邻。',
+    mappingTheorem: '四色定理保证：无论地图怎样分区，四种颜色足够完成相邻不同色。',
+    gameTitle: '游戏规则',
+    gameSelect: '点击区域选中，再点击色板即可填色；点击其他颜色可直接改色。',
+    gameClear: '点击“清除”可擦除当前区域颜色。',
+    gameHint: '卡住时点“提示下一步”，会指出被迫的一步并高亮相关邻居，不会改动其他区域。',
+    gameCheck: '检查时若有相邻同色会高亮冲突区域；全填色且无冲突即通关。',
+    gameTarget: '目标颜色只是挑战：使用更少会得到鼓励，但不影响通关判定。',
+    gameModes:
+      '玩法模式：三色/双色挑战的地图已确认可用对应颜色数完成，色板只提供这些颜色；“求色数”模式需要用这张图最少可能的颜色数填满，通关后会说明为什么不能更少。',
+    gameReference: '参考值由精确求解得出；地图过大求解超时时会退回当前最好方案，并注明最优值所在范围。',
+    controlsTitle: '操作指南',
+    controlsDesktop: '桌面：点击区域后点颜色即可填色；按住空格拖动平移；滑条缩放盘面。',
+    controlsKeyboard:
+      '键盘：Tab 进入地图，方向键移到该方向的相邻区域，数字键 1-{count} 填色，退格键清除，Ctrl+Z / Ctrl+Y 撤销与重做。',
+    controlsMobile: '移动端：使用滑条缩放盘面；点击“移动盘面”后单指拖动平移。',
+    controlsBrush: '画笔：在“填色方式”中切换到画笔或智能填色后，点击或拖过区域即可连续填色，一笔算一步撤销。'
+  },
+  modes: {
+    classic: { name: '四色经典', description: '用四种颜色填满地图，并尽量少用目标色。' },
+    three: { name: '三色挑战', description: '地图已确认可以三色完成，色板只有三种颜色。' },
+    two: { name: '双色挑战', description: '地图由贯穿全图的直线切分而成，只用两种颜色交替即可填满。' },
+    chromatic: { name: '求色数', description: '用尽可能少的颜色填满地图，用色数等于本图的最少可能值才算通关。' },
+    clues: {
+      name: '推理填色',
+      description: '部分区域给出了锁定的颜色线索，其余区域只有唯一的填法，需要一步步推理出来。'
+    },
+    duel: {
+      name: '双人对战',
+      description: '两人轮流给任意空白区域涂上合法颜色：填满方要把地图填满，阻断方要让某个区域无色可填。'
+    }
+  },
+  clueDifficulties: {
+    easy: { name: '简单', description: '每一步都能直接看出：某个区域的邻居已经占满了其他颜色。' },
+    medium: { name: '中等', description: '需要试填：假设某种颜色后，一两步之内就会引出矛盾，从而排除它。' },
+    hard: { name: '困难', description: '需要更长的推演：试填后要沿着连锁反应推很多步才会出现矛盾。' }
+  },
+  palettes: {
+    classic: '经典',
+    'okabe-ito': 'Okabe-Ito（色盲友好）',
+    'high-contrast': '高对比度',
+    grayscale: '灰度',
+    custom: '自定义'
+  },
+  colors: {
+    red: '红',
+    green: '绿',
+    blue: '蓝',
+    yellow: '黄',
+    orange: '橙',
+    'sky-blue': '天蓝',
+    'bluish-green': '蓝绿',
+    'reddish-purple': '紫红',
+    'dark-blue': '深蓝',
+    magenta: '洋红',
+    cyan: '青',
+    'light-gray': '浅灰',
+    'mid-gray': '中灰',
+    'dark-gray': '深灰',
+    black: '黑',
+    custom: { 0: '颜色 1', 1: '颜色 2', 2: '颜色 3', 3: '颜色 4' }
+  },
+  patterns: {
+    diagonal: '斜线',
+    dots: '圆点',
+    grid: '网格',
+    stripes: '横线'
+  },
+  geoMaps: {
+    'us-states': '美国各州',
+    'europe-countries': '欧洲国家',
+    'world-countries': '世界各国'
+  },
+  countWords: { 1: '一', 2: '两', 3: '三', 4: '四' },
+  checkStatus: {
+    conflict: '有相邻同色冲突',
+    incomplete: '还有未填色区域',
+    'too-many-colors': '用色多于色数',
+    solved: '作答成功'
+  },
+  actions: {
+    hint: '采纳提示',
+    brush: '画笔',
+    smart: '智能填色',
+    auto: '推荐填色',
+    reference: '参考填色',
+    reset: '重置',
+    fill: '批量填色'
+  },
+  inputModes: {
+    select: { name: '选中后填色', tip: '点击区域选中，再点色板中的颜色填入。' },
+    brush: { name: '画笔', tip: '点击或拖过区域，直接涂上色板中选中的颜色。' },
+    smart: { name: '智能填色', tip: '点击或拖过区域，自动填入第一种不与相邻区域冲突的颜色。' },
+    panTip: '按住空格或开启“移动盘面”时拖动仍为平移。',
+    duelNote: '对战中每步只能填一个区域，画笔不可用：点选区域后再点颜色落子。'
+  },
+  tasks: {
+    reference: '计算参考答案',
+    generateMap: '生成地图',
+    generatePuzzle: '生成题目',
+    hint: '寻找提示',
+    autoColor: '推荐填色',
+    geo: '载入地图',
+    duelMove: '电脑走棋',
+    running: '{task}中…',
+    cancelled: '已取消{task}',
+    timeout: '{task}超时：计算超过 {count} 秒仍未完成，请减少区域数量后重试。',
+    failed: '{task}失败：{error}'
+  },
+  progress: {
+    map: '正在划分区域…',
+    geo: '正在投影边界并计算相邻关系…',
+    clues: '正在挑选线索并确认解唯一…',
+    estimate: '正在寻找初始方案…',
+    optimize: '已搜索 {nodes} 个节点，最优值在 {lower} - {best} 之间',
+    solve: '正在搜索可行的填色…',
+    duel: '电脑正在思考…',
+    idle: '计算在后台进行，页面不会卡住'
+  },
+  region: {
+    label: '区域 {index}',
+    uncolored: '未填色',
+    colored: '{color}色',
+    lockedSuffix: '（线索，已锁定）',
+    conflictSuffix: '，与相邻区域同色冲突',
+    neighborCount: '{count} 个相邻区域',
+    description: '{label}，{color}{locked}，{neighbors}{conflict}'
+  },
+  toast: {
+    clueLocked: '这是题目给出的线索，不能修改',
+    clueLockedClear: '这是题目给出的线索，不能清除',
+    illegalColor: '{color}色与相邻区域冲突',
+    selectFirst: '请先选择一个区域',
+    noHint: '已经全部完成，没有可提示的步骤',
+    invalidCode: '题目编号无效',
+    corruptedSave: '存档已损坏，无法继续',
+    pngFailed: 'PNG 导出失败：{error}',
+    imported: '已导入 {count} 个区域的题目',
+    linkCopied: '题目链接已复制',
+    showCode: '题目编号：{code}',
+    strokeSkipped: '{count} 个区域无法不冲突地填色，已跳过'
+  },
+  announce: {
+    colored: '{region} 已填{color}色',
+    cleared: '{region} 已清除颜色',
+    undone: '已撤销',
+    redone: '已重做',
+    noNeighborInDirection: '这个方向没有相邻区域',
+    smartStroke: '智能填色 {count} 个区域',
+    brushStroke: '已用{color}色涂 {count} 个区域'
+  },
+  history: {
+    colored: '{region} 填{color}色',
+    cleared: '{region} 清除颜色',
+    labeled: '{action}：{text}',
+    bulk: '{action}（{count} 个区域）',
+    initial: '初始盘面'
+  },
+  check: {
+    conflict: '发现 {count} 处相邻同色冲突，请调整。',
+    incomplete: '目前没有冲突，但还有未填色区域。',
+    tooManyColors: '填色合法，但用了 {count} 种颜色；这张地图还能用更少的颜色完成，再试试。',
+    cluesSolved: '推理完成！从 {clues} 条线索出发推出了其余 {count} 个区域的唯一填法。',
+    chromaticProof: '为什么不能更少：{reason}',
+    chromaticSolved: '作答成功！只用 {count} 种颜色，正是这张地图的色数。{proof}',
+    optimal: '目标色仅用 {count} 次，达到最优！',
+    aboveOptimal: '目标色用了 {count} 次，比最优（{best} 次）多 {gap} 次。',
+    beatSolver: '目标色仅用 {count} 次，比求解器找到的方案更好！',
+    matchedReference: '优秀：目标色控制得很好！',
+    aboveReference: '目标色用了 {count} 次，参考方案为 {best} 次，继续挑战更少目标色吧。',
+    solved: '满足{countWord}色条件，作答成功！{praise}',
+    notScored: '本局不计分。',
+    dailyUnranked: '使用过一键填色或参考答案，本次每日挑战不计入排行榜。',
+    scored: '本局得分 {score}。'
+  },
+  autoColor: {
+    infeasible: '{count} 种颜色无法完成这张地图。{reason}',
+    done: '已使用 {count} 色生成推荐填色方案，本局将不计分；可撤销恢复原来的填色。'
+  },
+  referenceFill: {
+    optimal: '已填入最优方案：目标色 {count} 次。',
+    reference: '已填入参考方案：目标色 {count} 次（未证明最优）。'
+  },
+  errors: {
+    importFailed: '导入失败：{error}',
+    readFailed: '读取文件失败：{error}',
+    geoRead: '无法读取地理文件：{error}',
+    geoLoad: '载入地图失败：{error}',
+    puzzleFile: {
+      invalidJson: '不是有效的 JSON 文件：{error}',
+      notObject: '文件内容必须是一个 JSON 对象',
+      unknownFormat: '未知的文件格式 "{format}"，应为 "{expected}"',
+      unsupportedVersion: '不支持的文件版本 {version}，当前仅支持版本 {supported}',
+      mapSize: 'map.width / map.height 必须是正数',
+      colorCount: 'colorCount 必须是 1 到 {max} 之间的整数',
+      unknownMode: '未知的玩法模式 "{mode}"',
+      chromaticNumber: 'chromaticNumber 必须是 1 到 {max} 之间的整数',
+      unknownDifficulty: '未知的难度 "{difficulty}"',
+      noRegions: 'regions 必须是非空数组',
+      notObjectAt: '{path} 必须是对象',
+      emptyId: '{path}.id 必须是非空字符串',
+      duplicateId: '{path}.id "{id}" 重复',
+      nameNotString: '{path}.name 必须是字符串',
+      emptyParts: '{path}.parts 必须是非空数组',
+      colorOutOfRange: '{path}.color 超出范围：{color}（允许 0 到 {max} 或 null）',
+      lockedNotBoolean: '{path}.locked 必须是布尔值',
+      lockedWithoutColor: '{path} 是锁定的线索，必须带颜色',
+      neighborsNotArray: '{path}.neighbors 必须是数组',
+      unknownNeighbor: '{path}.neighbors 引用了不存在的区域 "{id}"',
+      selfNeighbor: '区域 "{id}" 不能与自身相邻',
+      asymmetric: '相邻关系不对称：{id} 记录了 {neighbor}，但反向缺失',
+      sharedEdgesNotArray: 'sharedEdges 必须是数组',
+      notNeighbors: '{path} 描述的 {a} ↔ {b} 不是相邻区域',
+      edgeLength: '{path}.length 必须是正数',
+      targetIndex: 'target.colorIndex 超出范围：{index}',
+      referenceCount: 'target.referenceCount 必须是 0 到 {max} 之间的整数',
+      tooFewPoints: '{path} 至少需要 3 个顶点',
+      pointNotPair: '{path} 必须是 [x, y] 数字对',
+      pointOutOfBounds: '{path} ({x}, {y}) 超出地图范围 {width}×{height}',
+      zeroArea: '{path} 面积为 0，不是有效的多边形',
+      notArray: '{path} 必须是数组',
+      emptyAction: '{path}.action 必须是非空字符串',
+      emptyChanges: '{path}.changes 不能为空',
+      unknownRegion: '{path} 引用了不存在的区域 "{id}"',
+      lockedChange: '{path} 修改了锁定的线索区域 "{id}"',
+      changeColor: '{path} 的颜色超出范围',
+      historyMismatch: '{path} 与盘面对不上：按撤销记录重放到这一步时，区域 "{id}" 的颜色与记录不符'
+    },
+    recording: {
+      invalidJson: '不是有效的 JSON 文件：{error}',
+      notObject: '文件内容必须是一个 JSON 对象',
+      unknownFormat: '未知的文件格式 "{format}"，应为 "{expected}"',
+      unsupportedVersion: '不支持的录像版本 {version}，当前仅支持版本 {supported}',
+      eventsNotArray: 'events 必须是数组',
+      eventNotObject: 'events[{index}] 必须是对象',
+      unknownEvent: 'events[{index}].type 未知："{type}"',
+      eventTime: 'events[{index}].t 必须是不递减的毫秒数',
+      eventConflicts: 'events[{index}].conflicts 必须是区域对数组',
+      invalidPuzzle: '录像中的题目无效：{error}',
+      replayFailed: 'events[{index}] 无法重放：{error}',
+      emptyChanges: 'changes 必须是非空数组',
+      seekPosition: 'position 必须是整数'
+    },
+    engine: {
+      unknownRegion: '不存在的区域 "{id}"',
+      colorOutOfRange: '颜色超出范围：{color}（允许 0 到 {max}）',
+      lockedRegion: '区域 "{id}" 是锁定的线索，不能修改'
+    },
+    clues: {
+      notUnique: '未能确认线索题的解唯一',
+      noColoring: '未能找到 {count} 色填色方案'
+    },
+    mapEditor: {
+      tooManySites: '种子点不能超过 {max} 个',
+      tooFewSites: '至少需要保留 {min} 个种子点',
+      sameRegion: '请选择两个不同的区域',
+      notAdjacent: '只能合并相邻的两个区域',
+      splitTooShort: '切分线太短',
+      splitMissed: '切分线需要穿过所选区域',
+      tooFewRegions: '地图至少需要 {min} 个区域'
+    },
+    geoMap: {
+      unknownMap: '未知的内置地图 "{id}"',
+      noPolygons: '文件中没有可用的面要素（Polygon / MultiPolygon）',
+      nothingVisible: '投影后没有可见区域',
+      notGeoData: '文件内容必须是 GeoJSON 或 TopoJSON 对象',
+      unknownType: '无法识别的地理数据类型 "{type}"',
+      noPolygonObject: 'TopoJSON 中没有包含面要素的对象'
+    },
+    task: {
+      cancelled: '任务已取消',
+      timeout: '计算超过 {count} 秒仍未完成',
+      workerCrashed: 'Worker 运行出错'
+    },
+    image: {
+      pngEncode: 'PNG 编码失败',
+      svgRender: 'SVG 渲染失败'
+    },
+    cli: {
+      unknownCommand: '未知命令 "{command}"',
+      unknownLanguage: '未知的语言 "{language}"（可选：{languages}）',
+      unknownMode: '未知的玩法模式 "{mode}"',
+      unknownDifficulty: '未知的推理难度 "{difficulty}"',
+      outDirRequired: '批量生成时需要用 --out 指定输出目录',
+      solveOneFile: 'solve 需要且只需要一个题目文件',
+      validateNeedsFile: 'validate 至少需要一个题目文件',
+      integerAtLeast: '{name} 必须是不小于 {min} 的整数',
+      integerBetween: '{name} 必须是 {min} 到 {max} 之间的整数',
+      benchSolveFailed: '种子 {seed} 的地图四色求解失败'
+    }
+  },
+  replay: {
+    label: '录像回放',
+    playing: '回放中',
+    progress: '事件 {index}/{total} · {time}：{event}',
+    initial: '开始录制时的盘面',
+    seek: '拖动时间线到第 {position} 步',
+    check: '检查：{status}',
+    hint: '请求提示',
+    hintRegion: '请求提示：{region}',
+    previous: '上一步',
+    next: '下一步',
+    play: '播放',
+    pause: '暂停',
+    speed: '回放速度',
+    exit: '退出回放',
+    timeline: '回放进度'
+  },
+  map: {
+    label: '地图，共 {count} 个区域。方向键在相邻区域间移动，数字键填色，退格键清除'
+  },
+  modePanel: {
+    title: '玩法模式',
+    difficulty: '推理难度',
+    currentMode: '当前题目仍为“{mode}”。'
+  },
+  cluePanel: {
+    summary: '难度：{difficulty} · 线索 {count} 个',
+    unrated: '未评定',
+    lockedNote: '带方块标记的区域是锁定的线索，不能修改或清除；其余区域的填法唯一。',
+    downgraded: '这张地图上推不出更难的题，已按实际推理难度评定。'
+  },
+  duel: {
+    players: { filler: '填满方', blocker: '阻断方' },
+    computerSuffix: '（电脑）',
+    errors: {
+      finished: '对局已经结束',
+      unknown: '不存在的区域',
+      colored: '这个区域已经填过颜色',
+      conflict: '{color}色与相邻区域冲突，不能这样填',
+      clear: '对战中不能清除颜色',
+      computerTurn: '现在轮到电脑落子'
+    },
+    resultTitle: '{player}获胜！',
+    win: '你赢了！',
+    lose: '电脑赢了',
+    filled: '第 {count} 步把地图填满了，阻断方没能堵死任何区域。',
+    blocked: '{regions} 的邻居已占满全部颜色，再也无色可填。',
+    review: '查看棋盘',
+    again: '再来一局'
+  },
+  duelPanel: {
+    title: '双人对战',
+    turn: '第 {count} 步 · 轮到{player}落子',
+    winner: '对局结束：{player}获胜',
+    rules:
+      '填满方先手。每步给一个空白区域涂上与邻居都不同的颜色，落子后不能清除；地图填满则填满方胜，出现无色可填的区域则阻断方胜。',
+    opponent: '对手',
+    opponents: { none: '双人轮流（同一台设备）', filler: '电脑执填满方', blocker: '电脑执阻断方' },
+    level: '电脑强度',
+    levels: { easy: '简单', normal: '中等', hard: '困难' },
+    computerMove: '让电脑落子',
+    undoNote: '对战电脑时撤销会连同电脑的上一步一起撤回。'
+  },
+  chromaticPanel: {
+    title: '色数挑战',
+    goal: '本局目标：用最少的颜色填满地图',
+    used: '已用颜色：{count} 种',
+    chromaticNumber: '本图色数：{value}',
+    unknown: '？'
+  },
+  targetPanel: {
+    title: '目标色',
+    color: '目标颜色：{color}',
+    optimal: '最优目标色次数：{count}（精确求解）',
+    reference: '参考最少次数：{count}',
+    range: '求解超时，最优值在 {lower} - {upper} 之间'
+  },
+  daily: {
+    title: '每日挑战',
+    start: '开始今日挑战',
+    newProfile: '新玩家名称',
+    defaultProfile: '玩家 1',
+    add: '添加',
+    streaks: '连续完成 {current} 天 · 最长 {best} 天',
+    personalBest: '个人最佳（{date}）：目标色 {count} 次 · {time} · {moves} 步',
+    entry: '目标色 {count} · {time} · {moves} 步',
+    empty: '今天还没有人完成，排名按目标色次数、用时、步数依次比较。'
+  },
+  codePanel: {
+    title: '题目编号',
+    noCode: '导入题目（无编号）',
+    copyLink: '复制链接',
+    placeholder: '输入题目编号',
+    note: '相同编号会生成完全相同的地图，可用于对战或反馈问题。'
+  },
+  recent: {
+    title: '最近未完成',
+    imported: '导入题目',
+    progress: '已填 {filled}/{total} · {time}',
+    open: '打开'
+  },
+  geoPanel: {
+    title: '真实地图',
+    openFile: '打开 GeoJSON / TopoJSON 文件',
+    note: '相邻关系取自共享的边界弧段，仅在一点相接的区域不算相邻。'
+  },
+  editorPanel: {
+    title: '地图编辑器',
+    open: '自己动手画地图',
+    note: '拖动、增删 Voronoi 种子点，合并或切分区域，完成后即可作为题目游玩和导出。'
+  },
+  regionCount: {
+    title: '区域数量',
+    range: '范围：{min} - {max}'
+  },
+  zoom: {
+    title: '盘面缩放',
+    note: '桌面按住空格拖动平移，移动端开启“移动盘面”。'
+  },
+  magnifier: {
+    title: '放大镜',
+    on: '🔍 放大镜：已开启',
+    off: '🔍 放大镜：关闭',
+    note: '放大镜开启时仅观察，点击不会填色。'
+  },
+  display: {
+    title: '辅助显示',
+    labels: '显示区域编号',
+    neighbors: '悬停或选中时高亮相邻区域与公共边',
+    blockIllegal: '禁止填入与相邻区域冲突的颜色',
+    renderer: '渲染方式',
+    renderers: {
+      auto: '自动（区域多时用 Canvas）',
+      svg: 'SVG',
+      canvas: 'Canvas'
+    },
+    rendererNote: 'Canvas 只重绘有变化的区域，适合上千个区域的大地图。'
+  },
+  colorScheme: {
+    title: '配色',
+    palette: '调色板',
+    patterns: '叠加纹理（{list}）',
+    patternPair: '{color}={pattern}',
+    patternSeparator: '，',
+    customColor: '颜色 {index}',
+    customColorName: '颜色 {index} 名称',
+    note: '冲突区域会额外标出“!”，不依赖颜色也能辨认。'
+  },
+  pan: {
+    title: '移动端平移',
+    on: '移动盘面：已开启',
+    off: '移动盘面：关闭'
+  },
+  inputModePanel: {
+    title: '填色方式'
+  },
+  palettePanel: {
+    title: '色板',
+    illegal: '（与相邻区域冲突）',
+    clear: '清除',
+    currentRegion: '当前区域：{name}',
+    legal: '可填颜色：{colors}',
+    noLegal: '所有颜色都会与相邻区域冲突',
+    neighbors: '{region} 有 {count} 个相邻区域',
+    sharedBorder: '公共边 {length}'
+  },
+  timeline: {
+    title: '作答时间线',
+    valueText: '第 {position} 步，共 {total} 步',
+    status: '第 {position} / {total} 步：{text}'
+  },
+  actionsPanel: {
+    title: '操作',
+    check: '检查/提交',
+    generating: '生成中...',
+    hint: '提示下一步',
+    autoColor: '一键推荐填色（{count} 色）',
+    showOptimal: '查看最优填色',
+    showReference: '查看参考填色',
+    reset: '重置本题',
+    newPuzzle: '生成新题',
+    applyHint: '采纳：填{color}',
+    closeHint: '关闭提示',
+    scoreItem: '{label}：{points}',
+    elapsed: '用时 {time} · 目标色使用次数：{count}'
+  },
+  score: {
+    autoColor: '使用了一键推荐填色',
+    reference: '查看了参考填色',
+    overtime: '超出标准用时',
+    undoCount: '撤销 {count} 次',
+    failedChecks: '检查未通过 {count} 次',
+    hintsUsed: '使用提示 {count} 次',
+    aboveReference: '目标色比参考多 {count} 次',
+    beatReference: '目标色比参考少 {count} 次'
+  },
+  filePanel: {
+    title: '题目文件',
+    exportJson: '导出 JSON',
+    importJson: '导入 JSON',
+    includeHistory: '导出时包含撤销/重做记录'
+  },
+  recordingPanel: {
+    title: '作答录像',
+    note: '自动记录本局的每次填色、撤销、检查与提示及其时间，可回放或导出用于讲解。',
+    replay: '回放本局',
+    export: '导出录像',
+    import: '导入录像'
+  },
+  imagePanel: {
+    title: '导出图片',
+    colors: '包含填色（取消则导出空白地图）',
+    conflicts: '标出相邻同色冲突',
+    labels: '显示区域编号',
+    pngScale: 'PNG 分辨率',
+    exportSvg: '导出 SVG',
+    exportPng: '导出 PNG'
+  },
+  stats: {
+    title: '成绩统计',
+    empty: '{profile} 还没有完成过题目，通关后会在这里记录成绩。',
+    byDifficulty: '按难度',
+    byRegions: '按区域数',
+    all: '全部',
+    difficulty: '难度',
+    regions: '区域数',
+    completed: '完成',
+    average: '平均分',
+    best: '最高分',
+    unscored: '（{count} 次不计分）',
+    chart: '得分走势',
+    chartEmpty: '该分类下暂无记录。',
+    point: '{date} · {count} 块 · {score}',
+    pointUnscored: '不计分',
+    pointScore: '{score} 分',
+    difficulties: { easy: '入门', normal: '普通', hard: '困难', expert: '专家' },
+    regionBuckets: { small: '10-39 块', medium: '40-79 块', large: '80-139 块', huge: '140 块以上' }
+  },
+  debug: {
+    title: '调试面板',
+    regions: '区域数量：{count}',
+    edges: '相邻边数量：{count}',
+    target: '当前目标色次数：{count}',
+    conflicts: '最近冲突：{list}'
+  },
+  modals: {
+    resetTitle: '确定要重置吗？',
+    resetContent: '将清除所有颜色，之后仍可撤销恢复。',
+    newTitle: '要生成新题吗？',
+    newContent: '当前地图与作答将被替换。',
+    resumeTitle: '继续上一局？',
+    resumeContent: '题目 {code} 已填 {filled}/{total} 个区域。',
+    resumeCancel: '开始新局',
+    resumeConfirm: '继续上一局'
+  },
+  editor: {
+    title: '地图编辑器',
+    tools: '编辑工具',
+    move: { name: '拖动种子', tip: '拖动种子点，区域会实时重新划分' },
+    add: { name: '添加种子', tip: '在地图上点击，新增一个种子点' },
+    remove: { name: '删除种子', tip: '点击种子点将其删除，周围区域会补上空出的位置' },
+    merge: { name: '合并区域', tip: '依次点击两个相邻区域，把后一个并入前一个' },
+    split: { name: '切分区域', tip: '在区域上按住并拖出一条直线，沿这条直线把区域一分为二' },
+    mergeSecond: '再点击一个相邻区域，将其并入已选区域',
+    summary: '{regions} 个区域 · {sites} 个种子点 · 已合并或切分 {count} 次',
+    siteCount: '种子点数量',
+    regenerate: '重新随机布点',
+    finish: '完成并开始游戏'
+  },
+  hints: {
+    conflict: '{region} 与 {other} 相邻却同为{color}，先修正这处冲突。',
+    deadRegion: '{region} 的邻居已用尽全部 {count} 种颜色，需要改动其中一个邻居。',
+    structural: '{reason}这张地图无法只用 {count} 种颜色完成。',
+    unsolvable: '当前已填的颜色无论如何都无法补全整张地图，建议撤销最近几步。',
+    single: '{region} 的邻居已占用其他颜色，只剩{color}可填。',
+    forced: '{region} 只能填{color}：填{ruledOut}会让剩余盘面无解。',
+    suggestion: '暂无唯一确定的一步。{region} 约束最多，可以先试试{color}。'
+  },
+  infeasibility: {
+    list: '{list} 等 {count} 块区域',
+    edge: '{a} 与 {b} 相邻，只用一种颜色必然冲突。',
+    oddCycle: '{list} 首尾相接围成一圈，共 {count} 块（奇数），两种颜色交替填到最后一块必然与第一块同色。',
+    clique: '{list} 这四块区域两两相邻，至少需要四种颜色。',
+    oddWheel:
+      '{hub} 被 {ring} 围成的奇数圈包围：这一圈至少要用三种颜色，{hub} 与圈上每一块都相邻，三种颜色不够。',
+    blocked: '{region} 的邻居已用尽全部 {count} 种颜色。',
+    clash: '{a} 与 {b} 相邻却已填成同色。',
+    exhaustive: '穷举所有填法后确认 {count} 种颜色无法完成。'
+  },
+  cli: {
+    usage: `用法：
+  fourcolor generate [--regions 30] [--mode classic] [--difficulty medium] [--seed x] [--count 1] [--out 路径] [--time-limit 4000]
+      生成题目文件；--count 大于 1 时 --out 必须是目录，文件按题目编号命名；--difficulty 仅用于推理填色
+  fourcolor solve <题目.json> [--out 路径] [--time-limit 4000]
+      计算目标色最少的参考填色，输出填好颜色的题目文件
+  fourcolor validate <题目.json>... [--solved]
+      校验题目文件格式并检查当前填色；--solved 要求每个文件都已正确填满
+  fourcolor bench [--regions 30] [--seed x] [--count 1]
+      按种子连续生成 --count 张随机地图，分别统计撒点、Voronoi 单元、相邻关系与四色求解的耗时（毫秒）
+
+玩法模式：{modes}
+推理难度：{difficulties}
+所有命令都接受 --lang {languages}；默认按 LC_ALL / LC_MESSAGES / LANG 选择语言，识别不出时用英文。
+未指定 --out 时输出到标准输出，摘要信息输出到标准错误。`,
+    fatal: 'fourcolor：{error}',
+    optimal: '最优',
+    lowerBound: '下界 {bound}',
+    provenOptimal: '已证明最优',
+    notProvenOptimal: '未证明最优，下界 {bound}',
+    generatedClues: '{code}：{regions} 个区域，{clues} 条线索，难度{difficulty}，解唯一',
+    generated: '{code}：{regions} 个区域，参考目标色 {count} 次（{optimality}）',
+    infeasible: '{file}：{count} 种颜色无法完成这张地图。{reason}',
+    solved: '{file}：目标色 {count} 次（{optimality}）',
+    invalid: '{file}：无效 — {error}',
+    summary: '{count} 个区域，已填 {filled}/{count}',
+    conflicts: '{file}：{summary}，{count} 处相邻同色冲突（{pairs}）',
+    complete: '{file}：{summary}，已正确填满，目标色 {count} 次',
+    tooManyColors: '{file}：{summary}，用了 {count} 种颜色，多于色数',
+    noConflicts: '{file}：{summary}，无冲突',
+    average: '平均'
+  }
+};
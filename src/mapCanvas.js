@@ -0,0 +1,276 @@
+import { clamp, polygonCentroid, regionBounds, regionContainsPoint, regionPathData } from './geometry.js';
+import { getPatternShape, PATTERN_SIZE } from './palettes.js';
+
+// Canvas 渲染器的绘制与查找部分，MapCanvas.jsx 负责图层与重绘调度。
+// 区域按外接矩形登记进均匀网格，命中测试与“重绘某个矩形”都只看相关格子里的区域；
+// 每个区域的 Path2D 按形状数组缓存，填色变化不会重建路径。
+
+// 与 styles.css 中 SVG 地图的样式保持一致。
+export const CANVAS_COLORS = {
+  background: '#f8fafc',
+  stroke: '#334155',
+  locked: '#0f172a',
+  deadFill: '#fecaca',
+  deadStroke: '#dc2626',
+  selected: '#2563eb',
+  hintTarget: '#7c3aed',
+  hintNeighbor: '#a855f7',
+  neighbor: '#0ea5e9',
+  sharedBorder: '#0284c7',
+  conflict: '#dc2626',
+  label: '#0f172a',
+  halo: '#ffffff',
+  crosshair: '#ef4444'
+};
+const FONT_FAMILY = `Inter, 'PingFang SC', 'Microsoft YaHei', sans-serif`;
+const REGIONS_PER_CELL = 4;
+// 纹理按几倍分辨率绘制，放大盘面时不至于发虚。
+const PATTERN_RESOLUTION = 4;
+
+const pathCache = new WeakMap();
+const patternCache = new WeakMap();
+let lastIndex = null;
+
+// 取（必要时重建）regions 的空间索引；形状不变时复用上一次的结果，填色变化不会触发重建。
+export function getRegionIndex(regions, width, height) {
+  if (!isIndexFor(lastIndex, regions, width, height)) lastIndex = createRegionIndex(regions, width, height);
+  return lastIndex;
+}
+
+export function createRegionIndex(regions, width, height) {
+  const cellCount = Math.max(1, Math.round(regions.length / REGIONS_PER_CELL));
+  const cols = Math.max(1, Math.round(Math.sqrt((cellCount * width) / height)));
+  const rows = Math.max(1, Math.ceil(cellCount / cols));
+  const index = {
+    width,
+    height,
+    cols,
+    rows,
+    cellWidth: width / cols,
+    cellHeight: height / rows,
+    shapes: regions.map((region) => region.parts ?? region.polygon),
+    bounds: regions.map(regionBounds),
+    cells: Array.from({ length: cols * rows }, () => []),
+    marks: new Uint32Array(regions.length),
+    stamp: 0
+  };
+  index.bounds.forEach((box, regionIndex) => {
+    forEachCell(index, box, (cell) => index.cells[cell].push(regionIndex));
+  });
+  return index;
+}
+
+function isIndexFor(index, regions, width, height) {
+  if (!index || index.width !== width || index.height !== height || index.shapes.length !== regions.length) {
+    return false;
+  }
+  return regions.every((region, i) => (region.parts ?? region.polygon) === index.shapes[i]);
+}
+
+function forEachCell(index, box, callback) {
+  const col0 = clampCell(Math.floor(box.minX / index.cellWidth), index.cols);
+  const col1 = clampCell(Math.floor(box.maxX / index.cellWidth), index.cols);
+  const row0 = clampCell(Math.floor(box.minY / index.cellHeight), index.rows);
+  const row1 = clampCell(Math.floor(box.maxY / index.cellHeight), index.rows);
+  for (let row = row0; row <= row1; row += 1) {
+    for (let col = col0; col <= col1; col += 1) callback(row * index.cols + col);
+  }
+}
+
+function clampCell(value, count) {
+  return Math.min(Math.max(value, 0), count - 1);
+}
+
+// 外接矩形与 rect 相交的区域下标，按原顺序排列，保证重叠处的绘制先后与整图绘制一致。
+export function queryRegions(index, rect) {
+  index.stamp += 1;
+  const found = [];
+  forEachCell(index, rect, (cell) => {
+    index.cells[cell].forEach((regionIndex) => {
+      if (index.marks[regionIndex] === index.stamp) return;
+      index.marks[regionIndex] = index.stamp;
+      const box = index.bounds[regionIndex];
+      if (box.maxX < rect.minX || box.minX > rect.maxX || box.maxY < rect.minY || box.minY > rect.maxY) return;
+      found.push(regionIndex);
+    });
+  });
+  return found.sort((a, b) => a - b);
+}
+
+// 命中测试：后绘制的区域在上层，因此从后往前找第一个包含该点的区域。
+export function findRegionAt(index, regions, x, y) {
+  if (x < 0 || y < 0 || x > index.width || y > index.height) return null;
+  const cell = clampCell(Math.floor(y / index.cellHeight), index.rows) * index.cols;
+  const candidates = index.cells[cell + clampCell(Math.floor(x / index.cellWidth), index.cols)];
+  for (let i = candidates.length - 1; i >= 0; i -= 1) {
+    const box = index.bounds[candidates[i]];
+    if (x < box.minX || x > box.maxX || y < box.minY || y > box.maxY) continue;
+    if (regionContainsPoint(regions[candidates[i]], x, y)) return regions[candidates[i]].id;
+  }
+  return null;
+}
+
+export function getRegionPath(region) {
+  const key = region.parts ?? region.polygon;
+  if (!pathCache.has(key)) pathCache.set(key, new Path2D(regionPathData(region)));
+  return pathCache.get(key);
+}
+
+// 每种颜色一个平铺纹理，按绘图上下文与调色板缓存。
+function getPatternFills(ctx, colors) {
+  const cached = patternCache.get(ctx);
+  if (cached?.colors === colors) return cached.fills;
+  const fills = colors.map((color, index) => {
+    const tile = document.createElement('canvas');
+    tile.width = PATTERN_SIZE * PATTERN_RESOLUTION;
+    tile.height = PATTERN_SIZE * PATTERN_RESOLUTION;
+    const tileCtx = tile.getContext('2d');
+    tileCtx.scale(PATTERN_RESOLUTION, PATTERN_RESOLUTION);
+    tileCtx.fillStyle = color.hex;
+    tileCtx.fillRect(0, 0, PATTERN_SIZE, PATTERN_SIZE);
+    const { tag, attrs } = getPatternShape(index, color.hex);
+    if (tag === 'circle') {
+      tileCtx.fillStyle = attrs.fill;
+      tileCtx.beginPath();
+      tileCtx.arc(attrs.cx, attrs.cy, attrs.r, 0, Math.PI * 2);
+      tileCtx.fill();
+    } else {
+      tileCtx.strokeStyle = attrs.stroke;
+      tileCtx.lineWidth = attrs['stroke-width'];
+      tileCtx.stroke(new Path2D(attrs.d));
+    }
+    const pattern = ctx.createPattern(tile, 'repeat');
+    pattern.setTransform(new DOMMatrix().scale(1 / PATTERN_RESOLUTION));
+    return pattern;
+  });
+  patternCache.set(ctx, { colors, fills });
+  return fills;
+}
+
+// 底图：填色、边框、线索标记与编号。style 为 MapCanvas 算出的每个区域的底图样式
+// { color, locked, dead }，options = { colors, usePatterns, showLabels, labelPointOf }。
+export function drawBaseRegions(ctx, regions, indices, styles, { colors, usePatterns, showLabels, labelPointOf }) {
+  const fills = usePatterns ? getPatternFills(ctx, colors) : null;
+  ctx.lineJoin = 'round';
+  indices.forEach((i) => {
+    const style = styles[i];
+    const path = getRegionPath(regions[i]);
+    if (style.dead) {
+      ctx.fillStyle = CANVAS_COLORS.deadFill;
+      ctx.fill(path, 'evenodd');
+    } else if (style.color != null) {
+      ctx.fillStyle = fills ? fills[style.color] : colors[style.color].hex;
+      ctx.fill(path, 'evenodd');
+    }
+    if (style.dead) {
+      strokePath(ctx, path, CANVAS_COLORS.deadStroke, 3, [4, 3]);
+    } else if (style.locked) {
+      strokePath(ctx, path, CANVAS_COLORS.locked, 2.5);
+    } else {
+      strokePath(ctx, path, CANVAS_COLORS.stroke, 1);
+    }
+  });
+  indices.forEach((i) => {
+    if (!styles[i].locked) return;
+    const point = labelPointOf(regions[i]);
+    const size = clamp(point.distance * 0.5, 3, 7);
+    ctx.beginPath();
+    if (ctx.roundRect) {
+      ctx.roundRect(point.x - size, point.y - size, size * 2, size * 2, size * 0.4);
+    } else {
+      ctx.rect(point.x - size, point.y - size, size * 2, size * 2);
+    }
+    ctx.fillStyle = CANVAS_COLORS.halo;
+    ctx.fill();
+    ctx.lineWidth = 1.5;
+    ctx.setLineDash([]);
+    ctx.strokeStyle = CANVAS_COLORS.locked;
+    ctx.stroke();
+  });
+  if (!showLabels) return;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.lineWidth = 3;
+  ctx.setLineDash([]);
+  indices.forEach((i) => {
+    const point = labelPointOf(regions[i]);
+    ctx.font = `600 ${clamp(point.distance * 1.2, 6, 14)}px ${FONT_FAMILY}`;
+    ctx.strokeStyle = CANVAS_COLORS.halo;
+    ctx.strokeText(String(i + 1), point.x, point.y);
+    ctx.fillStyle = CANVAS_COLORS.label;
+    ctx.fillText(String(i + 1), point.x, point.y);
+  });
+}
+
+// 高亮层：邻居、提示、选中的描边，冲突区域按 pulse（0-1）闪白并画上感叹号，另有公共边与放大镜准星。
+export function drawHighlights(ctx, regionById, { highlights, conflictIds, sharedBorders, crosshair, pulse }) {
+  const outline = (ids, color, width, dash) =>
+    ids.forEach((id) => {
+      const region = regionById.get(id);
+      if (region) strokePath(ctx, getRegionPath(region), color, width, dash);
+    });
+  ctx.lineJoin = 'round';
+  conflictIds.forEach((id) => {
+    const region = regionById.get(id);
+    if (!region || !pulse) return;
+    ctx.globalAlpha = pulse;
+    ctx.fillStyle = CANVAS_COLORS.halo;
+    ctx.fill(getRegionPath(region), 'evenodd');
+    ctx.globalAlpha = 1;
+  });
+  outline(highlights.neighbors, CANVAS_COLORS.neighbor, 2);
+  outline(highlights.hintNeighbors, CANVAS_COLORS.hintNeighbor, 2);
+  outline(highlights.hintTargets, CANVAS_COLORS.hintTarget, 3, [6, 3]);
+  if (highlights.selectedId) outline([highlights.selectedId], CANVAS_COLORS.selected, 3);
+
+  if (sharedBorders.length) {
+    ctx.beginPath();
+    sharedBorders.forEach((border) => {
+      ctx.moveTo(border.x1, border.y1);
+      ctx.lineTo(border.x2, border.y2);
+    });
+    ctx.lineCap = 'round';
+    strokePath(ctx, null, CANVAS_COLORS.sharedBorder, 4);
+    ctx.lineCap = 'butt';
+  }
+
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.font = `700 13px ${FONT_FAMILY}`;
+  conflictIds.forEach((id) => {
+    const region = regionById.get(id);
+    if (!region) return;
+    const center = polygonCentroid(region.polygon);
+    ctx.beginPath();
+    ctx.arc(center.x, center.y, 9, 0, Math.PI * 2);
+    ctx.fillStyle = CANVAS_COLORS.halo;
+    ctx.fill();
+    strokePath(ctx, null, CANVAS_COLORS.conflict, 2);
+    ctx.fillStyle = CANVAS_COLORS.conflict;
+    ctx.fillText('!', center.x, center.y);
+  });
+
+  if (crosshair) drawCrosshair(ctx, crosshair);
+}
+
+// 放大镜准星的线宽固定为 2 个 CSS 像素，不随缩放变化。
+export function drawCrosshair(ctx, point) {
+  ctx.beginPath();
+  ctx.moveTo(point.x - 6, point.y);
+  ctx.lineTo(point.x + 6, point.y);
+  ctx.moveTo(point.x, point.y - 6);
+  ctx.lineTo(point.x, point.y + 6);
+  strokePath(ctx, null, CANVAS_COLORS.crosshair, (2 * (window.devicePixelRatio || 1)) / ctx.getTransform().a);
+}
+
+// path 为 null 时描当前路径。
+function strokePath(ctx, path, color, width, dash = []) {
+  ctx.strokeStyle = color;
+  ctx.lineWidth = width;
+  ctx.setLineDash(dash);
+  if (path) {
+    ctx.stroke(path);
+  } else {
+    ctx.stroke();
+  }
+}
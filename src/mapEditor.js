@@ -0,0 +1,171 @@
+import { buildAdjacency } from './adjacency.js';
+import { clamp, polygonCentroid } from './geometry.js';
+import { LocalizedError } from './i18n.js';
+import {
+  buildVoronoiCells,
+  createPoints,
+  MAP_HEIGHT,
+  MAP_WIDTH,
+  mergeCells,
+  splitConvexPolygon
+} from './puzzleGenerator.js';
+
+export const MIN_EDITOR_SITES = 2;
+// 编辑器每次改动都在主线程上重建整张地图并用 SVG 绘制，种子点数不跟随生成器放开到上千个。
+export const MAX_EDITOR_SITES = 200;
+const MIN_SPLIT_LENGTH = 4;
+const EDGE_TOLERANCE = 1e-6;
+
+export class MapEditorError extends LocalizedError {
+  constructor(code, params) {
+    super(`mapEditor.${code}`, params);
+    this.name = 'MapEditorError';
+  }
+}
+
+// 编辑中的地图：Voronoi 种子点加上按顺序记录的合并、切分操作。
+// 每次编辑后都从种子点整体重建区域与相邻关系，所以拖动种子时已做过的合并和切分仍然生效。
+// doc = { width, height, sites: [{ id, x, y }], operations: [...], nextId }
+// operations：
+//   { type: 'merge', keep, remove }                           区域 remove 并入 keep
+//   { type: 'split', regionId, newId, line: { x1, y1, x2, y2 } } 沿直线切开 regionId，直线右侧成为新区域 newId
+// 所有函数都返回新的 doc，不修改传入的对象；编辑无效时抛出 MapEditorError。
+export function createEditorDoc({ regionCount, rng, width = MAP_WIDTH, height = MAP_HEIGHT }) {
+  const sites = createPoints(regionCount, width, height, rng).map(([x, y], index) => ({ id: `site-${index}`, x, y }));
+  return { width, height, sites, operations: [], nextId: sites.length };
+}
+
+export function moveSite(doc, siteId, x, y) {
+  return {
+    ...doc,
+    sites: doc.sites.map((site) =>
+      site.id === siteId ? { ...site, x: clamp(x, 0, doc.width), y: clamp(y, 0, doc.height) } : site
+    )
+  };
+}
+
+export function addSite(doc, x, y) {
+  if (doc.sites.length >= MAX_EDITOR_SITES) throw new MapEditorError('tooManySites', { max: MAX_EDITOR_SITES });
+  const site = { id: `site-${doc.nextId}`, x: clamp(x, 0, doc.width), y: clamp(y, 0, doc.height) };
+  return { ...doc, sites: [...doc.sites, site], nextId: doc.nextId + 1 };
+}
+
+export function removeSite(doc, siteId) {
+  if (doc.sites.length <= MIN_EDITOR_SITES) throw new MapEditorError('tooFewSites', { min: MIN_EDITOR_SITES });
+  return { ...doc, sites: doc.sites.filter((site) => site.id !== siteId) };
+}
+
+export function mergeRegions(doc, keep, remove) {
+  if (keep === remove) throw new MapEditorError('sameRegion');
+  const { adjacency } = buildEditorMap(doc);
+  if (!adjacency.get(keep)?.has(remove)) throw new MapEditorError('notAdjacent');
+  return { ...doc, operations: [...doc.operations, { type: 'merge', keep, remove }] };
+}
+
+export function splitRegion(doc, regionId, line) {
+  if (Math.hypot(line.x2 - line.x1, line.y2 - line.y1) < MIN_SPLIT_LENGTH) {
+    throw new MapEditorError('splitTooShort');
+  }
+  const newId = `part-${doc.nextId}`;
+  const next = {
+    ...doc,
+    operations: [...doc.operations, { type: 'split', regionId, newId, line }],
+    nextId: doc.nextId + 1
+  };
+  const ids = new Set(buildEditorMap(next).regions.map((region) => region.id));
+  if (!ids.has(regionId) || !ids.has(newId)) throw new MapEditorError('splitMissed');
+  return next;
+}
+
+// 重建当前地图，区域编号为种子点或切分产生的编号，便于继续编辑；返回 { regions, adjacency, adjacencyMeta }。
+export function buildEditorMap(doc) {
+  const { cells, components, labels } = buildPieces(doc);
+  return mergeCells(cells, components, labels);
+}
+
+// 定稿：重建地图并把区域按顺序重新编号为 region-0、region-1……，可直接作为题目使用。
+export function finalizeEditorMap(doc) {
+  const { cells, components } = buildPieces(doc);
+  if (components.length < MIN_EDITOR_SITES) throw new MapEditorError('tooFewRegions', { min: MIN_EDITOR_SITES });
+  return mergeCells(cells, components);
+}
+
+// 先得到每个种子的 Voronoi 单元，再依次执行合并（改标签）与切分（按直线切开凸多边形），
+// 最后把同一标签的小块交给 mergeCells 拼成区域。切分点会插入到相邻小块的边上，避免拼接时出现 T 形接点。
+function buildPieces(doc) {
+  let pieces = [];
+  buildVoronoiCells(
+    doc.sites.map((site) => [site.x, site.y]),
+    doc.width,
+    doc.height
+  ).forEach((polygon, index) => {
+    if (polygon) pieces.push({ label: doc.sites[index].id, polygon });
+  });
+
+  const cutPoints = [];
+  doc.operations.forEach((operation) => {
+    if (operation.type === 'merge') {
+      pieces = pieces.map((piece) => (piece.label === operation.remove ? { ...piece, label: operation.keep } : piece));
+    } else {
+      pieces = pieces.flatMap((piece) =>
+        piece.label === operation.regionId ? splitPiece(piece, operation, cutPoints) : [piece]
+      );
+    }
+  });
+
+  const regions = pieces.map((piece, index) => ({
+    id: `piece-${index}`,
+    polygon: cutPoints.length ? insertPoints(piece.polygon, cutPoints) : piece.polygon
+  }));
+  const { adjacencyMeta } = buildAdjacency(regions, { width: doc.width, height: doc.height });
+  const groups = new Map();
+  pieces.forEach((piece, index) => {
+    if (!groups.has(piece.label)) groups.set(piece.label, []);
+    groups.get(piece.label).push(regions[index].id);
+  });
+  return {
+    cells: { regions, adjacencyMeta },
+    components: Array.from(groups.values()),
+    labels: Array.from(groups.keys())
+  };
+}
+
+function splitPiece(piece, { newId, line }, cutPoints) {
+  const origin = { x: line.x1, y: line.y1 };
+  const length = Math.hypot(line.x2 - line.x1, line.y2 - line.y1);
+  const direction = { x: (line.x2 - line.x1) / length, y: (line.y2 - line.y1) / length };
+  const halves = splitConvexPolygon(piece.polygon, origin, direction);
+  if (!halves) {
+    const center = polygonCentroid(piece.polygon);
+    const side = direction.x * (center.y - origin.y) - direction.y * (center.x - origin.x);
+    return [side < 0 ? { ...piece, label: newId } : piece];
+  }
+  halves.flat().forEach((point) => {
+    if (!piece.polygon.includes(point)) cutPoints.push(point);
+  });
+  return [
+    { label: piece.label, polygon: halves[0] },
+    { label: newId, polygon: halves[1] }
+  ];
+}
+
+function insertPoints(polygon, points) {
+  const result = [];
+  polygon.forEach((a, index) => {
+    const b = polygon[(index + 1) % polygon.length];
+    result.push(a);
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSq = dx * dx + dy * dy;
+    if (lengthSq === 0) return;
+    const inner = [];
+    points.forEach((point) => {
+      const t = ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSq;
+      const offset = Math.abs((point.x - a.x) * dy - (point.y - a.y) * dx) / Math.sqrt(lengthSq);
+      const margin = EDGE_TOLERANCE / Math.sqrt(lengthSq);
+      if (offset <= EDGE_TOLERANCE && t > margin && t < 1 - margin) inner.push({ t, point });
+    });
+    inner.sort((first, second) => first.t - second.t).forEach(({ point }) => result.push(point));
+  });
+  return result;
+}
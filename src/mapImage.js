@@ -0,0 +1,108 @@
+import { findLabelPoint, regionPathData } from './geometry.js';
+import { LocalizedError } from './i18n.js';
+import { getPatternId, getPatternShape, PATTERN_SIZE } from './palettes.js';
+
+const BACKGROUND = '#f8fafc';
+const STROKE = '#334155';
+const CONFLICT_STROKE = '#dc2626';
+const BLANK_FILL = '#ffffff';
+const LABEL_COLOR = '#0f172a';
+
+export function buildMapSvg({
+  width,
+  height,
+  regions,
+  palette,
+  conflictIds = new Set(),
+  showColors = true,
+  showConflicts = false,
+  showLabels = false,
+  patterns = false
+}) {
+  const usePatterns = patterns && showColors;
+  const polygons = regions.map((region) => {
+    let fill = BLANK_FILL;
+    if (showColors && region.color != null) {
+      fill = usePatterns ? `url(#${getPatternId(region.color)})` : palette[region.color].hex;
+    }
+    return `${shapeTag(region)} fill="${fill}" stroke="${STROKE}" stroke-width="1" stroke-linejoin="round"/>`;
+  });
+  const highlights = showConflicts
+    ? regions
+        .filter((region) => conflictIds.has(region.id))
+        .map(
+          (region) =>
+            `${shapeTag(region)} fill="none" stroke="${CONFLICT_STROKE}" stroke-width="3" stroke-dasharray="6 3" stroke-linejoin="round"/>`
+        )
+    : [];
+  const fontSize = clampFontSize(width, height, regions.length);
+  const labels = showLabels
+    ? regions.map((region, index) => {
+        const center = findLabelPoint(region);
+        return `<text x="${round(center.x)}" y="${round(center.y)}">${index + 1}</text>`;
+      })
+    : [];
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    usePatterns ? `<defs>${palette.map((color, index) => patternTag(color.hex, index)).join('')}</defs>` : '',
+    `<rect width="${width}" height="${height}" fill="${BACKGROUND}"/>`,
+    `<g>${polygons.join('')}</g>`,
+    highlights.length ? `<g>${highlights.join('')}</g>` : '',
+    labels.length
+      ? `<g font-family="Inter, 'PingFang SC', 'Microsoft YaHei', sans-serif" font-size="${fontSize}" font-weight="600" fill="${LABEL_COLOR}" text-anchor="middle" dominant-baseline="central">${labels.join('')}</g>`
+      : '',
+    '</svg>'
+  ].join('');
+}
+
+export function rasterizeSvg(svgText, width, height, scale) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(new Blob([svgText], { type: 'image/svg+xml' }));
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(width * scale);
+      canvas.height = Math.round(height * scale);
+      const context = canvas.getContext('2d');
+      context.drawImage(image, 0, 0, canvas.width, canvas.height);
+      URL.revokeObjectURL(url);
+      canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new LocalizedError('image.pngEncode'))), 'image/png');
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new LocalizedError('image.svgRender'));
+    };
+    image.src = url;
+  });
+}
+
+function patternTag(hex, index) {
+  const shape = getPatternShape(index, hex);
+  const attrs = Object.entries(shape.attrs)
+    .map(([key, value]) => `${key}="${value}"`)
+    .join(' ');
+  return [
+    `<pattern id="${getPatternId(index)}" patternUnits="userSpaceOnUse" width="${PATTERN_SIZE}" height="${PATTERN_SIZE}">`,
+    `<rect width="${PATTERN_SIZE}" height="${PATTERN_SIZE}" fill="${hex}"/>`,
+    `<${shape.tag} ${attrs}/>`,
+    '</pattern>'
+  ].join('');
+}
+
+function shapeTag(region) {
+  if (region.parts) {
+    return `<path d="${regionPathData(region)}" fill-rule="evenodd"`;
+  }
+  const points = region.polygon.map((p) => `${round(p.x)},${round(p.y)}`).join(' ');
+  return `<polygon points="${points}"`;
+}
+
+function clampFontSize(width, height, count) {
+  const size = Math.sqrt((width * height) / Math.max(count, 1)) / 4;
+  return Math.round(Math.min(Math.max(size, 8), 22));
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
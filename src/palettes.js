@@ -0,0 +1,120 @@
+export const PALETTE_SIZE = 4;
+export const DEFAULT_PALETTE_ID = 'classic';
+export const CUSTOM_PALETTE_ID = 'custom';
+
+// 调色板与颜色只记 id，名称按 id 在语言目录的 palettes.<id> 与 colors.<id> 下。
+export const PALETTES = [
+  {
+    id: 'classic',
+    colors: [
+      { id: 'red', hex: '#ef4444' },
+      { id: 'green', hex: '#22c55e' },
+      { id: 'blue', hex: '#3b82f6' },
+      { id: 'yellow', hex: '#f59e0b' }
+    ]
+  },
+  {
+    // Okabe & Ito 的色盲友好配色，红绿色弱也能区分
+    id: 'okabe-ito',
+    colors: [
+      { id: 'orange', hex: '#e69f00' },
+      { id: 'sky-blue', hex: '#56b4e9' },
+      { id: 'bluish-green', hex: '#009e73' },
+      { id: 'reddish-purple', hex: '#cc79a7' }
+    ]
+  },
+  {
+    id: 'high-contrast',
+    colors: [
+      { id: 'yellow', hex: '#ffd400' },
+      { id: 'dark-blue', hex: '#1d3fbb' },
+      { id: 'magenta', hex: '#d6006f' },
+      { id: 'cyan', hex: '#00c2d1' }
+    ]
+  },
+  {
+    id: 'grayscale',
+    colors: [
+      { id: 'light-gray', hex: '#e5e5e5' },
+      { id: 'mid-gray', hex: '#a3a3a3' },
+      { id: 'dark-gray', hex: '#525252' },
+      { id: 'black', hex: '#171717' }
+    ]
+  }
+];
+
+// 每种颜色对应一种纹理，关闭颜色也能靠纹理区分；坐标基于 PATTERN_SIZE 大小的平铺单元。
+export const PATTERN_SIZE = 8;
+const PATTERN_SHAPES = [
+  { id: 'diagonal', tag: 'path', attrs: { d: 'M-2,2 L2,-2 M0,8 L8,0 M6,10 L10,6' } },
+  { id: 'dots', tag: 'circle', attrs: { cx: 4, cy: 4, r: 1.6 } },
+  { id: 'grid', tag: 'path', attrs: { d: 'M0,4 L8,4 M4,0 L4,8' } },
+  { id: 'stripes', tag: 'path', attrs: { d: 'M0,2 L8,2 M0,6 L8,6' } }
+];
+
+// 存档里的调色板不存在时退回默认调色板。
+export function resolvePaletteId(paletteId) {
+  return paletteId === CUSTOM_PALETTE_ID || PALETTES.some((palette) => palette.id === paletteId)
+    ? paletteId
+    : DEFAULT_PALETTE_ID;
+}
+
+export function getPaletteColors(paletteId, customColors) {
+  if (paletteId === CUSTOM_PALETTE_ID) return normalizeCustomColors(customColors);
+  return (PALETTES.find((palette) => palette.id === paletteId) ?? PALETTES[0]).colors;
+}
+
+// 自定义调色板缺项或格式不对时用经典配色补齐。玩家没有起名的颜色 name 为空，
+// 显示时用 getCustomColorKey 给出的目录条目按当前语言命名。
+export function normalizeCustomColors(customColors) {
+  return PALETTES[0].colors.map((fallback, index) => {
+    const entry = Array.isArray(customColors) ? customColors[index] : null;
+    const hex = typeof entry?.hex === 'string' && /^#[0-9a-f]{6}$/i.test(entry.hex) ? entry.hex : fallback.hex;
+    const name = typeof entry?.name === 'string' && entry.name.trim() ? entry.name.trim() : null;
+    return { name, hex };
+  });
+}
+
+export function getCustomColorKey(index) {
+  return `colors.custom.${index}`;
+}
+
+// 编辑自定义颜色的 hex 或 name；输入过程中不整理，失去焦点时再用 normalizeCustomColors 补齐。
+export function updateCustomColor(customColors, index, field, value) {
+  return customColors.map((color, i) => (i === index ? { ...color, [field]: value } : color));
+}
+
+// 按 t 的语言给颜色命名：内置颜色按 id，自定义颜色保留玩家起的名字，没起名的按序号。
+export function nameColors(colors, t) {
+  return colors.map((color, index) => ({
+    ...color,
+    name: color.id ? t(`colors.${color.id}`) : (color.name ?? t(getCustomColorKey(index)))
+  }));
+}
+
+export function getPatternId(index) {
+  return `four-color-pattern-${index}`;
+}
+
+// 纹理图元：{ tag, attrs }，描边/填充色已按底色明暗选好。
+export function getPatternShape(index, baseHex) {
+  const shape = PATTERN_SHAPES[index % PATTERN_SHAPES.length];
+  const ink = getInkColor(baseHex);
+  const paint = shape.tag === 'circle' ? { fill: ink } : { fill: 'none', stroke: ink, 'stroke-width': 1.2 };
+  return { tag: shape.tag, attrs: { ...shape.attrs, ...paint } };
+}
+
+export function getPatternKey(index) {
+  return PATTERN_SHAPES[index % PATTERN_SHAPES.length].id;
+}
+
+// 按相对亮度在深色/浅色之间选择前景色，保证文字和纹理在底色上可见。
+export function getInkColor(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  const channel = (shift) => {
+    const c = ((value >> shift) & 255) / 255;
+    return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  };
+  const luminance = 0.2126 * channel(16) + 0.7152 * channel(8) + 0.0722 * channel(0);
+  return luminance > 0.35 ? '#0f172a' : '#ffffff';
+}
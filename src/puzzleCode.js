@@ -0,0 +1,68 @@
+import { CLUE_DIFFICULTIES, DEFAULT_CLUE_DIFFICULTY, getClueDifficultyIndex } from './clues.js';
+import { CLUE_MODE_ID, DEFAULT_MODE_ID, GAME_MODES, getModeIndex } from './gameModes.js';
+
+const CODE_VERSION = '1';
+const MODE_CODE_VERSION = '2';
+const COUNT_DIGITS = 3;
+const SEED_DIGITS = 7;
+const CODE_PATTERN = /^1[0-9][0-9A-Z]{3}[0-9A-Z]{7}$/;
+const MODE_CODE_PATTERN = /^2[0-9]{2}[0-9A-Z]{3}[0-9A-Z]{7}$/;
+const CLUE_CODE_PATTERN = /^2[0-9]{3}[0-9A-Z]{3}[0-9A-Z]{7}$/;
+
+export const PUZZLE_CODE_PARAM = 'p';
+
+// 题目编号：版本(1) + 目标色(1) + 区域数(3 位 36 进制) + 种子(7 位 36 进制)；
+// 非经典模式使用版本 2，在版本号后多一位模式序号，经典模式的编号保持不变；
+// 推理填色在模式序号后再多一位难度序号。
+export function encodePuzzleCode({ seed, regionCount, targetIndex, mode = DEFAULT_MODE_ID, difficulty }) {
+  const count = regionCount.toString(36).padStart(COUNT_DIGITS, '0');
+  const seedText = (seed >>> 0).toString(36).padStart(SEED_DIGITS, '0');
+  let prefix = mode === DEFAULT_MODE_ID ? CODE_VERSION : `${MODE_CODE_VERSION}${getModeIndex(mode)}`;
+  if (mode === CLUE_MODE_ID) prefix += getClueDifficultyIndex(difficulty ?? DEFAULT_CLUE_DIFFICULTY);
+  return `${prefix}${targetIndex}${count}${seedText}`.toUpperCase();
+}
+
+export function decodePuzzleCode(code) {
+  if (typeof code !== 'string') return null;
+  const normalized = code.trim().toUpperCase();
+  let mode = DEFAULT_MODE_ID;
+  let body = normalized.slice(1);
+  let difficulty;
+  if (CLUE_CODE_PATTERN.test(normalized) && GAME_MODES[Number(normalized[1])]?.id === CLUE_MODE_ID) {
+    mode = CLUE_MODE_ID;
+    difficulty = CLUE_DIFFICULTIES[Number(normalized[2])]?.id;
+    body = normalized.slice(3);
+    if (!difficulty) return null;
+  } else if (MODE_CODE_PATTERN.test(normalized)) {
+    mode = GAME_MODES[Number(normalized[1])]?.id;
+    body = normalized.slice(2);
+    // 推理填色的编号总带难度位，少一位的不是有效编号
+    if (!mode || mode === CLUE_MODE_ID) return null;
+  } else if (!CODE_PATTERN.test(normalized)) {
+    return null;
+  }
+  const targetIndex = Number(body[0]);
+  const regionCount = parseInt(body.slice(1, 1 + COUNT_DIGITS), 36);
+  const seed = parseInt(body.slice(1 + COUNT_DIGITS), 36);
+  if (!Number.isFinite(regionCount) || !Number.isFinite(seed) || seed > 0xffffffff) return null;
+  return difficulty ? { seed, regionCount, targetIndex, mode, difficulty } : { seed, regionCount, targetIndex, mode };
+}
+
+export function readPuzzleCodeFromUrl(href) {
+  try {
+    const url = new URL(href);
+    return url.searchParams.get(PUZZLE_CODE_PARAM);
+  } catch (error) {
+    return null;
+  }
+}
+
+export function buildPuzzleUrl(href, code) {
+  const url = new URL(href);
+  if (code) {
+    url.searchParams.set(PUZZLE_CODE_PARAM, code);
+  } else {
+    url.searchParams.delete(PUZZLE_CODE_PARAM);
+  }
+  return url.toString();
+}
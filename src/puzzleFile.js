@@ -0,0 +1,288 @@
+import { findAdjacencyProblems, pairKey } from './adjacency.js';
+import { CLUE_DIFFICULTIES } from './clues.js';
+import { DEFAULT_MODE_ID, GAME_MODES } from './gameModes.js';
+import { polygonArea } from './geometry.js';
+import { LocalizedError } from './i18n.js';
+
+export const PUZZLE_FILE_FORMAT = 'four-color-map';
+export const PUZZLE_FILE_VERSION = 1;
+
+const BOUNDS_TOLERANCE = 1;
+
+export class PuzzleFileError extends LocalizedError {
+  constructor(code, params) {
+    super(`puzzleFile.${code}`, params);
+    this.name = 'PuzzleFileError';
+  }
+}
+
+// 题目文件 v1：
+// {
+//   format: 'four-color-map', version: 1, code: string | null,
+//   map: { width, height }, colorCount,
+//   mode?: 'classic' | 'three' | 'two' | 'chromatic' | 'clues' | 'duel', chromaticNumber?: number | null,
+//   difficulty?: 'easy' | 'medium' | 'hard'（推理填色的难度）,
+//   target: { colorIndex, referenceCount },
+//   regions: [{ id, name?, polygon: [[x, y], ...], parts?: [[[x, y], ...], ...],
+//               neighbors: [id, ...], color: number | null, locked?: true }],
+//   sharedEdges: [{ a, b, length }],
+//   history?: { undo: [{ action, changes: [{ regionId, prevColor, nextColor }] }], redo: [...] }
+// }
+// 撤销记录的每一项是一次事务（见 engine.js）；早期文件里的单区域记录 { regionId, prevColor, nextColor } 仍可读入。
+// locked 标记题目给出的线索区域，必须带颜色，撤销记录中不能出现对它的修改。
+// 撤销、重做记录必须能从 regions 的当前颜色重放（见 checkHistory）。
+export function serializePuzzle(
+  {
+    width,
+    height,
+    colorCount,
+    mode,
+    chromaticNumber,
+    difficulty,
+    code,
+    regions,
+    adjacency,
+    adjacencyMeta,
+    targetIndex,
+    referenceCount,
+    history,
+    redoStack
+  },
+  { includeHistory = false } = {}
+) {
+  const sharedEdges = [];
+  adjacencyMeta.forEach((length, key) => {
+    const [a, b] = key.split('|');
+    sharedEdges.push({ a, b, length });
+  });
+  const file = {
+    format: PUZZLE_FILE_FORMAT,
+    version: PUZZLE_FILE_VERSION,
+    code: code ?? null,
+    map: { width, height },
+    colorCount,
+    mode: mode ?? DEFAULT_MODE_ID,
+    chromaticNumber: chromaticNumber ?? null,
+    target: { colorIndex: targetIndex, referenceCount },
+    regions: regions.map((region) => {
+      const entry = { id: region.id };
+      if (region.name) entry.name = region.name;
+      entry.polygon = region.polygon.map((p) => [p.x, p.y]);
+      if (region.parts) entry.parts = region.parts.map((ring) => ring.map((p) => [p.x, p.y]));
+      entry.neighbors = Array.from(adjacency.get(region.id) ?? []);
+      entry.color = region.color ?? null;
+      if (region.locked) entry.locked = true;
+      return entry;
+    }),
+    sharedEdges
+  };
+  if (difficulty) file.difficulty = difficulty;
+  if (includeHistory) {
+    file.history = { undo: history ?? [], redo: redoStack ?? [] };
+  }
+  return file;
+}
+
+export function parsePuzzleFile(input, { colorCount: maxColorCount }) {
+  let data = input;
+  if (typeof input === 'string') {
+    try {
+      data = JSON.parse(input);
+    } catch (error) {
+      throw new PuzzleFileError('invalidJson', { error: error.message });
+    }
+  }
+  if (!isObject(data)) fail('notObject');
+  if (data.format !== PUZZLE_FILE_FORMAT) {
+    fail('unknownFormat', { format: String(data.format), expected: PUZZLE_FILE_FORMAT });
+  }
+  if (data.version !== PUZZLE_FILE_VERSION) {
+    fail('unsupportedVersion', { version: String(data.version), supported: PUZZLE_FILE_VERSION });
+  }
+
+  const width = data.map?.width;
+  const height = data.map?.height;
+  if (!isPositiveNumber(width) || !isPositiveNumber(height)) fail('mapSize');
+
+  const colorCount = data.colorCount ?? maxColorCount;
+  if (!Number.isInteger(colorCount) || colorCount < 1 || colorCount > maxColorCount) {
+    fail('colorCount', { max: maxColorCount });
+  }
+  const mode = data.mode ?? DEFAULT_MODE_ID;
+  if (!GAME_MODES.some((entry) => entry.id === mode)) fail('unknownMode', { mode });
+  const chromaticNumber = data.chromaticNumber ?? null;
+  const validChromatic = Number.isInteger(chromaticNumber) && chromaticNumber >= 1 && chromaticNumber <= colorCount;
+  if (chromaticNumber !== null && !validChromatic) {
+    fail('chromaticNumber', { max: colorCount });
+  }
+  const difficulty = data.difficulty ?? null;
+  if (difficulty !== null && !CLUE_DIFFICULTIES.some((level) => level.id === difficulty)) {
+    fail('unknownDifficulty', { difficulty });
+  }
+  const isColor = (value) => value === null || (Number.isInteger(value) && value >= 0 && value < colorCount);
+
+  if (!Array.isArray(data.regions) || data.regions.length === 0) fail('noRegions');
+  const seen = new Set();
+  const regions = data.regions.map((entry, index) => {
+    const path = `regions[${index}]`;
+    if (!isObject(entry)) fail('notObjectAt', { path });
+    if (typeof entry.id !== 'string' || !entry.id) fail('emptyId', { path });
+    if (seen.has(entry.id)) fail('duplicateId', { path, id: entry.id });
+    seen.add(entry.id);
+    if (entry.name != null && typeof entry.name !== 'string') fail('nameNotString', { path });
+    const polygon = parsePolygon(entry.polygon, `${path}.polygon`, width, height);
+    let parts;
+    if (entry.parts != null) {
+      if (!Array.isArray(entry.parts) || !entry.parts.length) fail('emptyParts', { path });
+      parts = entry.parts.map((ring, ringIndex) => parsePolygon(ring, `${path}.parts[${ringIndex}]`, width, height));
+    }
+    const color = entry.color ?? null;
+    if (!isColor(color)) fail('colorOutOfRange', { path, color: entry.color, max: colorCount - 1 });
+    if (entry.locked != null && typeof entry.locked !== 'boolean') fail('lockedNotBoolean', { path });
+    if (entry.locked && color === null) fail('lockedWithoutColor', { path });
+    const region = { id: entry.id, polygon, color };
+    if (entry.name) region.name = entry.name;
+    if (parts) region.parts = parts;
+    if (entry.locked) region.locked = true;
+    return region;
+  });
+
+  const adjacency = new Map(regions.map((region) => [region.id, new Set()]));
+  data.regions.forEach((entry, index) => {
+    if (!Array.isArray(entry.neighbors)) fail('neighborsNotArray', { path: `regions[${index}]` });
+    entry.neighbors.forEach((neighborId) => {
+      if (!adjacency.has(neighborId)) fail('unknownNeighbor', { path: `regions[${index}]`, id: neighborId });
+      adjacency.get(entry.id).add(neighborId);
+    });
+  });
+  const problem = findAdjacencyProblems(adjacency)[0];
+  if (problem?.type === 'self') fail('selfNeighbor', { id: problem.regionId });
+  if (problem) fail('asymmetric', { id: problem.regionId, neighbor: problem.neighborId });
+
+  const adjacencyMeta = new Map();
+  const sharedEdges = data.sharedEdges ?? [];
+  if (!Array.isArray(sharedEdges)) fail('sharedEdgesNotArray');
+  sharedEdges.forEach((edge, index) => {
+    const path = `sharedEdges[${index}]`;
+    if (!isObject(edge) || !adjacency.get(edge.a)?.has(edge.b)) {
+      fail('notNeighbors', { path, a: String(edge?.a), b: String(edge?.b) });
+    }
+    if (!isPositiveNumber(edge.length)) fail('edgeLength', { path });
+    adjacencyMeta.set(pairKey(edge.a, edge.b), edge.length);
+  });
+
+  const targetIndex = data.target?.colorIndex;
+  if (!Number.isInteger(targetIndex) || targetIndex < 0 || targetIndex >= (chromaticNumber ?? colorCount)) {
+    fail('targetIndex', { index: String(targetIndex) });
+  }
+  const referenceCount = data.target?.referenceCount;
+  if (!Number.isInteger(referenceCount) || referenceCount < 0 || referenceCount > regions.length) {
+    fail('referenceCount', { max: regions.length });
+  }
+
+  const lockedIds = new Set(regions.filter((region) => region.locked).map((region) => region.id));
+  const history = parseHistory(data.history?.undo, 'history.undo', adjacency, isColor, lockedIds);
+  const redoStack = parseHistory(data.history?.redo, 'history.redo', adjacency, isColor, lockedIds);
+  checkHistory(regions, history, redoStack);
+  const code = typeof data.code === 'string' && data.code ? data.code : null;
+
+  return {
+    code,
+    width,
+    height,
+    colorCount,
+    mode,
+    chromaticNumber,
+    difficulty,
+    regions,
+    adjacency,
+    adjacencyMeta,
+    targetIndex,
+    referenceCount,
+    history,
+    redoStack
+  };
+}
+
+function parsePolygon(points, path, width, height) {
+  if (!Array.isArray(points) || points.length < 3) fail('tooFewPoints', { path });
+  const polygon = points.map((point, index) => {
+    if (!Array.isArray(point) || point.length !== 2 || !point.every(Number.isFinite)) {
+      fail('pointNotPair', { path: `${path}[${index}]` });
+    }
+    const [x, y] = point;
+    if (
+      x < -BOUNDS_TOLERANCE ||
+      y < -BOUNDS_TOLERANCE ||
+      x > width + BOUNDS_TOLERANCE ||
+      y > height + BOUNDS_TOLERANCE
+    ) {
+      fail('pointOutOfBounds', { path: `${path}[${index}]`, x, y, width, height });
+    }
+    return { x, y };
+  });
+  if (Math.abs(polygonArea(polygon)) < 1e-6) fail('zeroArea', { path });
+  return polygon;
+}
+
+export function upgradeHistoryEntry(entry) {
+  if (Array.isArray(entry.changes)) return entry;
+  return { action: entry.nextColor == null ? 'clear' : 'color', changes: [entry] };
+}
+
+function parseHistory(entries, path, adjacency, isColor, lockedIds) {
+  if (entries == null) return [];
+  if (!Array.isArray(entries)) fail('notArray', { path });
+  return entries.map((entry, index) => {
+    const entryPath = `${path}[${index}]`;
+    if (!isObject(entry)) fail('notObjectAt', { path: entryPath });
+    const { action, changes } = upgradeHistoryEntry(entry);
+    if (typeof action !== 'string' || !action) fail('emptyAction', { path: entryPath });
+    if (!changes.length) fail('emptyChanges', { path: entryPath });
+    return {
+      action,
+      changes: changes.map((change, changeIndex) => {
+        const changePath = `${entryPath}.changes[${changeIndex}]`;
+        if (!isObject(change) || !adjacency.has(change.regionId)) {
+          fail('unknownRegion', { path: changePath, id: String(change?.regionId) });
+        }
+        if (lockedIds.has(change.regionId)) fail('lockedChange', { path: changePath, id: change.regionId });
+        const prevColor = change.prevColor ?? null;
+        const nextColor = change.nextColor ?? null;
+        if (!isColor(prevColor) || !isColor(nextColor)) fail('changeColor', { path: changePath });
+        return { regionId: change.regionId, prevColor, nextColor };
+      })
+    };
+  });
+}
+
+// 从当前颜色出发，撤销记录从后往前逐项撤销，每项改动的 nextColor 必须是撤销前的颜色；
+// 重做记录从前往后逐项重做，prevColor 必须是重做前的颜色。对不上的记录撤销后会得到题目里从未出现过的盘面。
+function checkHistory(regions, history, redoStack) {
+  const replay = (colors, entry, path, from, to) => {
+    entry.changes.forEach((change, changeIndex) => {
+      if (colors.get(change.regionId) !== change[from]) {
+        fail('historyMismatch', { path: `${path}.changes[${changeIndex}]`, id: change.regionId });
+      }
+    });
+    entry.changes.forEach((change) => colors.set(change.regionId, change[to]));
+  };
+  const undone = new Map(regions.map((region) => [region.id, region.color]));
+  for (let index = history.length - 1; index >= 0; index -= 1) {
+    replay(undone, history[index], `history.undo[${index}]`, 'nextColor', 'prevColor');
+  }
+  const redone = new Map(regions.map((region) => [region.id, region.color]));
+  redoStack.forEach((entry, index) => replay(redone, entry, `history.redo[${index}]`, 'prevColor', 'nextColor'));
+}
+
+function isObject(value) {
+  return value != null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isPositiveNumber(value) {
+  return Number.isFinite(value) && value > 0;
+}
+
+function fail(code, params) {
+  throw new PuzzleFileError(code, params);
+}
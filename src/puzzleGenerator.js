@@ -0,0 +1,471 @@
+import { Delaunay } from 'd3-delaunay';
+import { buildAdjacency, buildVoronoiAdjacency, pairKey, validateAdjacency } from './adjacency.js';
+import { generateClues } from './clues.js';
+import { CHROMATIC_CHOICES, CLUE_MODE_ID, getGameMode } from './gameModes.js';
+import { clamp, polygonArea } from './geometry.js';
+import { encodePuzzleCode } from './puzzleCode.js';
+import { createRng } from './random.js';
+import {
+  estimateTargetCount,
+  findColoringObstruction,
+  findOptimalTargetColoring,
+  getGreedyIterations
+} from './solver.js';
+
+export const MAP_WIDTH = 900;
+export const MAP_HEIGHT = 620;
+export const MIN_REGION_COUNT = 10;
+export const MAX_REGION_COUNT = 5000;
+
+const LINE_CANDIDATES = 40;
+const MIN_LINE_CELL_RATIO = 0.12;
+const PLANT_MERGE_CHANCE = 0.15;
+const PLANT_ATTEMPTS = 4;
+const CHROMATIC_ATTEMPTS = 50;
+const SNAP_TOLERANCE = 1e-3;
+// Bridson 采样中每个活动点最多尝试的候选点数。
+const POISSON_CANDIDATES = 30;
+
+export function getMaxRegionCount(modeId) {
+  return Math.min(MAX_REGION_COUNT, getGameMode(modeId).maxRegionCount ?? MAX_REGION_COUNT);
+}
+
+// 参考解在 chromaticNumber（未限定时为色板颜色数）种颜色内计算；
+// 撒点改用 Bridson 采样后，同一编号生成的地图与更早的版本不同。
+// 推理填色模式不求目标色最优，而是挑出一组锁定的线索区域，参考解即线索下的唯一解。
+export function generatePuzzleFromSpec(spec, { referenceTimeLimit, onProgress = () => {} }) {
+  const mode = getGameMode(spec.mode);
+  const rng = createRng(spec.seed);
+  const chromaticNumber =
+    mode.id === 'chromatic' ? CHROMATIC_CHOICES[Math.floor(rng() * CHROMATIC_CHOICES.length)] : mode.chromaticNumber;
+  const referenceColors = chromaticNumber ?? mode.colorCount;
+  const drawnTarget = pickTargetIndex(rng, referenceColors);
+  const targetIndex = spec.targetIndex != null && spec.targetIndex < referenceColors ? spec.targetIndex : drawnTarget;
+  const count = clamp(Math.round(spec.regionCount), MIN_REGION_COUNT, getMaxRegionCount(mode.id));
+  onProgress({ stage: 'map' });
+  const map = generateMapWithChromaticNumber(count, chromaticNumber, MAP_WIDTH, MAP_HEIGHT, rng);
+  const { adjacency, adjacencyMeta } = map;
+  let { regions } = map;
+  let reference;
+  let difficulty = null;
+  if (mode.id === CLUE_MODE_ID) {
+    onProgress({ stage: 'clues' });
+    const puzzle = generateClues(regions, adjacency, { colorCount: referenceColors, difficulty: spec.difficulty, rng });
+    regions = regions.map((region) =>
+      puzzle.clues.has(region.id) ? { ...region, color: puzzle.clues.get(region.id), locked: true } : region
+    );
+    const targetCount = Array.from(puzzle.solution.values()).filter((color) => color === targetIndex).length;
+    reference = { count: targetCount, optimal: true, lowerBound: targetCount, coloring: puzzle.solution };
+    difficulty = puzzle.difficulty;
+  } else {
+    reference = computeReference(regions, adjacency, targetIndex, rng, {
+      colorCount: referenceColors,
+      timeLimit: referenceTimeLimit,
+      onProgress
+    });
+  }
+  return {
+    code: encodePuzzleCode({
+      seed: spec.seed,
+      regionCount: count,
+      targetIndex,
+      mode: mode.id,
+      difficulty: spec.difficulty
+    }),
+    mode: mode.id,
+    colorCount: mode.colorCount,
+    chromaticNumber,
+    difficulty,
+    width: MAP_WIDTH,
+    height: MAP_HEIGHT,
+    regions,
+    adjacency,
+    adjacencyMeta,
+    targetIndex,
+    referenceCount: reference.count,
+    reference
+  };
+}
+
+// 生成色数恰好为 chromaticNumber 的地图（null 表示不限定）：
+// 2 色 → 直线划分（相邻区域必在某条直线两侧，按所在侧的奇偶即可两色填满）；
+// 3 色 → 预先种下三色解再合并同色相邻的小块，并要求存在奇数环；
+// 4 色 → 普通随机地图，要求能找到奇轮（三色不够），四色定理保证四色可行。
+export function generateMapWithChromaticNumber(regionCount, chromaticNumber, width, height, rng) {
+  if (chromaticNumber == null) return generateRandomMap(regionCount, width, height, rng);
+  if (chromaticNumber === 2) return generateLineArrangementMap(regionCount, width, height, rng);
+  for (let attempt = 0; attempt < CHROMATIC_ATTEMPTS; attempt += 1) {
+    const map =
+      chromaticNumber === 3
+        ? generatePlantedMap(regionCount, 3, width, height, rng)
+        : generateRandomMap(regionCount, width, height, rng);
+    if (findColoringObstruction(map.regions, map.adjacency, chromaticNumber - 1)) return map;
+  }
+  throw new Error(`无法生成色数为 ${chromaticNumber} 的地图`);
+}
+
+export function computeReference(regions, adjacency, targetIndex, rng, { colorCount, timeLimit, onProgress = () => {} }) {
+  onProgress({ stage: 'estimate' });
+  const iterations = getGreedyIterations(regions.length);
+  const initial = estimateTargetCount(regions, adjacency, {
+    targetIndex,
+    colorCount,
+    iterations,
+    rng
+  });
+  const result = findOptimalTargetColoring(regions, adjacency, {
+    targetIndex,
+    colorCount,
+    timeLimit,
+    initial,
+    onProgress: ({ nodes, lowerBound, best }) => onProgress({ stage: 'optimize', nodes, lowerBound, best })
+  });
+  return {
+    count: result.count ?? 0,
+    optimal: result.optimal,
+    lowerBound: result.lowerBound,
+    coloring: result.coloring
+  };
+}
+
+export function pickTargetIndex(rng, colorCount) {
+  return Math.floor(rng() * colorCount);
+}
+
+// 相邻关系直接取自生成单元时的 Delaunay 三角剖分，不必再逐段比较多边形的边。
+export function generateRandomMap(regionCount, width, height, rng) {
+  const points = createPoints(regionCount, width, height, rng);
+  const delaunay = createDelaunay(points);
+  const cells = buildVoronoiCells(points, width, height, delaunay);
+  const ids = cells.map((polygon, index) => (polygon ? `region-${index}` : null));
+  const regions = cells
+    .map((polygon, index) => (polygon ? { id: ids[index], polygon, color: null } : null))
+    .filter(Boolean);
+  const { adjacency, adjacencyMeta } = buildVoronoiAdjacency(delaunay, cells, ids, { width, height });
+  validateAdjacency(adjacency);
+  return { regions, adjacency, adjacencyMeta };
+}
+
+// 每个点的 Voronoi 单元（裁剪到画布内的凸多边形），与 points 下标一一对应；点重合等情况下为 null。
+export function buildVoronoiCells(points, width, height, delaunay = createDelaunay(points)) {
+  const voronoi = delaunay.voronoi([0, 0, width, height]);
+  return points.map((point, index) => {
+    const polygon = voronoi.cellPolygon(index);
+    if (!polygon) return null;
+    return normalizePolygon(polygon).map((p) => ({
+      x: clamp(p[0], 0, width),
+      y: clamp(p[1], 0, height)
+    }));
+  });
+}
+
+export function createDelaunay(points) {
+  return Delaunay.from(points, (p) => p[0], (p) => p[1]);
+}
+
+export function generateLineArrangementMap(regionCount, width, height, rng) {
+  let cells = [
+    [
+      { x: 0, y: 0 },
+      { x: width, y: 0 },
+      { x: width, y: height },
+      { x: 0, y: height }
+    ]
+  ];
+  const minCellArea = ((width * height) / regionCount) * MIN_LINE_CELL_RATIO;
+  while (cells.length < regionCount) {
+    let best = null;
+    for (let i = 0; i < LINE_CANDIDATES; i += 1) {
+      const origin = { x: randomRange(rng, width * 0.1, width * 0.9), y: randomRange(rng, height * 0.1, height * 0.9) };
+      const angle = rng() * Math.PI;
+      const direction = { x: Math.cos(angle), y: Math.sin(angle) };
+      let minArea = Infinity;
+      const next = [];
+      cells.forEach((cell) => {
+        const pieces = splitConvexPolygon(cell, origin, direction);
+        if (!pieces) {
+          next.push(cell);
+          return;
+        }
+        pieces.forEach((piece) => {
+          minArea = Math.min(minArea, Math.abs(polygonArea(piece)));
+          next.push(piece);
+        });
+      });
+      const candidate = { cells: next, minArea, roomy: minArea >= minCellArea, fits: next.length <= regionCount };
+      if (!best || isBetterCut(candidate, best)) best = candidate;
+    }
+    cells = best.cells;
+  }
+
+  const regions = cells.map((polygon, index) => ({ id: `region-${index}`, polygon, color: null }));
+  const { adjacency, adjacencyMeta } = buildAdjacency(regions, { width, height });
+  validateAdjacency(adjacency);
+  return { regions, adjacency, adjacencyMeta };
+}
+
+// 优先不切出过小的区域，其次不超过目标数量，再其次让最小区域尽量大。
+function isBetterCut(candidate, best) {
+  if (candidate.roomy !== best.roomy) return candidate.roomy;
+  if (candidate.fits !== best.fits) return candidate.fits;
+  return candidate.minArea > best.minArea;
+}
+
+// 在细分的随机地图上种下一个 colorCount 色的合法填色，再把同色且相邻的小块合并成一个区域：
+// 合并后任意两个相邻区域颜色必然不同，因此地图一定能用 colorCount 种颜色完成。
+export function generatePlantedMap(regionCount, colorCount, width, height, rng) {
+  let ratio = 2;
+  let best = null;
+  for (let attempt = 0; attempt < PLANT_ATTEMPTS; attempt += 1) {
+    const cellCount = clamp(Math.round(regionCount * ratio), regionCount, MAX_REGION_COUNT * 4);
+    const cells = generateRandomMap(cellCount, width, height, rng);
+    const colors = plantColoring(cells, colorCount, rng);
+    const components = groupSameColorCells(cells, colors);
+    const gap = Math.abs(components.length - regionCount);
+    if (!best || gap < best.gap) best = { cells, components, gap };
+    if (gap === 0) break;
+    ratio *= regionCount / components.length;
+  }
+  return mergeCells(best.cells, best.components);
+}
+
+function plantColoring({ regions, adjacency }, colorCount, rng) {
+  const colors = new Map();
+  shuffle(regions.map((region) => region.id), rng).forEach((id) => {
+    const used = new Set();
+    adjacency.get(id).forEach((neighborId) => {
+      if (colors.has(neighborId)) used.add(colors.get(neighborId));
+    });
+    const free = [];
+    for (let c = 0; c < colorCount; c += 1) {
+      if (!used.has(c)) free.push(c);
+    }
+    const pool = free.length && rng() >= PLANT_MERGE_CHANCE ? free : used.size ? Array.from(used) : free;
+    colors.set(id, pool[Math.floor(rng() * pool.length)]);
+  });
+  return colors;
+}
+
+function groupSameColorCells({ regions, adjacency }, colors) {
+  const componentOf = new Map();
+  const components = [];
+  regions.forEach((region) => {
+    if (componentOf.has(region.id)) return;
+    const members = [region.id];
+    componentOf.set(region.id, components.length);
+    for (let head = 0; head < members.length; head += 1) {
+      adjacency.get(members[head]).forEach((neighborId) => {
+        if (componentOf.has(neighborId) || colors.get(neighborId) !== colors.get(region.id)) return;
+        componentOf.set(neighborId, components.length);
+        members.push(neighborId);
+      });
+    }
+    components.push(members);
+  });
+  return components;
+}
+
+// 合并后的相邻关系直接由小块的相邻关系推出，与种下的填色保持一致；
+// ids 为合并后各区域的编号，默认依次为 region-0、region-1……
+export function mergeCells(cells, components, ids = components.map((_, index) => `region-${index}`)) {
+  const cellById = new Map(cells.regions.map((cell) => [cell.id, cell]));
+  const regionOf = new Map();
+  components.forEach((members, index) => members.forEach((id) => regionOf.set(id, ids[index])));
+
+  const regions = components.map((members, index) => {
+    const rings = traceOutline(members.map((id) => cellById.get(id).polygon));
+    const polygon = rings.reduce((best, ring) =>
+      Math.abs(polygonArea(ring)) > Math.abs(polygonArea(best)) ? ring : best
+    );
+    const region = { id: ids[index], polygon, color: null };
+    if (rings.length > 1) region.parts = rings;
+    return region;
+  });
+
+  const adjacency = new Map(regions.map((region) => [region.id, new Set()]));
+  const adjacencyMeta = new Map();
+  cells.adjacencyMeta.forEach((length, key) => {
+    const [a, b] = key.split('|').map((id) => regionOf.get(id));
+    if (a === b) return;
+    adjacency.get(a).add(b);
+    adjacency.get(b).add(a);
+    const merged = pairKey(a, b);
+    adjacencyMeta.set(merged, (adjacencyMeta.get(merged) ?? 0) + length);
+  });
+  validateAdjacency(adjacency);
+  return { regions, adjacency, adjacencyMeta };
+}
+
+// 多个同向多边形的并集轮廓：成对反向出现的内部边相互抵消，剩下的边首尾相接成环，
+// 被其他区域包围时会得到多个环（外轮廓与内洞），按 evenodd 规则绘制。
+function traceOutline(polygons) {
+  const snap = createPointSnapper();
+  const edges = new Map();
+  polygons.forEach((polygon) => {
+    for (let i = 0; i < polygon.length; i += 1) {
+      const from = snap(polygon[i]);
+      const to = snap(polygon[(i + 1) % polygon.length]);
+      if (from.key === to.key) continue;
+      const reverseKey = `${to.key}>${from.key}`;
+      if (edges.has(reverseKey)) {
+        edges.delete(reverseKey);
+      } else {
+        edges.set(`${from.key}>${to.key}`, { from, to });
+      }
+    }
+  });
+
+  const outgoing = new Map();
+  edges.forEach((edge) => {
+    if (!outgoing.has(edge.from.key)) outgoing.set(edge.from.key, []);
+    outgoing.get(edge.from.key).push(edge);
+  });
+  const rings = [];
+  edges.forEach((start) => {
+    if (start.used) return;
+    const ring = [];
+    let edge = start;
+    while (edge && !edge.used) {
+      edge.used = true;
+      ring.push(edge.from.point);
+      edge = outgoing.get(edge.to.key).find((next) => !next.used);
+    }
+    if (ring.length >= 3) rings.push(ring);
+  });
+  return rings;
+}
+
+function createPointSnapper() {
+  const grid = new Map();
+  let nextKey = 0;
+  return (point) => {
+    const gx = Math.floor(point.x / SNAP_TOLERANCE);
+    const gy = Math.floor(point.y / SNAP_TOLERANCE);
+    for (let dx = -1; dx <= 1; dx += 1) {
+      for (let dy = -1; dy <= 1; dy += 1) {
+        const match = grid
+          .get(`${gx + dx},${gy + dy}`)
+          ?.find((entry) => Math.hypot(entry.point.x - point.x, entry.point.y - point.y) <= SNAP_TOLERANCE);
+        if (match) return match;
+      }
+    }
+    const entry = { key: nextKey, point };
+    nextKey += 1;
+    const cellKey = `${gx},${gy}`;
+    if (!grid.has(cellKey)) grid.set(cellKey, []);
+    grid.get(cellKey).push(entry);
+    return entry;
+  };
+}
+
+// 用直线切分凸多边形，直线未穿过内部时返回 null。
+export function splitConvexPolygon(polygon, origin, direction) {
+  const side = (p) => direction.x * (p.y - origin.y) - direction.y * (p.x - origin.x);
+  const left = [];
+  const right = [];
+  polygon.forEach((a, index) => {
+    const b = polygon[(index + 1) % polygon.length];
+    const sa = side(a);
+    const sb = side(b);
+    if (sa >= 0) left.push(a);
+    if (sa <= 0) right.push(a);
+    if ((sa > 0 && sb < 0) || (sa < 0 && sb > 0)) {
+      const t = sa / (sa - sb);
+      const point = { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+      left.push(point);
+      right.push(point);
+    }
+  });
+  if (left.length < 3 || right.length < 3) return null;
+  if (Math.abs(polygonArea(left)) < 1e-6 || Math.abs(polygonArea(right)) < 1e-6) return null;
+  return [left, right];
+}
+
+// Poisson 圆盘采样（Bridson 算法）：从一个随机点出发，每次从活动列表中随机取一点，在它周围
+// [minDist, 2·minDist) 的圆环内最多试 POISSON_CANDIDATES 个候选点，与已有点都相距 minDist 以上的加入活动列表，
+// 全部失败时把这一点移出活动列表。已有点登记在边长 minDist/√2 的网格里（每格至多一个点），每个候选只需检查周围 5×5 格，
+// 总工作量与填满画布的点数成线性。填满后的点比需要的多，打乱后取 count 个，仍保持最小间距并均匀覆盖画布。
+export function createPoints(count, width, height, rng) {
+  const minDist = width / Math.sqrt(count) / 2.2;
+  const [left, right, top, bottom] = [width * 0.05, width * 0.95, height * 0.05, height * 0.95];
+  const cellSize = minDist / Math.SQRT2;
+  const cols = Math.ceil(width / cellSize) + 1;
+  const rows = Math.ceil(height / cellSize) + 1;
+  const grid = new Int32Array(cols * rows).fill(-1);
+  const points = [];
+  const active = [];
+  const cellOf = (point) => [Math.floor(point[0] / cellSize), Math.floor(point[1] / cellSize)];
+  const isFarEnough = (point) => {
+    const [col, row] = cellOf(point);
+    for (let y = Math.max(row - 2, 0); y <= Math.min(row + 2, rows - 1); y += 1) {
+      for (let x = Math.max(col - 2, 0); x <= Math.min(col + 2, cols - 1); x += 1) {
+        const other = grid[y * cols + x];
+        if (other >= 0 && distance(points[other], point) <= minDist) return false;
+      }
+    }
+    return true;
+  };
+  const add = (point) => {
+    const [col, row] = cellOf(point);
+    grid[row * cols + col] = points.length;
+    active.push(points.length);
+    points.push(point);
+  };
+
+  add([randomRange(rng, left, right), randomRange(rng, top, bottom)]);
+  while (active.length) {
+    const slot = Math.floor(rng() * active.length);
+    const origin = points[active[slot]];
+    let placed = false;
+    for (let attempt = 0; attempt < POISSON_CANDIDATES && !placed; attempt += 1) {
+      const angle = rng() * Math.PI * 2;
+      const radius = minDist * (1 + rng());
+      const point = [origin[0] + radius * Math.cos(angle), origin[1] + radius * Math.sin(angle)];
+      if (point[0] < left || point[0] > right || point[1] < top || point[1] > bottom) continue;
+      if (isFarEnough(point)) {
+        add(point);
+        placed = true;
+      }
+    }
+    if (!placed) {
+      active[slot] = active[active.length - 1];
+      active.pop();
+    }
+  }
+
+  const chosen = shuffle(points, rng).slice(0, count);
+  // 画布过于狭长、放不下 count 个间距足够的点时，剩下的点随机撒。
+  while (chosen.length < count) {
+    chosen.push([randomRange(rng, 0, width), randomRange(rng, 0, height)]);
+  }
+  return chosen;
+}
+
+function normalizePolygon(polygon) {
+  const result = polygon.map(([x, y]) => [x, y]);
+  if (result.length > 1) {
+    const first = result[0];
+    const last = result[result.length - 1];
+    if (first[0] === last[0] && first[1] === last[1]) {
+      result.pop();
+    }
+  }
+  return result;
+}
+
+function shuffle(array, rng) {
+  const result = [...array];
+  for (let i = result.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(rng() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+function randomRange(rng, min, max) {
+  return min + rng() * (max - min);
+}
+
+function distance(a, b) {
+  return Math.hypot(a[0] - b[0], a[1] - b[1]);
+}
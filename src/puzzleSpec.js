@@ -0,0 +1,36 @@
+import { DEFAULT_CLUE_DIFFICULTY } from './clues.js';
+import { CLUE_MODE_ID, getGameMode } from './gameModes.js';
+import { decodePuzzleCode } from './puzzleCode.js';
+import { getMaxRegionCount, MIN_REGION_COUNT } from './puzzleGenerator.js';
+import { randomSeed } from './random.js';
+
+// 题目 spec 描述下一局从哪里来：{ seed, regionCount, mode, difficulty?, targetIndex?, daily? } 由种子生成，
+// { imported } 为导入的题目文件或自定义地图，二者都可带 restore（本地存档）。
+// 新局设置 selection = { regionCount, mode, difficulty } 是界面上“新题目”按钮会用到的区域数、玩法与推理难度。
+
+export function createRandomSpec({ regionCount, mode, difficulty = DEFAULT_CLUE_DIFFICULTY }) {
+  if (mode === CLUE_MODE_ID) return { seed: randomSeed(), regionCount, mode, difficulty };
+  return { seed: randomSeed(), regionCount, mode };
+}
+
+// 题目编号解码后还要检查目标色与区域数在该玩法允许的范围内，无效时返回 null。
+export function decodePuzzleSpec(code) {
+  const spec = decodePuzzleCode(code);
+  if (!spec || spec.targetIndex >= getGameMode(spec.mode).colorCount) return null;
+  if (spec.regionCount < MIN_REGION_COUNT || spec.regionCount > getMaxRegionCount(spec.mode)) return null;
+  return spec;
+}
+
+// 载入题目时新局设置跟着题目走；导入的题目没有区域数等信息，保留原来的设置。
+export function selectSpec(selection, spec) {
+  return {
+    regionCount: spec.regionCount ?? selection.regionCount,
+    mode: spec.mode ?? selection.mode,
+    difficulty: spec.difficulty ?? selection.difficulty
+  };
+}
+
+// 切换玩法时区域数超过新玩法上限的部分截掉。
+export function selectMode(selection, mode) {
+  return { ...selection, mode, regionCount: Math.min(selection.regionCount, getMaxRegionCount(mode)) };
+}
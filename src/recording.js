@@ -0,0 +1,121 @@
+import { applyTransaction, parseGame, redoMove, seekHistory, undoMove } from './engine.js';
+import { LocalizedError } from './i18n.js';
+
+export const RECORDING_FILE_FORMAT = 'four-color-recording';
+export const RECORDING_FILE_VERSION = 1;
+
+const EVENT_TYPES = ['move', 'undo', 'redo', 'seek', 'check', 'hint'];
+
+export class RecordingError extends LocalizedError {
+  constructor(code, params) {
+    super(`recording.${code}`, params);
+    this.name = 'RecordingError';
+  }
+}
+
+// 录像文件 v1：
+// {
+//   format: 'four-color-recording', version: 1, recordedAt: 毫秒时间戳,
+//   puzzle: 开始录制时的题目文件（含填色与撤销记录，格式见 puzzleFile.js），
+//   events: [{ t: 距开始的毫秒数, type, ... }]
+// }
+// 事件类型：
+//   move  { action, changes }  一项撤销事务（落子、清除、推荐填色、重置等）
+//   undo / redo                撤销、重做一步
+//   seek  { position }         拖动时间线
+//   check { status, conflicts } 检查/提交的结果
+//   hint  { regionId, color }  请求提示（采纳提示另记一个 move）
+export function createRecording(puzzleFile, recordedAt = Date.now()) {
+  return {
+    format: RECORDING_FILE_FORMAT,
+    version: RECORDING_FILE_VERSION,
+    recordedAt,
+    puzzle: puzzleFile,
+    events: []
+  };
+}
+
+export function appendEvent(recording, event, now = Date.now()) {
+  return { ...recording, events: [...recording.events, { t: Math.max(0, now - recording.recordedAt), ...event }] };
+}
+
+export function parseRecording(input) {
+  let data = input;
+  if (typeof input === 'string') {
+    try {
+      data = JSON.parse(input);
+    } catch (error) {
+      throw new RecordingError('invalidJson', { error: error.message });
+    }
+  }
+  if (!data || typeof data !== 'object') fail('notObject');
+  if (data.format !== RECORDING_FILE_FORMAT) {
+    fail('unknownFormat', { format: String(data.format), expected: RECORDING_FILE_FORMAT });
+  }
+  if (data.version !== RECORDING_FILE_VERSION) {
+    fail('unsupportedVersion', { version: String(data.version), supported: RECORDING_FILE_VERSION });
+  }
+  if (!Array.isArray(data.events)) fail('eventsNotArray');
+  let lastTime = 0;
+  data.events.forEach((event, index) => {
+    if (!event || typeof event !== 'object') fail('eventNotObject', { index });
+    if (!EVENT_TYPES.includes(event.type)) fail('unknownEvent', { index, type: String(event.type) });
+    if (!Number.isFinite(event.t) || event.t < lastTime) fail('eventTime', { index });
+    lastTime = event.t;
+    if (event.type === 'check' && !isPairList(event.conflicts)) fail('eventConflicts', { index });
+  });
+  const recording = {
+    format: RECORDING_FILE_FORMAT,
+    version: RECORDING_FILE_VERSION,
+    recordedAt: Number(data.recordedAt) || 0,
+    puzzle: data.puzzle,
+    events: data.events
+  };
+  buildReplayFrames(recording);
+  return recording;
+}
+
+// 逐个事件重放，得到每个事件之后的盘面：frames[0] 为开始录制时的盘面，frames[i] 对应 events[i - 1]。
+export function buildReplayFrames(recording) {
+  let game;
+  try {
+    game = parseGame(recording.puzzle);
+  } catch (error) {
+    throw new RecordingError('invalidPuzzle', { error });
+  }
+  const frames = [{ t: 0, event: null, game }];
+  recording.events.forEach((event, index) => {
+    try {
+      game = applyEvent(game, event);
+    } catch (error) {
+      throw new RecordingError('replayFailed', { index, error });
+    }
+    frames.push({ t: event.t, event, game });
+  });
+  return frames;
+}
+
+function applyEvent(game, event) {
+  switch (event.type) {
+    case 'move':
+      if (!Array.isArray(event.changes) || !event.changes.length) throw new RecordingError('emptyChanges');
+      return applyTransaction(game, { action: event.action, changes: event.changes });
+    case 'undo':
+      return undoMove(game);
+    case 'redo':
+      return redoMove(game);
+    case 'seek':
+      if (!Number.isInteger(event.position)) throw new RecordingError('seekPosition');
+      return seekHistory(game, event.position);
+    default:
+      return game;
+  }
+}
+
+function isPairList(value) {
+  return Array.isArray(value) && value.every((pair) => Array.isArray(pair) && pair.length === 2);
+}
+
+function fail(code, params) {
+  throw new RecordingError(code, params);
+}
@@ -0,0 +1,141 @@
+import { getGameMode } from './gameModes.js';
+
+export const MAX_SCORE = 1000;
+
+// 计分项：[字段, 每次扣分, 扣分上限]
+const PENALTIES = [
+  ['undoCount', 10, 200],
+  ['failedChecks', 50, 300],
+  ['hintsUsed', 25, 200]
+];
+const PAR_SECONDS_PER_REGION = 6;
+const TIME_PENALTY_CAP = 300;
+const TARGET_GAP_PENALTY = 40;
+const TARGET_BEAT_BONUS = 50;
+
+// 分段与难度的名称在语言目录的 stats.regionBuckets.<id> 与 stats.difficulties.<id> 下。
+export const REGION_BUCKETS = [
+  { id: 'small', min: 0, max: 39 },
+  { id: 'medium', min: 40, max: 79 },
+  { id: 'large', min: 80, max: 139 },
+  { id: 'huge', min: 140, max: Infinity }
+];
+
+export const DIFFICULTIES = [
+  { id: 'easy', maxWeight: 40 },
+  { id: 'normal', maxWeight: 90 },
+  { id: 'hard', maxWeight: 150 },
+  { id: 'expert', maxWeight: Infinity }
+];
+
+// 玩法越受限越难：双色几乎是机械交替，三色、求色数与推理填色需要更多推理。
+const MODE_WEIGHTS = { classic: 1, three: 1.3, two: 0.5, chromatic: 1.2, clues: 1.3 };
+
+export function getRegionBucket(regionCount) {
+  return REGION_BUCKETS.find((bucket) => regionCount >= bucket.min && regionCount <= bucket.max).id;
+}
+
+export function getDifficulty(regionCount, mode) {
+  const weight = regionCount * (MODE_WEIGHTS[mode] ?? 1);
+  return DIFFICULTIES.find((level) => weight <= level.maxWeight).id;
+}
+
+// 满分 1000：超出标准用时（每块区域 6 秒）每秒扣 1 分，撤销、检查未通过、提示按次扣分，
+// 目标色比参考值多一次扣 40 分、比未证明最优的参考值更少则每次加 50 分；
+// 使用过一键填色或查看参考答案的作答不计分。返回 { score, disqualified, items }，
+// items 为 [{ type, count?, points }]，由界面按 type 显示文字。
+export function computeScore({
+  elapsedMs,
+  regionCount,
+  mode,
+  undoCount = 0,
+  failedChecks = 0,
+  hintsUsed = 0,
+  usedAutoColor = false,
+  usedReference = false,
+  targetCount,
+  referenceCount,
+  referenceOptimal
+}) {
+  if (usedAutoColor || usedReference) {
+    return {
+      score: 0,
+      disqualified: true,
+      items: [{ type: usedAutoColor ? 'autoColor' : 'reference', points: -MAX_SCORE }]
+    };
+  }
+  const items = [];
+  const overSeconds = Math.max(0, elapsedMs / 1000 - regionCount * PAR_SECONDS_PER_REGION);
+  if (overSeconds >= 1) {
+    items.push({ type: 'overtime', points: -Math.min(TIME_PENALTY_CAP, Math.round(overSeconds)) });
+  }
+  const counts = { undoCount, failedChecks, hintsUsed };
+  PENALTIES.forEach(([key, each, cap]) => {
+    if (counts[key] > 0) items.push({ type: key, count: counts[key], points: -Math.min(cap, counts[key] * each) });
+  });
+  if (mode !== 'chromatic' && referenceCount != null) {
+    const gap = targetCount - referenceCount;
+    if (gap > 0) items.push({ type: 'aboveReference', count: gap, points: -gap * TARGET_GAP_PENALTY });
+    if (gap < 0 && !referenceOptimal) {
+      items.push({ type: 'beatReference', count: -gap, points: -gap * TARGET_BEAT_BONUS });
+    }
+  }
+  const total = items.reduce((sum, item) => sum + item.points, MAX_SCORE);
+  return { score: Math.max(0, total), disqualified: false, items };
+}
+
+export function createScoreRecord({
+  gameId = null,
+  profile,
+  code,
+  mode,
+  regionCount,
+  elapsedMs,
+  attempt,
+  targetCount,
+  reference
+}) {
+  const result = computeScore({
+    elapsedMs,
+    regionCount,
+    mode,
+    ...attempt,
+    targetCount,
+    referenceCount: reference.count,
+    referenceOptimal: reference.optimal
+  });
+  return {
+    gameId,
+    completedAt: Date.now(),
+    profile,
+    code,
+    mode: getGameMode(mode).id,
+    regionCount,
+    difficulty: getDifficulty(regionCount, mode),
+    elapsedMs,
+    ...attempt,
+    targetCount,
+    referenceCount: reference.count,
+    score: result.score,
+    disqualified: result.disqualified,
+    items: result.items
+  };
+}
+
+// 按 key（'difficulty' 或按区域数分段）汇总：次数、有效次数、平均分、最高分。
+export function summarizeScores(records, groupBy) {
+  const groups = groupBy === 'difficulty' ? DIFFICULTIES : REGION_BUCKETS;
+  const keyOf = (record) => (groupBy === 'difficulty' ? record.difficulty : getRegionBucket(record.regionCount));
+  return groups.map((group) => {
+    const members = records.filter((record) => keyOf(record) === group.id);
+    const scored = members.filter((record) => !record.disqualified);
+    const total = scored.reduce((sum, record) => sum + record.score, 0);
+    return {
+      id: group.id,
+      attempts: members.length,
+      scored: scored.length,
+      average: scored.length ? Math.round(total / scored.length) : null,
+      best: scored.length ? Math.max(...scored.map((record) => record.score)) : null
+    };
+  });
+}
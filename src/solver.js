@@ -0,0 +1,799 @@
+const DEFAULT_OPTIMAL_TIME_LIMIT = 1500;
+
+export function estimateTargetCount(regions, adjacency, { targetIndex, colorCount, iterations, rng }) {
+  let best = null;
+  for (let i = 0; i < iterations; i += 1) {
+    const order = shuffleArray(regions.map((r) => r.id), rng);
+    const colors = new Map();
+    let valid = true;
+
+    order.forEach((regionId) => {
+      if (!valid) return;
+      const used = new Set();
+      adjacency.get(regionId)?.forEach((neighborId) => {
+        const color = colors.get(neighborId);
+        if (color != null) used.add(color);
+      });
+      const available = [];
+      for (let c = 0; c < colorCount; c += 1) {
+        if (!used.has(c)) available.push(c);
+      }
+      if (!available.length) {
+        valid = false;
+        return;
+      }
+      const sorted = [...available].sort((a, b) => {
+        const penaltyA = a === targetIndex ? 1 : 0;
+        const penaltyB = b === targetIndex ? 1 : 0;
+        return penaltyA - penaltyB;
+      });
+      colors.set(regionId, sorted[0]);
+    });
+
+    if (!valid) continue;
+    const targetCount = Array.from(colors.values()).filter((c) => c === targetIndex).length;
+    if (!best || targetCount < best.count) {
+      best = { count: targetCount, coloring: colors };
+    }
+  }
+  return best;
+}
+
+export function getGreedyIterations(regionCount) {
+  if (regionCount <= 80) return 60;
+  if (regionCount <= 140) return 40;
+  return 25;
+}
+
+// DSATUR：每步给饱和度（邻居已用颜色的种数）最高的区域填色，并列时取邻居多的，再并列时取靠前的。
+// 饱和度在填色、撤销时增量维护，未填色区域按饱和度分桶，选下一个区域只需扫描最高的非空桶。
+// 先不回溯地贪心填一遍，遇到无色可填的区域先用 Kempe 链互换腾出颜色，还不行就清空它某一种颜色的邻居、
+// 让这些邻居重新排队（至多 n 次），平面地图几乎总能一遍填完；仍然卡住时清空重来，改用完整的回溯搜索（显式栈，几千个区域也不会爆栈），以便在无解时给出证明。
+// 尚未用过的颜色彼此等价，只需尝试其中一种。
+// fixed 为已确定的部分填色（regionId → color），求解只补全其余区域；
+// maxSteps 限制回溯步数，超出时返回 aborted: true（既未证明有解也未证明无解）。
+// 无解时附带 proof（见 findColoringObstruction），供界面解释为什么无解。
+export function solveColoring(regions, adjacency, colorCount, { fixed = null, maxSteps = Infinity } = {}) {
+  const ids = regions.map((region) => region.id);
+  const n = ids.length;
+  const indexById = new Map(ids.map((id, index) => [id, index]));
+  const neighbors = ids.map((id) =>
+    Array.from(adjacency.get(id) ?? [])
+      .map((neighborId) => indexById.get(neighborId))
+      .filter((index) => index != null)
+  );
+  const colors = new Int8Array(n).fill(-1);
+  // neighborColors[v * colorCount + c] 为 v 的邻居中填了颜色 c 的个数。
+  const neighborColors = new Uint16Array(n * colorCount);
+  const saturation = new Uint8Array(n);
+  const colorUses = new Int32Array(colorCount);
+  const buckets = Array.from({ length: colorCount + 1 }, () => []);
+  const position = new Int32Array(n);
+  const nextColor = new Int8Array(n);
+  const isFixed = new Uint8Array(n);
+  let remaining = n;
+
+  const addToBucket = (v) => {
+    const bucket = buckets[saturation[v]];
+    position[v] = bucket.length;
+    bucket.push(v);
+  };
+  const removeFromBucket = (v) => {
+    const bucket = buckets[saturation[v]];
+    const last = bucket.pop();
+    if (last === v) return;
+    bucket[position[v]] = last;
+    position[last] = position[v];
+  };
+
+  const assign = (v, c) => {
+    removeFromBucket(v);
+    colors[v] = c;
+    colorUses[c] += 1;
+    remaining -= 1;
+    neighbors[v].forEach((u) => {
+      neighborColors[u * colorCount + c] += 1;
+      if (neighborColors[u * colorCount + c] > 1) return;
+      if (colors[u] >= 0) {
+        saturation[u] += 1;
+        return;
+      }
+      removeFromBucket(u);
+      saturation[u] += 1;
+      addToBucket(u);
+    });
+  };
+
+  const unassign = (v) => {
+    const c = colors[v];
+    colors[v] = -1;
+    colorUses[c] -= 1;
+    remaining += 1;
+    neighbors[v].forEach((u) => {
+      neighborColors[u * colorCount + c] -= 1;
+      if (neighborColors[u * colorCount + c] > 0) return;
+      if (colors[u] >= 0) {
+        saturation[u] -= 1;
+        return;
+      }
+      removeFromBucket(u);
+      saturation[u] -= 1;
+      addToBucket(u);
+    });
+    addToBucket(v);
+  };
+
+  const selectNext = () => {
+    for (let sat = colorCount; sat >= 0; sat -= 1) {
+      const bucket = buckets[sat];
+      if (!bucket.length) continue;
+      let best = bucket[0];
+      bucket.forEach((v) => {
+        const degree = neighbors[v].length;
+        if (degree > neighbors[best].length || (degree === neighbors[best].length && v < best)) best = v;
+      });
+      return best;
+    }
+    return -1;
+  };
+
+  // 从 nextColor[v] 起给 v 填上下一种可用颜色，没有可用颜色时返回 false。
+  const advance = (v) => {
+    const firstUnused = colorUses.indexOf(0);
+    for (let c = nextColor[v]; c < colorCount; c += 1) {
+      if (neighborColors[v * colorCount + c] > 0) continue;
+      if (colorUses[c] === 0 && c !== firstUnused) continue;
+      nextColor[v] = c + 1;
+      assign(v, c);
+      return true;
+    }
+    return false;
+  };
+
+  // v 的邻居用满了所有颜色时，设法腾出某种颜色 a：v 的 a 色邻居逐个找一种颜色 b，把它所在的 a/b 链整体互换。
+  // 链上没有 v 的 b 色邻居、也没有 fixed 中的区域时，互换后处处合法且 v 的 a 色邻居变少；
+  // 各个邻居可以换成不同的 b，全部换掉后 v 就可以改填 a。互换总保持填色合法，腾不出时留下的互换也无妨。
+  const kempeRepair = (v) => {
+    const neighborSet = new Set(neighbors[v]);
+    for (let a = 0; a < colorCount; a += 1) {
+      for (const u of neighbors[v]) {
+        if (colors[u] !== a) continue;
+        for (let b = 0; b < colorCount && colors[u] === a; b += 1) {
+          if (b === a) continue;
+          const chain = collectKempeChain([u], a, b, (x) => isFixed[x] || (colors[x] === b && neighborSet.has(x)));
+          chain?.forEach((x) => {
+            const swapped = colors[x] === a ? b : a;
+            unassign(x);
+            assign(x, swapped);
+          });
+        }
+        if (colors[u] === a) break;
+      }
+      if (neighborColors[v * colorCount + a] === 0) {
+        assign(v, a);
+        return true;
+      }
+    }
+    return false;
+  };
+
+  // Kempe 互换也腾不出颜色时，v 改填 a 色邻居最少的颜色 a，这些邻居清空后重新排队填色（fixed 中的区域不动）。
+  // 并列时首选颜色按轮次轮换，免得在同几块区域之间来回打转。
+  const evict = (v, round) => {
+    let best = -1;
+    let bestCount = Infinity;
+    for (let i = 0; i < colorCount; i += 1) {
+      const a = (round + i) % colorCount;
+      const owners = neighbors[v].filter((u) => colors[u] === a);
+      if (owners.length >= bestCount || owners.some((u) => isFixed[u])) continue;
+      best = a;
+      bestCount = owners.length;
+    }
+    if (best < 0) return false;
+    neighbors[v].forEach((u) => {
+      if (colors[u] === best) unassign(u);
+    });
+    assign(v, best);
+    return true;
+  };
+
+  // 从 starts 出发沿 a、b 两色区域扩展出的连通块；遇到 blocks(x) 为真的区域时返回 null。
+  const collectKempeChain = (starts, a, b, blocks) => {
+    const chain = new Set(starts);
+    const queue = [...starts];
+    for (let head = 0; head < queue.length; head += 1) {
+      const x = queue[head];
+      if (blocks(x)) return null;
+      for (const y of neighbors[x]) {
+        if (chain.has(y) || (colors[y] !== a && colors[y] !== b)) continue;
+        chain.add(y);
+        queue.push(y);
+      }
+    }
+    return chain;
+  };
+
+  const toColoring = () => {
+    const coloring = new Map();
+    colors.forEach((color, index) => {
+      if (color >= 0) coloring.set(ids[index], color);
+    });
+    return coloring;
+  };
+
+  for (let v = 0; v < n; v += 1) addToBucket(v);
+
+  if (fixed) {
+    const order = [];
+    fixed.forEach((color, id) => {
+      const index = indexById.get(id);
+      if (index == null || color == null || colors[index] >= 0) return;
+      assign(index, color);
+      isFixed[index] = 1;
+      order.push(index);
+    });
+    for (const v of order) {
+      const clash = neighbors[v].find((u) => colors[u] === colors[v]);
+      if (clash != null) {
+        const proof = { type: 'clash', colorCount, regionIds: [ids[v], ids[clash]] };
+        return { success: false, coloring: toColoring(), aborted: false, proof };
+      }
+    }
+    const blocked = buckets[colorCount].length ? Math.min(...buckets[colorCount]) : -1;
+    if (blocked >= 0) {
+      const blockers = neighbors[blocked].filter((u) => colors[u] >= 0).map((u) => ids[u]);
+      const proof = { type: 'blocked', colorCount, regionIds: [ids[blocked], ...blockers] };
+      return { success: false, coloring: toColoring(), aborted: false, proof };
+    }
+  }
+
+  const obstruction = findColoringObstruction(regions, adjacency, colorCount);
+  if (obstruction) return { success: false, coloring: toColoring(), aborted: false, proof: obstruction };
+
+  let evictions = 0;
+  while (remaining > 0) {
+    const v = selectNext();
+    nextColor[v] = 0;
+    if (advance(v) || kempeRepair(v)) continue;
+    evictions += 1;
+    if (evictions > n || !evict(v, evictions)) break;
+  }
+  if (remaining === 0) return { success: true, coloring: toColoring(), aborted: false, proof: null };
+  for (let v = 0; v < n; v += 1) {
+    if (colors[v] >= 0 && !isFixed[v]) unassign(v);
+  }
+
+  const stack = [];
+  let steps = 0;
+  let aborted = false;
+  while (remaining > 0) {
+    steps += 1;
+    if (steps > maxSteps) {
+      aborted = true;
+      break;
+    }
+    const v = selectNext();
+    nextColor[v] = 0;
+    if (advance(v)) {
+      stack.push(v);
+      continue;
+    }
+    // v 无色可填：撤销最近一次填色并换下一种颜色，整个栈都换完时无解。
+    let resumed = false;
+    while (stack.length && !resumed) {
+      const u = stack.pop();
+      unassign(u);
+      if (advance(u)) {
+        stack.push(u);
+        resumed = true;
+      }
+    }
+    if (!resumed) break;
+  }
+  const success = remaining === 0;
+  const proof = success || aborted ? null : { type: 'exhaustive', colorCount, regionIds: [], steps };
+  return { success, coloring: toColoring(), aborted, proof };
+}
+
+// solveColoring 的计数版本：统计补全 fixed 之后共有多少种合法填色，数到 limit 个即停止
+// （判断解是否唯一时取 2 即可）。每步选候选色最少、未填邻居最多的区域，出现无色可填的区域立即回溯。
+// 返回 { count, coloring: 找到的第一个解 | null, aborted }；aborted 时 count 只是已找到的个数。
+export function countColorings(regions, adjacency, colorCount, { fixed = null, limit = 2, maxSteps = Infinity } = {}) {
+  const ids = regions.map((region) => region.id);
+  const indexById = new Map(ids.map((id, index) => [id, index]));
+  const neighbors = ids.map((id) =>
+    Array.from(adjacency.get(id) ?? [])
+      .map((neighborId) => indexById.get(neighborId))
+      .filter((index) => index != null)
+  );
+  const colors = new Int8Array(ids.length).fill(-1);
+  const allColors = (1 << colorCount) - 1;
+  let remaining = ids.length;
+  fixed?.forEach((color, id) => {
+    const index = indexById.get(id);
+    if (index == null || color == null) return;
+    colors[index] = color;
+    remaining -= 1;
+  });
+  if (colors.some((color, index) => color >= 0 && neighbors[index].some((other) => colors[other] === color))) {
+    return { count: 0, coloring: null, aborted: false };
+  }
+
+  const candidates = (index) => {
+    let mask = allColors;
+    neighbors[index].forEach((other) => {
+      if (colors[other] >= 0) mask &= ~(1 << colors[other]);
+    });
+    return mask;
+  };
+  let count = 0;
+  let first = null;
+  let steps = 0;
+  let aborted = false;
+
+  // 选候选色最少、未填邻居最多的区域；有区域已无色可填时返回 null。
+  const selectNext = () => {
+    let best = null;
+    let bestSize = Infinity;
+    let bestDegree = -1;
+    for (let index = 0; index < ids.length; index += 1) {
+      if (colors[index] >= 0) continue;
+      const mask = candidates(index);
+      const size = bitCount(mask);
+      if (size === 0) return null;
+      if (size > bestSize) continue;
+      const degree = neighbors[index].reduce((sum, other) => sum + (colors[other] < 0 ? 1 : 0), 0);
+      if (size < bestSize || degree > bestDegree) {
+        best = { index, mask, color: 0 };
+        bestSize = size;
+        bestDegree = degree;
+      }
+    }
+    return best;
+  };
+
+  // 显式栈（几千个区域也不会爆栈）：每层记录所选区域、候选色掩码与下一种要试的颜色。
+  const stack = [];
+  let left = remaining;
+  let expand = true;
+  for (;;) {
+    if (expand && left === 0) {
+      count += 1;
+      if (!first) first = new Map(ids.map((id, index) => [id, colors[index]]));
+      if (count >= limit) break;
+    } else if (expand) {
+      steps += 1;
+      if (steps > maxSteps) {
+        aborted = true;
+        break;
+      }
+      const frame = selectNext();
+      if (frame) stack.push(frame);
+    }
+    // 栈顶区域换下一种候选色，候选色用完时出栈，回到上一层换色。
+    const top = stack[stack.length - 1];
+    if (!top) break;
+    if (colors[top.index] >= 0) {
+      colors[top.index] = -1;
+      left += 1;
+    }
+    while (top.color < colorCount && !(top.mask & (1 << top.color))) top.color += 1;
+    expand = top.color < colorCount;
+    if (!expand) {
+      stack.pop();
+      continue;
+    }
+    colors[top.index] = top.color;
+    top.color += 1;
+    left -= 1;
+  }
+  return { count, coloring: first, aborted };
+}
+
+// 寻找“colorCount 种颜色不够用”的结构性证据，找不到时返回 null（不代表一定有解）：
+// 一种颜色 → 任意一对相邻区域；两种颜色 → 奇数长的环（交替填色必然首尾冲突）；
+// 三种颜色 → 奇轮（中心区域被奇数环包围，环已用满三色中的两种以上，中心无色可填）。
+// 返回 { type: 'edge' | 'odd-cycle' | 'odd-wheel', colorCount, regionIds, hubId? }，
+// 环上的区域按相接顺序排列。
+export function findColoringObstruction(regions, adjacency, colorCount) {
+  if (colorCount > 3) return null;
+  const ids = regions.map((region) => region.id);
+  const indexById = new Map(ids.map((id, index) => [id, index]));
+  const sets = ids.map(
+    (id) =>
+      new Set(
+        Array.from(adjacency.get(id) ?? [])
+          .map((neighborId) => indexById.get(neighborId))
+          .filter((index) => index != null)
+      )
+  );
+  const toIds = (indices) => indices.map((index) => ids[index]);
+
+  if (colorCount <= 1) {
+    const a = sets.findIndex((set) => set.size > 0);
+    if (a < 0) return null;
+    const [b] = sets[a];
+    return { type: 'edge', colorCount, regionIds: toIds([a, b]) };
+  }
+  if (colorCount === 2) {
+    const cycle = findOddCycle(Array.from(ids.keys()), sets);
+    return cycle ? { type: 'odd-cycle', colorCount, regionIds: toIds(cycle) } : null;
+  }
+  if (colorCount === 3) {
+    let smallest = null;
+    sets.forEach((set, hub) => {
+      const cycle = findOddCycle(Array.from(set), sets);
+      if (cycle && (!smallest || cycle.length < smallest.cycle.length)) smallest = { hub, cycle };
+    });
+    if (!smallest) return null;
+    return {
+      type: 'odd-wheel',
+      colorCount,
+      hubId: ids[smallest.hub],
+      regionIds: toIds([smallest.hub, ...smallest.cycle])
+    };
+  }
+  return null;
+}
+
+export function findConflicts(regions, adjacency) {
+  const conflicts = [];
+  const regionMap = new Map(regions.map((r) => [r.id, r]));
+  adjacency.forEach((neighbors, regionId) => {
+    const region = regionMap.get(regionId);
+    if (!region || region.color == null) return;
+    neighbors.forEach((neighborId) => {
+      const neighbor = regionMap.get(neighborId);
+      if (!neighbor || neighbor.color == null) return;
+      if (regionId < neighborId && region.color === neighbor.color) {
+        conflicts.push([regionId, neighborId]);
+      }
+    });
+  });
+  return conflicts;
+}
+
+// 分支定界求目标色最少的合法填色：先试非目标色，目标色最后尝试；
+// 下界 = 非目标色已全部被邻居占用、只能取目标色的区域数 + 互不相交的“奇轮”数
+// （中心区域加上一圈奇数长的邻居环无法只用三种颜色填满，至少要有一块目标色）。
+// 超出 timeLimit 时返回当前最好的解，并标记 optimal: false。
+export function findOptimalTargetColoring(
+  regions,
+  adjacency,
+  { targetIndex, colorCount, timeLimit = DEFAULT_OPTIMAL_TIME_LIMIT, initial = null, onProgress = null }
+) {
+  const n = regions.length;
+  const ids = regions.map((region) => region.id);
+  const indexById = new Map(ids.map((id, index) => [id, index]));
+  const neighbors = ids.map((id) =>
+    Array.from(adjacency.get(id) ?? [])
+      .map((neighborId) => indexById.get(neighborId))
+      .filter((index) => index != null)
+  );
+  const colors = new Int8Array(n).fill(-1);
+  const blocked = new Int16Array(n * colorCount);
+  const colorUsage = new Int32Array(colorCount);
+  const marks = new Uint8Array(n);
+  const obstructions = findOddWheels(neighbors);
+  const deadline = Date.now() + timeLimit;
+  let nodes = 0;
+  let timedOut = false;
+  let best = Infinity;
+  let bestColors = null;
+
+  const start = initial?.coloring ?? solveColoring(regions, adjacency, colorCount).coloring;
+  if (start && start.size === n) {
+    bestColors = Int8Array.from(ids, (id) => start.get(id) ?? -1);
+    best = improveWithKempeChains(bestColors, neighbors, colorCount, targetIndex, deadline);
+  }
+
+  const assign = (v, c) => {
+    colors[v] = c;
+    colorUsage[c] += 1;
+    neighbors[v].forEach((u) => {
+      blocked[u * colorCount + c] += 1;
+    });
+  };
+
+  const unassign = (v) => {
+    const c = colors[v];
+    colors[v] = -1;
+    colorUsage[c] -= 1;
+    neighbors[v].forEach((u) => {
+      blocked[u * colorCount + c] -= 1;
+    });
+  };
+
+  const freeNonTarget = (v) => {
+    let free = 0;
+    for (let c = 0; c < colorCount; c += 1) {
+      if (c !== targetIndex && blocked[v * colorCount + c] === 0) free += 1;
+    }
+    return free;
+  };
+
+  const lowerBound = () => {
+    let bound = 0;
+    marks.fill(0);
+    for (let v = 0; v < n; v += 1) {
+      if (colors[v] !== -1 || freeNonTarget(v) > 0) continue;
+      if (blocked[v * colorCount + targetIndex] > 0) return Infinity;
+      marks[v] = 1;
+      bound += 1;
+    }
+    for (const wheel of obstructions) {
+      if (wheel.some((v) => colors[v] === targetIndex || marks[v])) continue;
+      wheel.forEach((v) => {
+        if (colors[v] === -1) marks[v] = 1;
+      });
+      bound += 1;
+    }
+    return bound;
+  };
+
+  const selectNext = () => {
+    let choice = -1;
+    let bestFree = Infinity;
+    let bestFreeNonTarget = Infinity;
+    let bestDegree = -1;
+    for (let v = 0; v < n; v += 1) {
+      if (colors[v] !== -1) continue;
+      const nonTarget = freeNonTarget(v);
+      const free = nonTarget + (blocked[v * colorCount + targetIndex] === 0 ? 1 : 0);
+      const degree = neighbors[v].length;
+      if (
+        free < bestFree ||
+        (free === bestFree && nonTarget < bestFreeNonTarget) ||
+        (free === bestFree && nonTarget === bestFreeNonTarget && degree > bestDegree)
+      ) {
+        choice = v;
+        bestFree = free;
+        bestFreeNonTarget = nonTarget;
+        bestDegree = degree;
+      }
+    }
+    return choice;
+  };
+
+  // v 的下一种可选颜色：先试非目标色，最后试目标色，都试过时返回 -1。
+  const nextOption = (frame) => {
+    while (frame.color < colorCount) {
+      const c = frame.color;
+      frame.color += 1;
+      if (c === targetIndex || blocked[frame.v * colorCount + c] > 0) continue;
+      // 尚未使用的非目标色彼此等价，只需尝试其中一种
+      if (colorUsage[c] === 0) {
+        if (frame.triedUnused) continue;
+        frame.triedUnused = true;
+      }
+      return c;
+    }
+    if (frame.color > colorCount) return -1;
+    frame.color += 1;
+    return blocked[frame.v * colorCount + targetIndex] === 0 ? targetIndex : -1;
+  };
+
+  let limit = best;
+  let found = false;
+
+  // 深度优先搜索目标色不超过 limit - 1 块的填色，用显式栈代替递归，几千个区域也不会爆栈；
+  // 栈中每层记录所填区域及下一种要试的颜色，栈深即已填区域数。
+  const search = () => {
+    const stack = [];
+    let cost = 0;
+    let expand = true;
+    for (;;) {
+      if (expand) {
+        nodes += 1;
+        if ((nodes & 1023) === 0 && Date.now() > deadline) timedOut = true;
+        if ((nodes & 16383) === 0 && onProgress) onProgress({ nodes, lowerBound: provenBound, best });
+        if (timedOut || stack.length === n) break;
+        if (cost + lowerBound() < limit) stack.push({ v: selectNext(), color: 0, triedUnused: false });
+      }
+      const frame = stack[stack.length - 1];
+      if (!frame) break;
+      if (colors[frame.v] !== -1) {
+        if (colors[frame.v] === targetIndex) cost -= 1;
+        unassign(frame.v);
+      }
+      const c = nextOption(frame);
+      expand = c >= 0;
+      if (!expand) {
+        stack.pop();
+        continue;
+      }
+      assign(frame.v, c);
+      if (c === targetIndex) cost += 1;
+    }
+    if (!timedOut && stack.length === n) {
+      if (cost < best) {
+        best = cost;
+        bestColors = colors.slice();
+      }
+      found = true;
+    }
+    while (stack.length) unassign(stack.pop().v);
+  };
+
+  // 从下界开始逐一尝试“目标色不超过 k 块”：第一个可行的 k 即为最优。
+  let provenBound = n > 0 ? Math.min(lowerBound(), best) : 0;
+  while (provenBound < best && !timedOut) {
+    limit = provenBound + 1;
+    found = false;
+    search();
+    if (timedOut || found) break;
+    provenBound += 1;
+  }
+
+  if (!bestColors) {
+    const fallback = solveColoring(regions, adjacency, colorCount);
+    if (!fallback.success) return { count: null, coloring: null, optimal: false, lowerBound: provenBound, nodes };
+    const count = Array.from(fallback.coloring.values()).filter((c) => c === targetIndex).length;
+    return { count, coloring: fallback.coloring, optimal: false, lowerBound: provenBound, nodes };
+  }
+
+  const coloring = new Map();
+  ids.forEach((id, index) => coloring.set(id, bestColors[index]));
+  return { count: n > 0 ? best : 0, coloring, optimal: !timedOut, lowerBound: provenBound, nodes };
+}
+
+// 用 Kempe 链交换降低目标色数量：
+// 1) 目标色与某非目标色构成的连通分量中，目标色多于另一色时整体互换；
+// 2) 目标色区域若能通过一次非目标色 Kempe 交换腾出颜色，就改为非目标色。
+// 大地图上两种非目标色的链可能贯穿全图，超过 deadline 时停止改进，保留已得到的结果。
+function improveWithKempeChains(colors, neighbors, colorCount, targetIndex, deadline) {
+  const n = colors.length;
+  const nonTarget = [];
+  for (let c = 0; c < colorCount; c += 1) {
+    if (c !== targetIndex) nonTarget.push(c);
+  }
+  const collectChain = (starts, a, b) => {
+    const chain = new Set(starts);
+    const stack = [...starts];
+    while (stack.length) {
+      const x = stack.pop();
+      neighbors[x].forEach((y) => {
+        if (!chain.has(y) && (colors[y] === a || colors[y] === b)) {
+          chain.add(y);
+          stack.push(y);
+        }
+      });
+    }
+    return chain;
+  };
+  const swapChain = (chain, a, b) => {
+    chain.forEach((x) => {
+      colors[x] = colors[x] === a ? b : a;
+    });
+  };
+
+  let improved = true;
+  let rounds = 0;
+  while (improved && rounds < 50 && Date.now() <= deadline) {
+    improved = false;
+    rounds += 1;
+    nonTarget.forEach((c) => {
+      const visited = new Uint8Array(n);
+      for (let v = 0; v < n; v += 1) {
+        if (visited[v] || colors[v] !== targetIndex) continue;
+        const chain = collectChain([v], targetIndex, c);
+        let targets = 0;
+        chain.forEach((x) => {
+          visited[x] = 1;
+          if (colors[x] === targetIndex) targets += 1;
+        });
+        if (targets * 2 > chain.size) {
+          swapChain(chain, targetIndex, c);
+          improved = true;
+        }
+      }
+    });
+    for (let v = 0; v < n; v += 1) {
+      if (colors[v] !== targetIndex) continue;
+      if (Date.now() > deadline) break;
+      let recolored = false;
+      for (const c of nonTarget) {
+        const blockers = neighbors[v].filter((u) => colors[u] === c);
+        if (!blockers.length) {
+          colors[v] = c;
+          recolored = true;
+          break;
+        }
+        for (const d of nonTarget) {
+          if (d === c) continue;
+          const chain = collectChain(blockers, c, d);
+          if (neighbors[v].some((u) => colors[u] === d && chain.has(u))) continue;
+          swapChain(chain, c, d);
+          colors[v] = c;
+          recolored = true;
+          break;
+        }
+        if (recolored) break;
+      }
+      if (recolored) improved = true;
+    }
+  }
+  let count = 0;
+  for (let v = 0; v < n; v += 1) {
+    if (colors[v] === targetIndex) count += 1;
+  }
+  return count;
+}
+
+function findOddWheels(neighbors) {
+  const sets = neighbors.map((list) => new Set(list));
+  const seen = new Set();
+  const wheels = [];
+  neighbors.forEach((list, center) => {
+    const cycle = findOddCycle(list, sets);
+    if (!cycle) return;
+    const wheel = [center, ...cycle].sort((a, b) => a - b);
+    const key = wheel.join(',');
+    if (seen.has(key)) return;
+    seen.add(key);
+    wheels.push(wheel);
+  });
+  const overlaps = wheels.map((wheel) => {
+    const members = new Set(wheel);
+    return wheels.filter((other) => other !== wheel && other.some((v) => members.has(v))).length;
+  });
+  return wheels
+    .map((wheel, index) => ({ wheel, score: overlaps[index] * 16 + wheel.length }))
+    .sort((a, b) => a.score - b.score)
+    .map((entry) => entry.wheel);
+}
+
+// 只沿 vertices 内部的边做 BFS，逐个邻居检查是否在 vertices 中，整张图上找也是线性时间。
+function findOddCycle(vertices, sets) {
+  const members = new Set(vertices);
+  const depth = new Map();
+  const parent = new Map();
+  for (const root of vertices) {
+    if (depth.has(root)) continue;
+    depth.set(root, 0);
+    parent.set(root, -1);
+    const queue = [root];
+    for (let head = 0; head < queue.length; head += 1) {
+      const x = queue[head];
+      for (const y of sets[x]) {
+        if (y === x || !members.has(y)) continue;
+        if (!depth.has(y)) {
+          depth.set(y, depth.get(x) + 1);
+          parent.set(y, x);
+          queue.push(y);
+        } else if (depth.get(y) % 2 === depth.get(x) % 2) {
+          const left = [];
+          const right = [];
+          let a = x;
+          let b = y;
+          while (a !== b) {
+            if (depth.get(a) >= depth.get(b)) {
+              left.push(a);
+              a = parent.get(a);
+            } else {
+              right.push(b);
+              b = parent.get(b);
+            }
+          }
+          return [...left, a, ...right.reverse()];
+        }
+      }
+    }
+  }
+  return null;
+}
+
+function shuffleArray(array, rng) {
+  const result = [...array];
+  for (let i = result.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(rng() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+function bitCount(mask) {
+  let count = 0;
+  for (let rest = mask; rest; rest &= rest - 1) count += 1;
+  return count;
+}
@@ -0,0 +1,130 @@
+import { LocalizedError } from './i18n.js';
+import { SOLVER_TASKS } from './solverTasks.js';
+
+export class TaskCancelledError extends LocalizedError {
+  constructor() {
+    super('task.cancelled');
+    this.name = 'TaskCancelledError';
+  }
+}
+
+export class TaskTimeoutError extends LocalizedError {
+  constructor(timeout) {
+    super('task.timeout', { count: Math.round(timeout / 1000) });
+    this.name = 'TaskTimeoutError';
+    this.timeout = timeout;
+  }
+}
+
+// 任务内抛出的错误：errorName 为原错误的类名，可翻译的错误另带回 code 与 params（见 i18n.js）。
+export class TaskFailedError extends Error {
+  constructor({ message, name, code, params }) {
+    super(message);
+    this.name = 'TaskFailedError';
+    this.errorName = name;
+    this.code = code;
+    this.params = params;
+  }
+}
+
+// Worker 内的同步计算无法被消息打断，取消与超时都通过终止 Worker 实现，
+// 下一个任务会按需重新创建 Worker。
+export function createSolverClient() {
+  let worker = null;
+  let nextId = 1;
+  const pending = new Map();
+
+  const handleMessage = (event) => {
+    const { id, kind } = event.data;
+    const entry = pending.get(id);
+    if (!entry) return;
+    if (kind === 'progress') {
+      entry.onProgress?.(event.data.progress);
+      return;
+    }
+    settle(id);
+    if (kind === 'result') {
+      entry.resolve(event.data.result);
+    } else {
+      entry.reject(new TaskFailedError(event.data.error));
+    }
+  };
+
+  const ensureWorker = () => {
+    if (!worker) {
+      worker = new Worker(new URL('./solverWorker.js', import.meta.url), { type: 'module' });
+      worker.onmessage = handleMessage;
+      worker.onerror = (event) => {
+        const error = new TaskFailedError(
+          event.message ? { message: event.message } : new LocalizedError('task.workerCrashed')
+        );
+        resetWorker(error);
+      };
+    }
+    return worker;
+  };
+
+  const settle = (id) => {
+    const entry = pending.get(id);
+    if (entry?.timer) clearTimeout(entry.timer);
+    pending.delete(id);
+  };
+
+  const resetWorker = (error) => {
+    worker?.terminate();
+    worker = null;
+    Array.from(pending.keys()).forEach((id) => {
+      const entry = pending.get(id);
+      settle(id);
+      entry.reject(error);
+    });
+  };
+
+  const runInline = (type, payload, { onProgress }) => {
+    let cancelled = false;
+    let rejectTask = null;
+    const promise = new Promise((resolve, reject) => {
+      rejectTask = reject;
+      setTimeout(async () => {
+        if (cancelled) return;
+        try {
+          const result = await SOLVER_TASKS[type](payload, (progress) => onProgress?.(progress));
+          if (!cancelled) resolve(result);
+        } catch (error) {
+          if (!cancelled) reject(new TaskFailedError(error));
+        }
+      }, 0);
+    });
+    return {
+      promise,
+      cancel: () => {
+        cancelled = true;
+        rejectTask(new TaskCancelledError());
+      }
+    };
+  };
+
+  const run = (type, payload, { onProgress, timeout } = {}) => {
+    if (typeof Worker === 'undefined') return runInline(type, payload, { onProgress });
+    const id = nextId;
+    nextId += 1;
+    const promise = new Promise((resolve, reject) => {
+      const entry = { resolve, reject, onProgress, timer: null };
+      if (timeout) {
+        entry.timer = setTimeout(() => resetWorker(new TaskTimeoutError(timeout)), timeout);
+      }
+      pending.set(id, entry);
+      ensureWorker().postMessage({ id, type, payload });
+    });
+    return {
+      promise,
+      cancel: () => {
+        if (pending.has(id)) resetWorker(new TaskCancelledError());
+      }
+    };
+  };
+
+  const dispose = () => resetWorker(new TaskCancelledError());
+
+  return { run, dispose };
+}
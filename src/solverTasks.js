@@ -0,0 +1,55 @@
+import { computeClueReference } from './clues.js';
+import { chooseDuelMove, getDuelLevel } from './duel.js';
+import { createPuzzle, REFERENCE_TIME_LIMIT } from './engine.js';
+import { CLUE_MODE_ID } from './gameModes.js';
+import { buildGeoMap, loadBundledGeoMap } from './geoMap.js';
+import { findHint } from './hints.js';
+import { createTranslator } from './i18n.js';
+import { computeReference } from './puzzleGenerator.js';
+import { createRng } from './random.js';
+import { solveColoring } from './solver.js';
+
+// 耗时计算统一登记在这里，由 solverWorker.js 在 Worker 中执行；
+// 环境不支持 Worker 时 solverClient.js 会在主线程直接调用。
+// 每个任务接收可结构化克隆的 payload 与进度回调 report，返回可克隆的结果。
+export const SOLVER_TASKS = {
+  generate({ spec }, report) {
+    return createPuzzle(spec, { onProgress: report });
+  },
+
+  reference({ regions, adjacency, targetIndex, seed, colorCount, mode }, report) {
+    if (mode === CLUE_MODE_ID) return computeClueReference(regions, adjacency, colorCount, targetIndex);
+    return computeReference(regions, adjacency, targetIndex, createRng(seed), {
+      colorCount,
+      timeLimit: REFERENCE_TIME_LIMIT,
+      onProgress: report
+    });
+  },
+
+  async geo({ sourceId, data, width, height }, report) {
+    report({ stage: 'geo' });
+    if (sourceId) return loadBundledGeoMap(sourceId, { width, height });
+    return buildGeoMap(data, { width, height });
+  },
+
+  solve({ regions, adjacency, colorCount, fixed }, report) {
+    report({ stage: 'solve' });
+    return solveColoring(regions, adjacency, colorCount, { fixed });
+  },
+
+  hint({ regions, adjacency, colorCount, colorNames, labels, locale }, report) {
+    report({ stage: 'hint' });
+    return findHint(regions, adjacency, {
+      colorCount,
+      colorNames,
+      labelOf: (regionId) => labels[regionId] ?? regionId,
+      t: createTranslator(locale)
+    });
+  },
+
+  duelMove({ regions, adjacency, colorCount, player, level, seed }, report) {
+    report({ stage: 'duel' });
+    const { depth, timeLimit } = getDuelLevel(level);
+    return chooseDuelMove(regions, adjacency, colorCount, { player, depth, timeLimit, rng: createRng(seed) });
+  }
+};
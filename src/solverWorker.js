@@ -0,0 +1,15 @@
+import { SOLVER_TASKS } from './solverTasks.js';
+
+self.onmessage = async (event) => {
+  const { id, type, payload } = event.data;
+  const report = (progress) => self.postMessage({ id, kind: 'progress', progress });
+  try {
+    const task = SOLVER_TASKS[type];
+    if (!task) throw new Error(`Unknown solver task "${type}"`);
+    const result = await task(payload, report);
+    self.postMessage({ id, kind: 'result', result });
+  } catch (error) {
+    const { message = String(error), name, code, params } = error ?? {};
+    self.postMessage({ id, kind: 'error', error: { message, name, code, params } });
+  }
+};
@@ -0,0 +1,119 @@
+const CURRENT_KEY = 'four-color-map:current';
+const RECENT_KEY = 'four-color-map:recent';
+const SETTINGS_KEY = 'four-color-map:settings';
+const PROFILES_KEY = 'four-color-map:profiles';
+const DAILY_RESULTS_KEY = 'four-color-map:daily-results';
+const SCORES_KEY = 'four-color-map:scores';
+const MAX_RECENT = 8;
+const MAX_DAILY_RESULTS = 500;
+const MAX_SCORE_RECORDS = 500;
+
+function readJson(key, fallback) {
+  try {
+    const raw = window.localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch (error) {
+    console.warn(`Failed to read ${key} from localStorage`, error);
+    return fallback;
+  }
+}
+
+function writeJson(key, value) {
+  try {
+    if (value == null) {
+      window.localStorage.removeItem(key);
+    } else {
+      window.localStorage.setItem(key, JSON.stringify(value));
+    }
+  } catch (error) {
+    console.warn(`Failed to write ${key} to localStorage`, error);
+  }
+}
+
+export function hasProgress(snapshot) {
+  return Boolean(snapshot && !snapshot.completed && (snapshot.filled > 0 || snapshot.history?.length));
+}
+
+function normalizeSnapshot(snapshot) {
+  if (!snapshot || typeof snapshot !== 'object') return null;
+  const key = snapshot.key ?? snapshot.code;
+  return key ? { ...snapshot, key } : null;
+}
+
+export function loadCurrentGame() {
+  return normalizeSnapshot(readJson(CURRENT_KEY, null));
+}
+
+export function listRecentGames() {
+  const list = readJson(RECENT_KEY, []);
+  return Array.isArray(list) ? list.map(normalizeSnapshot).filter(Boolean) : [];
+}
+
+export function saveGame(snapshot) {
+  writeJson(CURRENT_KEY, snapshot);
+  const rest = listRecentGames().filter((entry) => entry.key !== snapshot.key);
+  const next = hasProgress(snapshot) ? [snapshot, ...rest] : rest;
+  writeJson(RECENT_KEY, next.slice(0, MAX_RECENT));
+  return next.slice(0, MAX_RECENT);
+}
+
+export function removeRecentGame(key) {
+  const next = listRecentGames().filter((entry) => entry.key !== key);
+  writeJson(RECENT_KEY, next);
+  const current = loadCurrentGame();
+  if (current?.key === key) {
+    writeJson(CURRENT_KEY, null);
+  }
+  return next;
+}
+
+export function loadSettings() {
+  const settings = readJson(SETTINGS_KEY, {});
+  return settings && typeof settings === 'object' ? settings : {};
+}
+
+export function saveSettings(settings) {
+  writeJson(SETTINGS_KEY, settings);
+}
+
+// 还没有任何玩家时用 defaultName（由界面按当前语言给出）建立第一位玩家。
+export function loadProfiles(defaultName) {
+  const data = readJson(PROFILES_KEY, null);
+  const names = Array.isArray(data?.names) ? data.names.filter((name) => typeof name === 'string' && name) : [];
+  if (!names.length) names.push(defaultName);
+  const active = names.includes(data?.active) ? data.active : names[0];
+  return { active, names };
+}
+
+export function saveProfiles(profiles) {
+  writeJson(PROFILES_KEY, profiles);
+}
+
+export function listDailyResults() {
+  const list = readJson(DAILY_RESULTS_KEY, []);
+  return Array.isArray(list) ? list.filter((entry) => entry && typeof entry.date === 'string') : [];
+}
+
+// 同一局（gameId 相同）只保留第一次通关时的记录，早期没有 gameId 的记录照常追加。
+function appendOnce(list, entry) {
+  if (entry.gameId && list.some((item) => item.gameId === entry.gameId)) return list;
+  return [...list, entry];
+}
+
+// 每局完成每日挑战记录一条：{ gameId, date, profile, code, timeMs, moves, targetCount, ranked, completedAt }
+export function recordDailyResult(result) {
+  const next = appendOnce(listDailyResults(), result).slice(-MAX_DAILY_RESULTS);
+  writeJson(DAILY_RESULTS_KEY, next);
+  return next;
+}
+
+export function listScoreRecords() {
+  const list = readJson(SCORES_KEY, []);
+  return Array.isArray(list) ? list.filter((entry) => entry && Number.isFinite(entry.score)) : [];
+}
+
+export function recordScore(record) {
+  const next = appendOnce(listScoreRecords(), record).slice(-MAX_SCORE_RECORDS);
+  writeJson(SCORES_KEY, next);
+  return next;
+}
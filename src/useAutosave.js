@@ -0,0 +1,33 @@
+import { useEffect } from 'react';
+import { saveGame } from './storage.js';
+
+// 盘面、作答统计或通关状态变化时存档当前题目，onSave 收到更新后的最近游戏列表。
+// paused 为真时不存档，避免在玩家决定是否恢复旧存档之前覆盖它。
+export function useAutosave({ source, gameId, game, attempt, isSolved, recorded, startedAtRef, paused, onSave }) {
+  const { regions, history, redoStack } = game;
+
+  useEffect(() => {
+    if (!source || !regions.length || paused) return;
+    const colors = {};
+    regions.forEach((region) => {
+      if (region.color != null) colors[region.id] = region.color;
+    });
+    const nextRecent = saveGame({
+      key: source.key,
+      gameId,
+      code: source.code,
+      puzzle: source.file,
+      colors,
+      filled: Object.keys(colors).length,
+      total: regions.length,
+      history,
+      redoStack,
+      attempt,
+      elapsedMs: Date.now() - startedAtRef.current,
+      completed: isSolved,
+      recorded,
+      savedAt: Date.now()
+    });
+    onSave(nextRecent);
+  }, [source, gameId, regions, history, redoStack, attempt, isSolved, recorded, paused, startedAtRef, onSave]);
+}
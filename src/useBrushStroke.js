@@ -0,0 +1,43 @@
+import { useRef, useState } from 'react';
+import { createStroke, getStrokeChanges, paintStroke } from './brushStroke.js';
+import { applyColors } from './engine.js';
+
+// 进行中的一笔（见 brushStroke.js）。指针事件可能比渲染来得快，最新的一笔同时放在 ref 里。
+// strokeColors 为预览用的 Map(regionId → 颜色)，没有进行中的一笔时为 null。
+export function useBrushStroke(game, updateGame) {
+  const [stroke, setStroke] = useState(null);
+  const strokeRef = useRef(null);
+
+  const update = (next) => {
+    strokeRef.current = next;
+    setStroke(next);
+  };
+
+  // 已有一笔在进行时（如多指触摸）不开始新的一笔，返回 false。
+  const start = ({ pointerId, regionId, mode, color, blockIllegal }) => {
+    if (strokeRef.current) return false;
+    update(paintStroke(createStroke({ pointerId, mode, color, blockIllegal }), game, regionId));
+    return true;
+  };
+
+  const paint = (regionId) => {
+    const current = strokeRef.current;
+    if (!current) return;
+    const next = paintStroke(current, game, regionId);
+    if (next !== current) update(next);
+  };
+
+  const isStroking = (pointerId) => strokeRef.current?.pointerId === pointerId;
+
+  // 结束这一笔并提交改动，返回 { mode, color, changed, skipped }；没有进行中的一笔时返回 null。
+  const finish = () => {
+    const current = strokeRef.current;
+    if (!current) return null;
+    update(null);
+    const changes = getStrokeChanges(current, game);
+    if (changes.size) updateGame((prev) => applyColors(prev, changes, { action: current.mode }));
+    return { mode: current.mode, color: current.color, changed: changes.size, skipped: current.skipped };
+  };
+
+  return { strokeColors: stroke?.colors ?? null, start, paint, isStroking, finish };
+}
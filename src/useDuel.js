@@ -0,0 +1,87 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { getDuelPlayError, getDuelState } from './duel.js';
+import { applyMove } from './engine.js';
+import { DUEL_MODE_ID } from './gameModes.js';
+import { randomSeed } from './random.js';
+
+// 双人对战的回合与落子：duelState 为 getDuelState 的结果（不是对战题目时为 null）。
+// computer 为电脑执的一方（null 表示两人轮流），轮到电脑时在后台搜索一步，搜到后交给 onComputerMove，
+// 盘面在思考期间保持只读；搜索被取消后可用 requestComputerMove 重新开始。paused 为真（如回放录像）时电脑不落子。
+export function useDuel({
+  game,
+  updateGame,
+  computer,
+  level,
+  paused,
+  timeout,
+  runTask,
+  reportTaskError,
+  tRef,
+  onComputerMove
+}) {
+  const isDuel = game.mode === DUEL_MODE_ID;
+  const duelState = useMemo(() => (isDuel ? getDuelState(game) : null), [isDuel, game]);
+  const status = duelState?.status ?? null;
+  const isComputerTurn = status === 'playing' && duelState.turn === computer;
+  const [moveRequest, setMoveRequest] = useState(0);
+  const [showResult, setShowResult] = useState(false);
+  const onComputerMoveRef = useRef(onComputerMove);
+  onComputerMoveRef.current = onComputerMove;
+  const { regions, adjacency, colorCount } = game;
+
+  useEffect(() => {
+    if (!isComputerTurn || paused) return undefined;
+    const task = runTask(
+      'duelMove',
+      { regions, adjacency, colorCount, player: computer, level, seed: randomSeed() },
+      tRef.current('tasks.duelMove'),
+      timeout
+    );
+    let active = true;
+    task.promise.then(
+      (move) => {
+        if (active && move) onComputerMoveRef.current(move);
+      },
+      (error) => {
+        if (active) reportTaskError(error, tRef.current('tasks.duelMove'));
+      }
+    );
+    return () => {
+      active = false;
+      task.cancel();
+    };
+  }, [
+    isComputerTurn,
+    paused,
+    regions,
+    adjacency,
+    colorCount,
+    computer,
+    level,
+    moveRequest,
+    timeout,
+    runTask,
+    reportTaskError,
+    tRef
+  ]);
+
+  useEffect(() => {
+    setShowResult(status === 'filled' || status === 'blocked');
+  }, [status]);
+
+  // 落子前先通过本回合的检查，不合法时不改动盘面并返回原因（见 getDuelPlayError）。
+  const play = (regionId, color, { byComputer = false } = {}) => {
+    const error = getDuelPlayError(game, regionId, color, { computer, byComputer });
+    if (!error) updateGame((prev) => applyMove(prev, regionId, color));
+    return error;
+  };
+
+  return {
+    duelState,
+    isComputerTurn,
+    showResult,
+    closeResult: () => setShowResult(false),
+    requestComputerMove: () => setMoveRequest((count) => count + 1),
+    play
+  };
+}
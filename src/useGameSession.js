@@ -0,0 +1,95 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { createGame } from './engine.js';
+import {
+  createSession,
+  EMPTY_SESSION,
+  recordSessionEvent,
+  redoSession,
+  resetSession,
+  seekSession,
+  solveSession,
+  undoSession,
+  updateSessionAttempt,
+  updateSessionGame
+} from './gameSession.js';
+
+// 一局游戏的状态（见 gameSession.js）加上开局时间与计时。
+// 所有修改都以函数式更新作用在最新的 session 上，同一时刻连续提交的几次改动不会互相覆盖。
+export function useGameSession() {
+  const [session, setSession] = useState(EMPTY_SESSION);
+  const [clock, setClock] = useState(Date.now);
+  const startedAtRef = useRef(Date.now());
+  const { game, isSolved } = session;
+
+  useEffect(() => {
+    if (!game.regions.length || isSolved) return undefined;
+    const timer = setInterval(() => setClock(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [game.regions.length, isSolved]);
+
+  // restore 为本地存档，恢复时接着存档里的作答统计与用时计时。
+  const loadGame = useCallback((puzzle, { reference, restore = null }) => {
+    const game = createGame(puzzle, { reference, restore });
+    const { gameId, attempt, recorded } = restore ?? {};
+    setSession(createSession(game, { gameId, attempt, recorded }));
+    startedAtRef.current = Date.now() - (Number(restore?.elapsedMs) || 0);
+  }, []);
+
+  const getElapsedMs = () => Date.now() - startedAtRef.current;
+
+  const recordEvent = (event) => {
+    setSession((prev) => recordSessionEvent(prev, event));
+  };
+
+  const updateGame = (update, event) => {
+    setSession((prev) => updateSessionGame(prev, update, event));
+  };
+
+  const updateAttempt = (key, value) => {
+    setSession((prev) => updateSessionAttempt(prev, key, value));
+  };
+
+  const setHint = (hint) => {
+    setSession((prev) => ({ ...prev, hint }));
+  };
+
+  const undo = (options) => {
+    setSession((prev) => undoSession(prev, options));
+  };
+
+  const redo = () => {
+    setSession(redoSession);
+  };
+
+  const seek = (position) => {
+    setSession((prev) => seekSession(prev, position));
+  };
+
+  const reset = () => {
+    setSession(resetSession);
+  };
+
+  // 标记通关；返回本局是否第一次通关，只有第一次通关才由调用方记录成绩。
+  const markSolved = () => {
+    setClock(Date.now());
+    setSession(solveSession);
+    return !session.recorded;
+  };
+
+  return {
+    ...session,
+    clock,
+    startedAtRef,
+    loadGame,
+    getElapsedMs,
+    recordEvent,
+    updateGame,
+    updateAttempt,
+    setHint,
+    undo,
+    redo,
+    seek,
+    reset,
+    markSolved
+  };
+}
@@ -0,0 +1,25 @@
+import { useMemo, useState } from 'react';
+import {
+  getPaletteColors,
+  nameColors,
+  normalizeCustomColors,
+  resolvePaletteId,
+  updateCustomColor
+} from './palettes.js';
+
+// 调色板设置：saved 为本地保存的 { paletteId, customColors }。
+// colors 为当前调色板按 t 的语言命名后的颜色，供色板、图例与读屏文字使用。
+export function usePalette(saved, t) {
+  const [paletteId, setPaletteId] = useState(() => resolvePaletteId(saved.paletteId));
+  const [customColors, setCustomColors] = useState(() => normalizeCustomColors(saved.customColors));
+  const colors = useMemo(() => nameColors(getPaletteColors(paletteId, customColors), t), [paletteId, customColors, t]);
+
+  return {
+    paletteId,
+    setPaletteId,
+    customColors,
+    colors,
+    editCustomColor: (index, field, value) => setCustomColors((prev) => updateCustomColor(prev, index, field, value)),
+    commitCustomColors: () => setCustomColors((prev) => normalizeCustomColors(prev))
+  };
+}
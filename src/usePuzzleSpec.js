@@ -0,0 +1,38 @@
+import { useState } from 'react';
+import { DEFAULT_CLUE_DIFFICULTY } from './clues.js';
+import { DEFAULT_MODE_ID } from './gameModes.js';
+import { createRandomSpec, selectMode, selectSpec } from './puzzleSpec.js';
+
+const DEFAULT_REGION_COUNT = 30;
+const DEFAULT_SELECTION = {
+  regionCount: DEFAULT_REGION_COUNT,
+  mode: DEFAULT_MODE_ID,
+  difficulty: DEFAULT_CLUE_DIFFICULTY
+};
+
+// 当前题目的 spec 与新局设置（见 puzzleSpec.js）。改动区域数、玩法或推理难度都会立即按新设置换一道随机题目。
+// readInitialSpec 只在首次渲染时调用（如读取网址中的题目编号），返回 null 时按默认设置随机出题。
+export function usePuzzleSpec(readInitialSpec) {
+  const [spec, setSpec] = useState(() => readInitialSpec() ?? createRandomSpec(DEFAULT_SELECTION));
+  const [selection, setSelection] = useState(() => selectSpec(DEFAULT_SELECTION, spec));
+
+  const applySelection = (next) => {
+    setSelection(next);
+    setSpec(createRandomSpec(next));
+  };
+
+  const loadSpec = (next) => {
+    setSelection((prev) => selectSpec(prev, next));
+    setSpec(next);
+  };
+
+  return {
+    spec,
+    selection,
+    loadSpec,
+    generate: () => setSpec(createRandomSpec(selection)),
+    changeRegionCount: (regionCount) => applySelection({ ...selection, regionCount }),
+    changeMode: (mode) => applySelection(selectMode(selection, mode)),
+    changeClueDifficulty: (difficulty) => applySelection({ ...selection, difficulty })
+  };
+}
@@ -0,0 +1,60 @@
+import { useEffect, useState } from 'react';
+import { clamp } from './geometry.js';
+import { buildReplayFrames } from './recording.js';
+
+export const REPLAY_SPEEDS = [0.5, 1, 2, 4, 8];
+// 回放时两次事件间最长等待（按 1× 计），跳过作答中长时间的停顿。
+const MAX_REPLAY_GAP = 1500;
+const MIN_REPLAY_DELAY = 60;
+
+// 录像回放：replay 为 { frames, index, playing, speed } 或 null（未在回放）。
+// 播放时按录像中事件的时间间隔逐帧前进，到最后一帧自动暂停。
+export function useReplay() {
+  const [replay, setReplay] = useState(null);
+
+  useEffect(() => {
+    if (!replay?.playing) return undefined;
+    const { frames, index, speed } = replay;
+    if (index >= frames.length - 1) {
+      setReplay((prev) => (prev ? { ...prev, playing: false } : prev));
+      return undefined;
+    }
+    const gap = Math.min(frames[index + 1].t - frames[index].t, MAX_REPLAY_GAP);
+    const timer = setTimeout(
+      () => setReplay((prev) => (prev ? { ...prev, index: prev.index + 1 } : prev)),
+      Math.max(gap / speed, MIN_REPLAY_DELAY)
+    );
+    return () => clearTimeout(timer);
+  }, [replay]);
+
+  // 录像无法回放时 buildReplayFrames 抛出 RecordingError，由调用方显示。
+  const startReplay = (recording) => {
+    setReplay({ frames: buildReplayFrames(recording), index: 0, playing: true, speed: 1 });
+  };
+
+  const stopReplay = () => {
+    setReplay(null);
+  };
+
+  const updateReplay = (changes) => {
+    setReplay((prev) => (prev ? { ...prev, ...changes } : prev));
+  };
+
+  const stepReplay = (delta) => {
+    setReplay((prev) =>
+      prev
+        ? { ...prev, playing: false, index: clamp(prev.index + delta, 0, prev.frames.length - 1) }
+        : prev
+    );
+  };
+
+  const togglePlaying = () => {
+    setReplay((prev) => {
+      if (!prev) return prev;
+      const atEnd = prev.index >= prev.frames.length - 1;
+      return { ...prev, playing: !prev.playing, index: !prev.playing && atEnd ? 0 : prev.index };
+    });
+  };
+
+  return { replay, startReplay, stopReplay, updateReplay, stepReplay, togglePlaying };
+}
@@ -0,0 +1,20 @@
+import { useCallback, useState } from 'react';
+import { listDailyResults, listScoreRecords, recordDailyResult, recordScore } from './storage.js';
+
+// 本地成绩：全部得分记录、每日挑战成绩，以及本局刚得到的得分 lastScore（开新局时清除）。
+// record 收到 createCompletion 的结果；同一局只在第一次通关时记录，由 useGameSession 的 markSolved 把关。
+export function useScoreRecords() {
+  const [scoreRecords, setScoreRecords] = useState(listScoreRecords);
+  const [dailyResults, setDailyResults] = useState(listDailyResults);
+  const [lastScore, setLastScore] = useState(null);
+
+  const clearLastScore = useCallback(() => setLastScore(null), []);
+
+  const record = (completion) => {
+    setScoreRecords(recordScore(completion.record));
+    setLastScore(completion.record);
+    if (completion.dailyResult) setDailyResults(recordDailyResult(completion.dailyResult));
+  };
+
+  return { scoreRecords, dailyResults, lastScore, clearLastScore, record };
+}
@@ -0,0 +1,51 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { translateError } from './i18n.js';
+import { createSolverClient, TaskCancelledError, TaskTimeoutError } from './solverClient.js';
+
+// 后台计算任务：busy 为 { label, progress } 或 null，供界面显示进度遮罩。
+// 同一时间只保留一个后台任务：新任务会先取消尚未完成的旧任务。
+// 报错通过 tRef 取当前语言，切换语言不会让依赖 runTask / reportTaskError 的 effect 重新运行。
+export function useSolverTasks(tRef, { setToast, setMessage }) {
+  const [busy, setBusy] = useState(null);
+  const solverRef = useRef(null);
+  const taskRef = useRef(null);
+
+  useEffect(() => () => solverRef.current?.dispose(), []);
+
+  const runTask = useCallback((type, payload, label, timeout) => {
+    if (!solverRef.current) solverRef.current = createSolverClient();
+    taskRef.current?.cancel();
+    const task = solverRef.current.run(type, payload, {
+      timeout,
+      onProgress: (progress) => setBusy({ label, progress })
+    });
+    taskRef.current = task;
+    setBusy({ label, progress: null });
+    const promise = task.promise.finally(() => {
+      if (taskRef.current !== task) return;
+      taskRef.current = null;
+      setBusy(null);
+    });
+    return { promise, cancel: task.cancel };
+  }, []);
+
+  const cancelTask = useCallback(() => {
+    taskRef.current?.cancel();
+  }, []);
+
+  const reportTaskError = useCallback(
+    (error, task) => {
+      const translate = tRef.current;
+      if (error instanceof TaskCancelledError) {
+        setToast(translate('tasks.cancelled', { task }));
+      } else if (error instanceof TaskTimeoutError) {
+        setMessage(translate('tasks.timeout', { task, count: Math.round(error.timeout / 1000) }));
+      } else {
+        setMessage(translate('tasks.failed', { task, error: translateError(error, translate) }));
+      }
+    },
+    [tRef, setToast, setMessage]
+  );
+
+  return { busy, runTask, cancelTask, reportTaskError };
+}
@@ -0,0 +1,219 @@
+import { describe, expect, it } from 'vitest';
+import { buildAdjacency, buildVoronoiAdjacency, findSharedBorders, pairKey } from '../src/adjacency.js';
+import { buildVoronoiCells, createDelaunay, createPoints } from '../src/puzzleGenerator.js';
+import { createRng } from '../src/random.js';
+
+function region(id, points) {
+  return { id, polygon: points.map(([x, y]) => ({ x, y })) };
+}
+
+function rect(id, x1, y1, x2, y2) {
+  return region(id, [
+    [x1, y1],
+    [x2, y1],
+    [x2, y2],
+    [x1, y2]
+  ]);
+}
+
+function neighborsOf(adjacency, id) {
+  return Array.from(adjacency.get(id)).sort();
+}
+
+describe('buildAdjacency', () => {
+  it('共用一整条边的两个矩形相邻，公共边长为边长', () => {
+    const { adjacency, adjacencyMeta } = buildAdjacency([rect('a', 0, 0, 10, 10), rect('b', 10, 0, 20, 10)]);
+    expect(neighborsOf(adjacency, 'a')).toEqual(['b']);
+    expect(neighborsOf(adjacency, 'b')).toEqual(['a']);
+    expect(adjacencyMeta.get(pairKey('a', 'b'))).toBeCloseTo(10);
+  });
+
+  it('T 形接点：长边与两条短边分别重叠', () => {
+    const { adjacency, adjacencyMeta } = buildAdjacency([
+      rect('top', 0, 0, 20, 10),
+      rect('left', 0, 10, 10, 20),
+      rect('right', 10, 10, 20, 20)
+    ]);
+    expect(neighborsOf(adjacency, 'top')).toEqual(['left', 'right']);
+    expect(neighborsOf(adjacency, 'left')).toEqual(['right', 'top']);
+    expect(adjacencyMeta.get(pairKey('top', 'left'))).toBeCloseTo(10);
+    expect(adjacencyMeta.get(pairKey('top', 'right'))).toBeCloseTo(10);
+    expect(adjacencyMeta.get(pairKey('left', 'right'))).toBeCloseTo(10);
+  });
+
+  it('被拆成多段的共线边按总重叠长度累计', () => {
+    const split = region('split', [
+      [0, 0],
+      [10, 0],
+      [10, 3],
+      [10, 4.5],
+      [10, 7],
+      [10, 10],
+      [0, 10]
+    ]);
+    const whole = region('whole', [
+      [10, 2],
+      [20, 2],
+      [20, 12],
+      [10, 12]
+    ]);
+    const { adjacency, adjacencyMeta } = buildAdjacency([split, whole]);
+    expect(neighborsOf(adjacency, 'split')).toEqual(['whole']);
+    expect(adjacencyMeta.get(pairKey('split', 'whole'))).toBeCloseTo(8);
+  });
+
+  it('两侧顶点不对应、边界相差不超过容差时仍算相邻', () => {
+    const { adjacency, adjacencyMeta } = buildAdjacency([
+      rect('a', 0, 0, 10, 10),
+      region('b', [
+        [10.3, -1],
+        [20, -1],
+        [20, 6],
+        [10.3, 6]
+      ])
+    ]);
+    expect(neighborsOf(adjacency, 'a')).toEqual(['b']);
+    expect(adjacencyMeta.get(pairKey('a', 'b'))).toBeCloseTo(6, 1);
+  });
+
+  it('超出容差的平行边不算相邻', () => {
+    const { adjacency, adjacencyMeta } = buildAdjacency([rect('a', 0, 0, 10, 10), rect('b', 10.8, 0, 20, 10)]);
+    expect(adjacency.get('a').size).toBe(0);
+    expect(adjacencyMeta.size).toBe(0);
+  });
+
+  it('只在一个角点相接的区域不相邻', () => {
+    const { adjacency, adjacencyMeta } = buildAdjacency([
+      rect('nw', 0, 0, 10, 10),
+      rect('ne', 10, 0, 20, 10),
+      rect('sw', 0, 10, 10, 20),
+      rect('se', 10, 10, 20, 20)
+    ]);
+    expect(neighborsOf(adjacency, 'nw')).toEqual(['ne', 'sw']);
+    expect(neighborsOf(adjacency, 'se')).toEqual(['ne', 'sw']);
+    expect(adjacencyMeta.has(pairKey('nw', 'se'))).toBe(false);
+    expect(adjacencyMeta.has(pairKey('ne', 'sw'))).toBe(false);
+    expect(adjacencyMeta.size).toBe(4);
+  });
+
+  it('公共边不超过 minSharedLength 时不相邻', () => {
+    const regions = [rect('a', 0, 0, 10, 10), rect('b', 10, 8, 20, 20)];
+    const strict = buildAdjacency(regions);
+    expect(strict.adjacency.get('a').size).toBe(0);
+    expect(strict.adjacencyMeta.size).toBe(0);
+
+    const loose = buildAdjacency(regions, { minSharedLength: 1 });
+    expect(neighborsOf(loose.adjacency, 'a')).toEqual(['b']);
+    expect(loose.adjacencyMeta.get(pairKey('a', 'b'))).toBeCloseTo(2);
+  });
+
+  it('贴着画布边框的边不参与比较', () => {
+    // 被裁剪成细条的区域与相邻矩形只在边框 x = 0 上共线重叠。
+    const regions = [
+      rect('a', 0, 0, 10, 10),
+      region('sliver', [
+        [0, 2],
+        [0.4, 5],
+        [0, 8]
+      ])
+    ];
+    const framed = buildAdjacency(regions, { width: 20, height: 20 });
+    expect(framed.adjacency.get('a').size).toBe(0);
+    expect(framed.adjacencyMeta.size).toBe(0);
+
+    const unframed = buildAdjacency(regions);
+    expect(neighborsOf(unframed.adjacency, 'a')).toEqual(['sliver']);
+    expect(unframed.adjacencyMeta.get(pairKey('a', 'sliver'))).toBeCloseTo(6);
+  });
+
+  it('边框处裁剪方式不同的单元照常按内部公共边相邻', () => {
+    const regions = [
+      region('a', [
+        [0, 0],
+        [4, 0],
+        [10, 0],
+        [10, 10],
+        [0, 10]
+      ]),
+      region('b', [
+        [10, 0],
+        [20, 0],
+        [20, 10],
+        [10, 10]
+      ])
+    ];
+    const { adjacency, adjacencyMeta } = buildAdjacency(regions, { width: 20, height: 10 });
+    expect(neighborsOf(adjacency, 'a')).toEqual(['b']);
+    expect(adjacencyMeta.get(pairKey('a', 'b'))).toBeCloseTo(10);
+    expect(adjacencyMeta.size).toBe(1);
+  });
+
+  it('多块组成的区域按各块的公共边累计', () => {
+    const island = {
+      id: 'island',
+      polygon: rect('', 0, 0, 10, 10).polygon,
+      parts: [rect('', 0, 0, 10, 10).polygon, rect('', 30, 0, 40, 10).polygon]
+    };
+    const { adjacency, adjacencyMeta } = buildAdjacency([island, rect('mid', 10, 0, 30, 10)]);
+    expect(neighborsOf(adjacency, 'mid')).toEqual(['island']);
+    expect(adjacencyMeta.get(pairKey('island', 'mid'))).toBeCloseTo(20);
+  });
+});
+
+describe('findSharedBorders', () => {
+  it('只返回真正重叠的那一段', () => {
+    const borders = findSharedBorders(rect('a', 0, 0, 10, 10), [rect('b', 10, 4, 20, 20), rect('c', 10, -5, 20, 4)]);
+    const byNeighbor = new Map(borders.map((border) => [border.neighborId, border]));
+    expect(byNeighbor.get('b')).toMatchObject({ x1: 10, y1: 4, x2: 10, y2: 10 });
+    expect(byNeighbor.get('c')).toMatchObject({ x1: 10, y1: 0, x2: 10, y2: 4 });
+  });
+});
+
+// 同一组种子点分别用 Delaunay 邻居与逐段比较求相邻关系，两者应给出相同的相邻对与公共边长。
+function expectVoronoiMatches(points, width, height) {
+  const delaunay = createDelaunay(points);
+  const cells = buildVoronoiCells(points, width, height, delaunay);
+  const ids = cells.map((cell, index) => (cell ? `region-${index}` : null));
+  const regions = cells.map((polygon, index) => (polygon ? { id: ids[index], polygon } : null)).filter(Boolean);
+  const fast = buildVoronoiAdjacency(delaunay, cells, ids, { width, height });
+  const slow = buildAdjacency(regions, { width, height });
+  expect(Array.from(fast.adjacencyMeta.keys()).sort()).toEqual(Array.from(slow.adjacencyMeta.keys()).sort());
+  slow.adjacencyMeta.forEach((length, key) => {
+    expect(fast.adjacencyMeta.get(key)).toBeCloseTo(length, 6);
+  });
+  return fast;
+}
+
+describe('buildVoronoiAdjacency', () => {
+  it('与逐段比较的 buildAdjacency 结果一致', () => {
+    for (let seed = 1; seed <= 5; seed += 1) {
+      expectVoronoiMatches(createPoints(80, 300, 200, createRng(seed)), 300, 200);
+    }
+  });
+
+  it('区域数与画布比例不同时仍与 buildAdjacency 一致', () => {
+    [
+      [12, 100, 100],
+      [400, 900, 620],
+      [150, 1200, 150]
+    ].forEach(([count, width, height], seed) => {
+      expectVoronoiMatches(createPoints(count, width, height, createRng(seed + 10)), width, height);
+    });
+  });
+
+  it('网格点上四个单元交于一点时，对角的单元不相邻', () => {
+    const points = [];
+    for (let row = 0; row < 4; row += 1) {
+      for (let col = 0; col < 4; col += 1) points.push([col * 20 + 10, row * 20 + 10]);
+    }
+    const { adjacency } = expectVoronoiMatches(points, 80, 80);
+    expect(Array.from(adjacency.get('region-5')).sort()).toEqual(['region-1', 'region-4', 'region-6', 'region-9']);
+  });
+
+  it('重合的种子点没有单元，其余单元照常相邻', () => {
+    const points = createPoints(30, 300, 200, createRng(3));
+    points.push([...points[0]]);
+    const { adjacency } = expectVoronoiMatches(points, 300, 200);
+    expect(adjacency.has('region-30')).toBe(false);
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, expect, it } from 'vitest';
+import { buildAdjacency } from '../src/adjacency.js';
+import { createStroke, getStrokeChanges, paintStroke } from '../src/brushStroke.js';
+import { applyColors, applyMove, createGame } from '../src/engine.js';
+
+function rect(id, x1, x2, extra = {}) {
+  return {
+    id,
+    color: null,
+    ...extra,
+    polygon: [
+      { x: x1, y: 0 },
+      { x: x2, y: 0 },
+      { x: x2, y: 10 },
+      { x: x1, y: 10 }
+    ]
+  };
+}
+
+// a | b | c | d 排成一行，d 为锁定的线索。
+function createRowGame() {
+  const regions = [
+    rect('a', 0, 10),
+    rect('b', 10, 20),
+    rect('c', 20, 30),
+    rect('d', 30, 40, { color: 1, locked: true })
+  ];
+  const { adjacency, adjacencyMeta } = buildAdjacency(regions);
+  return createGame({ regions, adjacency, adjacencyMeta, colorCount: 2 });
+}
+
+const drag = (stroke, game, ids) => ids.reduce((current, id) => paintStroke(current, game, id), stroke);
+
+describe('画笔', () => {
+  it('拖过的区域都填当前颜色，锁定的线索与重复经过的区域不受影响', () => {
+    const game = createRowGame();
+    const stroke = drag(createStroke({ pointerId: 1, mode: 'brush', color: 0 }), game, ['a', 'b', 'a', 'd']);
+    expect(Array.from(stroke.colors)).toEqual([
+      ['a', 0],
+      ['b', 0]
+    ]);
+    expect(stroke.skipped).toBe(0);
+  });
+
+  it('禁止非法填色时跳过会与邻居同色的区域', () => {
+    const game = createRowGame();
+    const stroke = drag(createStroke({ pointerId: 1, mode: 'brush', color: 1, blockIllegal: true }), game, [
+      'a',
+      'b',
+      'c'
+    ]);
+    // b 挨着本笔刚填的 a，c 挨着线索 d，都保持原色。
+    expect(Array.from(stroke.colors)).toEqual([
+      ['a', 1],
+      ['b', null],
+      ['c', null]
+    ]);
+    expect(stroke.skipped).toBe(2);
+  });
+
+  it('只提交真正改变了颜色的区域', () => {
+    const game = applyMove(createRowGame(), 'a', 0);
+    const stroke = drag(createStroke({ pointerId: 1, mode: 'brush', color: 0 }), game, ['a', 'b']);
+    const changes = getStrokeChanges(stroke, game);
+    expect(Array.from(changes)).toEqual([['b', 0]]);
+    expect(applyColors(game, changes, { action: 'brush' }).history.at(-1).action).toBe('brush');
+  });
+});
+
+describe('智能填色', () => {
+  it('按本笔已填的颜色交替选择合法颜色', () => {
+    const game = createRowGame();
+    const stroke = drag(createStroke({ pointerId: 1, mode: 'smart', color: 0 }), game, ['a', 'b', 'c']);
+    expect(Array.from(stroke.colors)).toEqual([
+      ['a', 0],
+      ['b', 1],
+      ['c', 0]
+    ]);
+  });
+
+  it('原色合法时保留，无色可填时保持原色并计入跳过', () => {
+    const game = applyMove(createRowGame(), 'c', 0);
+    const stroke = drag(createStroke({ pointerId: 1, mode: 'smart', color: 1 }), game, ['c', 'b', 'a']);
+    expect(stroke.colors.get('c')).toBe(0);
+    expect(stroke.colors.get('b')).toBe(1);
+    expect(stroke.colors.get('a')).toBe(0);
+    const blocked = drag(createStroke({ pointerId: 1, mode: 'smart', color: 0 }), applyMove(game, 'a', 1), ['b']);
+    expect(blocked.colors.get('b')).toBeNull();
+    expect(blocked.skipped).toBe(1);
+  });
+});
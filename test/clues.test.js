@@ -0,0 +1,75 @@
+import { describe, expect, it } from 'vitest';
+import { CLUE_DIFFICULTIES, generateClues, gradeClues } from '../src/clues.js';
+import { generateRandomMap } from '../src/puzzleGenerator.js';
+import { createRng } from '../src/random.js';
+import { countColorings } from '../src/solver.js';
+
+// 只给出 id 与相邻关系的抽象地图：edges 为两个字母组成的相邻对，如 'ab'。
+function graph(ids, edges) {
+  const adjacency = new Map(ids.map((id) => [id, new Set()]));
+  edges.forEach(([a, b]) => {
+    adjacency.get(a).add(b);
+    adjacency.get(b).add(a);
+  });
+  return { regions: ids.map((id) => ({ id, color: null })), adjacency };
+}
+
+describe('gradeClues', () => {
+  it('只靠“邻居已占满其他颜色”就能推完的题目为简单', () => {
+    const { regions, adjacency } = graph(['a', 'b', 'c'], ['ab', 'bc']);
+    const result = gradeClues(regions, adjacency, 2, new Map([['a', 0]]));
+    expect(result.difficulty).toBe('easy');
+    expect(Array.from(result.coloring)).toEqual([
+      ['a', 0],
+      ['b', 1],
+      ['c', 0]
+    ]);
+  });
+
+  it('需要试填才能推进的题目为中等，简单的推理推不完', () => {
+    // c、f 相邻且都与 d 相邻，只能分用 1、2 两色，与二者都相邻的 e 只能填 0；
+    // 但 c、f 各自都还剩两种候选，不试填就找不到突破口。
+    const { regions, adjacency } = graph(
+      ['a', 'b', 'c', 'd', 'e', 'f'],
+      ['ab', 'bc', 'be', 'cd', 'ce', 'cf', 'df', 'ef']
+    );
+    const clues = new Map([
+      ['a', 1],
+      ['d', 0]
+    ]);
+    expect(gradeClues(regions, adjacency, 3, clues, { maxLevel: 0 }).difficulty).toBeNull();
+    const result = gradeClues(regions, adjacency, 3, clues);
+    expect(result.difficulty).toBe('medium');
+    expect(result.coloring.get('e')).toBe(0);
+    expect(countColorings(regions, adjacency, 3, { fixed: clues }).coloring).toEqual(result.coloring);
+  });
+
+  it('解不唯一的题目评不出难度', () => {
+    const { regions, adjacency } = graph(['a', 'b'], ['ab']);
+    expect(gradeClues(regions, adjacency, 2, new Map())).toEqual({ difficulty: null, level: null, coloring: null });
+  });
+});
+
+describe('generateClues', () => {
+  const { regions, adjacency } = generateRandomMap(100, 900, 620, createRng(2));
+
+  it('生成的线索恰有一个解，难度评定为所选难度', () => {
+    CLUE_DIFFICULTIES.forEach(({ id }, level) => {
+      const puzzle = generateClues(regions, adjacency, { colorCount: 4, difficulty: id, rng: createRng(level + 1) });
+      puzzle.clues.forEach((color, regionId) => expect(puzzle.solution.get(regionId)).toBe(color));
+      const { count, coloring } = countColorings(regions, adjacency, 4, { fixed: puzzle.clues, limit: 2 });
+      expect(count).toBe(1);
+      expect(coloring).toEqual(puzzle.solution);
+      expect(puzzle.difficulty).toBe(id);
+      expect(gradeClues(regions, adjacency, 4, puzzle.clues).level).toBe(level);
+      if (level > 0) expect(gradeClues(regions, adjacency, 4, puzzle.clues, { maxLevel: level - 1 }).level).toBeNull();
+    });
+  });
+
+  it('确认不了解唯一时报 clues.notUnique', () => {
+    const options = { colorCount: 4, difficulty: 'easy', rng: createRng(1), verifySteps: 0 };
+    expect(() => generateClues(regions, adjacency, options)).toThrow(
+      expect.objectContaining({ code: 'clues.notUnique' })
+    );
+  });
+});
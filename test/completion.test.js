@@ -0,0 +1,105 @@
+import { describe, expect, it } from 'vitest';
+import { buildAdjacency } from '../src/adjacency.js';
+import { createCompletion, describeCompletion, reviewGame } from '../src/completion.js';
+import { applyColors, createGame } from '../src/engine.js';
+import { createTranslator } from '../src/i18n.js';
+
+const t = createTranslator('en');
+const CLEAN = { undoCount: 0, failedChecks: 0, hintsUsed: 0, usedAutoColor: false, usedReference: false };
+
+function rect(id, x1, x2) {
+  return {
+    id,
+    polygon: [
+      { x: x1, y: 0 },
+      { x: x2, y: 0 },
+      { x: x2, y: 10 },
+      { x: x1, y: 10 }
+    ]
+  };
+}
+
+// 三个矩形排成一行：a–b–c，a 与 c 不相邻。
+function createRow(options = {}) {
+  const regions = [rect('a', 0, 10), rect('b', 10, 20), rect('c', 20, 30)];
+  const { adjacency, adjacencyMeta } = buildAdjacency(regions);
+  return createGame({
+    code: 'ROW',
+    regions,
+    adjacency,
+    adjacencyMeta,
+    colorCount: 4,
+    targetIndex: 0,
+    reference: { count: 2, optimal: true, lowerBound: 2, coloring: null },
+    ...options
+  });
+}
+
+function paint(game, colors) {
+  return applyColors(game, new Map(Object.entries(colors)));
+}
+
+describe('reviewGame', () => {
+  const labelOf = (id) => id.toUpperCase();
+
+  it('相邻同色记一次失败检查', () => {
+    const review = reviewGame(paint(createRow(), { a: 1, b: 1, c: 0 }), { t, labelOf });
+    expect(review).toMatchObject({ failed: true, solved: false });
+    expect(review.result.conflicts).toEqual([['a', 'b']]);
+    expect(review.text).toBe(t('check.conflict', { count: 1 }));
+  });
+
+  it('未填满既不算失败也不算通关', () => {
+    const review = reviewGame(paint(createRow(), { a: 0 }), { t, labelOf });
+    expect(review).toMatchObject({ failed: false, solved: false, text: t('check.incomplete') });
+  });
+
+  it('经典玩法按参考方案评价目标色用量', () => {
+    const optimal = reviewGame(paint(createRow(), { a: 0, b: 1, c: 0 }), { t, labelOf });
+    expect(optimal.solved).toBe(true);
+    expect(optimal.text).toContain(t('check.optimal', { count: 2 }));
+
+    const heuristic = createRow({ reference: { count: 2, optimal: false, lowerBound: 0, coloring: null } });
+    const better = reviewGame(paint(heuristic, { a: 0, b: 1, c: 2 }), { t, labelOf });
+    expect(better.solved).toBe(true);
+    expect(better.text).toContain(t('check.beatSolver', { count: 1, best: 2, gap: -1 }));
+  });
+
+  it('色数挑战用色多于色数时记一次失败检查', () => {
+    const game = createRow({ mode: 'chromatic', chromaticNumber: 2 });
+    const review = reviewGame(paint(game, { a: 0, b: 1, c: 2 }), { t, labelOf });
+    expect(review).toMatchObject({ failed: true, solved: false });
+    expect(review.text).toBe(t('check.tooManyColors', { count: 3 }));
+  });
+});
+
+describe('createCompletion', () => {
+  it('普通题目只生成得分记录', () => {
+    const game = paint(createRow(), { a: 0, b: 1, c: 0 });
+    const completion = createCompletion({
+      game,
+      source: { code: 'ROW' },
+      profile: 'p',
+      elapsedMs: 30000,
+      attempt: CLEAN
+    });
+    expect(completion.dailyResult).toBeNull();
+    expect(completion.record).toMatchObject({ profile: 'p', code: 'ROW', targetCount: 2, referenceCount: 2 });
+    expect(describeCompletion('Done.', completion, t)).toBe(
+      `Done.${t('check.scored', { score: completion.record.score })}`
+    );
+  });
+
+  it('每日挑战用过一键填色时成绩不计排名并在提示中说明', () => {
+    const game = paint(createRow(), { a: 0, b: 1, c: 0 });
+    const completion = createCompletion({
+      game,
+      source: { code: 'ROW', dailyDate: '2026-10-18' },
+      profile: 'p',
+      elapsedMs: 30000,
+      attempt: { ...CLEAN, usedAutoColor: true }
+    });
+    expect(completion.dailyResult).toMatchObject({ date: '2026-10-18', profile: 'p', moves: 1, ranked: false });
+    expect(describeCompletion('Done.', completion, t)).toContain(t('check.dailyUnranked'));
+  });
+});
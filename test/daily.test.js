@@ -0,0 +1,68 @@
+import { describe, expect, it } from 'vitest';
+import {
+  buildLeaderboard,
+  computeStreaks,
+  createDailyResult,
+  createDailySpec,
+  getDailyDate,
+  getDailyPuzzleCode,
+  getPersonalBest
+} from '../src/daily.js';
+import { decodePuzzleCode } from '../src/puzzleCode.js';
+
+const CLEAN = { usedAutoColor: false, usedReference: false };
+
+function result(profile, date, targetCount, attempt = CLEAN) {
+  return createDailyResult({ date, profile, code: 'X', timeMs: 60000, moves: 40, targetCount, attempt });
+}
+
+describe('每日挑战成绩', () => {
+  it('用过一键填色或参考答案的作答不计入排名', () => {
+    expect(result('a', '2026-10-18', 5).ranked).toBe(true);
+    expect(result('a', '2026-10-18', 5, { ...CLEAN, usedAutoColor: true }).ranked).toBe(false);
+    expect(result('a', '2026-10-18', 5, { ...CLEAN, usedReference: true }).ranked).toBe(false);
+  });
+
+  it('排行榜与个人最佳跳过不计排名的记录', () => {
+    const results = [
+      result('honest', '2026-10-18', 8),
+      result('helped', '2026-10-18', 3, { ...CLEAN, usedReference: true }),
+      result('honest', '2026-10-18', 2, { ...CLEAN, usedAutoColor: true })
+    ];
+    const board = buildLeaderboard(results, '2026-10-18');
+    expect(board.map((entry) => entry.profile)).toEqual(['honest']);
+    expect(board[0].targetCount).toBe(8);
+    expect(getPersonalBest(results, 'honest').targetCount).toBe(8);
+    expect(getPersonalBest(results, 'helped')).toBeNull();
+  });
+
+  it('连续天数只算独立完成的日子', () => {
+    const results = [
+      result('a', '2026-10-16', 5),
+      result('a', '2026-10-17', 5, { ...CLEAN, usedAutoColor: true }),
+      result('a', '2026-10-18', 5)
+    ];
+    expect(computeStreaks(results, 'a', '2026-10-18')).toEqual({ current: 1, best: 1 });
+  });
+
+  it('没有 ranked 字段的旧记录仍然有效', () => {
+    const legacy = { date: '2026-10-18', profile: 'old', code: 'X', timeMs: 1, moves: 1, targetCount: 4 };
+    expect(buildLeaderboard([legacy], '2026-10-18')).toEqual([legacy]);
+  });
+});
+
+describe('getDailyDate', () => {
+  const today = '2026-10-18';
+
+  it('按每日题规格或今天的题目编号生成的地图算作每日挑战', () => {
+    expect(getDailyDate(createDailySpec(today), getDailyPuzzleCode(today), today)).toBe(today);
+    const shared = decodePuzzleCode(getDailyPuzzleCode(today));
+    expect(getDailyDate(shared, getDailyPuzzleCode(today), today)).toBe(today);
+    expect(getDailyDate(shared, getDailyPuzzleCode(today), '2026-10-19')).toBeNull();
+  });
+
+  it('导入的题目文件即使填写了今天的编号也不算', () => {
+    const forged = { imported: { code: getDailyPuzzleCode(today), regions: [] } };
+    expect(getDailyDate(forged, getDailyPuzzleCode(today), today)).toBeNull();
+  });
+});
@@ -0,0 +1,100 @@
+import { describe, expect, it } from 'vitest';
+import { buildAdjacency } from '../src/adjacency.js';
+import { chooseDuelMove, findDeadRegions, getDuelMoveError, getDuelPlayError, getDuelState } from '../src/duel.js';
+import { applyColors, createGame } from '../src/engine.js';
+import { createRng } from '../src/random.js';
+
+function rect(id, x1, x2) {
+  return {
+    id,
+    color: null,
+    polygon: [
+      { x: x1, y: 0 },
+      { x: x2, y: 0 },
+      { x: x2, y: 10 },
+      { x: x1, y: 10 }
+    ]
+  };
+}
+
+// 三个矩形排成一行：a–b–c，a 与 c 不相邻。
+function createRow(colorCount = 4) {
+  const regions = [rect('a', 0, 10), rect('b', 10, 20), rect('c', 20, 30)];
+  const { adjacency, adjacencyMeta } = buildAdjacency(regions);
+  return createGame({ regions, adjacency, adjacencyMeta, colorCount, mode: 'duel' });
+}
+
+function paint(game, colors) {
+  return applyColors(game, new Map(Object.entries(colors)));
+}
+
+describe('getDuelState', () => {
+  it('按已填色区域数的奇偶轮流，填满方先手', () => {
+    expect(getDuelState(createRow())).toEqual({ status: 'playing', winner: null, turn: 'filler', deadRegions: [] });
+    expect(getDuelState(paint(createRow(), { a: 0 })).turn).toBe('blocker');
+  });
+
+  it('出现邻居占满全部颜色的区域时阻断方获胜', () => {
+    const game = paint(createRow(2), { a: 0, c: 1 });
+    expect(findDeadRegions(game.regions, game.adjacency, game.colorCount)).toEqual(['b']);
+    expect(getDuelState(game)).toMatchObject({ status: 'blocked', winner: 'blocker', deadRegions: ['b'] });
+  });
+
+  it('地图填满时填满方获胜', () => {
+    const game = paint(createRow(2), { a: 0, b: 1, c: 0 });
+    expect(findDeadRegions(game.regions, game.adjacency, game.colorCount)).toEqual([]);
+    expect(getDuelState(game)).toMatchObject({ status: 'filled', winner: 'filler' });
+  });
+});
+
+describe('getDuelMoveError', () => {
+  it('依次检查对局是否结束、区域是否存在、是否已填色、是否与邻居同色', () => {
+    const game = paint(createRow(), { a: 0 });
+    expect(getDuelMoveError(paint(createRow(2), { a: 0, c: 1 }), 'b', 0)).toBe('finished');
+    expect(getDuelMoveError(game, 'x', 1)).toBe('unknown');
+    expect(getDuelMoveError(game, 'a', 1)).toBe('colored');
+    expect(getDuelMoveError(game, 'b', 0)).toBe('conflict');
+    expect(getDuelMoveError(game, 'c', 0)).toBeNull();
+  });
+});
+
+describe('chooseDuelMove', () => {
+  it('阻断方一步就能堵死某个区域时走这一步', () => {
+    const { regions, adjacency } = paint(createRow(2), { a: 0 });
+    [1, 2, 3].forEach((seed) => {
+      const move = chooseDuelMove(regions, adjacency, 2, { player: 'blocker', depth: 1, rng: createRng(seed) });
+      expect(move).toMatchObject({ regionId: 'c', color: 1 });
+      expect(move.score).toBeGreaterThan(0);
+    });
+  });
+
+  it('填满方先手时选中间的区域，避开两端被夹死的着法', () => {
+    // 两种颜色时先填 a（或 c），阻断方在另一端填同色就堵死了 b；先填 b 则两端只剩一种颜色，必然填满。
+    const { regions, adjacency } = createRow(2);
+    [1, 2, 3].forEach((seed) => {
+      const move = chooseDuelMove(regions, adjacency, 2, { player: 'filler', depth: 3, rng: createRng(seed) });
+      expect(move.regionId).toBe('b');
+      expect(move.score).toBeGreaterThan(0);
+    });
+  });
+
+  it('没有可走的棋时返回 null', () => {
+    const { regions, adjacency } = paint(createRow(2), { a: 0, b: 1, c: 0 });
+    expect(chooseDuelMove(regions, adjacency, 2, { player: 'filler' })).toBeNull();
+  });
+});
+
+describe('getDuelPlayError', () => {
+  it('对战中不能清除颜色', () => {
+    expect(getDuelPlayError(paint(createRow(), { a: 0 }), 'a', null)).toBe('clear');
+  });
+
+  it('先检查落子本身，再检查是否轮到电脑', () => {
+    const game = paint(createRow(), { a: 0 });
+    expect(getDuelPlayError(game, 'b', 0, { computer: 'blocker' })).toBe('conflict');
+    expect(getDuelPlayError(game, 'b', 1, { computer: 'blocker' })).toBe('computerTurn');
+    expect(getDuelPlayError(game, 'b', 1, { computer: 'blocker', byComputer: true })).toBeNull();
+    expect(getDuelPlayError(game, 'b', 1, { computer: 'filler' })).toBeNull();
+    expect(getDuelPlayError(game, 'b', 1)).toBeNull();
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, expect, it } from 'vitest';
+import { buildAdjacency } from '../src/adjacency.js';
+import { applyMove, createGame } from '../src/engine.js';
+import {
+  createSession,
+  EMPTY_SESSION,
+  redoSession,
+  seekSession,
+  solveSession,
+  undoSession,
+  updateSessionGame
+} from '../src/gameSession.js';
+
+function rect(id, x1, x2) {
+  return {
+    id,
+    color: null,
+    polygon: [
+      { x: x1, y: 0 },
+      { x: x2, y: 0 },
+      { x: x2, y: 10 },
+      { x: x1, y: 10 }
+    ]
+  };
+}
+
+function createRowSession() {
+  const regions = [rect('a', 0, 10), rect('b', 10, 20), rect('c', 20, 30)];
+  const { adjacency, adjacencyMeta } = buildAdjacency(regions);
+  return createSession(createGame({ regions, adjacency, adjacencyMeta, colorCount: 4 }));
+}
+
+const paint = (regionId, color) => (game) => applyMove(game, regionId, color);
+
+describe('updateSessionGame', () => {
+  it('连续两次更新都作用在最新的盘面上', () => {
+    let session = createRowSession();
+    session = updateSessionGame(session, paint('a', 0));
+    session = updateSessionGame(session, paint('b', 1));
+    expect(session.game.regions.map((region) => region.color)).toEqual([0, 1, null]);
+    expect(session.game.history).toHaveLength(2);
+    expect(session.recording.events.map((event) => event.type)).toEqual(['move', 'move']);
+    expect(session.recording.events[1].changes).toEqual([{ regionId: 'b', prevColor: null, nextColor: 1 }]);
+  });
+
+  it('盘面没有变化时原样返回，有变化时清除通关状态与提示', () => {
+    const painted = updateSessionGame(createRowSession(), paint('a', 0));
+    const session = { ...painted, isSolved: true, hint: { regionId: 'b' } };
+    expect(updateSessionGame(session, paint('a', 0))).toBe(session);
+    const next = updateSessionGame(session, paint('b', 1));
+    expect(next.isSolved).toBe(false);
+    expect(next.hint).toBeNull();
+  });
+
+  it('还没有开局时不记录录像', () => {
+    expect(EMPTY_SESSION.recording).toBeNull();
+  });
+});
+
+describe('撤销与时间线', () => {
+  function played() {
+    return [paint('a', 0), paint('b', 1), paint('c', 2)].reduce(
+      (session, update) => updateSessionGame(session, update),
+      createRowSession()
+    );
+  }
+
+  it('撤销、重做计入统计并记入录像', () => {
+    const undone = undoSession(played());
+    expect(undone.attempt.undoCount).toBe(1);
+    expect(undone.game.regions[2].color).toBeNull();
+    const redone = redoSession(undone);
+    expect(redone.game.regions[2].color).toBe(2);
+    expect(redone.recording.events.slice(-2).map((event) => event.type)).toEqual(['undo', 'redo']);
+    expect(redoSession(redone)).toBe(redone);
+  });
+
+  it('对战电脑时一次撤回两步但只计一次撤销', () => {
+    const undone = undoSession(played(), { withPreviousMove: true });
+    expect(undone.game.history).toHaveLength(1);
+    expect(undone.attempt.undoCount).toBe(1);
+    expect(undone.recording.events.at(-1)).toMatchObject({ type: 'seek', position: 1 });
+  });
+
+  it('往回拖动时间线按拖过的步数计入撤销次数', () => {
+    const back = seekSession(played(), 0);
+    expect(back.attempt.undoCount).toBe(3);
+    expect(back.game.regions.every((region) => region.color == null)).toBe(true);
+    expect(seekSession(back, 3).attempt.undoCount).toBe(3);
+  });
+});
+
+describe('通关计分', () => {
+  function solved() {
+    const session = [paint('a', 0), paint('b', 1), paint('c', 0)].reduce(
+      (current, update) => updateSessionGame(current, update),
+      createRowSession()
+    );
+    return solveSession(session);
+  }
+
+  it('撤销再重做后仍记得本局已经计分', () => {
+    const first = solved();
+    expect(first).toMatchObject({ isSolved: true, recorded: true });
+    const redone = redoSession(undoSession(first));
+    expect(redone.isSolved).toBe(false);
+    expect(redone.recorded).toBe(true);
+    expect(solveSession(redone).recorded).toBe(true);
+  });
+
+  it('改填其他颜色再改回来也不会重新计分，只有重新开局才清除', () => {
+    const recolored = updateSessionGame(updateSessionGame(solved(), paint('c', 2)), paint('c', 0));
+    expect(recolored.recorded).toBe(true);
+    expect(createSession(recolored.game).recorded).toBe(false);
+    expect(createSession(recolored.game, { recorded: true }).recorded).toBe(true);
+  });
+});
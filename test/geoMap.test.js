@@ -0,0 +1,46 @@
+import { readFileSync } from 'node:fs';
+import { describe, expect, it } from 'vitest';
+import { BUNDLED_GEO_MAPS, buildGeoMap } from '../src/geoMap.js';
+
+const WIDTH = 900;
+const HEIGHT = 620;
+
+function loadWorld() {
+  const url = new URL('../node_modules/world-atlas/countries-110m.json', import.meta.url);
+  return JSON.parse(readFileSync(url, 'utf8'));
+}
+
+function extentOf(region) {
+  const points = (region.parts ?? [region.polygon]).flat();
+  const xs = points.map((point) => point.x);
+  const ys = points.map((point) => point.y);
+  return { width: Math.max(...xs) - Math.min(...xs), height: Math.max(...ys) - Math.min(...ys) };
+}
+
+describe('欧洲国家地图', () => {
+  const source = BUNDLED_GEO_MAPS.find((entry) => entry.id === 'europe-countries');
+  const map = buildGeoMap(loadWorld(), {
+    width: WIDTH,
+    height: HEIGHT,
+    objectName: source.object,
+    projection: source.projection(),
+    filter: source.filter,
+    bounds: source.bounds
+  });
+  const byName = new Map(map.regions.map((region) => [region.name, region]));
+
+  it('丢弃海外部分后按欧洲本土缩放', () => {
+    expect(extentOf(byName.get('France')).width).toBeLessThan(WIDTH / 4);
+    expect(extentOf(byName.get('Norway')).height).toBeLessThan(HEIGHT / 2);
+    expect(extentOf(byName.get('Germany')).width).toBeGreaterThan(60);
+    const luxembourg = extentOf(byName.get('Luxembourg'));
+    expect(Math.min(luxembourg.width, luxembourg.height)).toBeGreaterThan(5);
+  });
+
+  it('本土邻国关系不受影响', () => {
+    const neighbors = Array.from(map.adjacency.get(byName.get('France').id)).map((id) =>
+      map.regions.find((region) => region.id === id).name
+    );
+    expect(neighbors.sort()).toEqual(['Belgium', 'Germany', 'Italy', 'Luxembourg', 'Spain', 'Switzerland']);
+  });
+});
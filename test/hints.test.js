@@ -0,0 +1,124 @@
+import { describe, expect, it } from 'vitest';
+import { explainInfeasibility, findHint } from '../src/hints.js';
+import { createTranslator } from '../src/i18n.js';
+
+const t = createTranslator('en');
+const colorNames = ['Red', 'Green', 'Blue', 'Yellow'];
+const labelOf = (id) => `#${id}`;
+
+// 只给出 id 与相邻关系的抽象地图：edges 为两个字母组成的相邻对，如 'ab'；colors 为已填的颜色。
+function graph(edges, colors = {}) {
+  const ids = Array.from(new Set(edges.join(''))).sort();
+  const adjacency = new Map(ids.map((id) => [id, new Set()]));
+  edges.forEach(([a, b]) => {
+    adjacency.get(a).add(b);
+    adjacency.get(b).add(a);
+  });
+  return { regions: ids.map((id) => ({ id, color: colors[id] ?? null })), adjacency };
+}
+
+function hint({ regions, adjacency }, colorCount) {
+  return findHint(regions, adjacency, { colorCount, colorNames, labelOf, t });
+}
+
+describe('findHint', () => {
+  it('先提示相邻同色冲突，冲突一方是线索时指向另一方', () => {
+    const map = graph(['ab', 'bc', 'cd'], { a: 0, b: 0, c: 1 });
+    expect(hint(map, 2)).toMatchObject({
+      type: 'conflict',
+      regionId: 'a',
+      color: null,
+      relatedIds: ['b'],
+      message: '#a and #b are neighbours but both Red. Fix this conflict first.'
+    });
+    map.regions[0].locked = true;
+    expect(hint(map, 2)).toMatchObject({ type: 'conflict', regionId: 'b', relatedIds: ['a'] });
+  });
+
+  it('没有冲突时提示邻居已占满全部颜色的区域', () => {
+    expect(hint(graph(['ab', 'bc'], { a: 0, c: 1 }), 2)).toMatchObject({
+      type: 'dead-region',
+      regionId: 'b',
+      relatedIds: ['a', 'c'],
+      message: "#b's neighbours already use all 2 colors; change one of them."
+    });
+  });
+
+  it('地图本身无解时给出结构性证据，已填颜色无法补全时建议撤销', () => {
+    const triangle = hint(graph(['ab', 'bc', 'ca']), 2);
+    expect(triangle).toMatchObject({ type: 'unsolvable', regionId: null, color: null });
+    expect(triangle.relatedIds.slice().sort()).toEqual(['a', 'b', 'c']);
+    expect(triangle.message).toMatch(/form a ring of 3 regions .* only 2 colors\.$/);
+    // a、d 隔着奇数步，两色时必须不同色；b、c 各自还有一种颜色可填，但填完必然冲突。
+    expect(hint(graph(['ab', 'bc', 'cd'], { a: 0, d: 0 }), 2)).toEqual({
+      type: 'unsolvable',
+      regionId: null,
+      color: null,
+      relatedIds: [],
+      message: t('hints.unsolvable')
+    });
+  });
+
+  it('能补全时提示只剩一种合法颜色的区域', () => {
+    expect(hint(graph(['ab', 'ac', 'bc'], { a: 0, b: 1 }), 3)).toMatchObject({
+      type: 'single',
+      regionId: 'c',
+      color: 2,
+      relatedIds: ['a', 'b'],
+      message: "#c's neighbours take every other color, so only Blue is left."
+    });
+  });
+
+  it('没有只剩一种颜色的区域时，用试填排除其余颜色', () => {
+    // c、f 只能分用 Green、Blue，与二者都相邻的 e 只能填 Red；c 填 Blue 时 b 就无色可填。
+    const map = graph(['ab', 'bc', 'be', 'cd', 'ce', 'cf', 'df', 'ef'], { a: 1, d: 0 });
+    expect(hint(map, 3)).toMatchObject({
+      type: 'forced',
+      regionId: 'c',
+      color: 1,
+      message: '#c must be Green: Blue would leave the rest of the board unsolvable.'
+    });
+  });
+
+  it('没有必然的一步时按完整解建议约束最多的区域，填完后不再提示', () => {
+    const map = graph(['ab', 'bc']);
+    const suggestion = hint(map, 4);
+    expect(suggestion).toMatchObject({ type: 'suggestion', regionId: 'b', relatedIds: [] });
+    expect(suggestion.message).toBe(
+      `No move is forced yet. #b is the most constrained; try ${colorNames[suggestion.color]} first.`
+    );
+    expect(hint(graph(['ab', 'bc'], { a: 0, b: 1, c: 0 }), 2)).toBeNull();
+  });
+});
+
+describe('explainInfeasibility', () => {
+  const explain = (proof) => explainInfeasibility(proof, { labelOf, t });
+
+  it('逐种证据给出说明', () => {
+    expect(explain({ type: 'edge', colorCount: 1, regionIds: ['a', 'b'] })).toBe(
+      '#a and #b are neighbours, so a single color must clash.'
+    );
+    expect(explain({ type: 'odd-wheel', colorCount: 3, hubId: 'a', regionIds: ['a', 'b', 'c', 'd'] })).toBe(
+      '#a, #b, #c, #d all touch each other, so they need at least four colors.'
+    );
+    expect(
+      explain({ type: 'odd-wheel', colorCount: 3, hubId: 'h', regionIds: ['h', 'a', 'b', 'c', 'd', 'e'] })
+    ).toMatch(/^#h is surrounded by an odd ring formed by #a, #b, #c, #d, #e:/);
+    expect(explain({ type: 'blocked', colorCount: 1, regionIds: ['a', 'b'] })).toBe(
+      "#a's neighbours already use all 1 color."
+    );
+    expect(explain({ type: 'clash', colorCount: 4, regionIds: ['a', 'b'] })).toBe(
+      '#a and #b are neighbours but already share a color.'
+    );
+    expect(explain({ type: 'exhaustive', colorCount: 4, regionIds: [], steps: 10 })).toBe(
+      'Trying every possible coloring confirms 4 colors are not enough.'
+    );
+  });
+
+  it('区域太多时只列出前几个', () => {
+    const regionIds = ['a', 'b', 'c', 'd', 'e', 'f', 'g'];
+    expect(explain({ type: 'odd-cycle', colorCount: 2, regionIds })).toMatch(
+      /^#a, #b, #c, #d, #e, #f and others \(7 regions in all\) form a ring of 7 regions/
+    );
+  });
+});
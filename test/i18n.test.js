@@ -0,0 +1,109 @@
+import { describe, expect, it } from 'vitest';
+import { CLUE_DIFFICULTIES } from '../src/clues.js';
+import { GAME_MODES } from '../src/gameModes.js';
+import { BUNDLED_GEO_MAPS } from '../src/geoMap.js';
+import { createTranslator, LocalizedError, translateError } from '../src/i18n.js';
+import en from '../src/locales/en.js';
+import zhCN from '../src/locales/zh-CN.js';
+import { addSite, createEditorDoc, MAX_EDITOR_SITES, MapEditorError } from '../src/mapEditor.js';
+import { getCustomColorKey, normalizeCustomColors, PALETTES } from '../src/palettes.js';
+import { parsePuzzleFile, PuzzleFileError } from '../src/puzzleFile.js';
+import { createRng } from '../src/random.js';
+import { parseRecording } from '../src/recording.js';
+import { DIFFICULTIES, REGION_BUCKETS } from '../src/scoring.js';
+
+function catchError(run) {
+  try {
+    run();
+  } catch (error) {
+    return error;
+  }
+  throw new Error('expected an error');
+}
+
+function listKeys(messages, prefix = '') {
+  return Object.entries(messages).flatMap(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const isLeaf = typeof value === 'string' || typeof value?.other === 'string';
+    return isLeaf ? [path] : listKeys(value, path);
+  });
+}
+
+describe('可翻译的错误', () => {
+  const t = createTranslator('en');
+
+  it('message 为默认语言，translateError 按当前语言显示', () => {
+    const error = catchError(() => parsePuzzleFile({ format: 'other' }, { colorCount: 4 }));
+    expect(error).toBeInstanceOf(PuzzleFileError);
+    expect(error.code).toBe('puzzleFile.unknownFormat');
+    expect(error.message).toBe('未知的文件格式 "other"，应为 "four-color-map"');
+    expect(translateError(error, t)).toBe('Unknown file format "other", expected "four-color-map"');
+  });
+
+  it('嵌套的原因一并翻译', () => {
+    const error = catchError(() =>
+      parseRecording({ format: 'four-color-recording', version: 1, events: [], puzzle: { format: 'x' } })
+    );
+    expect(translateError(error, t)).toBe(
+      'The puzzle in the recording is invalid: Unknown file format "x", expected "four-color-map"'
+    );
+  });
+
+  it('编辑器的错误带参数', () => {
+    let doc = createEditorDoc({ regionCount: MAX_EDITOR_SITES, rng: createRng(1) });
+    doc = { ...doc, sites: doc.sites.slice(0, MAX_EDITOR_SITES) };
+    const error = catchError(() => addSite(doc, 1, 1));
+    expect(error).toBeInstanceOf(MapEditorError);
+    expect(translateError(error, t)).toBe(`There can be at most ${MAX_EDITOR_SITES} seeds`);
+  });
+
+  it('没有 code 的错误原样显示', () => {
+    expect(translateError(new Error('boom'), t)).toBe('boom');
+    expect(translateError(Object.assign(new Error('fs'), { code: 'ENOENT' }), t)).toBe('fs');
+    expect(translateError(new LocalizedError('task.cancelled'), t)).toBe('Task cancelled');
+  });
+});
+
+describe('语言目录', () => {
+  it('英文目录覆盖中文目录的全部条目', () => {
+    expect(listKeys(en).sort()).toEqual(listKeys(zhCN).sort());
+  });
+
+  it('数据表只记 id，名称与说明都能在两种语言中按 id 查到', () => {
+    const keys = [
+      ...GAME_MODES.flatMap((mode) => [`modes.${mode.id}.name`, `modes.${mode.id}.description`]),
+      ...CLUE_DIFFICULTIES.flatMap((level) => [
+        `clueDifficulties.${level.id}.name`,
+        `clueDifficulties.${level.id}.description`
+      ]),
+      ...PALETTES.flatMap((palette) => [
+        `palettes.${palette.id}`,
+        ...palette.colors.map((color) => `colors.${color.id}`)
+      ]),
+      ...BUNDLED_GEO_MAPS.map((source) => `geoMaps.${source.id}`),
+      ...REGION_BUCKETS.map((bucket) => `stats.regionBuckets.${bucket.id}`),
+      ...DIFFICULTIES.map((level) => `stats.difficulties.${level.id}`),
+      ...normalizeCustomColors([]).map((color, index) => getCustomColorKey(index))
+    ];
+    const tables = [
+      ...GAME_MODES,
+      ...CLUE_DIFFICULTIES,
+      ...PALETTES,
+      ...PALETTES.flatMap((palette) => palette.colors),
+      ...BUNDLED_GEO_MAPS,
+      ...REGION_BUCKETS,
+      ...DIFFICULTIES
+    ];
+    expect(tables.filter((entry) => 'name' in entry || 'description' in entry)).toEqual([]);
+    ['zh-CN', 'en'].forEach((locale) => {
+      const t = createTranslator(locale);
+      expect(keys.filter((key) => t(key) === key)).toEqual([]);
+    });
+  });
+
+  it('没起名的自定义颜色不带默认语言的名称', () => {
+    const colors = normalizeCustomColors([{ hex: '#123456', name: '  ' }, { name: '樱' }]);
+    expect(colors.map((color) => color.name)).toEqual([null, '樱', null, null]);
+    expect(createTranslator('en')(getCustomColorKey(0))).toBe('Color 1');
+  });
+});
@@ -0,0 +1,48 @@
+import { describe, expect, it } from 'vitest';
+import { getMapKeyAction } from '../src/keyboard.js';
+
+// a 在左，b 在右，c 在 a 的下方；a 与 b、c 相邻。
+const board = {
+  regions: [{ id: 'a' }, { id: 'b' }, { id: 'c' }],
+  adjacency: new Map([
+    ['a', new Set(['b', 'c'])],
+    ['b', new Set(['a'])],
+    ['c', new Set(['a'])]
+  ]),
+  centroidById: new Map([
+    ['a', { x: 0, y: 0 }],
+    ['b', { x: 10, y: 0 }],
+    ['c', { x: 0, y: 10 }]
+  ]),
+  colorLimit: 4
+};
+
+function press(key, context = {}, modifiers = {}) {
+  return getMapKeyAction({ key, ...modifiers }, { ...board, selectedId: 'a', ...context });
+}
+
+describe('getMapKeyAction', () => {
+  it('方向键移到该方向的相邻区域，没有时提示', () => {
+    expect(press('ArrowRight')).toEqual({ type: 'focus', regionId: 'b' });
+    expect(press('ArrowDown')).toEqual({ type: 'focus', regionId: 'c' });
+    expect(press('ArrowRight', { selectedId: 'b' })).toEqual({ type: 'noNeighbor' });
+  });
+
+  it('未选中区域时方向键选中第一个区域', () => {
+    expect(press('ArrowLeft', { selectedId: null })).toEqual({ type: 'focus', regionId: 'a' });
+    expect(press('ArrowLeft', { selectedId: null, regions: [] })).toEqual({ type: 'none' });
+  });
+
+  it('数字键只接受可用颜色范围内的序号', () => {
+    expect(press('2')).toEqual({ type: 'color', index: 1 });
+    expect(press('5')).toBeNull();
+    expect(press('1', { selectedId: null })).toBeNull();
+  });
+
+  it('退格与 Delete 清除，带修饰键的按键不处理', () => {
+    expect(press('Backspace')).toEqual({ type: 'clear' });
+    expect(press('Delete')).toEqual({ type: 'clear' });
+    expect(press('ArrowRight', {}, { ctrlKey: true })).toBeNull();
+    expect(press('x')).toBeNull();
+  });
+});
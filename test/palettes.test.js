@@ -0,0 +1,39 @@
+import { describe, expect, it } from 'vitest';
+import { createTranslator } from '../src/i18n.js';
+import {
+  CUSTOM_PALETTE_ID,
+  DEFAULT_PALETTE_ID,
+  getPaletteColors,
+  nameColors,
+  normalizeCustomColors,
+  resolvePaletteId,
+  updateCustomColor
+} from '../src/palettes.js';
+
+describe('调色板', () => {
+  it('存档里不存在的调色板退回默认调色板', () => {
+    expect(resolvePaletteId('okabe-ito')).toBe('okabe-ito');
+    expect(resolvePaletteId(CUSTOM_PALETTE_ID)).toBe(CUSTOM_PALETTE_ID);
+    expect(resolvePaletteId('removed')).toBe(DEFAULT_PALETTE_ID);
+    expect(resolvePaletteId(undefined)).toBe(DEFAULT_PALETTE_ID);
+  });
+
+  it('编辑时原样保留输入，失去焦点后再整理', () => {
+    const edited = updateCustomColor(normalizeCustomColors([]), 1, 'name', ' 樱 ');
+    expect(edited[1].name).toBe(' 樱 ');
+    expect(normalizeCustomColors(updateCustomColor(edited, 0, 'hex', 'red'))[0].hex).toBe('#ef4444');
+    expect(normalizeCustomColors(edited)[1].name).toBe('樱');
+  });
+
+  it('按当前语言给颜色命名', () => {
+    const t = createTranslator('en');
+    expect(nameColors(getPaletteColors('grayscale'), t).map((color) => color.name)).toEqual([
+      'Light gray',
+      'Mid gray',
+      'Dark gray',
+      'Black'
+    ]);
+    const custom = getPaletteColors(CUSTOM_PALETTE_ID, [{ name: '樱', hex: '#ffb7c5' }]);
+    expect(nameColors(custom, t).map((color) => color.name)).toEqual(['樱', 'Color 2', 'Color 3', 'Color 4']);
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, expect, it } from 'vitest';
+import { CLUE_DIFFICULTIES } from '../src/clues.js';
+import { GAME_MODES } from '../src/gameModes.js';
+import { buildPuzzleUrl, decodePuzzleCode, encodePuzzleCode, readPuzzleCodeFromUrl } from '../src/puzzleCode.js';
+
+describe('题目编号', () => {
+  it('经典模式使用版本 1 的编号，格式与早期版本相同', () => {
+    const spec = { seed: 5, regionCount: 60, targetIndex: 2, mode: 'classic' };
+    expect(encodePuzzleCode(spec)).toBe('1201O0000005');
+    expect(decodePuzzleCode('1201O0000005')).toEqual(spec);
+  });
+
+  it('其他模式使用版本 2 的编号，版本号后一位为模式序号', () => {
+    GAME_MODES.filter((mode) => mode.id !== 'classic' && mode.id !== 'clues').forEach((mode, index) => {
+      const spec = { seed: 123456 + index, regionCount: 200, targetIndex: 1, mode: mode.id };
+      const code = encodePuzzleCode(spec);
+      expect(code).toHaveLength(13);
+      expect(code.slice(0, 2)).toBe(`2${GAME_MODES.indexOf(mode)}`);
+      expect(decodePuzzleCode(code)).toEqual(spec);
+    });
+  });
+
+  it('推理填色在模式序号后多一位难度序号', () => {
+    CLUE_DIFFICULTIES.forEach(({ id }, level) => {
+      const spec = { seed: 0xffffffff, regionCount: 1000, targetIndex: 3, mode: 'clues', difficulty: id };
+      const code = encodePuzzleCode(spec);
+      expect(code).toHaveLength(14);
+      expect(code.slice(0, 3)).toBe(`24${level}`);
+      expect(decodePuzzleCode(code)).toEqual(spec);
+    });
+    expect(decodePuzzleCode(encodePuzzleCode({ seed: 1, regionCount: 30, targetIndex: 0, mode: 'clues' }))).toEqual({
+      seed: 1,
+      regionCount: 30,
+      targetIndex: 0,
+      mode: 'clues',
+      difficulty: 'medium'
+    });
+  });
+
+  it('解码时忽略大小写与首尾空白，拒绝无效的编号', () => {
+    expect(decodePuzzleCode(' 1201o0000005\n')).toEqual({ seed: 5, regionCount: 60, targetIndex: 2, mode: 'classic' });
+    expect(decodePuzzleCode('1201O000000')).toBeNull();
+    expect(decodePuzzleCode('1201O00000050')).toBeNull();
+    // 不存在的模式序号、推理填色缺少或写错难度位
+    expect(decodePuzzleCode('29201O0000005')).toBeNull();
+    expect(decodePuzzleCode('24201O0000005')).toBeNull();
+    expect(decodePuzzleCode('243201O0000005')).toBeNull();
+    // 种子超出 32 位
+    expect(decodePuzzleCode('1201OZZZZZZZ')).toBeNull();
+    expect(decodePuzzleCode(null)).toBeNull();
+  });
+
+  it('编号写入网址参数后可以原样读出', () => {
+    const url = buildPuzzleUrl('https://example.com/map/?lang=en', '241201O0000005');
+    expect(readPuzzleCodeFromUrl(url)).toBe('241201O0000005');
+    expect(readPuzzleCodeFromUrl(buildPuzzleUrl(url, null))).toBeNull();
+    expect(readPuzzleCodeFromUrl('not a url')).toBeNull();
+  });
+});
@@ -0,0 +1,149 @@
+import { describe, expect, it } from 'vitest';
+import { buildAdjacency } from '../src/adjacency.js';
+import { applyMove, createGame, redoMove, seekHistory, serializeGame, undoMove } from '../src/engine.js';
+import { parsePuzzleFile, PuzzleFileError } from '../src/puzzleFile.js';
+
+function rect(id, x1, x2) {
+  return {
+    id,
+    color: null,
+    polygon: [
+      { x: x1, y: 0 },
+      { x: x2, y: 0 },
+      { x: x2, y: 10 },
+      { x: x1, y: 10 }
+    ]
+  };
+}
+
+// 三个矩形排成一行：a–b–c；a 为推理题的线索。
+function createRow() {
+  const regions = [{ ...rect('a', 0, 10), color: 0, locked: true }, rect('b', 10, 20), rect('c', 20, 30)];
+  const { adjacency, adjacencyMeta } = buildAdjacency(regions);
+  return createGame({
+    code: 'ROW',
+    mode: 'clues',
+    difficulty: 'easy',
+    width: 30,
+    height: 10,
+    regions,
+    adjacency,
+    adjacencyMeta,
+    colorCount: 4,
+    targetIndex: 1,
+    reference: { count: 1, optimal: true, lowerBound: 1, coloring: null }
+  });
+}
+
+// 填 b、c，再把二者各改一次色，然后撤销一步：撤销记录为 b、c、b，重做记录为 c。
+function createPlayedRow() {
+  let game = createRow();
+  game = applyMove(game, 'b', 1);
+  game = applyMove(game, 'c', 0);
+  game = applyMove(game, 'b', 2);
+  game = applyMove(game, 'c', 3);
+  return undoMove(game);
+}
+
+function exportRow(game = createPlayedRow()) {
+  return JSON.parse(JSON.stringify(serializeGame(game, { includeHistory: true })));
+}
+
+function parse(file) {
+  return parsePuzzleFile(file, { colorCount: 4 });
+}
+
+function catchError(run) {
+  try {
+    run();
+  } catch (error) {
+    return error;
+  }
+  throw new Error('expected an error');
+}
+
+describe('parsePuzzleFile', () => {
+  it('导出再导入后题目、颜色与撤销记录不变', () => {
+    const game = createPlayedRow();
+    const parsed = parse(JSON.stringify(exportRow(game)));
+    expect(parsed).toMatchObject({
+      code: 'ROW',
+      width: 30,
+      height: 10,
+      colorCount: 4,
+      mode: 'clues',
+      difficulty: 'easy',
+      targetIndex: 1,
+      referenceCount: 1,
+      regions: game.regions,
+      adjacency: game.adjacency,
+      adjacencyMeta: game.adjacencyMeta,
+      history: game.history,
+      redoStack: game.redoStack
+    });
+    const imported = createGame(parsed);
+    expect(seekHistory(imported, 0).regions.map((region) => region.color)).toEqual([0, null, null]);
+    expect(redoMove(imported).regions).toEqual(applyMove(game, 'c', 3).regions);
+  });
+
+  it('不带撤销记录导出时记录为空', () => {
+    const parsed = parse(serializeGame(createPlayedRow()));
+    expect(parsed.history).toEqual([]);
+    expect(parsed.redoStack).toEqual([]);
+  });
+
+  it('拒绝格式、版本、颜色与相邻关系有误的文件', () => {
+    const codeOf = (mutate) => {
+      const file = exportRow();
+      mutate(file);
+      const error = catchError(() => parse(file));
+      expect(error).toBeInstanceOf(PuzzleFileError);
+      return error.code;
+    };
+    expect(catchError(() => parse('{')).code).toBe('puzzleFile.invalidJson');
+    expect(codeOf((file) => (file.format = 'other'))).toBe('puzzleFile.unknownFormat');
+    expect(codeOf((file) => (file.version = 2))).toBe('puzzleFile.unsupportedVersion');
+    expect(codeOf((file) => (file.regions[1].color = 4))).toBe('puzzleFile.colorOutOfRange');
+    expect(codeOf((file) => (file.regions[2].id = 'a'))).toBe('puzzleFile.duplicateId');
+    expect(codeOf((file) => file.regions[0].neighbors.push('c'))).toBe('puzzleFile.asymmetric');
+    expect(codeOf((file) => (file.regions[0].color = null))).toBe('puzzleFile.lockedWithoutColor');
+    expect(codeOf((file) => (file.target.colorIndex = 4))).toBe('puzzleFile.targetIndex');
+  });
+
+  it('撤销记录不能修改锁定的线索区域', () => {
+    const file = exportRow();
+    file.history.undo[0].changes.push({ regionId: 'a', prevColor: null, nextColor: 0 });
+    const error = catchError(() => parse(file));
+    expect(error.code).toBe('puzzleFile.lockedChange');
+    expect(error.params).toEqual({ path: 'history.undo[0].changes[1]', id: 'a' });
+  });
+
+  it('重放撤销记录时与盘面对不上的文件被拒绝', () => {
+    const expectMismatch = (mutate, params) => {
+      const file = exportRow();
+      mutate(file.history);
+      const error = catchError(() => parse(file));
+      expect(error.code).toBe('puzzleFile.historyMismatch');
+      expect(error.params).toEqual(params);
+    };
+    // b 第二次改色前的颜色写错了，撤销到第一次改色时就对不上。
+    expectMismatch((history) => (history.undo[2].changes[0].prevColor = 3), {
+      path: 'history.undo[0].changes[0]',
+      id: 'b'
+    });
+    expectMismatch((history) => (history.undo[1].changes[0].nextColor = 3), {
+      path: 'history.undo[1].changes[0]',
+      id: 'c'
+    });
+    expectMismatch((history) => (history.redo[0].changes[0].prevColor = 1), {
+      path: 'history.redo[0].changes[0]',
+      id: 'c'
+    });
+  });
+
+  it('早期文件里的单区域撤销记录仍可读入', () => {
+    const file = exportRow();
+    file.history.undo = file.history.undo.map(({ changes }) => changes[0]);
+    expect(parse(file).history).toEqual(createPlayedRow().history);
+  });
+});
@@ -0,0 +1,40 @@
+import { describe, expect, it } from 'vitest';
+import { createPoints } from '../src/puzzleGenerator.js';
+import { createRng } from '../src/random.js';
+
+function minDistance(points) {
+  let min = Infinity;
+  points.forEach(([x1, y1], i) => {
+    for (let j = i + 1; j < points.length; j += 1) {
+      min = Math.min(min, Math.hypot(points[j][0] - x1, points[j][1] - y1));
+    }
+  });
+  return min;
+}
+
+describe('createPoints', () => {
+  const width = 900;
+  const height = 620;
+
+  it('撒出恰好 count 个点，两两间距都大于最小间距，且都在边距以内', () => {
+    [10, 80, 400].forEach((count) => {
+      const points = createPoints(count, width, height, createRng(count));
+      expect(points).toHaveLength(count);
+      expect(minDistance(points)).toBeGreaterThan(width / Math.sqrt(count) / 2.2);
+      points.forEach(([x, y]) => {
+        expect(x).toBeGreaterThanOrEqual(width * 0.05);
+        expect(x).toBeLessThanOrEqual(width * 0.95);
+        expect(y).toBeGreaterThanOrEqual(height * 0.05);
+        expect(y).toBeLessThanOrEqual(height * 0.95);
+      });
+    });
+  });
+
+  it('同一种子总是撒出同样的点', () => {
+    expect(createPoints(50, width, height, createRng(7))).toEqual(createPoints(50, width, height, createRng(7)));
+  });
+
+  it('画布放不下时剩下的点随机补齐', () => {
+    expect(createPoints(40, 900, 5, createRng(1))).toHaveLength(40);
+  });
+});
@@ -0,0 +1,35 @@
+import { describe, expect, it } from 'vitest';
+import { encodePuzzleCode } from '../src/puzzleCode.js';
+import { getMaxRegionCount } from '../src/puzzleGenerator.js';
+import { createRandomSpec, decodePuzzleSpec, selectMode, selectSpec } from '../src/puzzleSpec.js';
+
+const SELECTION = { regionCount: 300, mode: 'classic', difficulty: 'medium' };
+
+describe('新局设置', () => {
+  it('切换玩法时区域数截到新玩法的上限', () => {
+    expect(selectMode(SELECTION, 'two')).toEqual({ ...SELECTION, mode: 'two', regionCount: getMaxRegionCount('two') });
+    expect(selectMode(SELECTION, 'three')).toEqual({ ...SELECTION, mode: 'three' });
+  });
+
+  it('载入题目时设置跟着题目走，导入的题目保留原设置', () => {
+    const spec = { seed: 1, regionCount: 60, mode: 'clues', difficulty: 'hard', targetIndex: 0 };
+    expect(selectSpec(SELECTION, spec)).toEqual({ regionCount: 60, mode: 'clues', difficulty: 'hard' });
+    expect(selectSpec(SELECTION, { imported: {} })).toEqual(SELECTION);
+  });
+
+  it('只有推理填色的随机题目带难度', () => {
+    expect(createRandomSpec(SELECTION)).not.toHaveProperty('difficulty');
+    expect(createRandomSpec({ ...SELECTION, mode: 'clues' })).toMatchObject({ mode: 'clues', difficulty: 'medium' });
+  });
+});
+
+describe('decodePuzzleSpec', () => {
+  it('拒绝超出玩法范围的目标色与区域数', () => {
+    const spec = { seed: 7, regionCount: 120, targetIndex: 2, mode: 'three' };
+    expect(decodePuzzleSpec(encodePuzzleCode(spec))).toEqual(spec);
+    expect(decodePuzzleSpec(encodePuzzleCode({ ...spec, targetIndex: 3 }))).toBeNull();
+    expect(decodePuzzleSpec(encodePuzzleCode({ ...spec, mode: 'two', targetIndex: 1, regionCount: 300 }))).toBeNull();
+    expect(decodePuzzleSpec(encodePuzzleCode({ ...spec, regionCount: 5 }))).toBeNull();
+    expect(decodePuzzleSpec('not a code')).toBeNull();
+  });
+});
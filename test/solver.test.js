@@ -0,0 +1,169 @@
+import { describe, expect, it } from 'vitest';
+import { generateRandomMap } from '../src/puzzleGenerator.js';
+import { createRng } from '../src/random.js';
+import { countColorings, findConflicts, findOptimalTargetColoring, solveColoring } from '../src/solver.js';
+
+// 只给出 id 与相邻关系的抽象地图：edges 为 [a, b] 对。
+function graph(ids, edges) {
+  const adjacency = new Map(ids.map((id) => [id, new Set()]));
+  edges.forEach(([a, b]) => {
+    adjacency.get(a).add(b);
+    adjacency.get(b).add(a);
+  });
+  return { regions: ids.map((id) => ({ id, color: null })), adjacency };
+}
+
+function path(length) {
+  const ids = Array.from({ length }, (_, index) => `r${index}`);
+  const edges = ids.slice(1).map((id, index) => [ids[index], id]);
+  return graph(ids, edges);
+}
+
+// 完全图：任意两块区域都相邻。
+function complete(ids) {
+  const edges = ids.flatMap((a, index) => ids.slice(index + 1).map((b) => [a, b]));
+  return graph(ids, edges);
+}
+
+// 轮：中心 prefix + 'h' 与一圈 spokes 块首尾相接的区域都相邻。
+function wheelEdges(spokes, prefix = '') {
+  const rim = Array.from({ length: spokes }, (_, index) => `${prefix}${index}`);
+  return {
+    ids: [`${prefix}h`, ...rim],
+    edges: rim.flatMap((id, index) => [
+      [`${prefix}h`, id],
+      [id, rim[(index + 1) % spokes]]
+    ])
+  };
+}
+
+function wheel(spokes) {
+  const { ids, edges } = wheelEdges(spokes);
+  return graph(ids, edges);
+}
+
+function targetCount(coloring, targetIndex) {
+  return Array.from(coloring.values()).filter((color) => color === targetIndex).length;
+}
+
+describe('solveColoring', () => {
+  it('K4 用三色填不满，证明是以任一区域为中心的奇轮', () => {
+    const { regions, adjacency } = complete(['a', 'b', 'c', 'd']);
+    const { success, aborted, proof } = solveColoring(regions, adjacency, 3);
+    expect(success).toBe(false);
+    expect(aborted).toBe(false);
+    expect(proof).toMatchObject({ type: 'odd-wheel', colorCount: 3 });
+    expect(proof.regionIds).toHaveLength(4);
+    expect(proof.regionIds[0]).toBe(proof.hubId);
+    expect(solveColoring(regions, adjacency, 4).success).toBe(true);
+  });
+
+  it('K5 用四色填不满，找不到结构性证据时穷举给出证明', () => {
+    const { regions, adjacency } = complete(['a', 'b', 'c', 'd', 'e']);
+    const { success, aborted, proof } = solveColoring(regions, adjacency, 4);
+    expect(success).toBe(false);
+    expect(aborted).toBe(false);
+    expect(proof).toMatchObject({ type: 'exhaustive', colorCount: 4, regionIds: [] });
+    expect(proof.steps).toBeGreaterThan(0);
+  });
+
+  it('两色遇到奇数环、一色遇到相邻区域时给出对应证明', () => {
+    const { regions, adjacency } = graph(
+      ['a', 'b', 'c', 'd', 'e'],
+      [
+        ['a', 'b'],
+        ['b', 'c'],
+        ['c', 'd'],
+        ['d', 'e'],
+        ['e', 'a']
+      ]
+    );
+    const twoColors = solveColoring(regions, adjacency, 2).proof;
+    expect(twoColors.type).toBe('odd-cycle');
+    expect(twoColors.regionIds.slice().sort()).toEqual(['a', 'b', 'c', 'd', 'e']);
+    expect(solveColoring(regions, adjacency, 1).proof).toMatchObject({ type: 'edge', regionIds: ['a', 'b'] });
+  });
+
+  it('fixed 中相邻区域同色或堵死某个区域时直接给出证明', () => {
+    const { regions, adjacency } = path(3);
+    const clash = solveColoring(regions, adjacency, 2, {
+      fixed: new Map([
+        ['r0', 0],
+        ['r1', 0]
+      ])
+    });
+    expect(clash.proof).toEqual({ type: 'clash', colorCount: 2, regionIds: ['r0', 'r1'] });
+    const blocked = solveColoring(regions, adjacency, 2, {
+      fixed: new Map([
+        ['r0', 0],
+        ['r2', 1]
+      ])
+    });
+    expect(blocked.proof).toEqual({ type: 'blocked', colorCount: 2, regionIds: ['r1', 'r0', 'r2'] });
+  });
+
+  it('几千个区域的随机地图不回溯也能四色填满', () => {
+    // 这两个种子上单靠一次 Kempe 互换会卡住，需要清空邻居重新排队。
+    [1, 32].forEach((seed) => {
+      const { regions, adjacency } = generateRandomMap(3000, 3000, 2000, createRng(seed));
+      const { success, coloring, aborted } = solveColoring(regions, adjacency, 4, { maxSteps: 0 });
+      expect(success).toBe(true);
+      expect(aborted).toBe(false);
+      expect(coloring.size).toBe(regions.length);
+      const colored = regions.map((region) => ({ ...region, color: coloring.get(region.id) }));
+      expect(findConflicts(colored, adjacency)).toEqual([]);
+    });
+  });
+});
+
+describe('findOptimalTargetColoring', () => {
+  it('奇轮用非目标的三色填不满，至少要有一块目标色', () => {
+    const { regions, adjacency } = wheel(5);
+    const result = findOptimalTargetColoring(regions, adjacency, { targetIndex: 0, colorCount: 4 });
+    expect(result).toMatchObject({ count: 1, optimal: true, lowerBound: 1 });
+    expect(targetCount(result.coloring, 0)).toBe(1);
+  });
+
+  it('互不相交的奇轮各贡献一块下界，偶轮不需要目标色', () => {
+    const first = wheelEdges(5, 'p');
+    const second = wheelEdges(7, 'q');
+    const { regions, adjacency } = graph([...first.ids, ...second.ids], [...first.edges, ...second.edges]);
+    const result = findOptimalTargetColoring(regions, adjacency, { targetIndex: 2, colorCount: 4 });
+    expect(result).toMatchObject({ count: 2, optimal: true, lowerBound: 2 });
+    expect(targetCount(result.coloring, 2)).toBe(2);
+    const even = wheel(6);
+    expect(findOptimalTargetColoring(even.regions, even.adjacency, { targetIndex: 0, colorCount: 4 })).toMatchObject({
+      count: 0,
+      optimal: true
+    });
+  });
+
+  it('K4 用四色时目标色恰好一块，得到的填色合法', () => {
+    const { regions, adjacency } = complete(['a', 'b', 'c', 'd']);
+    const result = findOptimalTargetColoring(regions, adjacency, { targetIndex: 3, colorCount: 4 });
+    expect(result).toMatchObject({ count: 1, optimal: true, lowerBound: 1 });
+    const colored = regions.map((region) => ({ ...region, color: result.coloring.get(region.id) }));
+    expect(findConflicts(colored, adjacency)).toEqual([]);
+  });
+
+  it('下界不够紧时逐一排除更少的目标色，证明最优', () => {
+    // 七块连成一条链、只有两种颜色：目标色只能占奇数位（3 块）或偶数位（4 块）。
+    const { regions, adjacency } = path(7);
+    const result = findOptimalTargetColoring(regions, adjacency, { targetIndex: 0, colorCount: 2 });
+    expect(result).toMatchObject({ count: 3, optimal: true, lowerBound: 3 });
+    const targets = regions.filter((region) => result.coloring.get(region.id) === 0);
+    expect(targets.map((region) => region.id)).toEqual(['r1', 'r3', 'r5']);
+  });
+});
+
+describe('countColorings', () => {
+  it('用显式栈搜索，几千个区域的长链也不会爆栈', () => {
+    const { regions, adjacency } = path(6000);
+    const { count, coloring, aborted } = countColorings(regions, adjacency, 2, { limit: 3 });
+    expect(count).toBe(2);
+    expect(aborted).toBe(false);
+    regions.slice(1).forEach((region, index) => {
+      expect(coloring.get(region.id)).not.toBe(coloring.get(regions[index].id));
+    });
+  });
+});
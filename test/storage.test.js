@@ -0,0 +1,50 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+import { createDailyResult } from '../src/daily.js';
+import { listDailyResults, listScoreRecords, recordDailyResult, recordScore } from '../src/storage.js';
+
+const CLEAN = { usedAutoColor: false, usedReference: false };
+
+// Node 里没有 localStorage，用内存中的 Map 代替。
+beforeEach(() => {
+  const items = new Map();
+  globalThis.window = {
+    localStorage: {
+      getItem: (key) => (items.has(key) ? items.get(key) : null),
+      setItem: (key, value) => items.set(key, String(value)),
+      removeItem: (key) => items.delete(key)
+    }
+  };
+});
+
+function daily(gameId, targetCount = 5) {
+  return createDailyResult({
+    gameId,
+    date: '2026-10-18',
+    profile: 'p',
+    code: 'X',
+    timeMs: 60000,
+    moves: 40,
+    targetCount,
+    attempt: CLEAN
+  });
+}
+
+describe('本地成绩记录', () => {
+  it('同一局的每日成绩只记录第一次', () => {
+    recordDailyResult(daily('game-1', 5));
+    recordDailyResult(daily('game-1', 3));
+    recordDailyResult(daily('game-2', 4));
+    expect(listDailyResults().map((entry) => [entry.gameId, entry.targetCount])).toEqual([
+      ['game-1', 5],
+      ['game-2', 4]
+    ]);
+  });
+
+  it('同一局的得分只记录第一次，没有 gameId 的旧记录照常追加', () => {
+    recordScore({ gameId: 'game-1', score: 800 });
+    recordScore({ gameId: 'game-1', score: 900 });
+    recordScore({ score: 500 });
+    recordScore({ score: 500 });
+    expect(listScoreRecords().map((entry) => entry.score)).toEqual([800, 500, 500]);
+  });
+});
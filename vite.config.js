@@ -8,6 +8,9 @@ export default defineConfig(({ mode }) => {
   return {
     base,
     plugins: [react()],
+    worker: {
+      format: 'es'
+    },
     server: {
       host: true,
       port: 5173,